@@ -0,0 +1,67 @@
+<?php
+/**
+ * Back up or move a local feed with its media as a zip archive
+ *
+ *   php feed-archive.php export <feed-id> [archive.zip]
+ *   php feed-archive.php import <archive.zip> [--dry-run] [--name="New name"]
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit();
+}
+
+require_once __DIR__ . '/vendor/autoload.php';
+
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\FeedArchive;
+use AnsyblSite\Core\LocalFeedManager;
+
+// Options may come after the arguments, which getopt() doesn't allow
+$arguments = array_values(array_filter(array_slice($argv, 1), fn($arg) => !str_starts_with($arg, '--')));
+$options = [];
+foreach (array_slice($argv, 1) as $arg) {
+    if (preg_match('/^--([a-z-]+)(?:=(.*))?$/', $arg, $matches)) {
+        $options[$matches[1]] = $matches[2] ?? true;
+    }
+}
+
+$command = $arguments[0] ?? null;
+$target = $arguments[1] ?? null;
+
+if (!in_array($command, ['export', 'import'], true) || $target === null) {
+    fwrite(STDERR, "Usage: php feed-archive.php export <feed-id> [archive.zip]\n");
+    fwrite(STDERR, "       php feed-archive.php import <archive.zip> [--dry-run] [--name=\"New name\"]\n");
+    exit(1);
+}
+
+$archive = new FeedArchive(new LocalFeedManager(new ConcurrentFileManager(__DIR__ . '/data')));
+
+try {
+    if ($command === 'export') {
+        $zipPath = $arguments[2] ?? "{$target}-" . date('Y-m-d') . '.zip';
+        $manifest = $archive->export($target, $zipPath);
+        
+        echo "Exported {$manifest['items']} items and " . count($manifest['media']) . " media files to {$zipPath}\n";
+        exit(0);
+    }
+    
+    $report = $archive->import($target, [
+        'dryRun' => isset($options['dry-run']),
+        'name' => is_string($options['name'] ?? null) ? $options['name'] : null
+    ]);
+} catch (Exception $e) {
+    fwrite(STDERR, "Error: {$e->getMessage()}\n");
+    exit(1);
+}
+
+echo ($report['dryRun'] ? 'Would import' : 'Imported') . " {$report['sourceFeedId']} as {$report['feedId']}\n";
+echo count($report['items']) . " items, " . count($report['media']) . " media files\n";
+
+foreach ($report['conflicts'] as $conflict) {
+    echo "Conflict: {$conflict}\n";
+}
+
+foreach ($report['warnings'] as $warning) {
+    echo "Warning: {$warning}\n";
+}
@@ -60,6 +60,13 @@ class AdminPanel {
                 this.handleRefreshSingleFeed(feedId, e.target);
             }
         });
+        
+        // External feed trust level (using delegation)
+        document.addEventListener('change', (e) => {
+            if (e.target.matches('.feed-trust-select')) {
+                this.handleTrustLevelChange(e.target.dataset.feedId, e.target.value);
+            }
+        });
     }
     
     /**
@@ -152,11 +159,12 @@ class AdminPanel {
         const feedData = {
             url: formData.get('external-feed-url') || formData.get('feed-url'),
             name: formData.get('external-feed-name') || formData.get('feed-name'),
-            enabled: formData.has('external-feed-enabled') || formData.has('feed-enabled') || true
+            enabled: formData.has('external-feed-enabled') || formData.has('feed-enabled') || true,
+            trustLevel: formData.get('external-feed-trust') || 'basic'
         };
         
-        // Validate input
-        if (!feedData.url || !feedData.name) {
+        // Validate input - fediverse accounts (@user@host) may leave the name to the actor profile
+        if (!feedData.url || (!feedData.name && !this.isFediverseHandle(feedData.url))) {
             this.showMessage('error', 'Please fill in both URL and Name fields');
             return;
         }
@@ -174,7 +182,10 @@ class AdminPanel {
             const result = await response.json();
             
             if (result.success) {
-                this.showMessage('success', `External feed "${feedData.name}" added successfully!`);
+                const feed = result.data?.feed || feedData;
+                const source = feed.actor?.handle ? ` (${feed.actor.handle})` : '';
+                const push = result.data?.push ? ' Its hub will push new posts as they appear.' : '';
+                this.showMessage('success', `External feed "${feed.name}"${source} added successfully!${push}`);
                 
                 // Clear the form
                 event.target.reset();
@@ -183,7 +194,7 @@ class AdminPanel {
                 this.loadFeedsSection();
                 
             } else {
-                throw new Error(result.error?.message || 'Failed to add feed');
+                throw new Error(result.error?.details || result.error?.message || 'Failed to add feed');
             }
             
         } catch (error) {
@@ -192,6 +203,13 @@ class AdminPanel {
         }
     }
     
+    /**
+     * Check for a fediverse handle (@user@host), which the feeds API resolves to the account's outbox
+     */
+    isFediverseHandle(value) {
+        return /^@?[^@\s/]+@[^@\s/]+$/.test(value.trim());
+    }
+    
     /**
      * Load feeds section
      */
@@ -305,6 +323,16 @@ class AdminPanel {
                         </span>
                         <span class="feed-last-updated">Updated: ${this.formatDate(feed.updated || feed.lastFetched)}</span>
                         <span class="feed-item-count">${feed.totalItems || 0} items</span>
+                        ${isLocal && feed.fediverseHandle ? `
+                            <span class="feed-fediverse-handle" title="Follow from Mastodon and other fediverse apps">${feed.fediverseHandle}</span>
+                        ` : ''}
+                        ${isExternal ? `
+                            <select class="feed-trust-select" data-feed-id="${feed.id}" title="Content trust level">
+                                ${['plain', 'basic', 'rich'].map(level => `
+                                    <option value="${level}" ${(feed.trustLevel || 'basic') === level ? 'selected' : ''}>Trust: ${level}</option>
+                                `).join('')}
+                            </select>
+                        ` : ''}
                     </div>
                 </div>
                 
@@ -318,6 +346,7 @@ class AdminPanel {
                         <button class="feed-action-button edit-local-feed-btn" data-feed-id="${feed.id}" title="Edit">✏️</button>
                         <button class="feed-action-button manage-items-btn" data-feed-id="${feed.id}" title="Manage Items">📝</button>
                         <button class="feed-action-button media-manager-btn" data-feed-id="${feed.id}" title="Media Manager">📎</button>
+                        <button class="feed-action-button export-local-feed-btn" data-feed-id="${feed.id}" title="Export Archive">📦</button>
                         <button class="feed-action-button delete-local-feed-btn" data-feed-id="${feed.id}" title="Delete">🗑️</button>
                     ` : `
                         <button class="feed-action-button edit-external-feed-btn" data-feed-id="${feed.id}" title="Edit">✏️</button>
@@ -329,6 +358,38 @@ class AdminPanel {
         `;
     }
     
+    /**
+     * Change how much HTML is kept from an external feed
+     */
+    async handleTrustLevelChange(feedId, trustLevel) {
+        try {
+            const response = await fetch(`/api/feeds.php/${feedId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ trustLevel })
+            });
+            
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error?.message || 'Failed to update feed');
+            }
+            
+            const feed = this.externalFeeds.find(f => f.id === feedId);
+            if (feed) {
+                feed.trustLevel = trustLevel;
+            }
+            
+            this.showMessage('success', `Trust level set to "${trustLevel}"`);
+            
+        } catch (error) {
+            console.error('Error updating trust level:', error);
+            this.showMessage('error', 'Failed to update trust level: ' + error.message);
+        }
+    }
+    
     /**
      * Load menus section
      */
@@ -62,7 +62,8 @@ class ConfigManager {
             features: {
                 search_enabled: true,
                 comments_enabled: false,
-                social_sharing: true
+                social_sharing: true,
+                link_previews: false
             }
         };
     }
@@ -124,6 +125,7 @@ class ConfigManager {
         this.setFormValue('date-format', this.currentConfig.display?.date_format);
         this.setFormValue('show-timestamps', this.currentConfig.display?.show_timestamps);
         this.setFormValue('search-enabled', this.currentConfig.features?.search_enabled);
+        this.setFormValue('link-previews', this.currentConfig.features?.link_previews);
     }
     
     /**
@@ -203,7 +205,8 @@ class ConfigManager {
         // Features
         this.currentConfig.features = {
             ...this.currentConfig.features,
-            search_enabled: this.getFormValue('search-enabled')
+            search_enabled: this.getFormValue('search-enabled'),
+            link_previews: this.getFormValue('link-previews')
         };
     }
     
@@ -4,6 +4,20 @@
  */
 
 class FeedItemManager {
+    /**
+     * Object types the editor offers (LocalFeedManager::ITEM_TYPES)
+     */
+    static get ITEM_TYPES() {
+        return ['Article', 'Note', 'Page', 'Image', 'Audio', 'Video', 'Document', 'Link', 'Event', 'Place', 'Question'];
+    }
+    
+    /**
+     * Object types whose content is written in the editor (LocalFeedManager::TEXT_TYPES)
+     */
+    static get TEXT_TYPES() {
+        return ['Article', 'Note', 'Page', 'Event', 'Place', 'Question'];
+    }
+    
     constructor() {
         this.apiBaseUrl = '../api/local-feeds.php';
         this.currentFeedId = null;
@@ -11,12 +25,35 @@ class FeedItemManager {
         this.eventListeners = [];
         this.currentSubItems = []; // Track sub-items being created
         this.editingItemId = null;
+        this.loadedItems = []; // Items of the open feed, before the status filter
+        this.statusFilter = 'all';
+        this.history = null; // Item and revisions shown in the history modal
+        this.selectedItemIds = new Set(); // Items picked for a bulk action
+        this.sanitizer = new HTMLSanitizer();
+        this.renderer = new ActivityRenderer(); // Previews go through the same code path as the site
+        this.contentEditor = null;
+        this.draftContext = null; // Feed and item key of the editor being autosaved
+        this.pendingDraft = null; // Draft offered for restoring in the open editor
+        this.draftSyncTimer = null;
+        this.draftRecoveryOffered = false;
         
         this.init();
     }
     
     init() {
         this.bindEvents();
+        
+        // Keep the open editor's work when the session ends, and offer it back after logging in again
+        if (window.adminAuth) {
+            window.adminAuth.onAuthStatusChange((authenticated) => {
+                if (!authenticated) {
+                    this.saveDraftLocally();
+                } else if (!this.draftRecoveryOffered) {
+                    this.draftRecoveryOffered = true;
+                    this.offerDraftRecovery();
+                }
+            });
+        }
     }
     
     /**
@@ -45,6 +82,61 @@ class FeedItemManager {
                 this.deleteSubItem(subItemIndex);
             } else if (e.target.matches('.toggle-sub-items-btn')) {
                 this.toggleSubItemsSection();
+            } else if (e.target.matches('.item-history-btn')) {
+                this.showItemHistory(e.target.dataset.itemId);
+            } else if (e.target.closest('.revision-entry')) {
+                this.showRevisionDiff(parseInt(e.target.closest('.revision-entry').dataset.revisionId));
+            } else if (e.target.matches('.restore-revision-btn')) {
+                this.restoreRevision(parseInt(e.target.dataset.revisionId));
+            } else if (e.target.matches('.show-trash-btn')) {
+                this.showTrash();
+            } else if (e.target.matches('.restore-trashed-btn')) {
+                this.restoreTrashedItem(e.target.dataset.itemId);
+            } else if (e.target.matches('.purge-trashed-btn')) {
+                this.purgeTrash(e.target.dataset.itemId);
+            } else if (e.target.matches('.empty-trash-btn')) {
+                this.purgeTrash();
+            } else if (e.target.matches('.toggle-pinned-btn')) {
+                this.toggleItemFlag(e.target.dataset.itemId, 'pinned');
+            } else if (e.target.matches('.toggle-featured-btn')) {
+                this.toggleItemFlag(e.target.dataset.itemId, 'featured');
+            } else if (e.target.matches('.apply-bulk-btn')) {
+                this.applyBulkAction();
+            } else if (e.target.matches('.clear-selection-btn')) {
+                this.selectedItemIds.clear();
+                this.renderFilteredItems();
+            } else if (e.target.matches('.restore-draft-btn')) {
+                this.restorePendingDraft();
+            } else if (e.target.matches('.resume-draft-btn')) {
+                this.resumeDraft(e.target.dataset.feedId, e.target.dataset.itemKey);
+            } else if (e.target.matches('.discard-draft-btn')) {
+                this.discardDraft(e.target.dataset.feedId, e.target.dataset.itemKey);
+            }
+        });
+        
+        document.addEventListener('change', (e) => {
+            if (e.target.matches('.item-status-filter')) {
+                this.statusFilter = e.target.value;
+                this.renderFilteredItems();
+            } else if (e.target.matches('.item-select')) {
+                if (e.target.checked) {
+                    this.selectedItemIds.add(e.target.dataset.itemId);
+                } else {
+                    this.selectedItemIds.delete(e.target.dataset.itemId);
+                }
+                e.target.closest('.item-card').classList.toggle('selected', e.target.checked);
+                this.updateBulkBar();
+            } else if (e.target.matches('.select-all-items')) {
+                this.getFilteredItems().forEach(item => {
+                    if (e.target.checked) {
+                        this.selectedItemIds.add(item.id);
+                    } else {
+                        this.selectedItemIds.delete(item.id);
+                    }
+                });
+                this.renderFilteredItems();
+            } else if (e.target.matches('.bulk-action-select')) {
+                this.renderBulkOptions(e.target.value);
             }
         });
     }
@@ -74,6 +166,10 @@ class FeedItemManager {
      * Show item manager modal
      */
     showItemManagerModal(feed, items) {
+        this.loadedItems = items;
+        this.statusFilter = 'all';
+        this.selectedItemIds.clear();
+        
         const modalHtml = `
             <div id="item-manager-modal" class="modal-overlay large-modal">
                 <div class="modal-content">
@@ -83,14 +179,46 @@ class FeedItemManager {
                     </div>
                     <div class="modal-body">
                         <div class="item-manager-toolbar">
+                            <label class="select-all-label" title="Select all shown items">
+                                <input type="checkbox" class="select-all-items" aria-label="Select all shown items">
+                            </label>
                             <button class="button primary add-item-btn">
                                 + Add New Item
                             </button>
+                            <button class="button secondary show-trash-btn">
+                                🗑️ Trash
+                            </button>
+                            <select class="item-status-filter" aria-label="Filter items by status">
+                                <option value="all">All items</option>
+                                <option value="published">Published</option>
+                                <option value="scheduled">Scheduled</option>
+                                <option value="draft">Drafts</option>
+                            </select>
                             <div class="item-stats">
-                                <span>${items.length} items</span>
+                                ${this.renderItemStats(items)}
                             </div>
                         </div>
                         
+                        <div id="bulk-actions" class="bulk-actions" hidden>
+                            <span class="bulk-count"></span>
+                            <select class="bulk-action-select" aria-label="Bulk action">
+                                <option value="">Choose an action…</option>
+                                <option value="publish">Publish</option>
+                                <option value="unpublish">Unpublish (make drafts)</option>
+                                <option value="addTags">Add tags</option>
+                                <option value="removeTags">Remove tags</option>
+                                <option value="shiftDate">Shift published date</option>
+                                <option value="move">Move to feed</option>
+                                <option value="copy">Copy to feed</option>
+                                <option value="delete">Move to trash</option>
+                            </select>
+                            <span class="bulk-options"></span>
+                            <button class="button primary apply-bulk-btn">Apply</button>
+                            <button class="button secondary clear-selection-btn">Clear Selection</button>
+                        </div>
+                        
+                        <div id="feed-drafts" class="feed-drafts" hidden></div>
+                        
                         <div id="items-list" class="items-list">
                             ${this.renderItemsList(items)}
                         </div>
@@ -100,6 +228,311 @@ class FeedItemManager {
         `;
         
         document.body.insertAdjacentHTML('beforeend', modalHtml);
+        this.setupDragAndDrop();
+        this.renderFeedDrafts(feed.id);
+    }
+    
+    /**
+     * Drag item cards to set the feed's order
+     */
+    setupDragAndDrop() {
+        const container = document.getElementById('items-list');
+        if (!container) return;
+        
+        container.addEventListener('dragstart', (e) => {
+            if (e.target.classList && e.target.classList.contains('item-card')) {
+                this.draggedItem = e.target;
+                e.target.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+            }
+        });
+        
+        container.addEventListener('dragend', (e) => {
+            if (e.target.classList && e.target.classList.contains('item-card')) {
+                e.target.classList.remove('dragging');
+                this.draggedItem = null;
+            }
+        });
+        
+        container.addEventListener('dragover', (e) => {
+            if (!this.draggedItem) return;
+            
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        
+        container.addEventListener('drop', (e) => {
+            e.preventDefault();
+            
+            if (!this.draggedItem) return;
+            
+            const dropTarget = e.target.closest('.item-card');
+            if (dropTarget && dropTarget !== this.draggedItem) {
+                const afterElement = this.getDragAfterElement(container, e.clientY);
+                
+                if (afterElement == null) {
+                    container.appendChild(this.draggedItem);
+                } else {
+                    container.insertBefore(this.draggedItem, afterElement);
+                }
+                
+                this.saveItemOrder();
+            }
+        });
+    }
+    
+    /**
+     * Get the card below the drag position
+     */
+    getDragAfterElement(container, y) {
+        const draggableElements = [...container.querySelectorAll('.item-card:not(.dragging)')];
+        
+        return draggableElements.reduce((closest, child) => {
+            const box = child.getBoundingClientRect();
+            const offset = y - box.top - box.height / 2;
+            
+            if (offset < 0 && offset > closest.offset) {
+                return { offset: offset, element: child };
+            } else {
+                return closest;
+            }
+        }, { offset: Number.NEGATIVE_INFINITY }).element;
+    }
+    
+    /**
+     * Save the order of the cards. With a status filter only the shown items
+     * were moved - they swap places among themselves, the rest stay put.
+     */
+    async saveItemOrder() {
+        const shownIds = [...document.querySelectorAll('#items-list .item-card')].map(card => card.dataset.itemId);
+        const shown = new Set(shownIds);
+        let next = 0;
+        
+        const itemIds = this.loadedItems.map(item => shown.has(item.id) ? shownIds[next++] : item.id);
+        
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/${this.currentFeedId}/items/order`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ itemIds })
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error.details || data.error.message);
+            }
+            
+            this.notifyListeners('itemsReordered', { feedId: this.currentFeedId, itemIds });
+            this.showMessage('success', data.data.message);
+            
+        } catch (error) {
+            this.showMessage('error', 'Failed to save item order: ' + error.message);
+        }
+        
+        await this.refreshItemManager();
+    }
+    
+    /**
+     * Pin/unpin or feature/unfeature an item
+     */
+    async toggleItemFlag(itemId, flag) {
+        const item = this.loadedItems.find(loaded => loaded.id === itemId);
+        if (!item) return;
+        
+        try {
+            await this.updateItem(itemId, { [flag]: !item[flag] });
+            await this.refreshItemManager();
+        } catch (error) {
+            this.showMessage('error', `Failed to update item: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Show the bulk action bar while items are selected
+     */
+    updateBulkBar() {
+        const bar = document.getElementById('bulk-actions');
+        if (!bar) {
+            return;
+        }
+        
+        const count = this.selectedItemIds.size;
+        bar.hidden = count === 0;
+        bar.querySelector('.bulk-count').textContent = `${count} selected`;
+        
+        const selectAll = document.querySelector('#item-manager-modal .select-all-items');
+        if (selectAll) {
+            const shown = this.getFilteredItems();
+            selectAll.checked = shown.length > 0 && shown.every(item => this.selectedItemIds.has(item.id));
+        }
+    }
+    
+    /**
+     * The extra inputs a bulk action needs
+     */
+    async renderBulkOptions(action) {
+        const options = document.querySelector('#bulk-actions .bulk-options');
+        if (!options) {
+            return;
+        }
+        
+        if (action === 'addTags' || action === 'removeTags') {
+            options.innerHTML = '<input type="text" class="bulk-tags" placeholder="tag1, tag2">';
+        } else if (action === 'shiftDate') {
+            options.innerHTML = `
+                <input type="number" class="bulk-shift-amount" value="1" step="1" aria-label="Shift by">
+                <select class="bulk-shift-unit" aria-label="Unit">
+                    <option value="3600">hours</option>
+                    <option value="86400" selected>days</option>
+                </select>
+                <small>Negative values move items earlier</small>
+            `;
+        } else if (action === 'move' || action === 'copy') {
+            options.innerHTML = '<select class="bulk-target-feed" aria-label="Target feed"><option value="">Loading feeds…</option></select>';
+            
+            try {
+                const response = await fetch(this.apiBaseUrl);
+                const data = await response.json();
+                if (!data.success) {
+                    throw new Error(data.error.message);
+                }
+                
+                const targets = data.data.feeds.filter(feed => feed.id !== this.currentFeedId);
+                const select = options.querySelector('.bulk-target-feed');
+                if (select) {
+                    select.innerHTML = targets.length > 0
+                        ? targets.map(feed => `<option value="${feed.id}">${this.sanitizer.escape(feed.name)}</option>`).join('')
+                        : '<option value="">No other local feeds</option>';
+                }
+            } catch (error) {
+                this.showMessage('error', 'Failed to load feeds: ' + error.message);
+            }
+        } else {
+            options.innerHTML = '';
+        }
+    }
+    
+    /**
+     * Send the selected items and action to the server, which applies them in one locked update
+     */
+    async applyBulkAction() {
+        const bar = document.getElementById('bulk-actions');
+        const action = bar ? bar.querySelector('.bulk-action-select').value : '';
+        const itemIds = Array.from(this.selectedItemIds);
+        
+        if (!action || itemIds.length === 0) {
+            this.showMessage('error', 'Choose an action for the selected items');
+            return;
+        }
+        
+        const payload = { action, itemIds };
+        
+        if (action === 'addTags' || action === 'removeTags') {
+            payload.tags = bar.querySelector('.bulk-tags').value.split(',').map(tag => tag.trim()).filter(tag => tag);
+        } else if (action === 'shiftDate') {
+            payload.seconds = Math.round(parseFloat(bar.querySelector('.bulk-shift-amount').value || '0') * parseInt(bar.querySelector('.bulk-shift-unit').value));
+        } else if (action === 'move' || action === 'copy') {
+            payload.targetFeedId = bar.querySelector('.bulk-target-feed').value;
+        }
+        
+        if (action === 'delete' && !confirm(`Move ${itemIds.length} item(s) to the trash?`)) {
+            return;
+        }
+        if (action === 'move' && !confirm(`Move ${itemIds.length} item(s) to another feed? Readers of this feed will see them removed.`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/${this.currentFeedId}/items/bulk`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(payload)
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error.details || data.error.message);
+            }
+            
+            this.selectedItemIds.clear();
+            this.notifyListeners('itemsBulkUpdated', data.data);
+            await this.refreshItemManager();
+            this.showMessage('success', data.data.message);
+            
+        } catch (error) {
+            this.showMessage('error', 'Bulk action failed: ' + error.message);
+        }
+    }
+    
+    /**
+     * Item count, with how many are still to be published
+     */
+    renderItemStats(items) {
+        const scheduled = items.filter(item => this.getItemStatus(item) === 'scheduled').length;
+        const drafts = items.filter(item => this.getItemStatus(item) === 'draft').length;
+        
+        return `<span>${items.length} items</span>` +
+            (scheduled ? ` · <span>${scheduled} scheduled</span>` : '') +
+            (drafts ? ` · <span>${drafts} drafts</span>` : '');
+    }
+    
+    /**
+     * Items saved before statuses existed are published
+     */
+    getItemStatus(item) {
+        return item.status || 'published';
+    }
+    
+    /**
+     * Re-render the list with the current status filter
+     */
+    renderFilteredItems() {
+        const itemsList = document.getElementById('items-list');
+        if (!itemsList) {
+            return;
+        }
+        
+        const items = this.getFilteredItems();
+        
+        if (items.length === 0 && this.loadedItems.length > 0) {
+            itemsList.innerHTML = `
+                <div class="empty-state">
+                    <p>No ${this.statusFilter === 'draft' ? 'drafts' : this.statusFilter + ' items'} in this feed.</p>
+                </div>
+            `;
+        } else {
+            itemsList.innerHTML = this.renderItemsList(items);
+        }
+        
+        this.updateBulkBar();
+    }
+    
+    /**
+     * Loaded items that pass the status filter
+     */
+    getFilteredItems() {
+        return this.statusFilter === 'all'
+            ? this.loadedItems
+            : this.loadedItems.filter(item => this.getItemStatus(item) === this.statusFilter);
+    }
+    
+    /**
+     * Badge for items readers can't see yet
+     */
+    renderStatusBadge(item) {
+        const status = this.getItemStatus(item);
+        
+        if (status === 'scheduled') {
+            return `<span class="item-status-badge item-status-scheduled" title="Goes out ${this.formatDate(item.published)}">Scheduled</span>`;
+        }
+        if (status === 'draft') {
+            return '<span class="item-status-badge item-status-draft">Draft</span>';
+        }
+        return '';
     }
     
     /**
@@ -116,11 +549,22 @@ class FeedItemManager {
         }
         
         return items.map(item => `
-            <div class="item-card" data-item-id="${item.id}">
+            <div class="item-card ${this.selectedItemIds.has(item.id) ? 'selected' : ''}" data-item-id="${item.id}" draggable="true" title="Drag to reorder">
                 <div class="item-header">
+                    <input type="checkbox" class="item-select" data-item-id="${item.id}" aria-label="Select item"
+                           ${this.selectedItemIds.has(item.id) ? 'checked' : ''}>
                     <span class="item-type-badge item-type-${item.type.toLowerCase()}">${item.type}</span>
+                    ${this.renderStatusBadge(item)}
+                    ${item.pinned ? '<span class="item-flag-badge item-flag-pinned">📌 Pinned</span>' : ''}
+                    ${item.featured ? '<span class="item-flag-badge item-flag-featured">⭐ Featured</span>' : ''}
                     ${item.type === 'Collection' ? `<span class="collection-info">(${item.totalItems || 0} items)</span>` : ''}
                     <div class="item-actions">
+                        <button class="item-action-btn toggle-pinned-btn ${item.pinned ? 'active' : ''}" data-item-id="${item.id}" title="${item.pinned ? 'Unpin' : 'Pin to top'}">
+                            📌
+                        </button>
+                        <button class="item-action-btn toggle-featured-btn ${item.featured ? 'active' : ''}" data-item-id="${item.id}" title="${item.featured ? 'Stop featuring' : 'Feature'}">
+                            ⭐
+                        </button>
                         <button class="item-action-btn edit-item-btn" data-item-id="${item.id}" title="Edit">
                             ✏️
                         </button>
@@ -178,11 +622,9 @@ class FeedItemManager {
                                 <label for="item-type">Item Type *</label>
                                 <select id="item-type" name="type" required onchange="this.closest('form').querySelector('.item-type-fields').className = 'item-type-fields type-' + this.value.toLowerCase()">
                                     <option value="">Select Type</option>
-                                    <option value="Article" ${item && item.type === 'Article' ? 'selected' : ''}>Article</option>
-                                    <option value="Note" ${item && item.type === 'Note' ? 'selected' : ''}>Note</option>
-                                    <option value="Image" ${item && item.type === 'Image' ? 'selected' : ''}>Image</option>
-                                    <option value="Audio" ${item && item.type === 'Audio' ? 'selected' : ''}>Audio</option>
-                                    <option value="Video" ${item && item.type === 'Video' ? 'selected' : ''}>Video</option>
+                                    ${FeedItemManager.ITEM_TYPES.map(type => `
+                                        <option value="${type}" ${item && item.type === type ? 'selected' : ''}>${type}</option>
+                                    `).join('')}
                                 </select>
                             </div>
                             
@@ -191,6 +633,33 @@ class FeedItemManager {
                                 <input type="datetime-local" id="item-published" name="published" 
                                        value="${item ? this.formatDateForInput(item.published) : this.formatDateForInput(new Date().toISOString())}">
                             </div>
+                            
+                            <div class="form-group">
+                                <label for="item-status">Status</label>
+                                <select id="item-status" name="status">
+                                    <option value="published" ${item && item.status === 'draft' ? '' : 'selected'}>Publish</option>
+                                    <option value="draft" ${item && item.status === 'draft' ? 'selected' : ''}>Save as draft</option>
+                                </select>
+                                <small>With a future published date the item is scheduled and goes out at that time.</small>
+                            </div>
+                            
+                            <div class="form-group">
+                                <label>
+                                    <input type="checkbox" id="item-pinned" name="pinned" 
+                                           ${item && item.pinned ? 'checked' : ''}>
+                                    Pinned
+                                </label>
+                                <small>Pinned items stay at the top of the list whatever the sort order.</small>
+                            </div>
+                            
+                            <div class="form-group">
+                                <label>
+                                    <input type="checkbox" id="item-featured" name="featured" 
+                                           ${item && item.featured ? 'checked' : ''}>
+                                    Featured
+                                </label>
+                                <small>Featured items are shown in the hero slot above the list.</small>
+                            </div>
                         </div>
                         
                         <div class="form-group">
@@ -207,21 +676,90 @@ class FeedItemManager {
                         </div>
                         
                         <div class="item-type-fields ${item ? 'type-' + item.type.toLowerCase() : ''}">
-                            <!-- Article/Note content -->
-                            <div class="form-group type-article type-note">
+                            <!-- Text content -->
+                            <div class="form-group type-article type-note type-page type-event type-place type-question">
                                 <label for="item-content">Content</label>
-                                <textarea id="item-content" name="content" rows="10"
+                                <textarea id="item-content" name="content" rows="14"
                                           placeholder="Content (supports Markdown)">${item ? item.content || '' : ''}</textarea>
-                                <small>Supports Markdown formatting</small>
+                                <small>Supports Markdown formatting - the preview shows it as readers will see it</small>
+                            </div>
+                            
+                            <div class="form-group type-article type-note type-page type-event type-place type-question">
+                                <label for="item-content-format">Content Format</label>
+                                <select id="item-content-format" name="contentFormat">
+                                    <option value="text/markdown">Markdown</option>
+                                    <option value="text/html" ${item && item.mediaType === 'text/html' ? 'selected' : ''}>HTML</option>
+                                </select>
                             </div>
                             
                             <!-- Media URL -->
-                            <div class="form-group type-image type-audio type-video">
-                                <label for="item-url">Media URL</label>
+                            <div class="form-group type-image type-audio type-video type-document type-page type-link">
+                                <label for="item-url">URL</label>
                                 <input type="url" id="item-url" name="url" 
                                        value="${item ? item.url || '' : ''}"
                                        placeholder="https://example.com/media.jpg">
-                                <small>URL to the media file or upload using the media manager</small>
+                                <small>URL of the media file, document or page - or upload using the media manager</small>
+                            </div>
+                            
+                            <!-- Event fields -->
+                            <div class="form-group type-event">
+                                <label for="item-start-time">Starts *</label>
+                                <input type="datetime-local" id="item-start-time" name="startTime" 
+                                       value="${item && item.startTime ? this.formatDateForInput(item.startTime) : ''}">
+                            </div>
+                            
+                            <div class="form-group type-event type-question">
+                                <label for="item-end-time">Ends</label>
+                                <input type="datetime-local" id="item-end-time" name="endTime" 
+                                       value="${item && item.endTime ? this.formatDateForInput(item.endTime) : ''}">
+                                <small>For a poll, when voting closes</small>
+                            </div>
+                            
+                            <div class="form-group type-event">
+                                <label for="item-location">Location</label>
+                                <input type="text" id="item-location" name="locationName" 
+                                       value="${item && item.location ? item.location.name || '' : ''}"
+                                       placeholder="Venue or address">
+                            </div>
+                            
+                            <!-- Place fields -->
+                            <div class="form-group type-place">
+                                <label for="item-latitude">Latitude</label>
+                                <input type="number" id="item-latitude" name="latitude" min="-90" max="90" step="any"
+                                       value="${item && item.latitude !== undefined ? item.latitude : ''}"
+                                       placeholder="51.5074">
+                            </div>
+                            
+                            <div class="form-group type-place">
+                                <label for="item-longitude">Longitude</label>
+                                <input type="number" id="item-longitude" name="longitude" min="-180" max="180" step="any"
+                                       value="${item && item.longitude !== undefined ? item.longitude : ''}"
+                                       placeholder="-0.1278">
+                                <small>Readers see the coordinates with a link to OpenStreetMap</small>
+                            </div>
+                            
+                            <!-- Question fields -->
+                            <div class="form-group type-question">
+                                <label for="item-choices">Choices *</label>
+                                <textarea id="item-choices" name="choices" rows="4"
+                                          placeholder="One choice per line">${item ? (item.oneOf || item.anyOf || []).map(choice => choice.name).join('\n') : ''}</textarea>
+                            </div>
+                            
+                            <div class="form-group type-question">
+                                <label>
+                                    <input type="checkbox" id="item-multiple-choice" name="multipleChoice" 
+                                           ${item && item.anyOf ? 'checked' : ''}>
+                                    Allow several choices
+                                </label>
+                            </div>
+                            
+                            <!-- Link fields -->
+                            <div class="form-group type-link">
+                                <label for="item-hreflang">Language</label>
+                                <input type="text" id="item-hreflang" name="hreflang" maxlength="35"
+                                       value="${item ? item.hreflang || '' : ''}"
+                                       placeholder="en, fr-CA">
+                                <small>Language of the linked page</small>
                             </div>
                             
                             <!-- Audio/Video specific fields -->
@@ -233,11 +771,11 @@ class FeedItemManager {
                                 <small>Duration in ISO 8601 format (e.g., PT1H30M for 1 hour 30 minutes)</small>
                             </div>
                             
-                            <div class="form-group type-audio type-video type-image">
+                            <div class="form-group type-audio type-video type-image type-document type-link">
                                 <label for="item-media-type">Media Type</label>
                                 <input type="text" id="item-media-type" name="mediaType" 
                                        value="${item ? item.mediaType || '' : ''}"
-                                       placeholder="image/jpeg, audio/mpeg, video/mp4">
+                                       placeholder="image/jpeg, audio/mpeg, video/mp4, application/pdf">
                             </div>
                         </div>
                         
@@ -286,6 +824,11 @@ class FeedItemManager {
                             <button type="button" class="button secondary" onclick="window.mediaManager && window.mediaManager.showMediaManager('${this.currentFeedId}')">
                                 📎 Media Manager
                             </button>
+                            ${isEdit ? `
+                                <button type="button" class="button secondary item-history-btn" data-item-id="${item.id}">
+                                    🕘 History
+                                </button>
+                            ` : ''}
                             <button type="submit" class="button primary">
                                 ${isEdit ? 'Update Item' : 'Add Item'}
                             </button>
@@ -323,6 +866,9 @@ class FeedItemManager {
         const form = document.getElementById('item-editor-form');
         form.addEventListener('submit', (e) => this.handleItemSubmit(e, isEdit));
         
+        this.setupContentEditor();
+        this.startDraftAutosave(form, itemId);
+        
         // Add real-time preview updates
         form.addEventListener('input', () => this.updateCollectionPreview());
         form.addEventListener('change', () => this.updateCollectionPreview());
@@ -352,10 +898,28 @@ class FeedItemManager {
             url: formData.get('url'),
             duration: formData.get('duration'),
             mediaType: formData.get('mediaType'),
-            published: formData.get('published'),
+            // The input holds local time - send it with its offset so the server schedules the right moment
+            published: formData.get('published') ? new Date(formData.get('published')).toISOString() : '',
+            status: formData.get('status'),
+            pinned: formData.get('pinned') === 'on',
+            featured: formData.get('featured') === 'on',
             tag: formData.get('tags') ? formData.get('tags').split(',').map(tag => tag.trim()).filter(tag => tag) : []
         };
         
+        // Text items record how their content is written so readers render it the same way
+        if (FeedItemManager.TEXT_TYPES.includes(mainItemData.type)) {
+            mainItemData.mediaType = formData.get('contentFormat') || 'text/markdown';
+        }
+        
+        let typeFields;
+        try {
+            typeFields = this.collectTypeFields(formData, mainItemData.type);
+        } catch (error) {
+            this.showMessage('error', error.message);
+            return;
+        }
+        Object.assign(mainItemData, typeFields);
+        
         // Remove empty values from main item
         Object.keys(mainItemData).forEach(key => {
             if (mainItemData[key] === '' || mainItemData[key] === null) {
@@ -368,7 +932,7 @@ class FeedItemManager {
         const allItems = [];
         
         // Add main item if it has meaningful content
-        if (mainItemData.type && (mainItemData.content || mainItemData.url)) {
+        if (mainItemData.type && (mainItemData.content || mainItemData.url || Object.keys(typeFields).length > 0)) {
             allItems.push(mainItemData);
         }
         
@@ -386,12 +950,18 @@ class FeedItemManager {
                 name: mainItemData.name || `Multi-Type Content`,
                 summary: mainItemData.summary || typesSummary,
                 published: mainItemData.published,
+                status: mainItemData.status,
+                pinned: mainItemData.pinned,
+                featured: mainItemData.featured,
                 tag: mainItemData.tag,
                 totalItems: allItems.length,
                 items: allItems.map(item => {
                     // Remove main-item specific fields from sub-items
                     const cleanItem = { ...item };
                     delete cleanItem.published; // Collection handles published date
+                    delete cleanItem.status; // ...and whether it's out yet
+                    delete cleanItem.pinned; // ...and where it's shown
+                    delete cleanItem.featured;
                     delete cleanItem.tag; // Collection handles tags
                     return cleanItem;
                 })
@@ -406,6 +976,8 @@ class FeedItemManager {
                 await this.addItem(finalItemData);
             }
             
+            this.discardDraft(this.draftContext.feedId, this.draftContext.itemKey);
+            
             // Close modal
             document.getElementById('item-editor-modal').remove();
             
@@ -426,6 +998,64 @@ class FeedItemManager {
         }
     }
     
+    /**
+     * Properties of the Event, Place, Question and Link types, from the editor
+     * (see LocalFeedManager::TYPE_FIELDS)
+     */
+    collectTypeFields(formData, type) {
+        const fields = {};
+        const toISOString = (value) => value ? new Date(value).toISOString() : null;
+        
+        if (type === 'Event') {
+            if (!formData.get('startTime')) {
+                throw new Error('An event needs a start time');
+            }
+            
+            fields.startTime = toISOString(formData.get('startTime'));
+            fields.endTime = toISOString(formData.get('endTime'));
+            
+            if (fields.endTime && fields.endTime < fields.startTime) {
+                throw new Error('An event cannot end before it starts');
+            }
+            
+            const locationName = (formData.get('locationName') || '').trim();
+            if (locationName) {
+                fields.location = { type: 'Place', name: locationName };
+            }
+        } else if (type === 'Place') {
+            ['latitude', 'longitude'].forEach(field => {
+                const value = parseFloat(formData.get(field));
+                if (Number.isFinite(value)) {
+                    fields[field] = value;
+                }
+            });
+        } else if (type === 'Question') {
+            const choices = (formData.get('choices') || '').split('\n').map(choice => choice.trim()).filter(choice => choice);
+            
+            if (choices.length < 2) {
+                throw new Error('A poll needs at least two choices');
+            }
+            
+            // Votes arrive as replies - a new poll has none yet
+            fields[formData.get('multipleChoice') === 'on' ? 'anyOf' : 'oneOf'] = choices.map(name => ({
+                type: 'Note',
+                name,
+                replies: { type: 'Collection', totalItems: 0 }
+            }));
+            fields.endTime = toISOString(formData.get('endTime'));
+        } else if (type === 'Link') {
+            fields.hreflang = (formData.get('hreflang') || '').trim();
+        }
+        
+        Object.keys(fields).forEach(key => {
+            if (fields[key] === '' || fields[key] === null) {
+                delete fields[key];
+            }
+        });
+        
+        return fields;
+    }
+    
     /**
      * Add item to feed
      */
@@ -486,7 +1116,7 @@ class FeedItemManager {
      * Delete item from feed
      */
     async deleteItem(itemId) {
-        if (!confirm('Are you sure you want to delete this item? This action cannot be undone.')) {
+        if (!confirm('Move this item to the trash? It can be restored from there until the trash is emptied.')) {
             return false;
         }
         
@@ -507,7 +1137,7 @@ class FeedItemManager {
             }
             
             this.notifyListeners('itemDeleted', { itemId });
-            this.showMessage('success', 'Item deleted successfully!');
+            this.showMessage('success', 'Item moved to trash');
             return true;
             
         } catch (error) {
@@ -537,6 +1167,20 @@ class FeedItemManager {
         }
     }
     
+    /**
+     * Load the revision history of an item, newest first
+     */
+    async loadRevisions(itemId) {
+        const response = await fetch(`${this.apiBaseUrl}/${this.currentFeedId}/items/${itemId}/revisions`);
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error.message);
+        }
+        
+        return data.data.revisions;
+    }
+    
     /**
      * Get specific item
      */
@@ -582,10 +1226,21 @@ class FeedItemManager {
      */
     async refreshItemManager() {
         try {
-            const items = await this.loadItems(this.currentFeedId);
-            const itemsList = document.getElementById('items-list');
-            if (itemsList) {
-                itemsList.innerHTML = this.renderItemsList(items);
+            this.loadedItems = await this.loadItems(this.currentFeedId);
+            
+            // Forget selections of items that are gone
+            const loadedIds = new Set(this.loadedItems.map(item => item.id));
+            this.selectedItemIds.forEach(itemId => {
+                if (!loadedIds.has(itemId)) {
+                    this.selectedItemIds.delete(itemId);
+                }
+            });
+            
+            this.renderFilteredItems();
+            
+            const itemStats = document.querySelector('#item-manager-modal .item-stats');
+            if (itemStats) {
+                itemStats.innerHTML = this.renderItemStats(this.loadedItems);
             }
         } catch (error) {
             console.error('Failed to refresh item manager:', error);
@@ -623,7 +1278,7 @@ class FeedItemManager {
                         
                         ${item.summary ? `<p class="item-summary"><strong>Summary:</strong> ${item.summary}</p>` : ''}
                         
-                        ${item.content ? `<div class="item-content">${this.formatMarkdown(item.content)}</div>` : ''}
+                        ${item.content ? `<div class="item-content">${this.formatMarkdown(item.content, item.mediaType)}</div>` : ''}
                         
                         ${item.url ? `<p class="item-url"><strong>URL:</strong> <a href="${item.url}" target="_blank">${item.url}</a></p>` : ''}
                         
@@ -631,6 +1286,16 @@ class FeedItemManager {
                         
                         ${item.mediaType ? `<p class="item-media-type"><strong>Media Type:</strong> ${item.mediaType}</p>` : ''}
                         
+                        ${item.startTime ? `<p class="item-start-time"><strong>Starts:</strong> ${this.formatDate(item.startTime)}</p>` : ''}
+                        
+                        ${item.endTime ? `<p class="item-end-time"><strong>${item.type === 'Question' ? 'Voting closes' : 'Ends'}:</strong> ${this.formatDate(item.endTime)}</p>` : ''}
+                        
+                        ${item.location && item.location.name ? `<p class="item-location"><strong>Location:</strong> ${this.sanitizer.escape(item.location.name)}</p>` : ''}
+                        
+                        ${item.latitude !== undefined && item.longitude !== undefined ? `<p class="item-coordinates"><strong>Coordinates:</strong> ${item.latitude}, ${item.longitude}</p>` : ''}
+                        
+                        ${item.oneOf || item.anyOf ? `<p class="item-choices"><strong>${item.anyOf ? 'Choices (several allowed)' : 'Choices'}:</strong> ${(item.oneOf || item.anyOf).map(choice => this.sanitizer.escape(choice.name)).join(', ')}</p>` : ''}
+                        
                         ${item.tag && item.tag.length > 0 ? `<p class="item-tags"><strong>Tags:</strong> ${item.tag.join(', ')}</p>` : ''}
                     </div>
                 </div>
@@ -641,18 +1306,384 @@ class FeedItemManager {
     }
     
     /**
-     * Format markdown content (basic)
+     * Show an item's revision history, with a diff of the selected revision
+     * against the current version
      */
-    formatMarkdown(content) {
-        return content
-            .replace(/^# (.+)$/gm, '<h1>$1</h1>')
-            .replace(/^## (.+)$/gm, '<h2>$1</h2>')
-            .replace(/^### (.+)$/gm, '<h3>$1</h3>')
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*(.*?)\*/g, '<em>$1</em>')
-            .replace(/\n/g, '<br>');
-    }
-    
+    async showItemHistory(itemId) {
+        try {
+            const [item, revisions] = await Promise.all([
+                this.getItem(itemId),
+                this.loadRevisions(itemId)
+            ]);
+            this.history = { item, revisions };
+        } catch (error) {
+            alert('Failed to load item history: ' + error.message);
+            return;
+        }
+        
+        const { revisions } = this.history;
+        const modalHtml = `
+            <div id="item-history-modal" class="modal-overlay large-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>History: ${this.sanitizer.escape(this.history.item.name || 'Untitled')}</h3>
+                        <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">&times;</button>
+                    </div>
+                    <div class="modal-body item-history">
+                        ${revisions.length === 0 ? `
+                            <div class="empty-state">
+                                <p>No revisions yet - they're recorded from the next save on.</p>
+                            </div>
+                        ` : `
+                            <ul class="revision-list">
+                                ${revisions.map((revision, index) => this.renderRevisionEntry(revision, index === 0)).join('')}
+                            </ul>
+                            <div id="revision-diff" class="revision-diff"></div>
+                        `}
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+        
+        // Start with the newest revision the item differs from
+        if (revisions.length > 0) {
+            this.showRevisionDiff((revisions[1] || revisions[0]).id);
+        }
+    }
+    
+    /**
+     * One entry of the revision list
+     */
+    renderRevisionEntry(revision, isCurrent) {
+        const action = revision.action === 'create' ? 'Created'
+            : revision.action === 'restore' ? `Restored revision ${revision.restoredFrom}`
+                : `Changed ${revision.changes.join(', ')}`;
+        
+        return `
+            <li class="revision-entry" data-revision-id="${revision.id}">
+                <span class="revision-number">#${revision.id}${isCurrent ? ' (current)' : ''}</span>
+                <span class="revision-date">${this.formatDate(revision.created)}</span>
+                <span class="revision-author">${this.sanitizer.escape(revision.author || 'Unknown')}</span>
+                <span class="revision-action">${this.sanitizer.escape(action)}</span>
+            </li>
+        `;
+    }
+    
+    /**
+     * Side-by-side diff of a revision against the current item
+     */
+    showRevisionDiff(revisionId) {
+        const container = document.getElementById('revision-diff');
+        const revision = this.history && this.history.revisions.find(r => r.id === revisionId);
+        if (!container || !revision) {
+            return;
+        }
+        
+        document.querySelectorAll('#item-history-modal .revision-entry').forEach(entry => {
+            entry.classList.toggle('selected', parseInt(entry.dataset.revisionId) === revisionId);
+        });
+        
+        const current = this.history.item;
+        const fields = [
+            ['Title', snapshot => snapshot.name || ''],
+            ['Summary', snapshot => snapshot.summary || ''],
+            ['Content', snapshot => snapshot.content || ''],
+            ['Attachments', snapshot => this.describeMedia(snapshot)]
+        ];
+        
+        const sections = fields
+            .map(([label, getText]) => {
+                const rows = this.diffLines(getText(revision.snapshot), getText(current));
+                if (rows.every(row => row.type === 'same')) {
+                    return '';
+                }
+                return `
+                    <h4>${label}</h4>
+                    <table class="diff-table">
+                        ${rows.map(row => `
+                            <tr class="diff-${row.type}">
+                                <td class="diff-left">${row.left !== null ? this.sanitizer.escape(row.left) : ''}</td>
+                                <td class="diff-right">${row.right !== null ? this.sanitizer.escape(row.right) : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                `;
+            })
+            .join('');
+        
+        container.innerHTML = `
+            <div class="diff-header">
+                <span>Revision #${revision.id}</span>
+                <span>Current version</span>
+            </div>
+            ${sections || '<p class="diff-empty">This revision matches the current version.</p>'}
+            ${sections ? `
+                <div class="modal-actions">
+                    <button type="button" class="button primary restore-revision-btn" data-revision-id="${revision.id}">
+                        Restore revision #${revision.id}
+                    </button>
+                </div>
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * Media of a snapshot as lines of text, so attachment changes diff like the rest
+     */
+    describeMedia(snapshot) {
+        const lines = [];
+        
+        if (snapshot.url) {
+            lines.push(`${snapshot.url}${snapshot.mediaType ? ` (${snapshot.mediaType})` : ''}`);
+        }
+        (Array.isArray(snapshot.attachment) ? snapshot.attachment : snapshot.attachment ? [snapshot.attachment] : [])
+            .forEach(attachment => lines.push(typeof attachment === 'string' ? attachment : `${attachment.url || ''}${attachment.mediaType ? ` (${attachment.mediaType})` : ''}`));
+        (snapshot.items || []).forEach(subItem => {
+            lines.push(`${subItem.type}: ${subItem.name || subItem.url || 'Untitled'}`);
+        });
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Line diff of two texts for side-by-side display - a removed line next to
+     * an added one is shown as a changed row
+     */
+    diffLines(before, after) {
+        const a = before === '' ? [] : before.split('\n');
+        const b = after === '' ? [] : after.split('\n');
+        
+        // Longest common subsequence table, filled from the end
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        
+        const rows = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                rows.push({ type: 'same', left: a[i++], right: b[j++] });
+            } else if (i < a.length && j < b.length && lcs[i + 1][j] === lcs[i][j + 1]) {
+                rows.push({ type: 'changed', left: a[i++], right: b[j++] });
+            } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                rows.push({ type: 'removed', left: a[i++], right: null });
+            } else {
+                rows.push({ type: 'added', left: null, right: b[j++] });
+            }
+        }
+        
+        return rows;
+    }
+    
+    /**
+     * Roll the item back to a revision
+     */
+    async restoreRevision(revisionId) {
+        if (!this.history || !confirm(`Restore revision #${revisionId}? The current version stays in the history.`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/${this.currentFeedId}/items/${this.history.item.id}/revisions/${revisionId}/restore`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error.details || data.error.message);
+            }
+            
+            ['item-history-modal', 'item-editor-modal'].forEach(id => {
+                const modal = document.getElementById(id);
+                if (modal) {
+                    modal.remove();
+                }
+            });
+            this.history = null;
+            
+            this.notifyListeners('itemUpdated', data.data);
+            if (document.getElementById('item-manager-modal')) {
+                this.refreshItemManager();
+            }
+            this.showMessage('success', data.data.message);
+            
+        } catch (error) {
+            this.showMessage('error', 'Failed to restore revision: ' + error.message);
+        }
+    }
+    
+    /**
+     * Show the feed's trash, where deleted items wait to be restored or purged
+     */
+    async showTrash() {
+        let trash;
+        try {
+            trash = await this.loadTrash();
+        } catch (error) {
+            alert('Failed to load trash: ' + error.message);
+            return;
+        }
+        
+        const modalHtml = `
+            <div id="item-trash-modal" class="modal-overlay large-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Trash</h3>
+                        <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="item-manager-toolbar">
+                            <small>Deleted items are purged for good after ${trash.retentionDays} days.</small>
+                            <button class="button danger empty-trash-btn" ${trash.items.length === 0 ? 'disabled' : ''}>
+                                Empty Trash
+                            </button>
+                        </div>
+                        <div id="trash-list" class="items-list">
+                            ${this.renderTrashList(trash.items)}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+    }
+    
+    /**
+     * Render the trashed items
+     */
+    renderTrashList(items) {
+        if (items.length === 0) {
+            return `
+                <div class="empty-state">
+                    <p>The trash is empty.</p>
+                </div>
+            `;
+        }
+        
+        return items.map(item => `
+            <div class="item-card trashed-item" data-item-id="${item.id}">
+                <div class="item-header">
+                    <span class="item-type-badge item-type-${item.type.toLowerCase()}">${item.type}</span>
+                    <div class="item-actions">
+                        <button class="button secondary restore-trashed-btn" data-item-id="${item.id}">Restore</button>
+                        <button class="button danger purge-trashed-btn" data-item-id="${item.id}">Delete Forever</button>
+                    </div>
+                </div>
+                <div class="item-content">
+                    <h4 class="item-title">${this.sanitizer.escape(item.name || 'Untitled')}</h4>
+                    <div class="item-meta">
+                        <span class="item-date">Deleted ${this.formatDate(item.deletedAt)}${item.deletedBy ? ` by ${this.sanitizer.escape(item.deletedBy)}` : ''}</span>
+                        <span class="item-date">Purged ${this.formatDate(item.expires)}</span>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Load the feed's trash
+     */
+    async loadTrash() {
+        const response = await fetch(`${this.apiBaseUrl}/${this.currentFeedId}/trash`);
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error.message);
+        }
+        
+        return data.data;
+    }
+    
+    /**
+     * Put a trashed item back in the feed
+     */
+    async restoreTrashedItem(itemId) {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/${this.currentFeedId}/trash/${itemId}/restore`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error.details || data.error.message);
+            }
+            
+            this.notifyListeners('itemUpdated', data.data);
+            await this.refreshTrash();
+            this.showMessage('success', 'Item restored');
+            
+        } catch (error) {
+            this.showMessage('error', 'Failed to restore item: ' + error.message);
+        }
+    }
+    
+    /**
+     * Permanently delete one trashed item, or the whole trash
+     */
+    async purgeTrash(itemId = null) {
+        const question = itemId
+            ? 'Delete this item permanently? This action cannot be undone.'
+            : 'Delete everything in the trash permanently? This action cannot be undone.';
+        if (!confirm(question)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/${this.currentFeedId}/trash${itemId ? `/${itemId}` : ''}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error.message);
+            }
+            
+            await this.refreshTrash();
+            this.showMessage('success', data.data.message);
+            
+        } catch (error) {
+            this.showMessage('error', 'Failed to delete: ' + error.message);
+        }
+    }
+    
+    /**
+     * Re-render the trash and item list after a restore or purge
+     */
+    async refreshTrash() {
+        const trash = await this.loadTrash();
+        const trashList = document.getElementById('trash-list');
+        if (trashList) {
+            trashList.innerHTML = this.renderTrashList(trash.items);
+        }
+        
+        const emptyButton = document.querySelector('#item-trash-modal .empty-trash-btn');
+        if (emptyButton) {
+            emptyButton.disabled = trash.items.length === 0;
+        }
+        
+        if (document.getElementById('item-manager-modal')) {
+            this.refreshItemManager();
+        }
+    }
+    
+    /**
+     * Format item content the same way the front end does - Markdown through
+     * the shared renderer, then the sanitizer at the local feed trust level
+     */
+    formatMarkdown(content, mediaType = 'text/markdown') {
+        return this.renderer.formatContent(content, {
+            id: 'preview',
+            trustLevel: AnsyblConfig.feeds.localTrustLevel
+        }, mediaType);
+    }
+    
     /**
      * Format date for display
      */
@@ -666,7 +1697,8 @@ class FeedItemManager {
      */
     formatDateForInput(dateString) {
         const date = new Date(dateString);
-        return date.toISOString().slice(0, 16);
+        // datetime-local shows local time, so shift by the offset before taking the ISO form
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
     }
     
     /**
@@ -743,6 +1775,330 @@ class FeedItemManager {
         }
     }
     
+    /**
+     * Turn the content textarea into the split-pane Markdown editor
+     */
+    setupContentEditor() {
+        const textarea = document.getElementById('item-content');
+        const formatSelect = document.getElementById('item-content-format');
+        
+        this.contentEditor = new MarkdownEditor(textarea, {
+            renderPreview: (content, mediaType) => this.formatMarkdown(content, mediaType),
+            getMediaType: () => formatSelect.value,
+            uploadFile: async (file) => {
+                const upload = await window.mediaManager.uploadFile(this.currentFeedId, file);
+                return upload.file.url;
+            },
+            onError: (message) => this.showMessage('error', this.sanitizer.escape(message))
+        });
+        
+        formatSelect.addEventListener('change', () => this.contentEditor.updatePreview());
+    }
+    
+    /**
+     * Drafts in localStorage are kept per admin, as they are on the server
+     */
+    getDraftStoragePrefix() {
+        const username = window.adminAuth && window.adminAuth.currentUser ? window.adminAuth.currentUser.username : 'admin';
+        return `ansybl-item-draft:${username}:`;
+    }
+    
+    /**
+     * localStorage key of a draft - "new" stands for an item not created yet
+     */
+    getDraftStorageKey(feedId, itemKey) {
+        return `${this.getDraftStoragePrefix()}${feedId}:${itemKey}`;
+    }
+    
+    /**
+     * Snapshot the editor's fields and sub-items on every change. Each
+     * snapshot goes to localStorage at once and to the server shortly after,
+     * so drafts survive a closed modal, an expired session or a crashed tab.
+     */
+    startDraftAutosave(form, itemId) {
+        clearTimeout(this.draftSyncTimer);
+        this.draftContext = { feedId: this.currentFeedId, itemKey: itemId || 'new' };
+        // Resolve the storage key up front; the username is no longer available once the session has expired
+        this.draftContext.storageKey = this.getDraftStorageKey(this.draftContext.feedId, this.draftContext.itemKey);
+        this.pendingDraft = null;
+        
+        const autosave = () => {
+            this.saveDraftLocally();
+            
+            clearTimeout(this.draftSyncTimer);
+            this.draftSyncTimer = setTimeout(() => this.syncDraft(), 3000);
+        };
+        
+        form.addEventListener('input', autosave);
+        form.addEventListener('change', autosave);
+        
+        this.offerDraftRestore(this.draftContext.feedId, this.draftContext.itemKey);
+    }
+    
+    /**
+     * Editor state in the shape drafts store it
+     */
+    collectDraftState(form) {
+        const fields = {};
+        
+        Array.from(form.elements).forEach(element => {
+            if (element.name && element.type !== 'file') {
+                fields[element.name] = element.type === 'checkbox' ? element.checked : element.value;
+            }
+        });
+        
+        return { fields, subItems: this.currentSubItems };
+    }
+    
+    saveDraftLocally() {
+        const form = document.getElementById('item-editor-form');
+        if (!form || !this.draftContext) return null;
+        
+        const draft = {
+            feedId: this.draftContext.feedId,
+            itemKey: this.draftContext.itemKey,
+            saved: new Date().toISOString(),
+            state: this.collectDraftState(form)
+        };
+        
+        try {
+            localStorage.setItem(this.draftContext.storageKey, JSON.stringify(draft));
+        } catch (error) {
+            console.warn('Failed to store draft locally:', error);
+        }
+        
+        return draft;
+    }
+    
+    /**
+     * Copy the local draft to the server, so it follows the admin to other browsers
+     */
+    async syncDraft() {
+        if (!this.draftContext) return;
+        
+        const { feedId, itemKey, storageKey } = this.draftContext;
+        const draft = this.readStoredDraft(storageKey);
+        if (!draft) return;
+        
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/${feedId}/drafts/${itemKey}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ state: draft.state })
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error.message);
+            }
+        } catch (error) {
+            // The local copy is still there - the next change tries again
+            console.warn('Failed to save draft to the server:', error);
+        }
+    }
+    
+    readStoredDraft(storageKey) {
+        try {
+            const draft = JSON.parse(localStorage.getItem(storageKey));
+            return draft && draft.state ? draft : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Drafts of a feed on the server, by item key
+     */
+    async loadServerDrafts(feedId) {
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/${feedId}/drafts`);
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error.message);
+            }
+            
+            return Object.fromEntries(data.data.drafts.map(draft => [draft.itemKey, { ...draft, feedId }]));
+        } catch (error) {
+            console.warn('Failed to load drafts:', error);
+            return {};
+        }
+    }
+    
+    /**
+     * The feed's drafts, local and server copies merged with the newest winning
+     */
+    async getFeedDrafts(feedId) {
+        const drafts = await this.loadServerDrafts(feedId);
+        const prefix = this.getDraftStorageKey(feedId, '');
+        
+        Object.keys(localStorage).filter(key => key.startsWith(prefix)).forEach(key => {
+            const local = this.readStoredDraft(key);
+            const server = local ? drafts[local.itemKey] : null;
+            
+            if (local && (!server || new Date(local.saved) > new Date(server.saved))) {
+                drafts[local.itemKey] = local;
+            }
+        });
+        
+        return Object.values(drafts).sort((a, b) => new Date(b.saved) - new Date(a.saved));
+    }
+    
+    /**
+     * Offer the newest draft of the item being edited, unless it matches what the editor shows
+     */
+    async offerDraftRestore(feedId, itemKey) {
+        const drafts = await this.getFeedDrafts(feedId);
+        const draft = drafts.find(candidate => candidate.itemKey === itemKey);
+        const form = document.getElementById('item-editor-form');
+        
+        if (!draft || !form || !this.draftContext || this.draftContext.itemKey !== itemKey) return;
+        
+        if (JSON.stringify(draft.state) === JSON.stringify(this.collectDraftState(form))) return;
+        
+        this.pendingDraft = draft;
+        form.insertAdjacentHTML('afterbegin', `
+            <div class="draft-restore status-message info">
+                <span>You have an unsaved draft of this item from ${this.formatDate(draft.saved)}.</span>
+                <button type="button" class="button primary restore-draft-btn">Restore Draft</button>
+                <button type="button" class="button secondary discard-draft-btn" data-feed-id="${feedId}" data-item-key="${itemKey}">Discard</button>
+            </div>
+        `);
+    }
+    
+    restorePendingDraft() {
+        const form = document.getElementById('item-editor-form');
+        if (!form || !this.pendingDraft) return;
+        
+        const { fields, subItems } = this.pendingDraft.state;
+        
+        Object.entries(fields || {}).forEach(([name, value]) => {
+            const element = form.elements.namedItem(name);
+            if (!element || element.type === 'file') return;
+            
+            if (element.type === 'checkbox') {
+                element.checked = Boolean(value);
+            } else {
+                element.value = value;
+            }
+        });
+        
+        this.currentSubItems = Array.isArray(subItems) ? [...subItems] : [];
+        this.pendingDraft = null;
+        
+        document.getElementById('item-type').dispatchEvent(new Event('change'));
+        this.renderSubItemsList();
+        this.updateCollectionPreview();
+        this.contentEditor.updatePreview();
+        
+        const banner = form.querySelector('.draft-restore');
+        if (banner) {
+            banner.remove();
+        }
+        
+        this.saveDraftLocally();
+        this.showMessage('info', 'Draft restored - save the item to keep it.');
+    }
+    
+    /**
+     * Forget a draft here and on the server
+     */
+    async discardDraft(feedId, itemKey) {
+        if (this.draftContext && this.draftContext.feedId === feedId && this.draftContext.itemKey === itemKey) {
+            clearTimeout(this.draftSyncTimer);
+            this.pendingDraft = null;
+        }
+        
+        localStorage.removeItem(this.getDraftStorageKey(feedId, itemKey));
+        
+        document.querySelectorAll(`.discard-draft-btn[data-feed-id="${feedId}"][data-item-key="${itemKey}"]`).forEach(button => {
+            const list = button.closest('.feed-drafts, .draft-recovery');
+            button.closest('.draft-entry, .draft-restore').remove();
+            
+            if (list && !list.querySelector('.draft-entry')) {
+                list.remove();
+            }
+        });
+        
+        try {
+            await fetch(`${this.apiBaseUrl}/${feedId}/drafts/${itemKey}`, {
+                method: 'DELETE'
+            });
+        } catch (error) {
+            console.warn('Failed to discard draft on the server:', error);
+        }
+    }
+    
+    /**
+     * List the feed's drafts above its items, wherever they were written
+     */
+    async renderFeedDrafts(feedId) {
+        const drafts = await this.getFeedDrafts(feedId);
+        const container = document.getElementById('feed-drafts');
+        
+        if (!container || drafts.length === 0) return;
+        
+        container.innerHTML = `
+            <h4>Unsaved Drafts</h4>
+            <ul>${drafts.map(draft => this.renderDraftEntry(draft)).join('')}</ul>
+        `;
+        container.hidden = false;
+    }
+    
+    renderDraftEntry(draft) {
+        const fields = draft.state.fields || {};
+        const name = fields.name || (draft.itemKey === 'new' ? 'New item' : 'Untitled');
+        
+        return `
+            <li class="draft-entry">
+                <span>${this.sanitizer.escape(name)} <small>saved ${this.formatDate(draft.saved)}</small></span>
+                <button type="button" class="button primary resume-draft-btn" data-feed-id="${draft.feedId}" data-item-key="${draft.itemKey}">Resume</button>
+                <button type="button" class="button secondary discard-draft-btn" data-feed-id="${draft.feedId}" data-item-key="${draft.itemKey}">Discard</button>
+            </li>
+        `;
+    }
+    
+    /**
+     * After logging in, point out drafts this browser kept from an earlier session
+     */
+    offerDraftRecovery() {
+        const prefix = this.getDraftStoragePrefix();
+        const drafts = Object.keys(localStorage)
+            .filter(key => key.startsWith(prefix))
+            .map(key => this.readStoredDraft(key))
+            .filter(draft => draft);
+        
+        const container = document.getElementById('status-messages');
+        if (!container || drafts.length === 0) return;
+        
+        container.insertAdjacentHTML('afterbegin', `
+            <div class="status-message info draft-recovery">
+                <span>Unsaved item drafts were kept from your last session:</span>
+                <ul>${drafts.map(draft => this.renderDraftEntry(draft)).join('')}</ul>
+                <button class="status-message-close" onclick="this.parentElement.remove()">&times;</button>
+            </div>
+        `);
+    }
+    
+    /**
+     * Open the editor a draft belongs to; the editor then offers to restore it
+     */
+    async resumeDraft(feedId, itemKey) {
+        if (!document.getElementById('item-manager-modal') || this.currentFeedId !== feedId) {
+            await this.showItemManager(feedId);
+        }
+        
+        const recovery = document.querySelector('.draft-recovery');
+        if (recovery) {
+            recovery.remove();
+        }
+        
+        this.showItemEditor(itemKey === 'new' ? null : itemKey);
+    }
+    
     /**
      * Show sub-item editor modal
      */
@@ -876,6 +2232,7 @@ class FeedItemManager {
         // Update sub-items display
         this.renderSubItemsList();
         this.updateCollectionPreview();
+        this.saveDraftLocally();
     }
     
     /**
@@ -886,6 +2243,7 @@ class FeedItemManager {
             this.currentSubItems.splice(subItemIndex, 1);
             this.renderSubItemsList();
             this.updateCollectionPreview();
+            this.saveDraftLocally();
         }
     }
     
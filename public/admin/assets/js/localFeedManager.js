@@ -39,6 +39,14 @@ class LocalFeedManager {
             } else if (e.target.matches('.manage-items-btn')) {
                 const feedId = e.target.dataset.feedId;
                 this.showItemManager(feedId);
+            } else if (e.target.matches('.export-local-feed-btn')) {
+                this.exportFeed(e.target.dataset.feedId);
+            } else if (e.target.matches('.import-local-feed-btn')) {
+                this.showImportModal();
+            } else if (e.target.matches('.check-archive-btn')) {
+                this.importArchive(true);
+            } else if (e.target.matches('.import-archive-btn')) {
+                this.importArchive(false);
             }
         });
     }
@@ -253,6 +261,15 @@ class LocalFeedManager {
                                 </select>
                             </div>
                             
+                            <div class="form-group">
+                                <label for="feed-actor-type">Fediverse Account Type</label>
+                                <select id="feed-actor-type" name="actorType">
+                                    <option value="Service" ${!feed || feed.actorType !== 'Person' ? 'selected' : ''}>Service (automated feed)</option>
+                                    <option value="Person" ${feed && feed.actorType === 'Person' ? 'selected' : ''}>Person</option>
+                                </select>
+                                <small>Published feeds can be followed from Mastodon and other fediverse apps</small>
+                            </div>
+                            
                             <div class="form-group">
                                 <label>
                                     <input type="checkbox" id="feed-published" name="published" 
@@ -260,6 +277,15 @@ class LocalFeedManager {
                                     Published
                                 </label>
                             </div>
+                            
+                            <div class="form-group">
+                                <label>
+                                    <input type="checkbox" id="feed-emit-updates" name="emitUpdates" 
+                                           ${feed && feed.emitUpdates ? 'checked' : ''}>
+                                    Announce edits
+                                </label>
+                                <small>Edited items go out as Update activities, so readers and followers see what changed</small>
+                            </div>
                         </div>
                         
                         <div class="modal-actions">
@@ -296,7 +322,9 @@ class LocalFeedManager {
             name: formData.get('name'),
             description: formData.get('description'),
             language: formData.get('language'),
-            published: formData.has('published')
+            actorType: formData.get('actorType'),
+            published: formData.has('published'),
+            emitUpdates: formData.has('emitUpdates')
         };
         
         try {
@@ -318,6 +346,133 @@ class LocalFeedManager {
         }
     }
     
+    /**
+     * Download a feed with its media as a zip archive
+     */
+    exportFeed(feedId) {
+        window.location.href = `${this.apiBaseUrl}/${feedId}/export`;
+    }
+    
+    /**
+     * Show the feed archive import modal
+     */
+    showImportModal() {
+        const modalHtml = `
+            <div id="import-feed-modal" class="modal-overlay">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Import Local Feed</h3>
+                        <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">&times;</button>
+                    </div>
+                    <form id="import-feed-form" class="modal-body" onsubmit="return false">
+                        <div class="form-group">
+                            <label for="import-archive">Feed Archive *</label>
+                            <input type="file" id="import-archive" name="archive" accept=".zip,application/zip" required>
+                            <small>A zip exported from this or another Ansybl site</small>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="import-name">Feed Name</label>
+                            <input type="text" id="import-name" name="name" placeholder="Keep the archived name">
+                        </div>
+                        
+                        <div class="import-report" hidden></div>
+                        
+                        <div class="modal-actions">
+                            <button type="button" class="button secondary" onclick="this.closest('.modal-overlay').remove()">
+                                Cancel
+                            </button>
+                            <button type="button" class="button secondary check-archive-btn">Check Archive</button>
+                            <button type="button" class="button primary import-archive-btn">Import</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+        
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+    }
+    
+    /**
+     * Upload the chosen archive. A dry run only reports what importing would do.
+     */
+    async importArchive(dryRun) {
+        const form = document.getElementById('import-feed-form');
+        if (!form) return;
+        
+        const file = form.querySelector('#import-archive').files[0];
+        if (!file) {
+            this.showMessage('error', 'Choose a feed archive to import');
+            return;
+        }
+        
+        const formData = new FormData();
+        formData.append('archive', file);
+        formData.append('name', form.querySelector('#import-name').value.trim());
+        formData.append('dryRun', dryRun ? '1' : '0');
+        
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/import`, {
+                method: 'POST',
+                body: formData
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error.details || data.error.message);
+            }
+            
+            if (dryRun) {
+                this.renderImportReport(form.querySelector('.import-report'), data.data);
+                return;
+            }
+            
+            document.getElementById('import-feed-modal').remove();
+            await this.loadFeeds();
+            this.notifyListeners('feedCreated', data.data);
+            this.showMessage('success', data.data.message);
+            
+            if (data.data.conflicts.length > 0 || data.data.warnings.length > 0) {
+                this.showMessage('warning', [...data.data.conflicts, ...data.data.warnings].join('; '));
+            }
+            
+        } catch (error) {
+            this.showMessage('error', 'Import failed: ' + error.message);
+        }
+    }
+    
+    /**
+     * Show a dry-run report - built with textContent as names come from the archive
+     */
+    renderImportReport(container, report) {
+        container.innerHTML = '';
+        container.hidden = false;
+        
+        const summary = document.createElement('p');
+        summary.textContent = report.message;
+        container.appendChild(summary);
+        
+        const lists = [
+            ['Conflicts', report.conflicts],
+            ['Warnings', report.warnings],
+            ['Media', Object.entries(report.media).map(([path, url]) => `${path} → ${url}`)]
+        ];
+        
+        lists.filter(([, entries]) => entries.length > 0).forEach(([title, entries]) => {
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+            
+            const list = document.createElement('ul');
+            entries.forEach(entry => {
+                const li = document.createElement('li');
+                li.textContent = entry;
+                list.appendChild(li);
+            });
+            
+            container.append(heading, list);
+        });
+    }
+    
     /**
      * Show item manager for a feed
      */
@@ -0,0 +1,262 @@
+/**
+ * Markdown Editor
+ * Wraps a content textarea in a toolbar and a live side-by-side preview
+ */
+
+class MarkdownEditor {
+    /**
+     * @param {HTMLTextAreaElement} textarea
+     * @param {Object} options
+     * @param {Function} options.renderPreview - (content, mediaType) => sanitized HTML
+     * @param {Function} [options.getMediaType] - Current content format, text/markdown or text/html
+     * @param {Function} [options.uploadFile] - (file) => Promise of the uploaded file's URL
+     * @param {Function} [options.onError] - (message) => void
+     */
+    constructor(textarea, options) {
+        this.textarea = textarea;
+        this.options = options;
+        this.previewTimer = null;
+
+        this.build();
+        this.bindEvents();
+        this.updatePreview();
+    }
+
+    /**
+     * Toolbar actions - Markdown and HTML forms of each, with their shortcut
+     */
+    static get actions() {
+        return {
+            heading: { label: 'H', title: 'Heading', shortcut: 'Mod+Shift+H', line: ['## ', '<h2>', '</h2>'] },
+            bold: { label: 'B', title: 'Bold', shortcut: 'Mod+B', wrap: ['**', '**', '<strong>', '</strong>'], placeholder: 'bold text' },
+            italic: { label: 'I', title: 'Italic', shortcut: 'Mod+I', wrap: ['_', '_', '<em>', '</em>'], placeholder: 'italic text' },
+            link: { label: '🔗', title: 'Link', shortcut: 'Mod+K' },
+            bulletList: { label: '•', title: 'Bulleted list', shortcut: 'Mod+Shift+L', line: ['- ', '<li>', '</li>'], list: 'ul' },
+            numberedList: { label: '1.', title: 'Numbered list', shortcut: 'Mod+Shift+O', line: ['1. ', '<li>', '</li>'], list: 'ol' },
+            image: { label: '🖼', title: 'Image', shortcut: 'Mod+Shift+I' },
+            code: { label: '</>', title: 'Code', shortcut: 'Mod+E' }
+        };
+    }
+
+    /**
+     * Put the textarea in the left pane, with the toolbar above and the preview to its right
+     */
+    build() {
+        const isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+        const container = document.createElement('div');
+        container.className = 'markdown-editor';
+        container.innerHTML = `
+            <div class="markdown-editor-toolbar" role="toolbar" aria-label="Formatting">
+                ${Object.entries(MarkdownEditor.actions).map(([name, action]) => `
+                    <button type="button" class="markdown-editor-button" data-action="${name}"
+                            title="${action.title} (${action.shortcut.replace('Mod', isMac ? '⌘' : 'Ctrl')})">${action.label.replace('<', '&lt;')}</button>
+                `).join('')}
+                <span class="markdown-editor-hint">Drop images into the text to upload them</span>
+            </div>
+            <div class="markdown-editor-panes">
+                <div class="markdown-editor-input"></div>
+                <div class="markdown-editor-preview item-content" aria-live="polite" aria-label="Preview"></div>
+            </div>
+        `;
+
+        this.textarea.parentNode.insertBefore(container, this.textarea);
+        container.querySelector('.markdown-editor-input').appendChild(this.textarea);
+
+        this.container = container;
+        this.preview = container.querySelector('.markdown-editor-preview');
+    }
+
+    bindEvents() {
+        this.container.querySelector('.markdown-editor-toolbar').addEventListener('click', (e) => {
+            const button = e.target.closest('.markdown-editor-button');
+            if (button) {
+                this.apply(button.dataset.action);
+            }
+        });
+
+        this.textarea.addEventListener('input', () => this.schedulePreview());
+        this.textarea.addEventListener('keydown', (e) => this.handleShortcut(e));
+
+        this.textarea.addEventListener('dragover', (e) => {
+            if (this.hasFiles(e) && this.options.uploadFile) {
+                e.preventDefault();
+                this.textarea.classList.add('drag-over');
+            }
+        });
+
+        this.textarea.addEventListener('dragleave', () => {
+            this.textarea.classList.remove('drag-over');
+        });
+
+        this.textarea.addEventListener('drop', (e) => {
+            this.textarea.classList.remove('drag-over');
+
+            if (this.hasFiles(e) && this.options.uploadFile) {
+                e.preventDefault();
+                this.uploadImages(Array.from(e.dataTransfer.files));
+            }
+        });
+    }
+
+    /**
+     * Run the toolbar action matching a shortcut
+     */
+    handleShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        const shortcut = `Mod+${e.shiftKey ? 'Shift+' : ''}${e.key.toUpperCase()}`;
+        const entry = Object.entries(MarkdownEditor.actions).find(([, action]) => action.shortcut === shortcut);
+
+        if (entry) {
+            e.preventDefault();
+            this.apply(entry[0]);
+        }
+    }
+
+    apply(name) {
+        const action = MarkdownEditor.actions[name];
+        if (!action) return;
+
+        const html = this.isHtml();
+        const selected = this.getSelection();
+
+        if (action.wrap) {
+            const [before, after] = html ? action.wrap.slice(2) : action.wrap.slice(0, 2);
+            this.replaceSelection(before + (selected || action.placeholder) + after, before.length, selected || action.placeholder);
+        } else if (action.line) {
+            this.applyToLines(action, html);
+        } else if (name === 'link') {
+            const text = selected || 'link text';
+            const markup = html ? `<a href="https://">${text}</a>` : `[${text}](https://)`;
+            // Leave the URL selected, ready to be typed over
+            this.replaceSelection(markup, markup.indexOf('https://'), 'https://');
+        } else if (name === 'image') {
+            this.replaceSelection(this.imageMarkup(selected || 'description', 'https://'), null);
+        } else if (name === 'code') {
+            const block = selected.includes('\n');
+            const markup = html
+                ? (block ? `<pre><code>${selected}</code></pre>` : `<code>${selected || 'code'}</code>`)
+                : (block ? `\n\`\`\`\n${selected}\n\`\`\`\n` : `\`${selected || 'code'}\``);
+            this.replaceSelection(markup, null);
+        }
+    }
+
+    /**
+     * Prefix every selected line (Markdown) or wrap each in tags (HTML)
+     */
+    applyToLines(action, html) {
+        const value = this.textarea.value;
+        const start = value.lastIndexOf('\n', this.textarea.selectionStart - 1) + 1;
+        let end = value.indexOf('\n', this.textarea.selectionEnd);
+        if (end === -1) end = value.length;
+
+        const lines = value.slice(start, end).split('\n');
+        let replacement;
+
+        if (html) {
+            const [, open, close] = action.line;
+            replacement = lines.map(line => `${open}${line}${close}`).join('\n');
+            if (action.list) {
+                replacement = `<${action.list}>\n${replacement}\n</${action.list}>`;
+            }
+        } else if (action.list === 'ol') {
+            replacement = lines.map((line, index) => `${index + 1}. ${line}`).join('\n');
+        } else {
+            replacement = lines.map(line => action.line[0] + line).join('\n');
+        }
+
+        this.textarea.setSelectionRange(start, end);
+        this.replaceSelection(replacement, null);
+    }
+
+    /**
+     * Upload dropped images one by one, inserting each URL at the cursor
+     */
+    async uploadImages(files) {
+        const images = files.filter(file => file.type.startsWith('image/'));
+
+        if (images.length < files.length && this.options.onError) {
+            this.options.onError('Only images can be dropped into the content');
+        }
+
+        for (const file of images) {
+            const placeholder = `![Uploading ${file.name}…]()`;
+            this.replaceSelection(placeholder, null);
+
+            try {
+                const url = await this.options.uploadFile(file);
+                this.replaceText(placeholder, this.imageMarkup(file.name.replace(/\.[^.]+$/, ''), url));
+            } catch (error) {
+                this.replaceText(placeholder, '');
+                if (this.options.onError) {
+                    this.options.onError(`Failed to upload ${file.name}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    imageMarkup(alt, url) {
+        return this.isHtml() ? `<img src="${url}" alt="${alt}">` : `![${alt}](${url})`;
+    }
+
+    isHtml() {
+        return this.options.getMediaType ? this.options.getMediaType() === 'text/html' : false;
+    }
+
+    hasFiles(e) {
+        return e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+    }
+
+    getSelection() {
+        return this.textarea.value.slice(this.textarea.selectionStart, this.textarea.selectionEnd);
+    }
+
+    /**
+     * Replace the selection, then select part of the new text (at offset, with
+     * the given text) or put the cursor after it
+     */
+    replaceSelection(text, offset, selectText = '') {
+        const start = this.textarea.selectionStart;
+
+        this.textarea.focus();
+        this.textarea.setRangeText(text, start, this.textarea.selectionEnd, 'end');
+
+        if (offset !== null && selectText) {
+            this.textarea.setSelectionRange(start + offset, start + offset + selectText.length);
+        }
+
+        this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Swap a piece of text wherever the cursor has moved since it was inserted
+     */
+    replaceText(search, text) {
+        const index = this.textarea.value.indexOf(search);
+        if (index === -1) return;
+
+        const cursor = this.textarea.selectionStart;
+        this.textarea.setRangeText(text, index, index + search.length, 'preserve');
+
+        if (cursor >= index + search.length) {
+            const position = cursor + text.length - search.length;
+            this.textarea.setSelectionRange(position, position);
+        }
+
+        this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    schedulePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updatePreview(), 150);
+    }
+
+    updatePreview() {
+        const mediaType = this.options.getMediaType ? this.options.getMediaType() : 'text/markdown';
+        this.preview.innerHTML = this.textarea.value.trim()
+            ? this.options.renderPreview(this.textarea.value, mediaType)
+            : '<p class="markdown-editor-empty">Nothing to preview yet</p>';
+    }
+}
+
+window.MarkdownEditor = MarkdownEditor;
@@ -0,0 +1,220 @@
+<?php
+/**
+ * ActivityPub API Endpoint
+ * Publishes local feeds as fediverse actors: WebFinger, actor, outbox,
+ * followers, item objects and an inbox for Follow/Undo
+ */
+
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Accept');
+
+// Handle preflight requests
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit();
+}
+
+require_once '../../vendor/autoload.php';
+
+use AnsyblSite\Core\ActivityPubPublisher;
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\LocalFeedManager;
+use AnsyblSite\Exceptions\FileNotFoundException;
+use AnsyblSite\Exceptions\ValidationException;
+
+try {
+    $method = $_SERVER['REQUEST_METHOD'];
+    $path = $_SERVER['PATH_INFO'] ?? '';
+    
+    // Initialize core components
+    $fileManager = new ConcurrentFileManager('../../data');
+    $publisher = new ActivityPubPublisher($fileManager);
+    $localFeedManager = new LocalFeedManager($fileManager, null, null, null, $publisher);
+    
+    // Route requests
+    switch ($method) {
+        case 'GET':
+            handleGetRequest($path, $localFeedManager, $publisher);
+            break;
+            
+        case 'POST':
+            handlePostRequest($path, $localFeedManager, $publisher);
+            break;
+            
+        default:
+            sendError(405, 'Method not allowed');
+    }
+    
+} catch (Exception $e) {
+    error_log("ActivityPub API Error: " . $e->getMessage());
+    sendError(500, 'Internal server error', $e->getMessage());
+}
+
+/**
+ * Handle GET requests
+ */
+function handleGetRequest($path, $localFeedManager, $publisher) {
+    switch (true) {
+        case $path === '/webfinger':
+            // Reached through /.well-known/webfinger
+            getWebfinger($localFeedManager, $publisher);
+            break;
+            
+        case preg_match('/^\/([a-zA-Z0-9_-]+)$/', $path, $matches):
+            sendActivity($publisher->getActor(getPublishedFeed($matches[1], $localFeedManager)));
+            break;
+            
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/outbox$/', $path, $matches):
+            $page = isset($_GET['page']) ? max(1, (int) $_GET['page']) : null;
+            sendActivity($publisher->getOutbox(getPublishedFeed($matches[1], $localFeedManager), $page));
+            break;
+            
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/followers$/', $path, $matches):
+            sendActivity($publisher->getFollowersCollection(getPublishedFeed($matches[1], $localFeedManager)));
+            break;
+            
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/items\/([a-zA-Z0-9_-]+)(\/activity)?$/', $path, $matches):
+            getItem($matches[1], $matches[2], !empty($matches[3]), $localFeedManager, $publisher);
+            break;
+            
+        default:
+            sendError(404, 'Endpoint not found');
+    }
+}
+
+/**
+ * Handle POST requests
+ */
+function handlePostRequest($path, $localFeedManager, $publisher) {
+    if (!preg_match('/^\/([a-zA-Z0-9_-]+)\/inbox$/', $path, $matches)) {
+        sendError(404, 'Endpoint not found');
+    }
+    
+    $feed = getPublishedFeed($matches[1], $localFeedManager);
+    
+    try {
+        $result = $publisher->handleInbox($feed, file_get_contents('php://input'), getRequestHeaders(), $_SERVER['REQUEST_URI']);
+    } catch (ValidationException $e) {
+        sendError($e->getCode() === 401 ? 401 : 400, $e->getMessage());
+    }
+    
+    http_response_code(202);
+    header('Content-Type: application/json');
+    echo json_encode(['result' => $result]);
+    exit();
+}
+
+/**
+ * Answer a WebFinger lookup for acct:<feed-id>@<host>
+ */
+function getWebfinger($localFeedManager, $publisher) {
+    $resource = $_GET['resource'] ?? '';
+    
+    if (!preg_match('/^acct:([a-zA-Z0-9_-]+)@/', $resource, $matches)) {
+        sendError(400, 'Expected an acct: resource');
+    }
+    
+    header('Content-Type: application/jrd+json');
+    echo json_encode($publisher->getWebfinger(getPublishedFeed($matches[1], $localFeedManager)), JSON_UNESCAPED_SLASHES);
+    exit();
+}
+
+/**
+ * An item as its federated object, or the Create activity that announced it
+ */
+function getItem($feedId, $itemId, $asActivity, $localFeedManager, $publisher) {
+    $feed = getPublishedFeed($feedId, $localFeedManager);
+    
+    foreach ($feed['items'] ?? [] as $item) {
+        if (($item['id'] ?? null) === $itemId) {
+            $object = $asActivity ? $publisher->createActivity($feed, $item) : $publisher->getObject($feed, $item);
+            sendActivity(array_merge(['@context' => ActivityPubPublisher::CONTEXT], $object));
+        }
+    }
+    
+    // Deleted items answer 410 Gone with their tombstone, as ActivityPub asks
+    foreach ($feed['tombstones'] ?? [] as $tombstone) {
+        if ($tombstone['id'] === $itemId) {
+            http_response_code(410);
+            header('Content-Type: application/activity+json');
+            echo json_encode(array_merge(
+                ['@context' => ActivityPubPublisher::CONTEXT],
+                $publisher->getTombstone($feed, ['id' => $itemId, 'type' => $tombstone['formerType']], $tombstone['deleted'])
+            ), JSON_UNESCAPED_SLASHES);
+            exit();
+        }
+    }
+    
+    sendError(404, 'Item not found');
+}
+
+/**
+ * Unpublished feeds aren't federated, so they 404 like missing ones.
+ * Draft and scheduled items are left out.
+ */
+function getPublishedFeed($feedId, $localFeedManager) {
+    try {
+        $feed = $localFeedManager->getPublicFeed($feedId);
+    } catch (FileNotFoundException $e) {
+        sendError(404, 'Actor not found');
+    }
+    
+    if (($feed['published'] ?? true) === false) {
+        sendError(404, 'Actor not found');
+    }
+    
+    return $feed;
+}
+
+/**
+ * Request headers by name, for signature verification
+ */
+function getRequestHeaders() {
+    $headers = [];
+    
+    foreach ($_SERVER as $key => $value) {
+        if (str_starts_with($key, 'HTTP_')) {
+            $headers[str_replace('_', '-', strtolower(substr($key, 5)))] = $value;
+        }
+    }
+    
+    if (isset($_SERVER['CONTENT_TYPE'])) {
+        $headers['content-type'] = $_SERVER['CONTENT_TYPE'];
+    }
+    
+    return $headers;
+}
+
+/**
+ * Send an ActivityPub document
+ */
+function sendActivity($data) {
+    http_response_code(200);
+    header('Content-Type: application/activity+json');
+    echo json_encode($data, JSON_UNESCAPED_SLASHES);
+    exit();
+}
+
+/**
+ * Send error response
+ */
+function sendError($statusCode, $message, $details = null) {
+    http_response_code($statusCode);
+    header('Content-Type: application/json');
+    $response = [
+        'success' => false,
+        'error' => [
+            'message' => $message,
+            'code' => $statusCode
+        ],
+        'timestamp' => date('c')
+    ];
+    
+    if ($details) {
+        $response['error']['details'] = $details;
+    }
+    
+    echo json_encode($response);
+    exit();
+}
@@ -20,13 +20,14 @@ require_once '../../vendor/autoload.php';
 use AnsyblSite\Core\ConcurrentFileManager;
 use AnsyblSite\Core\ConfigManager;
 use AnsyblSite\Core\FeedCache;
+use AnsyblSite\Core\FeedEventLog;
 use AnsyblSite\Core\FeedParser;
 
 try {
     // Initialize core components
     $fileManager = new ConcurrentFileManager('../../data');
     $configManager = new ConfigManager($fileManager);
-    $feedCache = new FeedCache($fileManager);
+    $feedCache = new FeedCache($fileManager, 'cache', 3600, new FeedEventLog($fileManager));
     
     $method = $_SERVER['REQUEST_METHOD'];
     $path = $_SERVER['PATH_INFO'] ?? '';
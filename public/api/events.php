@@ -0,0 +1,131 @@
+<?php
+/**
+ * Feed Events API Endpoint
+ * Streams feed change events to readers over Server-Sent Events
+ */
+
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Last-Event-ID');
+
+// Handle preflight requests
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit();
+}
+
+require_once '../../vendor/autoload.php';
+
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\FeedEventLog;
+
+// Each connection is held open briefly, then the browser reconnects with Last-Event-ID -
+// short, because every open stream ties up a PHP worker
+const STREAM_DURATION = 10;
+const POLL_INTERVAL = 1;
+const KEEPALIVE_INTERVAL = 15;
+const RECONNECT_DELAY_MS = 3000;
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    header('Content-Type: application/json');
+    http_response_code(405);
+    echo json_encode([
+        'success' => false,
+        'error' => ['message' => 'Method not allowed', 'code' => 405],
+        'timestamp' => date('c')
+    ]);
+    exit();
+}
+
+try {
+    $fileManager = new ConcurrentFileManager('../../data');
+    $eventLog = new FeedEventLog($fileManager);
+    
+    streamEvents($eventLog, getLastEventId($eventLog));
+
+} catch (Exception $e) {
+    error_log("Events API Error: " . $e->getMessage());
+    
+    // A non-200 response tells EventSource to stop reconnecting - the client falls back to polling
+    if (!headers_sent()) {
+        http_response_code(500);
+    }
+}
+
+/**
+ * Resume from the client's last seen event, or from "now" on first connect
+ */
+function getLastEventId($eventLog) {
+    $lastEventId = $_SERVER['HTTP_LAST_EVENT_ID'] ?? $_GET['lastEventId'] ?? null;
+    
+    if ($lastEventId === null || !ctype_digit((string)$lastEventId)) {
+        return $eventLog->getLastId();
+    }
+    
+    return (int)$lastEventId;
+}
+
+/**
+ * Hold the connection open and forward new events as they are recorded
+ */
+function streamEvents($eventLog, $lastEventId) {
+    header('Content-Type: text/event-stream');
+    header('Cache-Control: no-cache');
+    header('X-Accel-Buffering: no');
+    
+    $duration = getStreamDuration();
+    set_time_limit($duration + 10);
+    while (ob_get_level() > 0) {
+        ob_end_flush();
+    }
+    
+    echo 'retry: ' . RECONNECT_DELAY_MS . "\n\n";
+    
+    // Client fell too far behind - it has to reload everything
+    if ($eventLog->hasGap($lastEventId)) {
+        $lastEventId = $eventLog->getLastId();
+        sendEvent('resync', ['lastId' => $lastEventId], $lastEventId);
+    } else {
+        sendEvent('connected', ['lastId' => $lastEventId], $lastEventId);
+    }
+    
+    $startedAt = time();
+    $lastKeepalive = time();
+    
+    while (true) {
+        foreach ($eventLog->since($lastEventId) as $event) {
+            sendEvent('feedChanged', $event, $event['id']);
+            $lastEventId = $event['id'];
+        }
+        
+        if (time() - $startedAt >= $duration || connection_aborted()) {
+            break;
+        }
+        
+        if (time() - $lastKeepalive >= KEEPALIVE_INTERVAL) {
+            echo ": keepalive\n\n";
+            flush();
+            $lastKeepalive = time();
+        }
+        
+        sleep(POLL_INTERVAL);
+    }
+}
+
+/**
+ * PHP's built-in server handles one request at a time, so there a held stream
+ * would stall the whole site: answer with what's new and let the browser
+ * reconnect after the retry delay instead
+ */
+function getStreamDuration() {
+    return PHP_SAPI === 'cli-server' ? 0 : STREAM_DURATION;
+}
+
+function sendEvent($event, $data, $id = null) {
+    if ($id !== null) {
+        echo "id: {$id}\n";
+    }
+    echo "event: {$event}\n";
+    echo 'data: ' . json_encode($data, JSON_UNESCAPED_SLASHES) . "\n\n";
+    flush();
+}
@@ -17,10 +17,14 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 
 require_once '../../vendor/autoload.php';
 
+use AnsyblSite\Core\ActorResolver;
 use AnsyblSite\Core\ConcurrentFileManager;
 use AnsyblSite\Core\ConfigManager;
 use AnsyblSite\Core\FeedParser;
 use AnsyblSite\Core\FeedCache;
+use AnsyblSite\Core\FeedEventLog;
+use AnsyblSite\Core\WebSubSubscriber;
+use AnsyblSite\Exceptions\ValidationException;
 
 try {
     error_log("feeds.php: Starting initialization");
@@ -31,8 +35,9 @@ try {
     error_log("feeds.php: ConfigManager created");
     $feedParser = new FeedParser();
     error_log("feeds.php: FeedParser created");
-    $feedCache = new FeedCache($fileManager);
+    $feedCache = new FeedCache($fileManager, 'cache', 3600, new FeedEventLog($fileManager));
     error_log("feeds.php: FeedCache created");
+    $subscriber = new WebSubSubscriber($fileManager);
     
     $method = $_SERVER['REQUEST_METHOD'];
     $path = $_SERVER['PATH_INFO'] ?? '';
@@ -40,19 +45,19 @@ try {
     // Route requests
     switch ($method) {
         case 'GET':
-            handleGetRequest($path, $configManager, $feedParser, $feedCache);
+            handleGetRequest($path, $configManager, $feedParser, $feedCache, $subscriber);
             break;
             
         case 'POST':
-            handlePostRequest($path, $configManager, $feedParser, $feedCache);
+            handlePostRequest($path, $configManager, $feedParser, $feedCache, $subscriber);
             break;
             
         case 'PUT':
-            handlePutRequest($path, $configManager, $feedParser, $feedCache);
+            handlePutRequest($path, $configManager, $feedParser, $feedCache, $subscriber);
             break;
             
         case 'DELETE':
-            handleDeleteRequest($path, $configManager, $feedParser, $feedCache);
+            handleDeleteRequest($path, $configManager, $feedParser, $feedCache, $subscriber);
             break;
             
         default:
@@ -67,7 +72,7 @@ try {
 /**
  * Handle GET requests
  */
-function handleGetRequest($path, $configManager, $feedParser, $feedCache) {
+function handleGetRequest($path, $configManager, $feedParser, $feedCache, $subscriber) {
     switch ($path) {
         case '':
         case '/':
@@ -89,6 +94,9 @@ function handleGetRequest($path, $configManager, $feedParser, $feedCache) {
             // Get specific feed by ID
             if (preg_match('/^\/(\w+)$/', $path, $matches)) {
                 getFeed($matches[1], $configManager, $feedParser, $feedCache);
+            } elseif (preg_match('/^\/(\w+)\/page$/', $path, $matches)) {
+                // Get a CollectionPage of a paginated feed
+                getFeedPage($matches[1], $_GET['url'] ?? '', $configManager, $feedParser);
             } else {
                 sendError(404, 'Endpoint not found');
             }
@@ -98,7 +106,7 @@ function handleGetRequest($path, $configManager, $feedParser, $feedCache) {
 /**
  * Handle POST requests
  */
-function handlePostRequest($path, $configManager, $feedParser, $feedCache) {
+function handlePostRequest($path, $configManager, $feedParser, $feedCache, $subscriber) {
     $inputBody = file_get_contents('php://input');
     $input = null;
     
@@ -115,7 +123,7 @@ function handlePostRequest($path, $configManager, $feedParser, $feedCache) {
         case '':
         case '/':
             // Add new feed
-            addFeed($input, $configManager);
+            addFeed($input, $configManager, $subscriber);
             break;
             
         case '/test':
@@ -142,7 +150,7 @@ function handlePostRequest($path, $configManager, $feedParser, $feedCache) {
 /**
  * Handle PUT requests
  */
-function handlePutRequest($path, $configManager, $feedParser, $feedCache) {
+function handlePutRequest($path, $configManager, $feedParser, $feedCache, $subscriber) {
     $input = json_decode(file_get_contents('php://input'), true);
     
     if (json_last_error() !== JSON_ERROR_NONE) {
@@ -151,7 +159,7 @@ function handlePutRequest($path, $configManager, $feedParser, $feedCache) {
     
     if (preg_match('/^\/(\w+)$/', $path, $matches)) {
         // Update specific feed
-        updateFeed($matches[1], $input, $configManager);
+        updateFeed($matches[1], $input, $configManager, $subscriber);
     } else {
         sendError(404, 'Endpoint not found');
     }
@@ -160,10 +168,10 @@ function handlePutRequest($path, $configManager, $feedParser, $feedCache) {
 /**
  * Handle DELETE requests
  */
-function handleDeleteRequest($path, $configManager, $feedParser, $feedCache) {
+function handleDeleteRequest($path, $configManager, $feedParser, $feedCache, $subscriber) {
     if (preg_match('/^\/(\w+)$/', $path, $matches)) {
         // Delete specific feed
-        deleteFeed($matches[1], $configManager, $feedCache);
+        deleteFeed($matches[1], $configManager, $feedCache, $subscriber);
     } else {
         sendError(404, 'Endpoint not found');
     }
@@ -336,38 +344,128 @@ function getFeed($feedId, $configManager, $feedParser, $feedCache) {
     }
 }
 
+/**
+ * Get a CollectionPage of a paginated external feed
+ */
+function getFeedPage($feedId, $pageUrl, $configManager, $feedParser) {
+    try {
+        $feedsConfig = $configManager->get('feeds');
+        $feeds = $feedsConfig['feeds'] ?? [];
+        
+        $feed = null;
+        foreach ($feeds as $f) {
+            if ($f['id'] === $feedId) {
+                $feed = $f;
+                break;
+            }
+        }
+        
+        if (!$feed) {
+            sendError(404, 'Feed not found');
+        }
+        
+        // Page links can be relative to the feed
+        $pageUrl = resolvePageUrl($pageUrl, $feed['url']);
+        
+        if (!filter_var($pageUrl, FILTER_VALIDATE_URL)) {
+            sendError(400, 'Invalid page URL');
+        }
+        
+        // Only follow pages on the feed's own host so this can't be used as an open proxy
+        if (parse_url($pageUrl, PHP_URL_HOST) !== parse_url($feed['url'], PHP_URL_HOST)) {
+            sendError(400, 'Page URL must be on the same host as the feed');
+        }
+        
+        $page = fetchFeedData($pageUrl, $feedParser, true);
+        
+        sendSuccess([
+            'feedId' => $feedId,
+            'page' => $page,
+            'itemCount' => count($feedParser->extractItems($page)),
+            'lastFetched' => date('c')
+        ]);
+        
+    } catch (Exception $e) {
+        sendError(500, 'Failed to get feed page', $e->getMessage());
+    }
+}
+
+/**
+ * Resolve a page URL against the URL of the feed it belongs to
+ */
+function resolvePageUrl($pageUrl, $feedUrl) {
+    if (!is_string($pageUrl) || $pageUrl === '' || preg_match('/^[a-z][a-z0-9+.-]*:/i', $pageUrl)) {
+        return $pageUrl;
+    }
+    
+    $base = parse_url($feedUrl);
+    if (empty($base['scheme']) || empty($base['host'])) {
+        return $pageUrl;
+    }
+    
+    if (str_starts_with($pageUrl, '//')) {
+        return $base['scheme'] . ':' . $pageUrl;
+    }
+    
+    $origin = $base['scheme'] . '://' . $base['host'] . (isset($base['port']) ? ':' . $base['port'] : '');
+    $path = $base['path'] ?? '/';
+    
+    if (str_starts_with($pageUrl, '/')) {
+        return $origin . $pageUrl;
+    }
+    
+    if (str_starts_with($pageUrl, '?')) {
+        return $origin . $path . $pageUrl;
+    }
+    
+    return $origin . substr($path, 0, strrpos($path, '/') + 1) . $pageUrl;
+}
+
 /**
  * Add new feed
  */
-function addFeed($input, $configManager) {
+function addFeed($input, $configManager, $subscriber) {
     try {
         // Validate input
-        if (!isset($input['url']) || !isset($input['name'])) {
-            sendError(400, 'Missing required fields: url, name');
+        if (!isset($input['url'])) {
+            sendError(400, 'Missing required field: url');
+        }
+        
+        if (isset($input['trustLevel']) && !isValidTrustLevel($input['trustLevel'])) {
+            sendError(400, 'Invalid trust level');
         }
         
-        // Validate URL
-        if (!filter_var($input['url'], FILTER_VALIDATE_URL)) {
-            sendError(400, 'Invalid URL format');
+        // Fediverse handles and actor URLs are followed through the actor's outbox
+        $source = resolveFeedSource($input['url']);
+        
+        // ActivityPub accounts default to the actor's display name
+        $name = trim($input['name'] ?? '') ?: ($source['actor']['name'] ?? '');
+        if ($name === '') {
+            sendError(400, 'Missing required fields: url, name');
         }
         
         $feedsConfig = $configManager->get('feeds');
         $feeds = $feedsConfig['feeds'] ?? [];
         
         // Generate unique ID
-        $feedId = generateFeedId($input['name'], $feeds);
+        $feedId = generateFeedId($name, $feeds);
         
         // Create new feed entry
         $newFeed = [
             'id' => $feedId,
-            'name' => trim($input['name']),
-            'url' => trim($input['url']),
+            'name' => $name,
+            'url' => $source['url'],
             'enabled' => $input['enabled'] ?? true,
+            'trustLevel' => $input['trustLevel'] ?? 'basic',
             'order' => $input['order'] ?? (count($feeds) + 1),
             'added' => date('c'),
             'lastFetched' => null
         ];
         
+        if ($source['actor']) {
+            $newFeed['actor'] = $source['actor'];
+        }
+        
         // Add to feeds array
         $feeds[] = $newFeed;
         
@@ -380,11 +478,16 @@ function addFeed($input, $configManager) {
         // Save configuration
         $configManager->set('feeds', $feedsConfig);
         
+        $push = subscribeToHub($subscriber, $feedId, $newFeed['url']);
+        
         sendSuccess([
             'message' => 'Feed added successfully',
-            'feed' => $newFeed
+            'feed' => $newFeed,
+            'push' => $push ? ['hub' => $push['hub'], 'state' => $push['state']] : null
         ], 201);
         
+    } catch (ValidationException $e) {
+        sendError(400, 'Failed to add feed', $e->getMessage());
     } catch (Exception $e) {
         sendError(500, 'Failed to add feed', $e->getMessage());
     }
@@ -393,7 +496,7 @@ function addFeed($input, $configManager) {
 /**
  * Update existing feed
  */
-function updateFeed($feedId, $input, $configManager) {
+function updateFeed($feedId, $input, $configManager, $subscriber) {
     try {
         $feedsConfig = $configManager->get('feeds');
         $feeds = $feedsConfig['feeds'] ?? [];
@@ -417,11 +520,17 @@ function updateFeed($feedId, $input, $configManager) {
             $feed['name'] = trim($input['name']);
         }
         
+        $urlChanged = false;
         if (isset($input['url'])) {
-            if (!filter_var($input['url'], FILTER_VALIDATE_URL)) {
-                sendError(400, 'Invalid URL format');
+            $source = resolveFeedSource($input['url']);
+            $urlChanged = $source['url'] !== $feed['url'];
+            $feed['url'] = $source['url'];
+            
+            if ($source['actor']) {
+                $feed['actor'] = $source['actor'];
+            } else {
+                unset($feed['actor']);
             }
-            $feed['url'] = trim($input['url']);
         }
         
         if (isset($input['enabled'])) {
@@ -432,6 +541,13 @@ function updateFeed($feedId, $input, $configManager) {
             $feed['order'] = (int) $input['order'];
         }
         
+        if (isset($input['trustLevel'])) {
+            if (!isValidTrustLevel($input['trustLevel'])) {
+                sendError(400, 'Invalid trust level');
+            }
+            $feed['trustLevel'] = $input['trustLevel'];
+        }
+        
         $feed['modified'] = date('c');
         
         $feeds[$feedIndex] = $feed;
@@ -444,11 +560,19 @@ function updateFeed($feedId, $input, $configManager) {
         // Save configuration
         $configManager->set('feeds', $feedsConfig);
         
+        // A new URL may mean a different hub, or none
+        if ($urlChanged) {
+            $subscriber->unsubscribe($feedId);
+            subscribeToHub($subscriber, $feedId, $feed['url']);
+        }
+        
         sendSuccess([
             'message' => 'Feed updated successfully',
             'feed' => $feed
         ]);
         
+    } catch (ValidationException $e) {
+        sendError(400, 'Failed to update feed', $e->getMessage());
     } catch (Exception $e) {
         sendError(500, 'Failed to update feed', $e->getMessage());
     }
@@ -457,7 +581,7 @@ function updateFeed($feedId, $input, $configManager) {
 /**
  * Delete feed
  */
-function deleteFeed($feedId, $configManager, $feedCache) {
+function deleteFeed($feedId, $configManager, $feedCache, $subscriber) {
     try {
         $feedsConfig = $configManager->get('feeds');
         $feeds = $feedsConfig['feeds'] ?? [];
@@ -488,6 +612,7 @@ function deleteFeed($feedId, $configManager, $feedCache) {
         
         // Clear cache for this feed
         $feedCache->delete($feedId);
+        $subscriber->unsubscribe($feedId);
         
         sendSuccess(['message' => 'Feed deleted successfully']);
         
@@ -505,18 +630,17 @@ function testFeed($input, $feedParser) {
             sendError(400, 'Missing required field: url');
         }
         
-        if (!filter_var($input['url'], FILTER_VALIDATE_URL)) {
-            sendError(400, 'Invalid URL format');
-        }
+        $source = resolveFeedSource($input['url']);
         
         // Attempt to fetch and parse the feed
-        $feedData = fetchFeedData($input['url'], $feedParser);
+        $feedData = fetchFeedData($source['url'], $feedParser);
         $metadata = $feedParser->extractMetadata($feedData);
         $items = $feedParser->extractItems($feedData);
         
         sendSuccess([
             'message' => 'Feed test successful',
-            'url' => $input['url'],
+            'url' => $source['url'],
+            'actor' => $source['actor'],
             'metadata' => $metadata,
             'itemCount' => count($items),
             'sampleItems' => array_slice($items, 0, 3) // First 3 items as preview
@@ -624,7 +748,7 @@ function refreshFeed($feedId, $configManager, $feedParser, $feedCache) {
  * Utility functions
  */
 
-function fetchFeedData($url, $feedParser) {
+function fetchFeedData($url, $feedParser, $isPage = false) {
     error_log("fetchFeedData: Starting fetch for URL: $url");
     
     try {
@@ -641,7 +765,7 @@ function fetchFeedData($url, $feedParser) {
                 CURLOPT_MAXREDIRS => 5,
                 CURLOPT_USERAGENT => 'Ansybl Site Feed Reader 1.0',
                 CURLOPT_HTTPHEADER => [
-                    'Accept: application/activity+json,application/ld+json,application/json'
+                    'Accept: application/activity+json,application/ld+json,application/feed+json,application/json,application/rss+xml,application/atom+xml,application/xml;q=0.9,text/xml;q=0.8'
                 ],
                 CURLOPT_SSL_VERIFYPEER => true,
                 CURLOPT_SSL_VERIFYHOST => 2
@@ -671,14 +795,14 @@ function fetchFeedData($url, $feedParser) {
                 'http' => [
                     'timeout' => 30,
                     'user_agent' => 'Ansybl Site Feed Reader 1.0',
-                    'header' => 'Accept: application/activity+json,application/ld+json,application/json',
+                    'header' => 'Accept: application/activity+json,application/ld+json,application/feed+json,application/json,application/rss+xml,application/atom+xml,application/xml;q=0.9,text/xml;q=0.8',
                     'follow_location' => 1,
                     'max_redirects' => 5
                 ],
                 'https' => [
                     'timeout' => 30,
                     'user_agent' => 'Ansybl Site Feed Reader 1.0',
-                    'header' => 'Accept: application/activity+json,application/ld+json,application/json',
+                    'header' => 'Accept: application/activity+json,application/ld+json,application/feed+json,application/json,application/rss+xml,application/atom+xml,application/xml;q=0.9,text/xml;q=0.8',
                     'follow_location' => 1,
                     'max_redirects' => 5,
                     'verify_peer' => true,
@@ -697,18 +821,23 @@ function fetchFeedData($url, $feedParser) {
             error_log("fetchFeedData: file_get_contents success - " . strlen($data) . " bytes received");
         }
         
-        error_log("fetchFeedData: Attempting to decode JSON");
-        $json = json_decode($data, true);
-        
-        if (json_last_error() !== JSON_ERROR_NONE) {
-            error_log("fetchFeedData: JSON decode failed: " . json_last_error_msg());
-            error_log("fetchFeedData: First 500 chars of data: " . substr($data, 0, 500));
-            throw new Exception("Invalid JSON in feed from $url: " . json_last_error_msg());
+        // Pages are always Activity Streams; whole feeds may also be RSS, Atom or JSON Feed
+        if ($isPage) {
+            error_log("fetchFeedData: Attempting to decode JSON");
+            $json = json_decode($data, true);
+            
+            if (json_last_error() !== JSON_ERROR_NONE) {
+                error_log("fetchFeedData: JSON decode failed: " . json_last_error_msg());
+                error_log("fetchFeedData: First 500 chars of data: " . substr($data, 0, 500));
+                throw new Exception("Invalid JSON in feed from $url: " . json_last_error_msg());
+            }
+            
+            $result = $feedParser->parsePage($data);
+        } else {
+            error_log("fetchFeedData: Detected " . $feedParser->detectFormat($data) . " feed, calling feedParser->parseSource");
+            $result = $feedParser->parseSource($data);
         }
-        
-        error_log("fetchFeedData: JSON decoded successfully, calling feedParser->parse");
-        $result = $feedParser->parse($data); // Pass raw JSON string, not decoded array
-        error_log("fetchFeedData: feedParser->parse completed successfully");
+        error_log("fetchFeedData: feed parsed successfully");
         
         return $result;
         
@@ -718,6 +847,54 @@ function fetchFeedData($url, $feedParser) {
     }
 }
 
+/**
+ * Turn the feed form's URL field into the URL to fetch. A fediverse handle (@user@host)
+ * or an ActivityPub actor URL resolves to the actor's outbox; other URLs are used as given.
+ *
+ * @return array{url: string, actor: array|null}
+ */
+function resolveFeedSource($input) {
+    $input = trim((string) $input);
+    $resolver = new ActorResolver();
+    
+    if (ActorResolver::isHandle($input)) {
+        $resolved = $resolver->resolve($input);
+    } elseif (filter_var($input, FILTER_VALIDATE_URL)) {
+        try {
+            $resolved = $resolver->resolve($input);
+        } catch (RuntimeException $e) {
+            // Unreachable right now - keep the URL and let the feed fetch report it
+            error_log("resolveFeedSource: Could not check $input for an actor: " . $e->getMessage());
+            $resolved = null;
+        }
+    } else {
+        throw new ValidationException('Invalid URL format');
+    }
+    
+    if ($resolved) {
+        error_log("resolveFeedSource: Resolved $input to outbox {$resolved['outbox']}");
+        return ['url' => $resolved['outbox'], 'actor' => $resolved['actor']];
+    }
+    
+    return ['url' => $input, 'actor' => null];
+}
+
+/**
+ * Ask the feed's WebSub hub, if it has one, to push updates to /api/websub.php.
+ * Push is a bonus on top of polling, so failures are only logged.
+ */
+function subscribeToHub($subscriber, $feedId, $url) {
+    try {
+        $scheme = (!empty($_SERVER['HTTPS']) && $_SERVER['HTTPS'] !== 'off') ? 'https' : 'http';
+        $callback = "{$scheme}://{$_SERVER['HTTP_HOST']}/api/websub.php/callback/" . rawurlencode($feedId);
+        
+        return $subscriber->subscribe($feedId, $url, $callback);
+    } catch (Exception $e) {
+        error_log("WebSub subscription for {$feedId} failed: " . $e->getMessage());
+        return null;
+    }
+}
+
 function generateFeedId($name, $existingFeeds) {
     $baseId = strtolower(preg_replace('/[^a-zA-Z0-9]/', '', $name));
     $baseId = substr($baseId, 0, 20); // Limit length
@@ -746,6 +923,13 @@ function feedIdExists($id, $feeds) {
     return false;
 }
 
+/**
+ * How much HTML the front end keeps from a feed: plain text, basic formatting or rich
+ */
+function isValidTrustLevel($trustLevel) {
+    return in_array($trustLevel, ['plain', 'basic', 'rich'], true);
+}
+
 function sendSuccess($data, $statusCode = 200) {
     http_response_code($statusCode);
     echo json_encode([
@@ -19,8 +19,12 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 
 require_once '../../vendor/autoload.php';
 
+use AnsyblSite\Core\ActivityPubPublisher;
 use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\FeedArchive;
 use AnsyblSite\Core\LocalFeedManager;
+use AnsyblSite\Exceptions\FileNotFoundException;
+use AnsyblSite\Exceptions\ValidationException;
 
 // Authentication check - require admin login
 function requireAuth() {
@@ -91,6 +95,31 @@ function handleGetRequest($path, $localFeedManager) {
             getFeedItem($matches[1], $matches[2], $localFeedManager);
             break;
             
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/items\/([a-zA-Z0-9_-]+)\/revisions$/', $path, $matches):
+            // Get item revision history
+            getItemRevisions($matches[1], $matches[2], $localFeedManager);
+            break;
+            
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/trash$/', $path, $matches):
+            // Get deleted items
+            getTrash($matches[1], $localFeedManager);
+            break;
+            
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/export$/', $path, $matches):
+            // Download the feed and its media as a zip archive
+            exportFeedArchive($matches[1], $localFeedManager);
+            break;
+            
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/drafts$/', $path, $matches):
+            // Get the author's unsaved editor drafts
+            getItemDrafts($matches[1], $localFeedManager);
+            break;
+            
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/drafts\/([a-zA-Z0-9_-]+)$/', $path, $matches):
+            // Get the author's draft of an item
+            getItemDraft($matches[1], $matches[2], $localFeedManager);
+            break;
+            
         default:
             sendError(404, 'Endpoint not found');
     }
@@ -100,6 +129,12 @@ function handleGetRequest($path, $localFeedManager) {
  * Handle POST requests
  */
 function handlePostRequest($path, $localFeedManager) {
+    // Archives come as a multipart upload, not JSON
+    if ($path === '/import') {
+        importFeedArchive($localFeedManager);
+        return;
+    }
+    
     $input = getJsonInput();
     
     switch (true) {
@@ -113,11 +148,26 @@ function handlePostRequest($path, $localFeedManager) {
             addFeedItem($matches[1], $input, $localFeedManager);
             break;
             
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/items\/bulk$/', $path, $matches):
+            // Apply one action to many items
+            bulkUpdateItems($matches[1], $input, $localFeedManager);
+            break;
+            
         case preg_match('/^\/([a-zA-Z0-9_-]+)\/generate$/', $path, $matches):
             // Regenerate Activity Streams feed
             regenerateFeed($matches[1], $localFeedManager);
             break;
             
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/items\/([a-zA-Z0-9_-]+)\/revisions\/(\d+)\/restore$/', $path, $matches):
+            // Restore item to an earlier revision
+            restoreItemRevision($matches[1], $matches[2], (int) $matches[3], $localFeedManager);
+            break;
+            
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/trash\/([a-zA-Z0-9_-]+)\/restore$/', $path, $matches):
+            // Restore item from trash
+            restoreTrashedItem($matches[1], $matches[2], $localFeedManager);
+            break;
+            
         default:
             sendError(404, 'Endpoint not found');
     }
@@ -135,11 +185,21 @@ function handlePutRequest($path, $localFeedManager) {
             updateLocalFeed($matches[1], $input, $localFeedManager);
             break;
             
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/items\/order$/', $path, $matches):
+            // Save the hand-picked item order
+            reorderFeedItems($matches[1], $input, $localFeedManager);
+            break;
+            
         case preg_match('/^\/([a-zA-Z0-9_-]+)\/items\/([a-zA-Z0-9_-]+)$/', $path, $matches):
             // Update feed item
             updateFeedItem($matches[1], $matches[2], $input, $localFeedManager);
             break;
             
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/drafts\/([a-zA-Z0-9_-]+)$/', $path, $matches):
+            // Save the author's draft of an item
+            saveItemDraft($matches[1], $matches[2], $input, $localFeedManager);
+            break;
+            
         default:
             sendError(404, 'Endpoint not found');
     }
@@ -160,6 +220,21 @@ function handleDeleteRequest($path, $localFeedManager) {
             deleteFeedItem($matches[1], $matches[2], $localFeedManager);
             break;
             
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/trash$/', $path, $matches):
+            // Empty trash
+            purgeTrash($matches[1], null, $localFeedManager);
+            break;
+            
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/trash\/([a-zA-Z0-9_-]+)$/', $path, $matches):
+            // Delete trashed item permanently
+            purgeTrash($matches[1], $matches[2], $localFeedManager);
+            break;
+            
+        case preg_match('/^\/([a-zA-Z0-9_-]+)\/drafts\/([a-zA-Z0-9_-]+)$/', $path, $matches):
+            // Discard the author's draft of an item
+            deleteItemDraft($matches[1], $matches[2], $localFeedManager);
+            break;
+            
         default:
             sendError(404, 'Endpoint not found');
     }
@@ -218,7 +293,9 @@ function createLocalFeed($input, $localFeedManager) {
                 'name' => $_SESSION['admin_username'] ?? 'Admin'
             ],
             'language' => $input['language'] ?? 'en',
-            'published' => $input['published'] ?? true
+            'published' => $input['published'] ?? true,
+            'actorType' => $input['actorType'] ?? 'Service',
+            'emitUpdates' => !empty($input['emitUpdates'])
         ];
         
         $feedId = $localFeedManager->createFeed($feedData);
@@ -240,6 +317,10 @@ function createLocalFeed($input, $localFeedManager) {
  */
 function updateLocalFeed($feedId, $input, $localFeedManager) {
     try {
+        if (isset($input['actorType']) && !in_array($input['actorType'], ActivityPubPublisher::ACTOR_TYPES, true)) {
+            sendError(400, 'Actor type must be one of: ' . implode(', ', ActivityPubPublisher::ACTOR_TYPES));
+        }
+        
         $success = $localFeedManager->updateFeed($feedId, $input);
         
         if (!$success) {
@@ -331,6 +412,148 @@ function getFeedItem($feedId, $itemId, $localFeedManager) {
     }
 }
 
+/**
+ * Get the revision history of a feed item, newest first
+ */
+function getItemRevisions($feedId, $itemId, $localFeedManager) {
+    try {
+        $revisions = $localFeedManager->getItemRevisions($feedId, $itemId);
+        
+        sendSuccess([
+            'feedId' => $feedId,
+            'itemId' => $itemId,
+            'revisions' => $revisions,
+            'count' => count($revisions)
+        ]);
+        
+    } catch (Exception $e) {
+        sendError(404, 'Failed to get item revisions', $e->getMessage());
+    }
+}
+
+/**
+ * Restore a feed item to an earlier revision
+ */
+function restoreItemRevision($feedId, $itemId, $revisionId, $localFeedManager) {
+    try {
+        $success = $localFeedManager->restoreRevision($feedId, $itemId, $revisionId, $_SESSION['admin_username'] ?? null);
+        
+        if (!$success) {
+            sendError(500, 'Failed to restore item');
+        }
+        
+        $item = null;
+        foreach ($localFeedManager->getItems($feedId) as $feedItem) {
+            if ($feedItem['id'] === $itemId) {
+                $item = $feedItem;
+                break;
+            }
+        }
+        
+        sendSuccess([
+            'message' => "Item restored to revision {$revisionId}",
+            'feedId' => $feedId,
+            'itemId' => $itemId,
+            'item' => $item
+        ]);
+        
+    } catch (ValidationException $e) {
+        sendError($e->getCode() === 404 ? 404 : 400, 'Failed to restore item', $e->getMessage());
+    } catch (Exception $e) {
+        sendError(500, 'Failed to restore item', $e->getMessage());
+    }
+}
+
+/**
+ * Drafts belong to the logged-in admin, so they follow them between browsers
+ */
+function getDraftAuthor() {
+    return $_SESSION['admin_username'] ?? 'admin';
+}
+
+/**
+ * Get the author's unsaved editor drafts in a feed
+ */
+function getItemDrafts($feedId, $localFeedManager) {
+    try {
+        $drafts = $localFeedManager->getDrafts($feedId, getDraftAuthor());
+        
+        sendSuccess([
+            'feedId' => $feedId,
+            'drafts' => $drafts,
+            'count' => count($drafts)
+        ]);
+        
+    } catch (Exception $e) {
+        sendError(500, 'Failed to get drafts', $e->getMessage());
+    }
+}
+
+/**
+ * Get the author's draft of an item ("new" for an item not created yet)
+ */
+function getItemDraft($feedId, $itemKey, $localFeedManager) {
+    try {
+        $draft = $localFeedManager->getDraft($feedId, $itemKey, getDraftAuthor());
+        
+        if ($draft === null) {
+            sendError(404, 'Draft not found');
+        }
+        
+        sendSuccess([
+            'feedId' => $feedId,
+            'draft' => $draft
+        ]);
+        
+    } catch (Exception $e) {
+        sendError(500, 'Failed to get draft', $e->getMessage());
+    }
+}
+
+/**
+ * Save the author's draft of an item
+ */
+function saveItemDraft($feedId, $itemKey, $input, $localFeedManager) {
+    try {
+        if (!isset($input['state']) || !is_array($input['state'])) {
+            sendError(400, 'Draft state is required');
+        }
+        
+        $draft = $localFeedManager->saveDraft($feedId, $itemKey, getDraftAuthor(), $input['state']);
+        
+        sendSuccess([
+            'message' => 'Draft saved',
+            'feedId' => $feedId,
+            'draft' => $draft
+        ]);
+        
+    } catch (FileNotFoundException $e) {
+        sendError(404, 'Failed to save draft', $e->getMessage());
+    } catch (ValidationException $e) {
+        sendError(400, 'Failed to save draft', $e->getMessage());
+    } catch (Exception $e) {
+        sendError(500, 'Failed to save draft', $e->getMessage());
+    }
+}
+
+/**
+ * Discard the author's draft of an item
+ */
+function deleteItemDraft($feedId, $itemKey, $localFeedManager) {
+    try {
+        $localFeedManager->deleteDraft($feedId, $itemKey, getDraftAuthor());
+        
+        sendSuccess([
+            'message' => 'Draft discarded',
+            'feedId' => $feedId,
+            'itemKey' => $itemKey
+        ]);
+        
+    } catch (Exception $e) {
+        sendError(500, 'Failed to discard draft', $e->getMessage());
+    }
+}
+
 /**
  * Add item to feed
  */
@@ -341,12 +564,13 @@ function addFeedItem($feedId, $input, $localFeedManager) {
             sendError(400, 'Item type is required');
         }
         
-        $allowedTypes = ['Article', 'Note', 'Image', 'Video', 'Audio'];
-        if (!in_array($input['type'], $allowedTypes)) {
-            sendError(400, 'Invalid item type. Allowed: ' . implode(', ', $allowedTypes));
+        if (!in_array($input['type'], LocalFeedManager::ITEM_TYPES, true)) {
+            sendError(400, 'Invalid item type. Allowed: ' . implode(', ', LocalFeedManager::ITEM_TYPES));
         }
         
-        $itemId = $localFeedManager->addItem($feedId, $input);
+        validateItemStatus($input);
+        
+        $itemId = $localFeedManager->addItem($feedId, $input, $_SESSION['admin_username'] ?? null);
         
         // Get the created item
         $items = $localFeedManager->getItems($feedId);
@@ -375,7 +599,9 @@ function addFeedItem($feedId, $input, $localFeedManager) {
  */
 function updateFeedItem($feedId, $itemId, $input, $localFeedManager) {
     try {
-        $success = $localFeedManager->updateItem($feedId, $itemId, $input);
+        validateItemStatus($input);
+        
+        $success = $localFeedManager->updateItem($feedId, $itemId, $input, $_SESSION['admin_username'] ?? null);
         
         if (!$success) {
             sendError(500, 'Failed to update item');
@@ -403,19 +629,32 @@ function updateFeedItem($feedId, $itemId, $input, $localFeedManager) {
     }
 }
 
+/**
+ * Items are saved as drafts or to publish; "scheduled" follows from a future published date
+ */
+function validateItemStatus($input) {
+    if (isset($input['status']) && !in_array($input['status'], LocalFeedManager::ITEM_STATUSES, true)) {
+        sendError(400, 'Invalid item status. Allowed: ' . implode(', ', LocalFeedManager::ITEM_STATUSES));
+    }
+    
+    if (isset($input['published']) && strtotime($input['published']) === false) {
+        sendError(400, 'Invalid published date');
+    }
+}
+
 /**
  * Delete feed item
  */
 function deleteFeedItem($feedId, $itemId, $localFeedManager) {
     try {
-        $success = $localFeedManager->deleteItem($feedId, $itemId);
+        $success = $localFeedManager->deleteItem($feedId, $itemId, $_SESSION['admin_username'] ?? null);
         
         if (!$success) {
             sendError(500, 'Failed to delete item');
         }
         
         sendSuccess([
-            'message' => 'Item deleted successfully',
+            'message' => 'Item moved to trash',
             'feedId' => $feedId,
             'itemId' => $itemId
         ]);
@@ -425,6 +664,191 @@ function deleteFeedItem($feedId, $itemId, $localFeedManager) {
     }
 }
 
+/**
+ * Reorder a feed's items
+ */
+function reorderFeedItems($feedId, $input, $localFeedManager) {
+    try {
+        $itemIds = $input['itemIds'] ?? null;
+        if (!is_array($itemIds)) {
+            sendError(400, 'itemIds must be a list of item IDs');
+        }
+        
+        $localFeedManager->reorderItems($feedId, array_values(array_filter($itemIds, 'is_string')));
+        
+        sendSuccess([
+            'message' => 'Item order saved',
+            'feedId' => $feedId
+        ]);
+        
+    } catch (ValidationException $e) {
+        sendError(400, 'Failed to reorder items', $e->getMessage());
+    } catch (Exception $e) {
+        sendError(500, 'Failed to reorder items', $e->getMessage());
+    }
+}
+
+/**
+ * Apply a bulk action to the selected items, atomically
+ */
+function bulkUpdateItems($feedId, $input, $localFeedManager) {
+    try {
+        $itemIds = $input['itemIds'] ?? [];
+        if (!is_array($itemIds)) {
+            sendError(400, 'itemIds must be a list of item IDs');
+        }
+        
+        $result = $localFeedManager->bulkUpdate(
+            $feedId,
+            array_values(array_filter($itemIds, 'is_string')),
+            $input['action'] ?? '',
+            [
+                'tags' => $input['tags'] ?? [],
+                'seconds' => $input['seconds'] ?? 0,
+                'targetFeedId' => $input['targetFeedId'] ?? null
+            ],
+            $_SESSION['admin_username'] ?? null
+        );
+        
+        $count = count($result['itemIds']);
+        $message = $count === 1 ? '1 item updated' : "{$count} items updated";
+        
+        // Items deleted or moved by someone else since the list was loaded
+        if (!empty($result['missing'])) {
+            $message .= ', ' . count($result['missing']) . ' no longer in the feed';
+        }
+        
+        sendSuccess(array_merge($result, [
+            'message' => $message,
+            'feedId' => $feedId
+        ]));
+        
+    } catch (ValidationException $e) {
+        sendError($e->getCode() === 404 ? 404 : 400, 'Bulk update failed', $e->getMessage());
+    } catch (Exception $e) {
+        sendError(500, 'Bulk update failed', $e->getMessage());
+    }
+}
+
+/**
+ * Send a feed archive as a download
+ */
+function exportFeedArchive($feedId, $localFeedManager) {
+    $zipPath = tempnam(sys_get_temp_dir(), 'feed-archive');
+    
+    try {
+        (new FeedArchive($localFeedManager))->export($feedId, $zipPath);
+        
+        header('Content-Type: application/zip');
+        header('Content-Disposition: attachment; filename="' . $feedId . '-' . date('Y-m-d') . '.zip"');
+        header('Content-Length: ' . filesize($zipPath));
+        readfile($zipPath);
+        unlink($zipPath);
+        exit();
+        
+    } catch (FileNotFoundException $e) {
+        unlink($zipPath);
+        sendError(404, 'Feed not found', $e->getMessage());
+    } catch (Exception $e) {
+        unlink($zipPath);
+        sendError(500, 'Failed to export feed', $e->getMessage());
+    }
+}
+
+/**
+ * Import an uploaded feed archive, or with dryRun only report what importing would do
+ */
+function importFeedArchive($localFeedManager) {
+    if (!isset($_FILES['archive']) || $_FILES['archive']['error'] !== UPLOAD_ERR_OK) {
+        sendError(400, 'No archive uploaded');
+    }
+    
+    $dryRun = filter_var($_POST['dryRun'] ?? false, FILTER_VALIDATE_BOOLEAN);
+    
+    try {
+        $report = (new FeedArchive($localFeedManager))->import($_FILES['archive']['tmp_name'], [
+            'dryRun' => $dryRun,
+            'name' => $_POST['name'] ?? null,
+            'author' => $_SESSION['admin_username'] ?? null
+        ]);
+        
+        $count = count($report['items']);
+        sendSuccess(array_merge($report, [
+            'message' => $dryRun
+                ? "Archive checked: {$count} items would be imported as {$report['feedId']}"
+                : "Imported {$count} items into {$report['feedId']}"
+        ]), $dryRun ? 200 : 201);
+        
+    } catch (ValidationException $e) {
+        sendError(400, 'Invalid feed archive', $e->getMessage());
+    } catch (Exception $e) {
+        sendError(500, 'Failed to import feed archive', $e->getMessage());
+    }
+}
+
+/**
+ * Get the items in a feed's trash
+ */
+function getTrash($feedId, $localFeedManager) {
+    try {
+        $items = $localFeedManager->getTrash($feedId);
+        
+        sendSuccess([
+            'feedId' => $feedId,
+            'items' => $items,
+            'count' => count($items),
+            'retentionDays' => LocalFeedManager::TRASH_RETENTION_DAYS
+        ]);
+        
+    } catch (Exception $e) {
+        sendError(404, 'Failed to get trash', $e->getMessage());
+    }
+}
+
+/**
+ * Move an item from the trash back into its feed
+ */
+function restoreTrashedItem($feedId, $itemId, $localFeedManager) {
+    try {
+        if (!$localFeedManager->restoreItem($feedId, $itemId)) {
+            sendError(500, 'Failed to restore item');
+        }
+        
+        sendSuccess([
+            'message' => 'Item restored',
+            'feedId' => $feedId,
+            'itemId' => $itemId
+        ]);
+        
+    } catch (ValidationException $e) {
+        sendError($e->getCode() === 404 ? 404 : 400, 'Failed to restore item', $e->getMessage());
+    } catch (Exception $e) {
+        sendError(500, 'Failed to restore item', $e->getMessage());
+    }
+}
+
+/**
+ * Permanently delete one trashed item, or everything in the trash
+ */
+function purgeTrash($feedId, $itemId, $localFeedManager) {
+    try {
+        $purged = $localFeedManager->purgeTrash($feedId, $itemId !== null ? [$itemId] : null);
+        
+        if ($itemId !== null && empty($purged)) {
+            sendError(404, 'Item not in trash');
+        }
+        
+        sendSuccess([
+            'message' => count($purged) === 1 ? 'Item deleted permanently' : count($purged) . ' items deleted permanently',
+            'feedId' => $feedId,
+            'purged' => $purged
+        ]);
+        
+    } catch (Exception $e) {
+        sendError(400, 'Failed to empty trash', $e->getMessage());
+    }
+}
+
 /**
  * Regenerate Activity Streams feed
  */
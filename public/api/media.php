@@ -19,6 +19,8 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 
 require_once '../../vendor/autoload.php';
 
+use AnsyblSite\Core\MediaTypes;
+
 // Authentication check - require admin login
 function requireAuth() {
     if (!isset($_SESSION['admin_logged_in']) || !$_SESSION['admin_logged_in']) {
@@ -28,11 +30,11 @@ function requireAuth() {
 
 // Configuration
 const UPLOAD_BASE_PATH = '../../public/uploads/feeds';
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-const ALLOWED_AUDIO_TYPES = ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4'];
-const ALLOWED_VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/ogg'];
-const ALLOWED_DOCUMENT_TYPES = ['application/pdf', 'text/plain'];
+const MAX_FILE_SIZE = MediaTypes::MAX_FILE_SIZE; // 10MB
+const ALLOWED_IMAGE_TYPES = MediaTypes::IMAGE;
+const ALLOWED_AUDIO_TYPES = MediaTypes::AUDIO;
+const ALLOWED_VIDEO_TYPES = MediaTypes::VIDEO;
+const ALLOWED_DOCUMENT_TYPES = MediaTypes::DOCUMENT;
 
 try {
     requireAuth();
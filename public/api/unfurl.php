@@ -0,0 +1,87 @@
+<?php
+/**
+ * Link Preview API Endpoint
+ * Returns the title, description, image and site name of a web page, for
+ * the preview cards under Links and Notes - GET /api/unfurl.php?url=...
+ */
+
+// Only the site's own pages ask for previews, so no CORS headers are sent
+header('Content-Type: application/json');
+
+require_once '../../vendor/autoload.php';
+
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\ConfigManager;
+use AnsyblSite\Core\FeedCache;
+use AnsyblSite\Core\LinkUnfurler;
+use AnsyblSite\Exceptions\ValidationException;
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError(405, 'Method not allowed');
+}
+
+$url = $_GET['url'] ?? '';
+if ($url === '' || strlen($url) > 2048) {
+    sendError(400, 'A url parameter of up to 2048 characters is required');
+}
+
+$fileManager = new ConcurrentFileManager('../../data');
+
+// Off unless the site turns previews on - the endpoint isn't a fetch proxy otherwise
+$features = (new ConfigManager($fileManager))->getWithDefaults('site')['features'] ?? [];
+if (empty($features['link_previews'])) {
+    sendError(404, 'Link previews are disabled');
+}
+
+try {
+    $unfurler = new LinkUnfurler(new FeedCache($fileManager, 'cache/unfurl', LinkUnfurler::TTL));
+    
+    $preview = $unfurler->unfurl($url, $_SERVER['REMOTE_ADDR'] ?? null);
+    
+} catch (ValidationException $e) {
+    if ($e->getCode() === 429) {
+        header('Retry-After: ' . LinkUnfurler::RATE_WINDOW);
+        sendError(429, $e->getMessage());
+    }
+    sendError(422, $e->getMessage());
+} catch (Exception $e) {
+    error_log("Unfurl API Error: " . $e->getMessage());
+    sendError(500, 'Internal server error');
+}
+
+if ($preview === null) {
+    header('Cache-Control: public, max-age=' . LinkUnfurler::FAILURE_TTL);
+    sendError(404, 'No preview available for this URL');
+}
+
+header('Cache-Control: public, max-age=' . LinkUnfurler::TTL);
+sendSuccess($preview);
+
+function sendSuccess($data, $statusCode = 200) {
+    http_response_code($statusCode);
+    echo json_encode([
+        'success' => true,
+        'data' => $data,
+        'timestamp' => date('c')
+    ], JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+    exit();
+}
+
+function sendError($statusCode, $message, $details = null) {
+    http_response_code($statusCode);
+    $response = [
+        'success' => false,
+        'error' => [
+            'message' => $message,
+            'code' => $statusCode
+        ],
+        'timestamp' => date('c')
+    ];
+    
+    if ($details) {
+        $response['error']['details'] = $details;
+    }
+    
+    echo json_encode($response);
+    exit();
+}
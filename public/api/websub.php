@@ -0,0 +1,182 @@
+<?php
+/**
+ * WebSub API Endpoint
+ * The hub for the site's own feeds, and the callback hubs push external feeds to
+ */
+
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type');
+
+// Handle preflight requests
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit();
+}
+
+require_once '../../vendor/autoload.php';
+
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\FeedCache;
+use AnsyblSite\Core\FeedEventLog;
+use AnsyblSite\Core\FeedExporter;
+use AnsyblSite\Core\LocalFeedManager;
+use AnsyblSite\Core\WebSubHub;
+use AnsyblSite\Core\WebSubSubscriber;
+use AnsyblSite\Exceptions\ValidationException;
+
+try {
+    $method = $_SERVER['REQUEST_METHOD'];
+    $path = $_SERVER['PATH_INFO'] ?? '';
+    
+    // Initialize core components
+    $fileManager = new ConcurrentFileManager('../../data');
+    
+    // Route requests
+    switch (true) {
+        case $method === 'POST' && ($path === '' || $path === '/'):
+            handleHubRequest(new WebSubHub($fileManager), new LocalFeedManager($fileManager));
+            break;
+            
+        case preg_match('/^\/callback\/(\w+)$/', $path, $matches) && $method === 'GET':
+            handleVerification($matches[1], new WebSubSubscriber($fileManager));
+            break;
+            
+        case preg_match('/^\/callback\/(\w+)$/', $path, $matches) && $method === 'POST':
+            $feedCache = new FeedCache($fileManager, 'cache', 3600, new FeedEventLog($fileManager));
+            handleContentDistribution($matches[1], new WebSubSubscriber($fileManager), $feedCache);
+            break;
+            
+        default:
+            sendError(404, 'Endpoint not found');
+    }
+    
+} catch (Exception $e) {
+    error_log("WebSub API Error: " . $e->getMessage());
+    sendError(500, 'Internal server error', $e->getMessage());
+}
+
+/**
+ * Subscribe/unsubscribe request to our hub - only our published feeds can be subscribed to
+ */
+function handleHubRequest($hub, $localFeedManager) {
+    // PHP turns the dots in "hub.mode" etc. into underscores
+    $mode = $_POST['hub_mode'] ?? '';
+    $topic = $_POST['hub_topic'] ?? '';
+    $callback = $_POST['hub_callback'] ?? '';
+    
+    if (!in_array($topic, getLocalTopics($localFeedManager), true)) {
+        sendError(404, 'Unknown topic', $topic);
+    }
+    
+    try {
+        $verified = $hub->subscribe(
+            $mode,
+            $topic,
+            $callback,
+            isset($_POST['hub_lease_seconds']) ? (int) $_POST['hub_lease_seconds'] : null,
+            $_POST['hub_secret'] ?? null
+        );
+    } catch (ValidationException $e) {
+        sendError(400, 'Invalid subscription request', $e->getMessage());
+    }
+    
+    if (!$verified) {
+        sendError(400, 'The callback did not confirm the request');
+    }
+    
+    http_response_code(202);
+    exit();
+}
+
+/**
+ * Topic URLs of the published local feeds, in every format
+ */
+function getLocalTopics($localFeedManager) {
+    $exporter = new FeedExporter();
+    $topics = [];
+    
+    foreach ($localFeedManager->listFeeds() as $feed) {
+        if (!$feed['published'] || empty($feed['url'])) {
+            continue;
+        }
+        
+        $topics[] = $feed['url'];
+        foreach (array_keys(FeedExporter::FORMATS) as $format) {
+            $topics[] = $exporter->getExportUrl($feed, $format);
+        }
+    }
+    
+    return $topics;
+}
+
+/**
+ * A hub verifying our (un)subscription of an external feed
+ */
+function handleVerification($feedId, $subscriber) {
+    $leaseSeconds = $_GET['hub_lease_seconds'] ?? null;
+    
+    $challenge = $subscriber->verifyIntent(
+        $feedId,
+        $_GET['hub_mode'] ?? '',
+        $_GET['hub_topic'] ?? '',
+        $_GET['hub_challenge'] ?? '',
+        $leaseSeconds !== null ? (int) $leaseSeconds : null
+    );
+    
+    if ($challenge === null) {
+        sendError(404, 'No matching subscription');
+    }
+    
+    http_response_code(200);
+    header('Content-Type: text/plain');
+    echo $challenge;
+    exit();
+}
+
+/**
+ * New content pushed by a hub - drop the cached copy so the next read fetches it
+ */
+function handleContentDistribution($feedId, $subscriber, $feedCache) {
+    $subscription = $subscriber->getSubscription($feedId);
+    
+    // Tells the hub to stop pushing a feed we no longer follow
+    if ($subscription === null) {
+        sendError(410, 'Not subscribed');
+    }
+    
+    $body = file_get_contents('php://input');
+    
+    // Forged or stale pushes are acknowledged but ignored, as the spec asks
+    if ($subscriber->isAuthentic($feedId, $body, $_SERVER['HTTP_X_HUB_SIGNATURE'] ?? null)) {
+        $feedCache->invalidate($feedId);
+    } else {
+        error_log("WebSub push for {$feedId} failed signature verification");
+    }
+    
+    http_response_code(202);
+    exit();
+}
+
+/**
+ * Send error response
+ */
+function sendError($statusCode, $message, $details = null) {
+    http_response_code($statusCode);
+    header('Content-Type: application/json');
+    $response = [
+        'success' => false,
+        'error' => [
+            'message' => $message,
+            'code' => $statusCode
+        ],
+        'timestamp' => date('c')
+    ];
+    
+    if ($details) {
+        $response['error']['details'] = $details;
+    }
+    
+    echo json_encode($response);
+    exit();
+}
@@ -4,9 +4,19 @@
  */
 
 class ActivityRenderer {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {RendererRegistry} [options.registry] - Plugin renderers, consulted before the core ones
+   */
+  constructor(options = {}) {
     this.templates = new Map();
     this.renderers = new Map();
+    this.registry = options.registry || null;
+    this.linkPreviews = new Map();
+    this.sanitizer = new HTMLSanitizer({
+      defaultTrustLevel: AnsyblConfig.feeds.defaultTrustLevel,
+    });
+    this.markdown = new MarkdownRenderer();
 
     // Initialize templates and renderers
     this.initializeTemplates();
@@ -27,14 +37,12 @@ class ActivityRenderer {
      * Initialize type-specific renderers
      */
   initializeRenderers() {
-    // Register renderers for different Activity Streams object types
-    this.renderers.set('Article', this.renderArticle.bind(this));
-    this.renderers.set('Note', this.renderNote.bind(this));
-    this.renderers.set('Image', this.renderImage.bind(this));
-    this.renderers.set('Video', this.renderVideo.bind(this));
-    this.renderers.set('Audio', this.renderAudio.bind(this));
-    this.renderers.set('Document', this.renderDocument.bind(this));
-    this.renderers.set('Link', this.renderLink.bind(this));
+    // Object types render as AnsyblConfig.activityStreams.renderers maps them
+    Object.entries(AnsyblConfig.activityStreams.renderers).forEach(([type, method]) => {
+      if (typeof this[method] === 'function') {
+        this.renderers.set(type, this[method].bind(this));
+      }
+    });
     this.renderers.set('Collection', this.renderCollection.bind(this));
 
     // Activity type renderers
@@ -45,12 +53,17 @@ class ActivityRenderer {
   }
 
   /**
-     * Main render method - renders an activity item to HTML element
+     * Main render method - renders an activity item to HTML element.
+     * options.detail renders the permalink view (untruncated summary);
+     * options.plugins = false skips the registry's renderers.
      */
-  render(activityItem, container = null) {
+  render(activityItem, container = null, options = {}) {
     try {
+      const contentType = activityItem.objectType || activityItem.type;
+      const plugin = this.registry && options.plugins !== false ? this.registry.resolve(activityItem) : null;
+
       // Clone the activity item template
-      const template = this.templates.get('activity-item');
+      const template = this.getItemTemplate(contentType, plugin);
       if (!template) {
         throw new Error('Activity item template not found');
       }
@@ -62,6 +75,9 @@ class ActivityRenderer {
       article.setAttribute('data-activity-type', activityItem.type);
       article.setAttribute('data-published', activityItem.published);
       article.setAttribute('data-feed-id', activityItem.feedId);
+      article.setAttribute('data-item-id', activityItem.id);
+      article.classList.toggle('pinned', activityItem.pinned === true);
+      article.classList.toggle('featured', activityItem.featured === true);
 
       // Render actor information
       this.renderActor(activityItem.actor, article);
@@ -70,12 +86,21 @@ class ActivityRenderer {
       this.renderTimestamp(activityItem.published, activityItem.updated, article);
 
       // Render main content based on type
-      const contentType = activityItem.objectType || activityItem.type;
-      const renderer = this.renderers.get(contentType) || this.renderDefault.bind(this);
-      renderer(activityItem, article);
+      if (plugin && plugin.render) {
+        try {
+          plugin.render(activityItem, article, this);
+        } catch (error) {
+          // Start over without plugins rather than show a half-rendered item
+          AnsyblConfig.utils.log('error', `Renderer for ${plugin.target} failed`, error);
+          return this.render(activityItem, container, { ...options, plugins: false });
+        }
+      } else {
+        const renderer = this.renderers.get(contentType) || this.renderDefault.bind(this);
+        renderer(activityItem, article);
+      }
 
       // Render attachments
-      this.renderAttachments(activityItem.attachment || [], article);
+      this.renderAttachments(activityItem.attachment || [], article, activityItem);
 
       // Render tags
       this.renderTags(activityItem.tag || [], article);
@@ -83,6 +108,10 @@ class ActivityRenderer {
       // Render footer metadata
       this.renderFooter(activityItem, article);
 
+      if (options.detail) {
+        this.applyDetailView(activityItem, article);
+      }
+
       // Add to container if provided
       if (container) {
         container.appendChild(element);
@@ -96,6 +125,24 @@ class ActivityRenderer {
     }
   }
 
+  /**
+     * The template an item is cloned from - its plugin's, a page-provided
+     * #activity-item-template-{type}, or #activity-item-template
+     */
+  getItemTemplate(contentType, plugin = null) {
+    if (plugin && plugin.template) {
+      const override = typeof plugin.template === 'string' ? document.getElementById(plugin.template) : plugin.template;
+      if (override) return override;
+    }
+
+    const key = `activity-item:${contentType}`;
+    if (!this.templates.has(key)) {
+      this.templates.set(key, document.getElementById(`activity-item-template-${this.slugify(contentType || '')}`));
+    }
+
+    return this.templates.get(key) || this.templates.get('activity-item');
+  }
+
   /**
      * Render actor information
      */
@@ -128,9 +175,17 @@ class ActivityRenderer {
       name.appendChild(link);
     }
 
-    // Set summary/bio
+    // Fediverse accounts show their @user@host handle
+    if (actor.handle) {
+      const handle = document.createElement('span');
+      handle.className = 'actor-handle';
+      handle.textContent = actor.handle;
+      name.appendChild(handle);
+    }
+
+    // Set summary/bio (ActivityPub bios are HTML)
     if (actor.summary) {
-      summary.textContent = AnsyblConfig.utils.truncateText(actor.summary, 100);
+      summary.textContent = AnsyblConfig.utils.truncateText(this.sanitizer.toPlainText(actor.summary), 100);
     } else {
       summary.style.display = 'none';
     }
@@ -154,16 +209,19 @@ class ActivityRenderer {
   /**
      * Render attachments
      */
-  renderAttachments(attachments, element) {
+  renderAttachments(attachments, element, activityItem = null) {
     const container = element.querySelector('.activity-attachments');
 
-    if (!attachments || attachments.length === 0) {
+    // Chapter files are metadata for the audio, not something to show
+    const visible = (attachments || []).filter((attachment) => attachment && !this.isChaptersAttachment(attachment));
+
+    if (visible.length === 0) {
       container.style.display = 'none';
       return;
     }
 
-    attachments.forEach((attachment) => {
-      const mediaElement = this.renderAttachment(attachment);
+    visible.forEach((attachment, index) => {
+      const mediaElement = this.renderAttachment(attachment, activityItem, index);
       if (mediaElement) {
         container.appendChild(mediaElement);
       }
@@ -173,7 +231,7 @@ class ActivityRenderer {
   /**
      * Render single attachment
      */
-  renderAttachment(attachment) {
+  renderAttachment(attachment, activityItem = null, index = 0) {
     const template = this.templates.get('media');
     if (!template) return null;
 
@@ -198,6 +256,9 @@ class ActivityRenderer {
       image.addEventListener('click', () => {
         this.showFullSizeImage(attachment.url, attachment.name);
       });
+    } else if (mediaType.startsWith('audio/') && activityItem && window.audioPlayer) {
+      const track = this.createAudioTrack(activityItem, attachment, `${activityItem.id}#attachment-${index}`);
+      container.insertBefore(window.audioPlayer.createCardControls(track), caption);
     } else if (mediaType.startsWith('audio/')) {
       const source = audio.querySelector('source');
       source.src = attachment.url;
@@ -318,6 +379,14 @@ class ActivityRenderer {
       externalLink.style.display = 'none';
     }
 
+    // Link to the item's own page
+    const permalink = actions.querySelector('.permalink');
+    if (permalink && activityItem.feedId && activityItem.id) {
+      permalink.href = ActivityRenderer.getPermalinkHash(activityItem.feedId, activityItem.id);
+    } else if (permalink) {
+      permalink.style.display = 'none';
+    }
+
     // Set up share button
     const shareButton = actions.querySelector('.share-button');
     shareButton.addEventListener('click', () => {
@@ -338,7 +407,7 @@ class ActivityRenderer {
 
     if (activityItem.objectSummary || activityItem.summary) {
       summary.textContent = AnsyblConfig.utils.truncateText(
-        activityItem.objectSummary || activityItem.summary,
+        this.sanitizer.toPlainText(activityItem.objectSummary || activityItem.summary),
       );
     } else {
       summary.style.display = 'none';
@@ -347,8 +416,7 @@ class ActivityRenderer {
     // Render article content
     const articleContent = activityItem.objectContent || activityItem.content;
     if (articleContent) {
-      // Simple HTML content rendering (could be enhanced with markdown support)
-      content.innerHTML = this.sanitizeHTML(articleContent);
+      content.innerHTML = this.formatContent(articleContent, activityItem);
     }
   }
 
@@ -360,17 +428,24 @@ class ActivityRenderer {
     // Notes typically don't have titles, so use summary or truncated content
     const noteContent = activityItem.objectContent || activityItem.content
                             || activityItem.objectSummary || activityItem.summary;
+    const noteText = this.sanitizer.toPlainText(noteContent);
 
-    if (noteContent && noteContent.length > 100) {
-      title.textContent = AnsyblConfig.utils.truncateText(noteContent, 50);
-      summary.textContent = AnsyblConfig.utils.truncateText(noteContent);
+    if (noteText.length > 100) {
+      title.textContent = AnsyblConfig.utils.truncateText(noteText, 50);
+      summary.textContent = AnsyblConfig.utils.truncateText(noteText);
     } else {
-      title.textContent = noteContent || 'Note';
+      title.textContent = noteText || 'Note';
       summary.style.display = 'none';
     }
 
     if (noteContent) {
-      content.innerHTML = this.sanitizeHTML(noteContent);
+      content.innerHTML = this.formatContent(noteContent, activityItem);
+      this.linkifyUrls(content);
+
+      const link = this.getFirstExternalLink(content);
+      if (link) {
+        this.attachLinkPreview(content, link.href);
+      }
     }
   }
 
@@ -445,16 +520,70 @@ class ActivityRenderer {
       summary.style.display = 'none';
     }
 
-    // Create audio element
+    // Play through the docked player so playback survives re-renders
     if (activityItem.objectUrl || activityItem.url) {
-      const audio = document.createElement('audio');
-      audio.src = activityItem.objectUrl || activityItem.url;
-      audio.controls = true;
-      audio.className = 'object-audio';
-      audio.style.width = '100%';
+      const media = activityItem.object && activityItem.object.type === 'Audio' ? activityItem.object : activityItem;
+      content.appendChild(this.renderAudioControls(activityItem, media, activityItem.id));
+    }
+  }
 
-      content.appendChild(audio);
+  /**
+     * Play/queue buttons for the docked player, or a plain <audio>
+     * element where there is no player (e.g. admin previews)
+     */
+  renderAudioControls(activityItem, media, trackId) {
+    if (window.audioPlayer) {
+      return window.audioPlayer.createCardControls(this.createAudioTrack(activityItem, media, trackId));
     }
+
+    const audio = document.createElement('audio');
+    audio.src = this.getMediaUrl(media.url);
+    audio.controls = true;
+    audio.className = 'object-audio';
+    audio.style.width = '100%';
+
+    return audio;
+  }
+
+  /**
+     * Describe an Audio item, Collection episode or audio attachment as a player track
+     */
+  createAudioTrack(activityItem, media, trackId) {
+    return window.AudioPlayer.createTrack({
+      id: trackId,
+      src: this.getMediaUrl(media.url),
+      title: media.name || activityItem.objectName || activityItem.name,
+      feedId: activityItem.feedId,
+      itemId: activityItem.id,
+      mediaType: media.mediaType,
+      duration: media.duration,
+      chapters: media.chapters || this.getChaptersAttachment(media.attachment || activityItem.attachment),
+    });
+  }
+
+  /**
+     * Chapters published as a JSON file attachment
+     * (Podcasting 2.0 "application/json+chapters")
+     */
+  getChaptersAttachment(attachments) {
+    const list = Array.isArray(attachments) ? attachments : [attachments];
+    const chapters = list.find((attachment) => attachment && this.isChaptersAttachment(attachment));
+
+    if (!chapters) return null;
+    return chapters.chapters || { url: this.getMediaUrl(chapters.url) };
+  }
+
+  isChaptersAttachment(attachment) {
+    return /^application\/(json\+chapters|chapters\+json)$/i.test(attachment.mediaType || '');
+  }
+
+  /**
+     * Media URLs may be a string, a Link object or a list of either
+     */
+  getMediaUrl(url) {
+    const link = Array.isArray(url) ? url[0] : url;
+    if (!link) return null;
+    return typeof link === 'string' ? link : (link.href || null);
   }
 
   renderDocument(activityItem, element) {
@@ -470,10 +599,23 @@ class ActivityRenderer {
       summary.style.display = 'none';
     }
 
+    const documentUrl = activityItem.objectUrl || activityItem.url;
+    const meta = [
+      this.describeMediaType(this.getTypedObject(activityItem).mediaType),
+      typeof documentUrl === 'string' ? this.getFileName(documentUrl) : null,
+    ].filter(Boolean);
+
+    if (meta.length > 0) {
+      const metaElement = document.createElement('p');
+      metaElement.className = 'document-meta';
+      metaElement.textContent = meta.join(' · ');
+      content.appendChild(metaElement);
+    }
+
     // Create download link
-    if (activityItem.objectUrl || activityItem.url) {
+    if (this.isWebUrl(documentUrl)) {
       const link = document.createElement('a');
-      link.href = activityItem.objectUrl || activityItem.url;
+      link.href = documentUrl;
       link.target = '_blank';
       link.rel = 'noopener';
       link.textContent = 'Download Document';
@@ -502,8 +644,12 @@ class ActivityRenderer {
       summary.style.display = 'none';
     }
 
+    // AS2 Links point with href - objects that stand for a link use url
+    const target = this.getTypedObject(activityItem);
+    const href = target.href || activityItem.objectUrl || activityItem.url;
+
     // Create link preview
-    if (activityItem.objectUrl || activityItem.url) {
+    if (this.isWebUrl(href)) {
       const linkContainer = document.createElement('div');
       linkContainer.className = 'link-preview';
       linkContainer.style.border = '1px solid #e9ecef';
@@ -512,17 +658,200 @@ class ActivityRenderer {
       linkContainer.style.background = '#f8f9fa';
 
       const link = document.createElement('a');
-      link.href = activityItem.objectUrl || activityItem.url;
+      link.href = href;
       link.target = '_blank';
       link.rel = 'noopener';
-      link.textContent = activityItem.objectUrl || activityItem.url;
+      link.textContent = href;
       link.style.wordBreak = 'break-all';
+      if (target.hreflang) {
+        link.hreflang = target.hreflang;
+      }
 
       linkContainer.appendChild(link);
+
+      const meta = [
+        this.getHost(href),
+        target.hreflang ? `Language: ${target.hreflang}` : null,
+        this.describeMediaType(target.mediaType),
+      ].filter(Boolean);
+
+      if (meta.length > 0) {
+        const metaElement = document.createElement('p');
+        metaElement.className = 'link-meta';
+        metaElement.textContent = meta.join(' · ');
+        linkContainer.appendChild(metaElement);
+      }
+
       content.appendChild(linkContainer);
+      this.attachLinkPreview(linkContainer, href);
+    }
+  }
+
+  renderPage(activityItem, element) {
+    this.renderArticle(activityItem, element);
+
+    if (!activityItem.objectName && !activityItem.name) {
+      element.querySelector('.activity-title').textContent = 'Untitled Page';
+    }
+
+    const pageUrl = activityItem.objectUrl || activityItem.url;
+    if (this.isWebUrl(pageUrl)) {
+      const link = document.createElement('a');
+      link.href = pageUrl;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.className = 'page-link';
+      link.textContent = `Visit page on ${this.getHost(pageUrl) || 'the web'}`;
+      element.querySelector('.activity-object').appendChild(link);
     }
   }
 
+  renderEvent(activityItem, element) {
+    const title = element.querySelector('.activity-title');
+    const summary = element.querySelector('.activity-summary');
+    const content = element.querySelector('.activity-object');
+    const event = this.getTypedObject(activityItem);
+
+    title.textContent = activityItem.objectName || activityItem.name || 'Event';
+    this.renderPlainSummary(activityItem, summary);
+
+    const details = document.createElement('dl');
+    details.className = 'event-details';
+
+    if (event.startTime) {
+      const when = document.createElement('time');
+      when.dateTime = event.startTime;
+      when.textContent = this.formatTimeRange(event.startTime, event.endTime);
+      this.appendDetail(details, 'When', when);
+    }
+
+    const location = event.location;
+    if (location && location.name) {
+      this.appendDetail(details, 'Where', location.name);
+    }
+
+    if (details.children.length > 0) {
+      content.appendChild(details);
+    }
+
+    if (location) {
+      const map = this.renderMapPlaceholder(location.latitude, location.longitude, location.name || title.textContent);
+      if (map) content.appendChild(map);
+    }
+
+    this.appendFormattedContent(activityItem, content, 'event-description');
+
+    if (event.startTime && !Number.isNaN(new Date(event.startTime).getTime())) {
+      const download = document.createElement('a');
+      download.className = 'event-ics-link';
+      download.href = `data:text/calendar;charset=utf-8,${encodeURIComponent(this.toICalendar(activityItem))}`;
+      download.download = `${this.slugify(title.textContent) || 'event'}.ics`;
+      download.textContent = '📅 Add to calendar';
+      content.appendChild(download);
+    }
+  }
+
+  renderPlace(activityItem, element) {
+    const title = element.querySelector('.activity-title');
+    const summary = element.querySelector('.activity-summary');
+    const content = element.querySelector('.activity-object');
+    const place = this.getTypedObject(activityItem);
+
+    title.textContent = activityItem.objectName || activityItem.name || 'Place';
+    this.renderPlainSummary(activityItem, summary);
+
+    const map = this.renderMapPlaceholder(place.latitude, place.longitude, title.textContent);
+    if (map) content.appendChild(map);
+
+    this.appendFormattedContent(activityItem, content, 'place-description');
+  }
+
+  /**
+   * Polls show their choices with the share of votes each has so far
+   */
+  renderQuestion(activityItem, element) {
+    const question = this.getTypedObject(activityItem);
+    const choices = question.oneOf || question.anyOf;
+
+    if (!choices) {
+      this.renderDefault(activityItem, element);
+      return;
+    }
+
+    const title = element.querySelector('.activity-title');
+    const summary = element.querySelector('.activity-summary');
+    const content = element.querySelector('.activity-object');
+
+    title.textContent = activityItem.objectName || activityItem.name || 'Poll';
+    this.renderPlainSummary(activityItem, summary);
+    this.appendFormattedContent(activityItem, content, 'question-text');
+    content.appendChild(this.renderPoll(question, choices));
+  }
+
+  renderPoll(question, choices) {
+    const multiple = !question.oneOf;
+    const totalVotes = choices.reduce((sum, choice) => sum + (choice.votes || 0), 0);
+    // When several answers are allowed, shares are of the people who voted rather than of the votes
+    const base = multiple && question.votersCount ? question.votersCount : totalVotes;
+
+    const poll = document.createElement('div');
+    poll.className = 'poll';
+
+    const list = document.createElement('ul');
+    list.className = 'poll-choices';
+
+    choices.forEach((choice) => {
+      const votes = choice.votes || 0;
+      const share = base > 0 ? Math.round((votes / base) * 100) : 0;
+
+      const item = document.createElement('li');
+      item.className = 'poll-choice';
+      item.title = `${votes} ${votes === 1 ? 'vote' : 'votes'}`;
+
+      const name = document.createElement('span');
+      name.className = 'poll-choice-name';
+      name.textContent = choice.name;
+
+      const shareElement = document.createElement('span');
+      shareElement.className = 'poll-choice-share';
+      shareElement.textContent = `${share}%`;
+
+      const bar = document.createElement('span');
+      bar.className = 'poll-bar';
+      bar.style.width = `${share}%`;
+      bar.setAttribute('aria-hidden', 'true');
+
+      item.append(bar, name, shareElement);
+      list.appendChild(item);
+    });
+
+    const meta = document.createElement('p');
+    meta.className = 'poll-meta';
+    meta.textContent = [
+      multiple ? 'Choose any' : 'Choose one',
+      `${base} ${multiple ? (base === 1 ? 'person' : 'people') : (base === 1 ? 'vote' : 'votes')}`,
+      this.describePollClosing(question),
+    ].filter(Boolean).join(' · ');
+
+    poll.append(list, meta);
+    return poll;
+  }
+
+  /**
+   * "closed" is a date or true once a poll is over; endTime is when it will be
+   */
+  describePollClosing(question) {
+    const closes = question.closed || question.endTime;
+    if (!closes) return null;
+
+    const date = new Date(closes);
+    if (closes === true || (!Number.isNaN(date.getTime()) && date <= new Date())) {
+      return 'Closed';
+    }
+
+    return Number.isNaN(date.getTime()) ? null : `Closes ${AnsyblConfig.utils.formatDate(closes)}`;
+  }
+
   renderCollection(activityItem, element) {
     const title = element.querySelector('.activity-title');
     const summary = element.querySelector('.activity-summary');
@@ -559,33 +888,32 @@ class ActivityRenderer {
           // Render article content with markdown-style formatting
           const articleContent = document.createElement('div');
           articleContent.className = 'article-content';
-          articleContent.innerHTML = this.formatMarkdownContent(item.content);
+          articleContent.innerHTML = this.formatContent(
+            item.content,
+            activityItem,
+            this.getDeclaredMediaType(item),
+            `${activityItem.id}-${index}`,
+          );
           itemDiv.appendChild(articleContent);
         } else if (item.type === 'Audio' && item.url) {
-          // Render audio player
+          // Episode - played through the docked player
           const audioContainer = document.createElement('div');
           audioContainer.className = 'audio-container';
           
           const audioTitle = document.createElement('h4');
-          audioTitle.textContent = 'Audio';
+          audioTitle.textContent = item.name || 'Audio';
           audioTitle.style.marginBottom = 'var(--spacing-sm)';
           audioTitle.style.fontSize = '1.1em';
           audioContainer.appendChild(audioTitle);
 
-          const audio = document.createElement('audio');
-          audio.controls = true;
-          audio.style.width = '100%';
-          
-          // Handle URL object or direct URL string
-          const audioUrl = item.url.href || item.url;
-          audio.src = audioUrl;
+          const controls = this.renderAudioControls(activityItem, item, `${activityItem.id}#${index}`);
           
           // Add duration if available
           if (item.duration) {
-            audio.title = `Duration: ${this.formatDuration(item.duration)}`;
+            controls.title = `Duration: ${this.formatDuration(item.duration)}`;
           }
 
-          audioContainer.appendChild(audio);
+          audioContainer.appendChild(controls);
           itemDiv.appendChild(audioContainer);
         }
 
@@ -601,7 +929,7 @@ class ActivityRenderer {
       const contentDiv = document.createElement('div');
       contentDiv.className = 'collection-content';
       contentDiv.style.marginBottom = 'var(--spacing-md)';
-      contentDiv.innerHTML = this.formatMarkdownContent(collectionContent);
+      contentDiv.innerHTML = this.formatContent(collectionContent, activityItem);
       content.insertBefore(contentDiv, content.firstChild);
     }
   }
@@ -657,6 +985,359 @@ class ActivityRenderer {
     }
   }
 
+  /**
+     * Helpers for the type-specific renderers
+     */
+
+  /**
+   * The object carrying an item's type-specific properties - the object of
+   * an activity, or the item itself
+   */
+  getTypedObject(activityItem) {
+    return activityItem.object && activityItem.object.type ? activityItem.object : activityItem;
+  }
+
+  renderPlainSummary(activityItem, summary) {
+    if (activityItem.objectSummary || activityItem.summary) {
+      summary.textContent = AnsyblConfig.utils.truncateText(
+        this.sanitizer.toPlainText(activityItem.objectSummary || activityItem.summary),
+      );
+    } else {
+      summary.style.display = 'none';
+    }
+  }
+
+  appendFormattedContent(activityItem, container, className) {
+    const itemContent = activityItem.objectContent || activityItem.content;
+    if (!itemContent) return;
+
+    const div = document.createElement('div');
+    div.className = className;
+    div.innerHTML = this.formatContent(itemContent, activityItem);
+    container.appendChild(div);
+  }
+
+  appendDetail(list, label, value) {
+    const term = document.createElement('dt');
+    term.textContent = label;
+
+    const description = document.createElement('dd');
+    description.append(value);
+
+    list.append(term, description);
+  }
+
+  /**
+   * "Sep 1, 2025, 6:00 PM – 9:00 PM", with the end date only when it's another day
+   */
+  formatTimeRange(startTime, endTime = null) {
+    const start = new Date(startTime);
+    if (Number.isNaN(start.getTime())) return startTime;
+
+    const options = { dateStyle: 'medium', timeStyle: 'short' };
+    const startText = start.toLocaleString(undefined, options);
+
+    const end = endTime ? new Date(endTime) : null;
+    if (!end || Number.isNaN(end.getTime())) return startText;
+
+    const endText = end.toDateString() === start.toDateString()
+      ? end.toLocaleTimeString(undefined, { timeStyle: 'short' })
+      : end.toLocaleString(undefined, options);
+
+    return `${startText} – ${endText}`;
+  }
+
+  /**
+   * Turn bare URLs in text into links, leaving existing links and code alone
+   */
+  linkifyUrls(container) {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => (node.parentElement.closest('a, code, pre') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+    });
+
+    const nodes = [];
+    while (walker.nextNode()) {
+      if (/https?:\/\//i.test(walker.currentNode.textContent)) {
+        nodes.push(walker.currentNode);
+      }
+    }
+
+    nodes.forEach((node) => {
+      const fragment = document.createDocumentFragment();
+      const text = node.textContent;
+      let last = 0;
+
+      text.replace(/https?:\/\/[^\s<>"']+/gi, (match, offset) => {
+        // Sentence punctuation after a URL isn't part of it
+        const url = match.replace(/[.,;:!?)\]]+$/, '');
+
+        fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = url;
+        fragment.appendChild(link);
+
+        last = offset + url.length;
+        return match;
+      });
+
+      fragment.appendChild(document.createTextNode(text.slice(last)));
+      node.replaceWith(fragment);
+    });
+  }
+
+  /**
+   * The first link out of the site in some content - not a mention or hashtag
+   */
+  getFirstExternalLink(container) {
+    return Array.from(container.querySelectorAll('a[href]')).find((link) => /^https?:\/\//i.test(link.getAttribute('href'))
+      && !link.matches('.mention, .hashtag, [rel~="tag"]')
+      && link.host !== window.location.host) || null;
+  }
+
+  /**
+   * Preview card for a URL, filled in once /api/unfurl.php answers and
+   * removed if the page has nothing to show
+   */
+  attachLinkPreview(container, url) {
+    if (!AnsyblConfig.features || !AnsyblConfig.features.linkPreviews || !/^https?:\/\//i.test(url)) return null;
+
+    const card = document.createElement('a');
+    card.className = 'link-card';
+    card.href = url;
+    card.target = '_blank';
+    card.rel = 'noopener';
+    card.hidden = true;
+    container.appendChild(card);
+
+    this.fetchLinkPreview(url).then((preview) => {
+      if (preview && (preview.title || preview.description || preview.image)) {
+        this.fillLinkCard(card, preview);
+      } else {
+        card.remove();
+      }
+    });
+
+    return card;
+  }
+
+  /**
+   * A URL's preview, fetched once however many items link to it
+   */
+  fetchLinkPreview(url) {
+    if (!this.linkPreviews.has(url)) {
+      this.linkPreviews.set(url, Promise.resolve()
+        .then(() => fetch(`${AnsyblConfig.api.unfurl}?url=${encodeURIComponent(url)}`))
+        .then((response) => (response.ok ? response.json() : null))
+        .then((result) => (result && result.success ? result.data : null))
+        .catch((error) => {
+          AnsyblConfig.utils.log('warn', `No link preview for ${url}`, error);
+          return null;
+        }));
+    }
+
+    return this.linkPreviews.get(url);
+  }
+
+  fillLinkCard(card, preview) {
+    if (preview.image && /^https?:\/\//i.test(preview.image)) {
+      const image = document.createElement('img');
+      image.className = 'link-card-image';
+      image.src = preview.image;
+      image.alt = '';
+      image.loading = 'lazy';
+      image.referrerPolicy = 'no-referrer';
+      card.appendChild(image);
+    }
+
+    const body = document.createElement('span');
+    body.className = 'link-card-body';
+
+    const site = document.createElement('span');
+    site.className = 'link-card-site';
+    site.textContent = preview.siteName || this.getHost(preview.url || card.href);
+    body.appendChild(site);
+
+    if (preview.title) {
+      const title = document.createElement('strong');
+      title.className = 'link-card-title';
+      title.textContent = preview.title;
+      body.appendChild(title);
+    }
+
+    if (preview.description) {
+      const description = document.createElement('span');
+      description.className = 'link-card-description';
+      description.textContent = AnsyblConfig.utils.truncateText(preview.description, 200);
+      body.appendChild(description);
+    }
+
+    card.appendChild(body);
+    card.hidden = false;
+  }
+
+  /**
+   * Stand-in for a map: the coordinates, linking to OpenStreetMap, so no
+   * tiles are loaded from a third party just by reading the feed
+   */
+  renderMapPlaceholder(latitude, longitude, label) {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+
+    const map = document.createElement('a');
+    map.className = 'place-map';
+    map.href = `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=15/${latitude}/${longitude}`;
+    map.target = '_blank';
+    map.rel = 'noopener';
+    map.setAttribute('aria-label', `Map of ${label}`);
+
+    const pin = document.createElement('span');
+    pin.className = 'place-map-pin';
+    pin.textContent = '📍';
+    pin.setAttribute('aria-hidden', 'true');
+
+    const coordinates = document.createElement('span');
+    coordinates.className = 'place-map-coordinates';
+    coordinates.textContent = this.formatCoordinates(latitude, longitude);
+
+    const action = document.createElement('span');
+    action.className = 'place-map-action';
+    action.textContent = 'View on map';
+
+    map.append(pin, coordinates, action);
+    return map;
+  }
+
+  formatCoordinates(latitude, longitude) {
+    const lat = `${Math.abs(latitude).toFixed(4)}° ${latitude >= 0 ? 'N' : 'S'}`;
+    const long = `${Math.abs(longitude).toFixed(4)}° ${longitude >= 0 ? 'E' : 'W'}`;
+    return `${lat}, ${long}`;
+  }
+
+  /**
+   * iCalendar (RFC 5545) file of an Event, for the "Add to calendar" link
+   */
+  toICalendar(activityItem) {
+    const event = this.getTypedObject(activityItem);
+    const location = event.location || {};
+    const name = activityItem.objectName || activityItem.name || 'Event';
+    const description = this.sanitizer.toPlainText(
+      activityItem.objectSummary || activityItem.summary || activityItem.objectContent || activityItem.content || '',
+    );
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Ansybl Site//Events//EN',
+      'BEGIN:VEVENT',
+      `UID:${activityItem.id}`,
+      `DTSTAMP:${this.formatICalDate(activityItem.updated || activityItem.published || new Date())}`,
+      `DTSTART:${this.formatICalDate(event.startTime)}`,
+    ];
+
+    if (event.endTime && !Number.isNaN(new Date(event.endTime).getTime())) {
+      lines.push(`DTEND:${this.formatICalDate(event.endTime)}`);
+    }
+
+    lines.push(`SUMMARY:${this.escapeICalText(name)}`);
+
+    if (description) {
+      lines.push(`DESCRIPTION:${this.escapeICalText(description)}`);
+    }
+    if (location.name) {
+      lines.push(`LOCATION:${this.escapeICalText(location.name)}`);
+    }
+    if (typeof location.latitude === 'number' && typeof location.longitude === 'number') {
+      lines.push(`GEO:${location.latitude};${location.longitude}`);
+    }
+
+    lines.push(`URL:${this.getPermalink(activityItem)}`, 'END:VEVENT', 'END:VCALENDAR');
+
+    return `${lines.map((line) => this.foldICalLine(line)).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * UTC date-time - 20250901T180000Z
+   */
+  formatICalDate(date) {
+    return new Date(date).toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+  }
+
+  escapeICalText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/([;,])/g, '\\$1')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Long lines continue on the next line after a space, 75 characters at a time
+   */
+  foldICalLine(line) {
+    const parts = [];
+    let rest = line;
+
+    while (rest.length > 75) {
+      parts.push(rest.slice(0, 75));
+      rest = ` ${rest.slice(75)}`;
+    }
+    parts.push(rest);
+
+    return parts.join('\r\n');
+  }
+
+  slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  }
+
+  /**
+   * http(s) or relative URLs - what a feed may link to
+   */
+  isWebUrl(url) {
+    return typeof url === 'string' && this.sanitizer.isSafeUrl(url, ['http', 'https']);
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url, window.location.href).host;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getFileName(url) {
+    try {
+      const name = new URL(url, window.location.href).pathname.split('/').pop();
+      return name ? decodeURIComponent(name) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Readable name of a file's media type - "PDF" rather than application/pdf
+   */
+  describeMediaType(mediaType) {
+    if (!mediaType) return null;
+
+    const names = {
+      'application/pdf': 'PDF',
+      'application/zip': 'ZIP archive',
+      'application/epub+zip': 'EPUB',
+      'application/msword': 'Word document',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel spreadsheet',
+      'application/vnd.oasis.opendocument.text': 'OpenDocument text',
+      'text/plain': 'Plain text',
+      'text/csv': 'CSV',
+      'text/html': 'Web page',
+    };
+
+    return names[mediaType] || mediaType;
+  }
+
   /**
      * Default renderer for unknown types
      */
@@ -670,7 +1351,7 @@ class ActivityRenderer {
 
     if (activityItem.summary || activityItem.objectSummary) {
       summary.textContent = AnsyblConfig.utils.truncateText(
-        activityItem.summary || activityItem.objectSummary,
+        this.sanitizer.toPlainText(activityItem.summary || activityItem.objectSummary),
       );
     } else {
       summary.style.display = 'none';
@@ -679,7 +1360,7 @@ class ActivityRenderer {
     // Show basic content if available
     const itemContent = activityItem.content || activityItem.objectContent;
     if (itemContent) {
-      content.innerHTML = this.sanitizeHTML(itemContent);
+      content.innerHTML = this.formatContent(itemContent, activityItem);
     }
   }
 
@@ -709,86 +1390,57 @@ class ActivityRenderer {
      */
 
   /**
-     * Basic HTML sanitization
+     * Allowlist HTML sanitization (see HTMLSanitizer)
      */
-  sanitizeHTML(html) {
-    // Basic sanitization - in production, use a proper HTML sanitizer like DOMPurify
-    const div = document.createElement('div');
-    div.textContent = html;
-    return div.innerHTML;
+  sanitizeHTML(html, trustLevel = null) {
+    return this.sanitizer.sanitize(html, trustLevel);
   }
 
   /**
-   * Format markdown-style content to HTML
-   */
-  formatMarkdownContent(content) {
+     * Trust level of the feed an item came from
+     */
+  getTrustLevel(activityItem) {
+    return (activityItem && activityItem.trustLevel) || AnsyblConfig.feeds.defaultTrustLevel;
+  }
+
+  /**
+     * Render item content according to its media type, then sanitize it
+     * for the feed's trust level
+     */
+  formatContent(content, activityItem, mediaType = null, idPrefix = null) {
     if (!content) return '';
-    
-    console.log('formatMarkdownContent called with:', JSON.stringify(content));
-    console.log('First line:', JSON.stringify(content.split('\n')[0]));
-    console.log('First line starts with #?', content.split('\n')[0].startsWith('#'));
-    
-    // Split content by lines for line-by-line processing
-    const lines = content.split('\n');
-    const processedLines = [];
-    
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i];
-      
-      // Process headers first
-      if (line.startsWith('# ')) {
-        processedLines.push('<h1>' + line.substring(2) + '</h1>');
-      } else if (line.startsWith('## ')) {
-        processedLines.push('<h2>' + line.substring(3) + '</h2>');
-      } else if (line.startsWith('### ')) {
-        processedLines.push('<h3>' + line.substring(4) + '</h3>');
-      } else if (line.trim() === '') {
-        // Empty line
-        processedLines.push('');
-      } else {
-        // Regular text line - process inline formatting
-        line = line
-          // Bold text
-          .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-          // Italic text (but not bold)
-          .replace(/(?<!\*)\*([^*]+?)\*(?!\*)/g, '<em>$1</em>');
-        
-        processedLines.push(line);
-      }
-    }
-    
-    // Now group lines into paragraphs, but keep headers separate
-    const result = [];
-    let currentParagraph = [];
-    
-    for (const line of processedLines) {
-      if (line.startsWith('<h') && line.includes('</h')) {
-        // Header - flush current paragraph and add header
-        if (currentParagraph.length > 0) {
-          result.push('<p>' + currentParagraph.join('<br>') + '</p>');
-          currentParagraph = [];
-        }
-        result.push(line);
-      } else if (line.trim() === '') {
-        // Empty line - end current paragraph
-        if (currentParagraph.length > 0) {
-          result.push('<p>' + currentParagraph.join('<br>') + '</p>');
-          currentParagraph = [];
-        }
-      } else {
-        // Regular line - add to current paragraph
-        currentParagraph.push(line);
-      }
-    }
-    
-    // Don't forget the last paragraph
-    if (currentParagraph.length > 0) {
-      result.push('<p>' + currentParagraph.join('<br>') + '</p>');
+
+    let html;
+    switch (mediaType || activityItem.contentMediaType) {
+      case 'text/markdown':
+        html = this.formatMarkdownContent(content, idPrefix || activityItem.id);
+        break;
+      case 'text/plain':
+        html = this.sanitizer.escape(content).replace(/\n/g, '<br>');
+        break;
+      default:
+        html = content;
     }
-    
-    const finalResult = result.join('');
-    console.log('formatMarkdownContent result:', finalResult);
-    return finalResult;
+
+    return this.sanitizeHTML(html, this.getTrustLevel(activityItem));
+  }
+
+  /**
+     * Text media type declared on a nested object, if any
+     */
+  getDeclaredMediaType(item) {
+    return item && typeof item.mediaType === 'string' && item.mediaType.startsWith('text/')
+      ? item.mediaType
+      : null;
+  }
+
+  /**
+   * Format Markdown content to HTML (see MarkdownRenderer) - the result
+   * still needs sanitizing
+   */
+  formatMarkdownContent(content, idPrefix = null) {
+    if (!content) return '';
+    return this.markdown.render(content, { idPrefix });
   }
 
   /**
@@ -866,8 +1518,8 @@ class ActivityRenderer {
   async shareActivity(activityItem) {
     const shareData = {
       title: activityItem.name || activityItem.objectName || 'Shared from Ansybl Site',
-      text: activityItem.summary || activityItem.objectSummary || '',
-      url: activityItem.url || activityItem.objectUrl || window.location.href,
+      text: this.sanitizer.toPlainText(activityItem.summary || activityItem.objectSummary || ''),
+      url: this.getPermalink(activityItem),
     };
 
     if (navigator.share && AnsyblConfig.utils.isFeatureEnabled('sharing')) {
@@ -882,6 +1534,58 @@ class ActivityRenderer {
     }
   }
 
+  /**
+     * Permalinks - #item/<feedId>/<itemId> on the reader page
+     */
+  static getPermalinkHash(feedId, itemId) {
+    return `#item/${encodeURIComponent(feedId)}/${encodeURIComponent(itemId)}`;
+  }
+
+  /**
+     * Parse a permalink hash back into { feedId, itemId }, or null
+     */
+  static parsePermalinkHash(hash) {
+    const match = /^#?item\/([^/]+)\/(.+)$/.exec(hash || '');
+    if (!match) return null;
+
+    try {
+      return { feedId: decodeURIComponent(match[1]), itemId: decodeURIComponent(match[2]) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+     * Absolute permalink for an item - falls back to the item's own URL
+     * when it can't be addressed (no feed or id)
+     */
+  getPermalink(activityItem) {
+    if (!activityItem.feedId || !activityItem.id) {
+      return activityItem.url || activityItem.objectUrl || window.location.href;
+    }
+
+    const { origin, pathname } = window.location;
+    return `${origin}${pathname}${ActivityRenderer.getPermalinkHash(activityItem.feedId, activityItem.id)}`;
+  }
+
+  /**
+     * Detail view: full summary and no link to itself
+     */
+  applyDetailView(activityItem, element) {
+    element.classList.add('activity-detail');
+
+    const summary = element.querySelector('.activity-summary');
+    const fullSummary = activityItem.objectSummary || activityItem.summary;
+    if (summary && fullSummary && summary.style.display !== 'none') {
+      summary.textContent = this.sanitizer.toPlainText(fullSummary);
+    }
+
+    const permalink = element.querySelector('.permalink');
+    if (permalink) {
+      permalink.style.display = 'none';
+    }
+  }
+
   /**
      * Copy to clipboard fallback
      */
@@ -10,7 +10,9 @@ window.AnsyblApp = {
     feedManager: null,
     activityRenderer: null,
     menuRenderer: null,
-    config: null
+    config: null,
+    // Plugin renderers - scripts loaded after this one register here
+    renderers: new RendererRegistry()
 };
 
 /**
@@ -34,14 +36,13 @@ async function initializeApp() {
         }
         
         // Create component instances
-        window.AnsyblApp.activityRenderer = new ActivityRenderer();
+        window.AnsyblApp.activityRenderer = new ActivityRenderer({ registry: window.AnsyblApp.renderers });
         window.AnsyblApp.feedManager = new FeedManager(AnsyblConfig.api.base);
-        window.AnsyblApp.ui = new UIManager();
+        window.AnsyblApp.ui = new UIManager({ activityRenderer: window.AnsyblApp.activityRenderer });
         window.AnsyblApp.menuRenderer = window.menuRenderer; // Use global instance
         
         // Set dependencies
         window.AnsyblApp.ui.feedManager = window.AnsyblApp.feedManager;
-        window.AnsyblApp.ui.activityRenderer = window.AnsyblApp.activityRenderer;
         
         // Set up event listeners between FeedManager and UIManager
         window.AnsyblApp.feedManager.on('loadStart', () => {
@@ -229,15 +230,8 @@ function setupMenuIntegration() {
                 feedFilter.dispatchEvent(new Event('change'));
             }
             
-            // Filter content by feed
+            // Filter content by feed (UIManager records it in the URL)
             window.AnsyblApp.ui.filterByFeed(feedId);
-            
-            // Update URL hash for deep linking
-            if (feedId !== 'all') {
-                window.location.hash = `feed-${feedId}`;
-            } else {
-                window.location.hash = '';
-            }
         }
     });
     
@@ -251,7 +245,6 @@ function setupMenuIntegration() {
             }
             
             window.AnsyblApp.ui.showAllFeeds();
-            window.location.hash = '';
         }
     });
     
@@ -277,7 +270,8 @@ function setupMenuIntegration() {
 }
 
 /**
- * Handle deep linking for feed filtering
+ * Handle legacy #feed-<id> deep links - other view state lives in the
+ * query string and is restored by UIManager
  */
 function handleDeepLinking() {
     const hash = window.location.hash.substring(1); // Remove #
@@ -318,7 +312,7 @@ function handleDeepLinking() {
                 }
             }, 100);
         }
-    } else if (hash === 'feeds' || hash === '') {
+    } else if (hash === 'feeds') {
         // Show all feeds
         if (window.AnsyblApp.initialized && window.AnsyblApp.ui) {
             window.AnsyblApp.ui.showAllFeeds();
@@ -0,0 +1,674 @@
+/**
+ * Audio Player - Site-wide docked player for Audio items and episodes
+ * Lives outside the activity stream so re-renders don't stop playback.
+ * Keeps a queue, playback speed and a resume position per item.
+ */
+
+class AudioPlayer {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      ...AnsyblConfig.audio,
+      ...options,
+    };
+
+    this.audio = new Audio();
+    this.audio.preload = 'metadata';
+
+    this.current = null; // Track being played
+    this.queue = []; // Tracks up next
+    this.positions = this.readStorage(this.options.keys.positions) || {};
+    this.lastSave = 0;
+
+    this.elements = {};
+
+    this.init();
+  }
+
+  init() {
+    if (this.container) {
+      this.buildDock();
+    }
+
+    this.bindAudioEvents();
+    this.restoreState();
+    this.setupMediaSession();
+  }
+
+  /**
+   * Turn a feed item (or a Collection episode / audio attachment) into a track
+   */
+  static createTrack({
+    id, src, title, feedId = null, itemId = null, mediaType = null, duration = null, chapters = [],
+  }) {
+    return {
+      id,
+      src,
+      title: title || 'Audio',
+      feedId,
+      itemId,
+      mediaType,
+      duration: AudioPlayer.parseDuration(duration),
+      chapters: AudioPlayer.normalizeChapters(chapters),
+      chaptersUrl: AudioPlayer.getChaptersUrl(chapters),
+    };
+  }
+
+  /**
+   * Chapters from item/attachment metadata - either an inline list
+   * ([{ startTime, title }], as in the Podcasting 2.0 JSON chapters format)
+   * or a JSON chapters file referenced by URL
+   */
+  static normalizeChapters(chapters) {
+    const list = Array.isArray(chapters) ? chapters : (chapters && chapters.chapters) || [];
+
+    return list
+      .filter((chapter) => chapter && typeof chapter === 'object' && !chapter.url && !chapter.href)
+      .map((chapter) => ({
+        start: AudioPlayer.parseTime(
+          chapter.startTime !== undefined ? chapter.startTime : chapter.start,
+        ),
+        title: chapter.title || chapter.name || '',
+      }))
+      .filter((chapter) => chapter.start !== null)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  static getChaptersUrl(chapters) {
+    if (typeof chapters === 'string') return chapters;
+    if (chapters && !Array.isArray(chapters) && (chapters.url || chapters.href)) {
+      return chapters.url || chapters.href;
+    }
+    return null;
+  }
+
+  /**
+   * Seconds from a number, "HH:MM:SS"/"MM:SS" or an ISO 8601 duration
+   */
+  static parseTime(value) {
+    if (typeof value === 'number') return value >= 0 ? value : null;
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    if (/^P/i.test(value)) return AudioPlayer.parseDuration(value);
+
+    const parts = value.trim().split(':').map(Number);
+    if (parts.some((part) => Number.isNaN(part))) return null;
+
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  static parseDuration(duration) {
+    if (typeof duration === 'number') return duration;
+    if (typeof duration !== 'string') return null;
+
+    const match = duration.match(/^PT?(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?$/i);
+    if (!match) return AudioPlayer.parseTime(duration.includes(':') ? duration : '');
+
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  static formatTime(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return '0:00';
+
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+      : `${minutes}:${secs}`;
+  }
+
+  /**
+   * Playback
+   */
+
+  /**
+   * Play a track now. The current track (if any) keeps its resume position.
+   */
+  play(track) {
+    if (!track || !track.src) return;
+
+    if (this.current && this.current.id === track.id) {
+      this.resume();
+      return;
+    }
+
+    this.savePosition(true);
+    this.queue = this.queue.filter((queued) => queued.id !== track.id);
+    this.loadTrack(track, true);
+  }
+
+  /**
+   * Add a track to the end of the queue (or play it if nothing is loaded)
+   */
+  enqueue(track) {
+    if (!track || !track.src) return;
+    if (this.current && this.current.id === track.id) return;
+    if (this.queue.some((queued) => queued.id === track.id)) return;
+
+    if (!this.current) {
+      this.loadTrack(track, false);
+    } else {
+      this.queue.push(track);
+    }
+
+    this.saveState();
+    this.render();
+  }
+
+  removeFromQueue(trackId) {
+    this.queue = this.queue.filter((track) => track.id !== trackId);
+    this.saveState();
+    this.render();
+  }
+
+  playNext() {
+    const next = this.queue.shift();
+
+    if (next) {
+      this.loadTrack(next, true);
+    } else {
+      this.saveState();
+      this.render();
+    }
+  }
+
+  resume() {
+    const playing = this.audio.play();
+    if (playing && playing.catch) {
+      // Autoplay restrictions - the user can press play
+      playing.catch((error) => AnsyblConfig.utils.log('debug', 'Audio playback was blocked', error));
+    }
+  }
+
+  pause() {
+    this.audio.pause();
+  }
+
+  togglePlay() {
+    if (!this.current) return;
+
+    if (this.audio.paused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  skip(seconds) {
+    if (!this.current) return;
+    this.seekTo(this.audio.currentTime + seconds);
+  }
+
+  seekTo(seconds) {
+    const duration = Number.isFinite(this.audio.duration) ? this.audio.duration : Infinity;
+    this.audio.currentTime = Math.min(Math.max(0, seconds), duration);
+    this.savePosition(true);
+  }
+
+  setSpeed(rate) {
+    const speed = Number(rate);
+    if (!this.options.speeds.includes(speed)) return;
+
+    this.audio.playbackRate = speed;
+    this.audio.defaultPlaybackRate = speed;
+    this.saveState();
+    this.render();
+  }
+
+  jumpToChapter(index) {
+    const chapter = this.current && this.current.chapters[index];
+    if (chapter) {
+      this.seekTo(chapter.start);
+    }
+  }
+
+  /**
+   * Chapter playing at the current position
+   */
+  getCurrentChapterIndex() {
+    if (!this.current || !this.current.chapters.length) return -1;
+
+    const time = this.audio.currentTime;
+    let index = -1;
+    this.current.chapters.forEach((chapter, i) => {
+      if (chapter.start <= time) index = i;
+    });
+
+    return index;
+  }
+
+  isPlaying(trackId) {
+    return !!this.current && this.current.id === trackId && !this.audio.paused;
+  }
+
+  /**
+   * Close the player - the resume position is kept
+   */
+  stop() {
+    this.savePosition(true);
+    this.audio.pause();
+    this.audio.removeAttribute('src');
+    this.current = null;
+    this.queue = [];
+    this.saveState();
+    this.render();
+  }
+
+  loadTrack(track, autoplay) {
+    this.current = track;
+    this.audio.src = track.src;
+    this.audio.playbackRate = this.getSpeed();
+
+    // Resume where the listener left off
+    const saved = this.getSavedPosition(track.id);
+    if (saved > 0) {
+      const seek = () => {
+        this.audio.currentTime = saved;
+      };
+      if (this.audio.readyState >= 1) {
+        seek();
+      } else {
+        this.audio.addEventListener('loadedmetadata', seek, { once: true });
+      }
+    }
+
+    if (track.chaptersUrl && !track.chapters.length) {
+      this.loadChapters(track);
+    }
+
+    if (autoplay) {
+      this.resume();
+    }
+
+    this.saveState();
+    this.updateMediaSession();
+    this.render();
+  }
+
+  /**
+   * Fetch a JSON chapters file referenced by the item
+   */
+  async loadChapters(track) {
+    try {
+      const response = await fetch(track.chaptersUrl);
+      if (!response.ok) return;
+
+      const chapters = AudioPlayer.normalizeChapters(await response.json());
+
+      // The track may also sit in the queue, so the player gets a copy
+      if (this.current && this.current.id === track.id) {
+        this.current = { ...this.current, chapters };
+        this.saveState();
+        this.render();
+      }
+    } catch (error) {
+      AnsyblConfig.utils.log('warn', `Failed to load chapters for ${track.title}`, error);
+    }
+  }
+
+  getSpeed() {
+    const state = this.readStorage(this.options.keys.state);
+    return (state && this.options.speeds.includes(state.speed)) ? state.speed : 1;
+  }
+
+  /**
+   * Persistence - resume positions per item, plus the player state so a
+   * reload comes back to the same episode and queue
+   */
+
+  getSavedPosition(trackId) {
+    const saved = this.positions[trackId];
+    return saved ? saved.position : 0;
+  }
+
+  savePosition(force = false) {
+    if (!this.current) return;
+
+    const now = Date.now();
+    if (!force && now - this.lastSave < this.options.saveInterval) return;
+    this.lastSave = now;
+
+    const position = this.audio.currentTime || 0;
+    const duration = Number.isFinite(this.audio.duration)
+      ? this.audio.duration
+      : this.current.duration;
+
+    // Finished (or barely started) episodes start from the beginning next time
+    if (position < 5 || (duration && duration - position < 10)) {
+      delete this.positions[this.current.id];
+    } else {
+      this.positions[this.current.id] = { position, updatedAt: now };
+    }
+
+    this.prunePositions();
+    this.writeStorage(this.options.keys.positions, this.positions);
+  }
+
+  prunePositions() {
+    const entries = Object.entries(this.positions);
+    if (entries.length <= this.options.maxSavedPositions) return;
+
+    entries
+      .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+      .slice(this.options.maxSavedPositions)
+      .forEach(([id]) => delete this.positions[id]);
+  }
+
+  saveState() {
+    this.writeStorage(this.options.keys.state, {
+      current: this.current,
+      queue: this.queue,
+      speed: this.audio.playbackRate || 1,
+    });
+  }
+
+  restoreState() {
+    const state = this.readStorage(this.options.keys.state);
+    if (!state) return;
+
+    this.queue = Array.isArray(state.queue) ? state.queue : [];
+    if (state.current && state.current.src) {
+      this.loadTrack(state.current, false);
+    }
+  }
+
+  readStorage(key) {
+    try {
+      const value = localStorage.getItem(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeStorage(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      AnsyblConfig.utils.log('warn', 'Could not save audio player state', error);
+    }
+  }
+
+  /**
+   * Audio element events
+   */
+  bindAudioEvents() {
+    this.audio.addEventListener('timeupdate', () => {
+      this.savePosition();
+      this.renderProgress();
+    });
+
+    this.audio.addEventListener('play', () => this.render());
+    this.audio.addEventListener('pause', () => {
+      this.savePosition(true);
+      this.render();
+    });
+    this.audio.addEventListener('loadedmetadata', () => this.renderProgress());
+
+    this.audio.addEventListener('ended', () => {
+      if (this.current) {
+        delete this.positions[this.current.id];
+        this.writeStorage(this.options.keys.positions, this.positions);
+      }
+      this.playNext();
+    });
+
+    this.audio.addEventListener('error', () => {
+      AnsyblConfig.utils.log('error', `Audio failed to load: ${this.current && this.current.src}`);
+    });
+
+    // Don't lose the last few seconds when the tab is closed
+    window.addEventListener('pagehide', () => this.savePosition(true));
+  }
+
+  /**
+   * Lock screen / hardware media keys
+   */
+  setupMediaSession() {
+    if (typeof navigator === 'undefined' || !navigator.mediaSession) return;
+
+    const handlers = {
+      play: () => this.resume(),
+      pause: () => this.pause(),
+      seekbackward: () => this.skip(-this.options.skipBack),
+      seekforward: () => this.skip(this.options.skipForward),
+      nexttrack: () => this.playNext(),
+    };
+
+    Object.entries(handlers).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch (error) {
+        // Action not supported by this browser
+      }
+    });
+  }
+
+  updateMediaSession() {
+    if (typeof navigator === 'undefined' || !navigator.mediaSession || typeof MediaMetadata === 'undefined') return;
+
+    navigator.mediaSession.metadata = this.current
+      ? new MediaMetadata({ title: this.current.title, artist: document.title })
+      : null;
+  }
+
+  /**
+   * Docked UI
+   */
+  buildDock() {
+    const { skipBack, skipForward, speeds } = this.options;
+
+    this.container.innerHTML = `
+      <div class="audio-player-main">
+        <div class="audio-player-info">
+          <a class="audio-player-title" href="#"></a>
+          <span class="audio-player-chapter"></span>
+        </div>
+        <div class="audio-player-controls">
+          <button type="button" class="audio-player-back" aria-label="Back ${skipBack} seconds">−${skipBack}</button>
+          <button type="button" class="audio-player-toggle" aria-label="Play">▶</button>
+          <button type="button" class="audio-player-forward" aria-label="Forward ${skipForward} seconds">+${skipForward}</button>
+        </div>
+        <div class="audio-player-progress">
+          <span class="audio-player-elapsed">0:00</span>
+          <input type="range" class="audio-player-seek" min="0" max="0" step="1" value="0" aria-label="Seek">
+          <span class="audio-player-duration">0:00</span>
+        </div>
+        <div class="audio-player-options">
+          <select class="audio-player-speed" aria-label="Playback speed">
+            ${speeds.map((speed) => `<option value="${speed}">${speed}×</option>`).join('')}
+          </select>
+          <select class="audio-player-chapters" aria-label="Chapters"></select>
+          <button type="button" class="audio-player-queue-toggle" aria-expanded="false">Queue</button>
+          <button type="button" class="audio-player-close" aria-label="Close player">✕</button>
+        </div>
+      </div>
+      <ol class="audio-player-queue" hidden></ol>
+    `;
+
+    const find = (selector) => this.container.querySelector(selector);
+    this.elements = {
+      title: find('.audio-player-title'),
+      chapter: find('.audio-player-chapter'),
+      toggle: find('.audio-player-toggle'),
+      back: find('.audio-player-back'),
+      forward: find('.audio-player-forward'),
+      seek: find('.audio-player-seek'),
+      elapsed: find('.audio-player-elapsed'),
+      duration: find('.audio-player-duration'),
+      speed: find('.audio-player-speed'),
+      chapters: find('.audio-player-chapters'),
+      queueToggle: find('.audio-player-queue-toggle'),
+      queue: find('.audio-player-queue'),
+      close: find('.audio-player-close'),
+    };
+
+    this.elements.toggle.addEventListener('click', () => this.togglePlay());
+    this.elements.back.addEventListener('click', () => this.skip(-skipBack));
+    this.elements.forward.addEventListener('click', () => this.skip(skipForward));
+    this.elements.seek.addEventListener('input', (e) => this.seekTo(Number(e.target.value)));
+    this.elements.speed.addEventListener('change', (e) => this.setSpeed(e.target.value));
+    this.elements.chapters.addEventListener('change', (e) => this.jumpToChapter(Number(e.target.value)));
+    this.elements.close.addEventListener('click', () => this.stop());
+
+    this.elements.queueToggle.addEventListener('click', () => {
+      const { queue, queueToggle } = this.elements;
+      queue.hidden = !queue.hidden;
+      queueToggle.setAttribute('aria-expanded', String(!queue.hidden));
+    });
+
+    this.elements.queue.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-track-id]');
+      if (!button) return;
+
+      const track = this.queue.find((queued) => queued.id === button.dataset.trackId);
+      if (button.dataset.action === 'remove') {
+        this.removeFromQueue(button.dataset.trackId);
+      } else if (track) {
+        this.play(track);
+      }
+    });
+  }
+
+  render() {
+    this.renderCardButtons();
+
+    if (!this.container) return;
+
+    const {
+      title, toggle, speed, chapters, queue, queueToggle,
+    } = this.elements;
+
+    this.container.hidden = !this.current;
+    document.body.classList.toggle('has-audio-player', !!this.current);
+    if (!this.current) return;
+
+    title.textContent = this.current.title;
+    if (this.current.feedId && this.current.itemId) {
+      title.href = ActivityRenderer.getPermalinkHash(this.current.feedId, this.current.itemId);
+    } else {
+      title.removeAttribute('href');
+    }
+
+    const playing = !this.audio.paused;
+    toggle.textContent = playing ? '❚❚' : '▶';
+    toggle.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+
+    speed.value = String(this.audio.playbackRate || 1);
+
+    chapters.hidden = this.current.chapters.length === 0;
+    chapters.innerHTML = this.current.chapters
+      .map((chapter, index) => `<option value="${index}">${AudioPlayer.formatTime(chapter.start)} ${this.escape(chapter.title)}</option>`)
+      .join('');
+
+    queueToggle.textContent = this.queue.length ? `Queue (${this.queue.length})` : 'Queue';
+    queue.innerHTML = this.queue.length
+      ? this.queue.map((track) => `
+          <li>
+            <button type="button" class="audio-player-queue-play" data-track-id="${this.escape(track.id)}">${this.escape(track.title)}</button>
+            <button type="button" class="audio-player-queue-remove" data-action="remove" data-track-id="${this.escape(track.id)}" aria-label="Remove from queue">✕</button>
+          </li>`).join('')
+      : '<li class="audio-player-queue-empty">Nothing queued</li>';
+
+    this.renderProgress();
+  }
+
+  renderProgress() {
+    if (!this.container || !this.current) return;
+
+    const {
+      seek, elapsed, duration, chapter, chapters,
+    } = this.elements;
+    const total = Number.isFinite(this.audio.duration)
+      ? this.audio.duration
+      : (this.current.duration || 0);
+
+    seek.max = String(Math.floor(total));
+    seek.value = String(Math.floor(this.audio.currentTime || 0));
+    elapsed.textContent = AudioPlayer.formatTime(this.audio.currentTime);
+    duration.textContent = AudioPlayer.formatTime(total);
+
+    const index = this.getCurrentChapterIndex();
+    chapter.textContent = index >= 0 ? this.current.chapters[index].title : '';
+    if (index >= 0 && document.activeElement !== chapters) {
+      chapters.value = String(index);
+    }
+  }
+
+  /**
+   * Keep play buttons in rendered cards in step with the player
+   */
+  renderCardButtons() {
+    document.querySelectorAll('.audio-play-button[data-track-id]').forEach((button) => {
+      this.updateCardButton(button);
+    });
+  }
+
+  updateCardButton(button) {
+    const { trackId } = button.dataset;
+
+    button.classList.toggle('playing', this.isPlaying(trackId));
+    button.replaceChildren(this.getCardButtonLabel(trackId));
+  }
+
+  getCardButtonLabel(trackId) {
+    if (this.isPlaying(trackId)) return '❚❚ Pause';
+
+    const saved = this.getSavedPosition(trackId);
+    return saved > 0 ? `▶ Resume at ${AudioPlayer.formatTime(saved)}` : '▶ Play';
+  }
+
+  /**
+   * Play / queue buttons for a card
+   */
+  createCardControls(track) {
+    const controls = document.createElement('div');
+    controls.className = 'audio-card-controls';
+
+    const playButton = document.createElement('button');
+    playButton.type = 'button';
+    playButton.className = 'audio-play-button';
+    playButton.dataset.trackId = track.id;
+    playButton.addEventListener('click', () => {
+      if (this.isPlaying(track.id)) {
+        this.pause();
+      } else {
+        this.play(track);
+      }
+    });
+    this.updateCardButton(playButton);
+
+    const queueButton = document.createElement('button');
+    queueButton.type = 'button';
+    queueButton.className = 'audio-queue-button';
+    queueButton.textContent = '+ Queue';
+    queueButton.addEventListener('click', () => this.enqueue(track));
+
+    controls.appendChild(playButton);
+    controls.appendChild(queueButton);
+
+    if (track.duration) {
+      const duration = document.createElement('span');
+      duration.className = 'audio-duration';
+      duration.textContent = AudioPlayer.formatTime(track.duration);
+      controls.appendChild(duration);
+    }
+
+    return controls;
+  }
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Make AudioPlayer globally available
+window.AudioPlayer = AudioPlayer;
@@ -11,6 +11,8 @@ const AnsyblConfig = {
     config: '/api/config.php',
     styles: '/api/styles.php',
     cache: '/api/cache.php',
+    events: '/api/events.php',
+    unfurl: '/api/unfurl.php',
   },
 
   // Activity Streams 2.0 Context
@@ -18,7 +20,7 @@ const AnsyblConfig = {
     context: 'https://www.w3.org/ns/activitystreams',
     supportedTypes: {
       activities: ['Create', 'Update', 'Delete', 'Announce', 'Like', 'Follow'],
-      objects: ['Article', 'Note', 'Image', 'Video', 'Audio', 'Document', 'Link'],
+      objects: ['Article', 'Note', 'Page', 'Image', 'Video', 'Audio', 'Document', 'Link', 'Event', 'Place', 'Question'],
       actors: ['Person', 'Organization', 'Service', 'Application'],
     },
 
@@ -26,11 +28,15 @@ const AnsyblConfig = {
     renderers: {
       Article: 'renderArticle',
       Note: 'renderNote',
+      Page: 'renderPage',
       Image: 'renderImage',
       Video: 'renderVideo',
       Audio: 'renderAudio',
       Document: 'renderDocument',
       Link: 'renderLink',
+      Event: 'renderEvent',
+      Place: 'renderPlace',
+      Question: 'renderQuestion',
     },
   },
 
@@ -113,6 +119,32 @@ const AnsyblConfig = {
       'actor.name',
       'actor.summary',
     ],
+
+    // Ranking boost per field ('tag' covers tag names)
+    fieldWeights: {
+      name: 3,
+      'object.name': 3,
+      tag: 2,
+      summary: 1.5,
+      'object.summary': 1.5,
+      'actor.name': 0.5,
+      'actor.summary': 0.5,
+    },
+  },
+
+  // Docked audio player
+  audio: {
+    skipBack: 15, // seconds
+    skipForward: 30, // seconds
+    speeds: [0.75, 1, 1.25, 1.5, 1.75, 2],
+    saveInterval: 5000, // how often to store the resume position (ms)
+    maxSavedPositions: 200,
+
+    // Local storage keys (kept apart from the feed cache so clearing it keeps resume positions)
+    keys: {
+      positions: 'ansybl_audio_positions',
+      state: 'ansybl_audio_state',
+    },
   },
 
   // Feed management
@@ -121,6 +153,22 @@ const AnsyblConfig = {
     updateInterval: 5 * 60 * 1000, // 5 minutes
     backgroundUpdate: true,
 
+    // Collection pagination (first/next CollectionPage links)
+    pagination: {
+      followPages: true,
+      maxPages: 5, // Pages fetched per feed on each refresh
+    },
+
+    // Content trust level for rendered HTML: 'plain', 'basic' or 'rich'
+    defaultTrustLevel: 'basic', // External feeds, unless set per feed
+    localTrustLevel: 'rich',
+
+    // Formats every published local feed is also exported in, next to its .ansybl file
+    exportFormats: [
+      { format: 'rss', label: 'RSS', mediaType: 'application/rss+xml' },
+      { format: 'atom', label: 'Atom', mediaType: 'application/atom+xml' },
+    ],
+
     // Feed validation
     requiredFields: ['@context', 'type'],
 
@@ -147,6 +195,7 @@ const AnsyblConfig = {
     realTimeUpdates: false,
     offlineMode: false,
     darkMode: true,
+    linkPreviews: false, // Set from the site config's features.link_previews
   },
 };
 
@@ -159,6 +208,13 @@ AnsyblConfig.utils = {
     return AnsyblConfig.api.base + endpoint;
   },
 
+  /**
+     * Get the URL of a local feed's RSS/Atom export
+     */
+  getFeedExportUrl(localFeedId, format) {
+    return `/feeds/${encodeURIComponent(localFeedId)}.${format}`;
+  },
+
   /**
      * Check if a feature is enabled
      */
@@ -399,6 +455,9 @@ AnsyblConfig.loader = {
       AnsyblConfig.features.search = config.features.search_enabled !== undefined 
         ? config.features.search_enabled 
         : AnsyblConfig.features.search;
+      AnsyblConfig.features.linkPreviews = config.features.link_previews !== undefined
+        ? config.features.link_previews
+        : AnsyblConfig.features.linkPreviews;
     }
     
     // Dispatch config loaded event
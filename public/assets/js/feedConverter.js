@@ -0,0 +1,498 @@
+/**
+ * Feed Converter - Turns RSS 2.0/1.0, Atom 1.0 and JSON Feed 1.x sources
+ * into Activity Streams 2.0 collections, so they go through the same
+ * processing, caching and rendering as native feeds
+ */
+
+class FeedConverter {
+  static get namespaces() {
+    return {
+      atom: 'http://www.w3.org/2005/Atom',
+      rss1: 'http://purl.org/rss/1.0/',
+      content: 'http://purl.org/rss/1.0/modules/content/',
+      dc: 'http://purl.org/dc/elements/1.1/',
+      itunes: 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+      media: 'http://search.yahoo.com/mrss/',
+    };
+  }
+
+  /**
+   * Detect the format of fetched feed data: 'activitystreams', 'jsonfeed',
+   * 'rss', 'atom', or null when it isn't recognised.
+   * Accepts parsed JSON, raw text, or the feeds API's { format, document } wrapper.
+   */
+  detectFormat(data) {
+    if (typeof data === 'string') {
+      const text = data.replace(/^\uFEFF/, '').trim();
+      if (text.startsWith('<')) {
+        const root = text.replace(/^(?:<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|\s)+/i, '');
+        if (/^<(?:rss|rdf:RDF)[\s>]/i.test(root)) return 'rss';
+        if (/^<(?:[\w-]+:)?feed[\s>]/.test(root)) return 'atom';
+        return null;
+      }
+
+      try {
+        return this.detectFormat(JSON.parse(text));
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (!data || typeof data !== 'object') return null;
+
+    if (typeof data.document === 'string' && ['rss', 'atom'].includes(data.format)) {
+      return data.format;
+    }
+
+    if (typeof data.version === 'string' && data.version.startsWith('https://jsonfeed.org/version/')) {
+      return 'jsonfeed';
+    }
+
+    return data.type ? 'activitystreams' : null;
+  }
+
+  /**
+   * Convert feed data to an Activity Streams collection. Activity Streams and
+   * unrecognised data are returned unchanged for the normal validation to handle.
+   */
+  toActivityStreams(data) {
+    const format = this.detectFormat(data);
+
+    switch (format) {
+      case 'jsonfeed':
+        return this.fromJsonFeed(typeof data === 'string' ? JSON.parse(data) : data);
+      case 'rss':
+        return this.fromRss(this.parseXml(typeof data === 'string' ? data : data.document));
+      case 'atom':
+        return this.fromAtom(this.parseXml(typeof data === 'string' ? data : data.document));
+      case 'activitystreams':
+        return typeof data === 'string' ? JSON.parse(data) : data;
+      default:
+        return data;
+    }
+  }
+
+  /**
+   * JSON Feed 1.0 / 1.1
+   */
+  fromJsonFeed(feed) {
+    const feedAuthors = this.getJsonFeedAuthors(feed);
+    const feedActor = this.createActor(feedAuthors[0], feed.title, feed.icon || feed.favicon);
+
+    const items = (Array.isArray(feed.items) ? feed.items : []).map((entry) => {
+      const authors = this.getJsonFeedAuthors(entry);
+      const attachments = (Array.isArray(entry.attachments) ? entry.attachments : [])
+        .filter((attachment) => attachment && attachment.url)
+        .map((attachment) => this.createAttachment({
+          url: attachment.url,
+          mediaType: attachment.mime_type,
+          name: attachment.title,
+          size: attachment.size_in_bytes,
+          duration: attachment.duration_in_seconds,
+        }));
+
+      if (entry.image && !attachments.some((attachment) => attachment.url === entry.image)) {
+        attachments.unshift(this.createAttachment({ url: entry.image, type: 'Image' }));
+      }
+
+      const html = typeof entry.content_html === 'string' ? entry.content_html : null;
+
+      return this.createItem({
+        id: entry.id != null ? String(entry.id) : entry.url,
+        name: entry.title,
+        summary: entry.summary,
+        content: html !== null ? html : entry.content_text,
+        mediaType: html !== null ? 'text/html' : 'text/plain',
+        url: entry.url || entry.external_url,
+        published: entry.date_published || entry.date_modified,
+        updated: entry.date_modified,
+        actor: authors.length ? this.createActor(authors[0], null, feedActor.icon) : feedActor,
+        attachment: attachments,
+        tag: entry.tags,
+      });
+    });
+
+    return this.createCollection({
+      format: 'jsonfeed',
+      id: feed.feed_url,
+      name: feed.title,
+      summary: feed.description,
+      url: feed.home_page_url,
+      icon: feed.icon,
+      items,
+    });
+  }
+
+  /**
+   * RSS 2.0 (and RSS 1.0/RDF), including content:encoded, Dublin Core,
+   * iTunes and Media RSS extensions
+   */
+  fromRss(doc) {
+    const ns = FeedConverter.namespaces;
+    const core = [null, ns.rss1];
+    const root = doc.documentElement;
+    const channel = this.child(root, 'channel', core) || root;
+
+    const image = this.child(channel, 'image', ns.itunes);
+    const channelIcon = (image && image.getAttribute('href'))
+      || this.text(this.child(channel, 'image', core), 'url', core)
+      || null;
+
+    const channelTitle = this.text(channel, 'title', core);
+    const channelAuthor = this.text(channel, 'author', ns.itunes)
+      || this.text(channel, 'creator', ns.dc)
+      || this.parseRssAuthor(this.text(channel, 'managingEditor', core));
+    const channelPerson = channelAuthor ? { name: channelAuthor } : null;
+    const feedActor = this.createActor(channelPerson, channelTitle, channelIcon);
+
+    // RSS 2.0 items live in the channel, RSS 1.0 items next to it
+    let entries = this.children(channel, 'item', core);
+    if (entries.length === 0) {
+      entries = this.children(root, 'item', core);
+    }
+
+    const items = entries.map((entry) => {
+      const encoded = this.text(entry, 'encoded', ns.content);
+      const description = this.text(entry, 'description', core);
+      const guid = this.text(entry, 'guid', core);
+      const link = this.text(entry, 'link', core) || (entry.getAttributeNS('http://www.w3.org/1999/02/22-rdf-syntax-ns#', 'about') || null);
+      const author = this.text(entry, 'creator', ns.dc)
+        || this.text(entry, 'author', ns.itunes)
+        || this.parseRssAuthor(this.text(entry, 'author', core));
+
+      const attachments = [
+        ...this.children(entry, 'enclosure', core).map((enclosure) => this.createAttachment({
+          url: enclosure.getAttribute('url'),
+          mediaType: enclosure.getAttribute('type'),
+          size: enclosure.getAttribute('length'),
+          duration: this.text(entry, 'duration', ns.itunes),
+        })),
+        ...this.getMediaRssAttachments(entry),
+      ];
+
+      return this.createItem({
+        id: guid || link,
+        name: this.text(entry, 'title', core),
+        summary: encoded ? this.toPlainText(description) : this.text(entry, 'subtitle', ns.itunes),
+        content: encoded || description,
+        mediaType: 'text/html',
+        url: link,
+        published: this.text(entry, 'pubDate', core) || this.text(entry, 'date', ns.dc),
+        actor: author ? this.createActor({ name: author }, null, feedActor.icon) : feedActor,
+        attachment: attachments,
+        tag: [
+          ...this.children(entry, 'category', core).map((category) => category.textContent),
+          ...this.children(entry, 'subject', ns.dc).map((subject) => subject.textContent),
+        ],
+      });
+    });
+
+    return this.createCollection({
+      format: 'rss',
+      name: channelTitle,
+      summary: this.toPlainText(this.text(channel, 'description', core)),
+      url: this.text(channel, 'link', core),
+      icon: channelIcon,
+      published: this.text(channel, 'pubDate', core),
+      updated: this.text(channel, 'lastBuildDate', core),
+      items,
+    });
+  }
+
+  /**
+   * Atom 1.0
+   */
+  fromAtom(doc) {
+    const { atom } = FeedConverter.namespaces;
+    const feed = doc.documentElement;
+
+    const feedIcon = this.text(feed, 'icon', atom) || this.text(feed, 'logo', atom);
+    const feedTitle = this.getAtomText(this.child(feed, 'title', atom), true);
+    const feedActor = this.createActor(this.getAtomPerson(feed), feedTitle, feedIcon);
+
+    const items = this.children(feed, 'entry', atom).map((entry) => {
+      const links = this.children(entry, 'link', atom);
+      const alternate = links.find((link) => (link.getAttribute('rel') || 'alternate') === 'alternate');
+      const content = this.child(entry, 'content', atom);
+      const summary = this.child(entry, 'summary', atom);
+      const author = this.getAtomPerson(entry);
+
+      const attachments = links
+        .filter((link) => link.getAttribute('rel') === 'enclosure' && link.getAttribute('href'))
+        .map((link) => this.createAttachment({
+          url: link.getAttribute('href'),
+          mediaType: link.getAttribute('type'),
+          name: link.getAttribute('title'),
+          size: link.getAttribute('length'),
+        }));
+
+      // Out-of-line content (content src="...") can only be linked to
+      const inline = content && !content.getAttribute('src') ? content : summary;
+      const isText = !inline || !['html', 'xhtml'].includes(inline.getAttribute('type'));
+
+      return this.createItem({
+        id: this.text(entry, 'id', atom),
+        name: this.getAtomText(this.child(entry, 'title', atom), true),
+        summary: inline !== summary ? this.getAtomText(summary, true) : null,
+        content: this.getAtomText(inline),
+        mediaType: isText ? 'text/plain' : 'text/html',
+        url: alternate ? alternate.getAttribute('href') : (content && content.getAttribute('src')),
+        published: this.text(entry, 'published', atom) || this.text(entry, 'updated', atom),
+        updated: this.text(entry, 'updated', atom),
+        actor: author ? this.createActor(author, null, feedActor.icon) : feedActor,
+        attachment: attachments,
+        tag: this.children(entry, 'category', atom)
+          .map((category) => category.getAttribute('label') || category.getAttribute('term')),
+      });
+    });
+
+    const alternate = this.children(feed, 'link', atom)
+      .find((link) => (link.getAttribute('rel') || 'alternate') === 'alternate');
+
+    return this.createCollection({
+      format: 'atom',
+      id: this.text(feed, 'id', atom),
+      name: feedTitle,
+      summary: this.getAtomText(this.child(feed, 'subtitle', atom), true),
+      url: alternate ? alternate.getAttribute('href') : null,
+      icon: feedIcon,
+      updated: this.text(feed, 'updated', atom),
+      items,
+    });
+  }
+
+  /**
+   * Builders for the Activity Streams shapes processActivityItem expects
+   */
+
+  createCollection({
+    format, id = null, name, summary, url, icon, published = null, updated = null, items,
+  }) {
+    const collection = {
+      '@context': 'https://www.w3.org/ns/activitystreams',
+      type: 'OrderedCollection',
+      id: id || url || null,
+      name: name || null,
+      summary: summary || null,
+      url: url || null,
+      icon: icon || null,
+      published: this.toIsoDate(published),
+      updated: this.toIsoDate(updated),
+      totalItems: items.length,
+      orderedItems: items,
+      sourceFormat: format,
+    };
+
+    return this.withoutEmpty(collection);
+  }
+
+  createItem({
+    id, name, summary, content, mediaType, url, published, updated = null, actor,
+    attachment = [], tag = [],
+  }) {
+    const title = this.toPlainText(name);
+
+    return this.withoutEmpty({
+      id: id ? String(id).trim() : null,
+      type: title ? 'Article' : 'Note',
+      name: title || null,
+      summary: summary ? this.toPlainText(summary) : null,
+      content: content || null,
+      mediaType: content ? mediaType : null,
+      url: url || null,
+      published: this.toIsoDate(published),
+      updated: this.toIsoDate(updated),
+      actor,
+      // An enclosure is often repeated as media:content
+      attachment: attachment.filter(
+        (media, index) => attachment.findIndex((other) => other.url === media.url) === index,
+      ),
+      tag: this.createTags(tag),
+    });
+  }
+
+  createActor(author, fallbackName = null, fallbackIcon = null) {
+    const name = (author && author.name) || fallbackName || 'Unknown';
+
+    return this.withoutEmpty({
+      type: 'Person',
+      name,
+      url: (author && author.url) || null,
+      icon: (author && (author.avatar || author.icon)) || fallbackIcon || null,
+    });
+  }
+
+  createAttachment({
+    url, mediaType = null, type = null, name = null, size = null, duration = null,
+  }) {
+    const types = {
+      audio: 'Audio', video: 'Video', image: 'Image',
+    };
+    const family = (mediaType || '').split('/')[0];
+
+    return this.withoutEmpty({
+      type: type || types[family] || 'Document',
+      url,
+      mediaType: mediaType || null,
+      name: name || null,
+      size: size != null && size !== '' && Number(size) > 0 ? Number(size) : null,
+      duration: this.toIsoDuration(duration),
+    });
+  }
+
+  createTags(tags) {
+    const names = (Array.isArray(tags) ? tags : [])
+      .map((tag) => (typeof tag === 'string' ? tag.trim().replace(/^#/, '') : ''))
+      .filter(Boolean);
+
+    return Array.from(new Set(names)).map((name) => ({ type: 'Hashtag', name: `#${name}` }));
+  }
+
+  /**
+   * Format helpers
+   */
+
+  getJsonFeedAuthors(source) {
+    if (Array.isArray(source.authors)) return source.authors.filter(Boolean);
+    return source.author ? [source.author] : [];
+  }
+
+  /**
+   * "editor@example.com (Jane Doe)" -> "Jane Doe"
+   */
+  parseRssAuthor(value) {
+    if (!value) return null;
+    const match = /\(([^)]+)\)\s*$/.exec(value);
+    return match ? match[1].trim() : value.trim();
+  }
+
+  getAtomPerson(element) {
+    const { atom } = FeedConverter.namespaces;
+    const author = this.child(element, 'author', atom);
+    if (!author) return null;
+
+    const name = this.text(author, 'name', atom);
+    return name ? { name, url: this.text(author, 'uri', atom) } : null;
+  }
+
+  /**
+   * Atom text constructs - type="text" (default), "html" or "xhtml"
+   */
+  getAtomText(element, plain = false) {
+    if (!element) return null;
+
+    const type = element.getAttribute('type') || 'text';
+    let value;
+
+    if (type === 'xhtml') {
+      const div = Array.from(element.children).find((child) => child.localName === 'div') || element;
+      const serializer = new XMLSerializer();
+      value = Array.from(div.childNodes)
+        .map((node) => serializer.serializeToString(node))
+        .join('')
+        // Serialized nodes repeat the XHTML namespace on every element
+        .replace(/\sxmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, '');
+    } else {
+      value = element.textContent;
+    }
+
+    value = value.trim();
+    if (!value) return null;
+
+    return plain && type !== 'text' ? this.toPlainText(value) : value;
+  }
+
+  getMediaRssAttachments(entry) {
+    const { media } = FeedConverter.namespaces;
+    const contents = [
+      ...this.children(entry, 'content', media),
+      ...this.children(entry, 'group', media).flatMap((group) => this.children(group, 'content', media)),
+    ];
+
+    return contents
+      .filter((content) => content.getAttribute('url'))
+      .map((content) => this.createAttachment({
+        url: content.getAttribute('url'),
+        mediaType: content.getAttribute('type'),
+        type: { image: 'Image', audio: 'Audio', video: 'Video' }[content.getAttribute('medium')] || null,
+        size: content.getAttribute('fileSize'),
+        duration: content.getAttribute('duration'),
+      }));
+  }
+
+  parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Invalid feed data: malformed XML');
+    }
+
+    return doc;
+  }
+
+  /**
+   * Direct children by local name, in the given namespace(s) (null = none)
+   */
+  children(element, name, namespaces) {
+    if (!element) return [];
+    const accepted = Array.isArray(namespaces) ? namespaces : [namespaces];
+
+    return Array.from(element.children).filter((child) => child.localName === name
+      && accepted.includes(child.namespaceURI || null));
+  }
+
+  child(element, name, namespaces) {
+    return this.children(element, name, namespaces)[0] || null;
+  }
+
+  text(element, name, namespaces) {
+    const found = this.child(element, name, namespaces);
+    const value = found ? found.textContent.trim() : '';
+    return value || null;
+  }
+
+  toPlainText(html) {
+    if (!html) return '';
+    if (!/[<&]/.test(html)) return html.trim();
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  toIsoDate(value) {
+    if (!value) return null;
+
+    const date = new Date(String(value).trim());
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * Seconds, "HH:MM:SS"/"MM:SS" or ISO 8601 -> ISO 8601 duration
+   */
+  toIsoDuration(value) {
+    if (value == null || value === '') return null;
+
+    const text = String(value).trim();
+    if (/^P(?!$)/i.test(text)) return text.toUpperCase();
+
+    const parts = text.split(':').map(Number);
+    if (parts.length > 3 || parts.some((part) => Number.isNaN(part) || part < 0)) return null;
+
+    let seconds = Math.round(parts.reduce((total, part) => total * 60 + part, 0));
+    const hours = Math.floor(seconds / 3600);
+    seconds -= hours * 3600;
+    const minutes = Math.floor(seconds / 60);
+    seconds -= minutes * 60;
+
+    return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${seconds || (!hours && !minutes) ? `${seconds}S` : ''}`;
+  }
+
+  withoutEmpty(object) {
+    return Object.fromEntries(Object.entries(object)
+      .filter(([, value]) => value !== null && value !== undefined
+        && !(Array.isArray(value) && value.length === 0)));
+  }
+}
+
+// Make FeedConverter globally available
+window.FeedConverter = FeedConverter;
@@ -12,9 +12,21 @@ class FeedManager {
         this.lastUpdate = null;
         this.updateInterval = null;
         
+        // Real-time updates (Server-Sent Events)
+        this.eventSource = null;
+        this.pendingRefreshes = new Map();
+        
         // Event system for UI updates
         this.listeners = new Map();
         
+        // Full-text search, kept in step with feed data as it changes
+        this.searchIndex = new SearchIndex();
+        this.indexedFeeds = new Map(); // feedId -> processedItems that were indexed
+        this.on('feedUpdated', (feedId) => this.indexFeed(feedId));
+        
+        // RSS, Atom and JSON Feed sources are converted to Activity Streams
+        this.feedConverter = new FeedConverter();
+        
         // Error tracking
         this.errors = new Map();
         this.retryQueue = new Set();
@@ -35,8 +47,10 @@ class FeedManager {
             // Load feed configurations
             await this.loadFeedConfigs();
             
-            // Start background updates if enabled
-            if (AnsyblConfig.feeds.backgroundUpdate) {
+            // Prefer pushed updates over polling when real-time updates are enabled
+            if (AnsyblConfig.utils.isFeatureEnabled('realTimeUpdates') && typeof EventSource !== 'undefined') {
+                this.connectEventStream();
+            } else if (AnsyblConfig.feeds.backgroundUpdate) {
                 this.startBackgroundUpdates();
             }
             
@@ -84,6 +98,8 @@ class FeedManager {
                         enabled: feed.enabled !== false,
                         order: feed.order || 0,
                         lastFetched: feed.lastFetched || null,
+                        trustLevel: feed.trustLevel || AnsyblConfig.feeds.defaultTrustLevel,
+                        actor: feed.actor || null,
                         error: null,
                         type: 'external'
                     });
@@ -101,6 +117,7 @@ class FeedManager {
                         enabled: feed.published !== false,
                         order: feed.order || 999, // Local feeds at end by default
                         lastFetched: feed.updated || null,
+                        trustLevel: AnsyblConfig.feeds.localTrustLevel,
                         error: null,
                         type: 'local'
                     });
@@ -169,12 +186,15 @@ class FeedManager {
         try {
             let feedData;
             
+            // Forced refreshes must not be answered from the browser or service worker cache
+            const fetchOptions = force ? { cache: 'no-cache' } : {};
+            
             if (config.type === 'local') {
                 // Fetch local feed directly
-                feedData = await this.fetchLocalFeed(config);
+                feedData = await this.fetchLocalFeed(config, fetchOptions);
             } else {
                 // Fetch external feed from cache
-                feedData = await this.fetchExternalFeed(config);
+                feedData = await this.fetchExternalFeed(config, fetchOptions);
             }
             
             // Store processed feed data
@@ -227,11 +247,11 @@ class FeedManager {
     /**
      * Fetch local feed data
      */
-    async fetchLocalFeed(config) {
+    async fetchLocalFeed(config, options = {}) {
         AnsyblConfig.utils.log('debug', `Fetching local feed: ${config.id}`);
         
         // Fetch from the public local feed URL directly
-        const response = await this.fetchWithRetry(config.url);
+        const response = await this.fetchWithRetry(config.url, options);
         
         // Validate and process the Activity Streams data
         return this.validateAndProcessFeed(response, config.id);
@@ -240,14 +260,14 @@ class FeedManager {
     /**
      * Fetch external feed from feeds API
      */
-    async fetchExternalFeed(config) {
+    async fetchExternalFeed(config, options = {}) {
         AnsyblConfig.utils.log('debug', `Fetching external feed: ${config.id}`);
         
         try {
             // Get feed data from feeds API which fetches and processes external feeds
             const feedUrl = `${AnsyblConfig.api.feeds}/${config.id}`;
             AnsyblConfig.utils.log('debug', `Fetching from URL: ${feedUrl}`);
-            const feedResponse = await this.fetchWithRetry(feedUrl);
+            const feedResponse = await this.fetchWithRetry(feedUrl, options);
             
             AnsyblConfig.utils.log('debug', `Feed response received for: ${config.id}`);
             
@@ -268,16 +288,23 @@ class FeedManager {
     }
     
     /**
-     * Validate and process Activity Streams 2.0 feed data
+     * Validate and process feed data - Activity Streams 2.0, or RSS/Atom/JSON Feed converted to it
      */
-    validateAndProcessFeed(rawData, feedId) {
+    async validateAndProcessFeed(rawData, feedId) {
+        const sourceFormat = this.feedConverter.detectFormat(rawData);
+        if (sourceFormat && sourceFormat !== 'activitystreams') {
+            AnsyblConfig.utils.log('debug', `Converting ${sourceFormat} feed ${feedId} to Activity Streams`);
+        }
+        rawData = this.feedConverter.toActivityStreams(rawData);
+        
         // Basic validation
         if (!rawData || typeof rawData !== 'object') {
             throw new Error('Invalid feed data: not a valid JSON object');
         }
         
-        // Check for Activity Streams context
-        if (!rawData['@context'] || !rawData['@context'].includes('activitystreams')) {
+        // Check for Activity Streams context (ActivityPub servers send a list of contexts)
+        const contexts = [].concat(rawData['@context'] || []);
+        if (!contexts.some(context => typeof context === 'string' && context.includes('activitystreams'))) {
             AnsyblConfig.utils.log('warn', `Feed ${feedId} missing Activity Streams context`);
         }
         
@@ -288,9 +315,12 @@ class FeedManager {
         
         // Process items based on type
         let items = [];
+        let nextPage = null;
         
         if (rawData.type === 'Collection' || rawData.type === 'OrderedCollection') {
-            items = this.extractCollectionItems(rawData);
+            const extracted = await this.extractCollectionItems(rawData, this.feedConfigs.get(feedId));
+            items = extracted.items;
+            nextPage = extracted.nextPage;
         } else if (rawData.type === 'CollectionPage' || rawData.type === 'OrderedCollectionPage') {
             items = rawData.orderedItems || rawData.items || [];
         } else if (Array.isArray(rawData.items)) {
@@ -301,7 +331,7 @@ class FeedManager {
         }
         
         // Process and validate each item
-        const processedItems = items
+        const processedItems = this.withoutDeletedItems(items)
             .map(item => this.processActivityItem(item, feedId))
             .filter(item => item !== null);
         
@@ -309,21 +339,216 @@ class FeedManager {
             ...rawData,
             processedItems,
             totalItems: processedItems.length,
+            nextPage,
             processedAt: new Date().toISOString()
         };
     }
     
     /**
      * Extract items from Collection/OrderedCollection
+     * Follows first/next CollectionPage links up to the configured page cap.
+     * Returns the items plus the URL of the first page that was not fetched.
      */
-    extractCollectionItems(collection) {
+    async extractCollectionItems(collection, config = null) {
+        const { followPages, maxPages } = AnsyblConfig.feeds.pagination;
+        const seenIds = new Set();
+        const visited = new Set();
+        
         // Handle nested collections (like podcast feeds with episodes)
-        let items = collection.orderedItems || collection.items || [];
+        const items = this.mergeUniqueItems([], collection.orderedItems || collection.items || [], seenIds);
+        
+        let page = collection.first || null;
+        let pagesFetched = 0;
+        
+        while (page && followPages && pagesFetched < maxPages) {
+            const pageUrl = this.getPageUrl(page);
+            if (pageUrl && visited.has(pageUrl)) {
+                break; // Guard against next links that loop back
+            }
+            
+            try {
+                const pageData = await this.resolveCollectionPage(page, config);
+                if (pageUrl) visited.add(pageUrl);
+                
+                this.mergeUniqueItems(items, pageData.orderedItems || pageData.items || [], seenIds);
+                page = pageData.next || null;
+                pagesFetched++;
+            } catch (error) {
+                AnsyblConfig.utils.log('warn', `Failed to fetch collection page ${pageUrl}`, error);
+                break;
+            }
+        }
+        
+        return {
+            items,
+            nextPage: page ? this.getPageUrl(page) : null
+        };
+    }
+    
+    /**
+     * IDs of the items a feed says are gone - AS2 Tombstones and Delete activities
+     */
+    getDeletedIds(items) {
+        const deletedIds = new Set();
+        
+        items.forEach(item => {
+            if (!item || typeof item !== 'object') return;
+            
+            if (item.type === 'Tombstone' && item.id) {
+                deletedIds.add(item.id);
+            } else if (item.type === 'Delete' && item.object) {
+                const objectId = typeof item.object === 'object' ? item.object.id : item.object;
+                if (objectId) deletedIds.add(objectId);
+            }
+        });
+        
+        return deletedIds;
+    }
+    
+    /**
+     * Whether an item - or the object of an activity - is one of the deleted IDs
+     */
+    isDeletedItem(item, deletedIds) {
+        if (!item || typeof item !== 'object') return false;
+        
+        const objectId = item.object && typeof item.object === 'object' ? item.object.id : item.object;
+        return deletedIds.has(item.id) || (objectId !== undefined && objectId !== null && deletedIds.has(objectId));
+    }
+    
+    /**
+     * Drop the tombstones, deletions and the items they name, so nothing that was
+     * removed at the source lingers on the page or in the cache
+     */
+    withoutDeletedItems(items) {
+        const deletedIds = this.getDeletedIds(items);
+        
+        return items.filter(item => item && typeof item === 'object'
+            ? item.type !== 'Tombstone' && item.type !== 'Delete' && !this.isDeletedItem(item, deletedIds)
+            : true);
+    }
+    
+    /**
+     * Append items that have not been seen yet (de-duplicated by id)
+     */
+    mergeUniqueItems(target, items, seenIds) {
+        items.forEach(item => {
+            const itemId = item && typeof item === 'object' ? item.id : item;
+            if (itemId) {
+                if (seenIds.has(itemId)) return;
+                seenIds.add(itemId);
+            }
+            target.push(item);
+        });
+        
+        return target;
+    }
+    
+    /**
+     * Get URL of a page reference (string URL, Link or embedded page)
+     */
+    getPageUrl(page) {
+        if (!page) return null;
+        if (typeof page === 'string') return page;
+        return page.href || page.id || null;
+    }
+    
+    /**
+     * Make a page link that is relative to its feed absolute
+     */
+    resolvePageUrl(pageUrl, config = null) {
+        if (!pageUrl || !config || !config.url) return pageUrl;
+        
+        try {
+            return new URL(pageUrl, new URL(config.url, window.location.href)).href;
+        } catch (error) {
+            return pageUrl;
+        }
+    }
+    
+    /**
+     * Resolve a CollectionPage reference to its data
+     * Embedded pages are used as-is; external feed pages are fetched through the feeds API
+     */
+    async resolveCollectionPage(page, config = null) {
+        if (typeof page === 'object' && (page.items || page.orderedItems)) {
+            return page;
+        }
+        
+        const pageUrl = this.resolvePageUrl(this.getPageUrl(page), config);
+        if (!pageUrl) {
+            throw new Error('Invalid collection page reference');
+        }
+        
+        if (config && config.type === 'external') {
+            const response = await this.fetchWithRetry(
+                `${AnsyblConfig.api.feeds}/${config.id}/page?url=${encodeURIComponent(pageUrl)}`
+            );
+            
+            if (!response.success || !response.data?.page) {
+                throw new Error(`No page data found for feed: ${config.id}`);
+            }
+            
+            return response.data.page;
+        }
+        
+        return this.fetchWithRetry(pageUrl);
+    }
+    
+    /**
+     * Check if a feed (or any feed) has remote pages that have not been loaded yet
+     */
+    hasMorePages(feedId = null) {
+        const feeds = feedId && feedId !== 'all'
+            ? [this.feeds.get(feedId)]
+            : Array.from(this.feeds.values());
+        
+        return feeds.some(feed => feed && feed.data && feed.data.nextPage);
+    }
+    
+    /**
+     * Load the next remote page for a feed (or every feed with more pages)
+     * Returns the number of new items added
+     */
+    async loadMoreItems(feedId = null) {
+        const feedIds = feedId && feedId !== 'all'
+            ? [feedId]
+            : Array.from(this.feeds.keys());
+        
+        let added = 0;
+        
+        for (const id of feedIds) {
+            const feed = this.feeds.get(id);
+            if (!feed || !feed.data || !feed.data.nextPage) continue;
+            
+            try {
+                const pageData = await this.resolveCollectionPage(feed.data.nextPage, this.feedConfigs.get(id));
+                const pageItems = pageData.orderedItems || pageData.items || [];
+                const deletedIds = this.getDeletedIds(pageItems);
+                const seenIds = new Set(feed.data.processedItems.map(item => item.id));
+                const newItems = this.withoutDeletedItems(pageItems)
+                    .map(item => this.processActivityItem(item, id))
+                    .filter(item => item !== null && !seenIds.has(item.id));
+                
+                // A later page can also retract items already shown
+                feed.data.processedItems = feed.data.processedItems.filter(item => !this.isDeletedItem(item, deletedIds));
+                feed.data.processedItems.push(...newItems);
+                feed.data.totalItems = feed.data.processedItems.length;
+                feed.data.nextPage = this.getPageUrl(pageData.next);
+                feed.itemCount = this.countFeedItems(feed.data);
+                added += newItems.length;
+                
+                this.emit('feedUpdated', id, feed);
+            } catch (error) {
+                AnsyblConfig.utils.log('error', `Failed to load more items for feed ${id}`, error);
+                this.emit('feedError', id, error);
+            }
+        }
         
-        // Handle pagination - for now we just take what's directly available
-        // TODO: Implement pagination fetching for large collections
+        if (added > 0) {
+            this.saveToCache();
+        }
         
-        return items;
+        return added;
     }
     
     /**
@@ -342,9 +567,11 @@ class FeedManager {
                 published: item.published || item.updated || new Date().toISOString(),
                 updated: item.updated || item.published,
                 feedId: feedId,
+                trustLevel: this.getFeedTrustLevel(feedId),
+                contentMediaType: this.getContentMediaType(item, feedId),
                 
                 // Activity properties
-                actor: this.processActor(item.actor),
+                actor: this.processActor(item.actor, this.feedConfigs.get(feedId)?.actor),
                 object: item.object ? this.processObject(item.object) : 
                        (item.type === 'Collection' ? item : null),
                 
@@ -353,6 +580,14 @@ class FeedManager {
                 summary: item.summary || null,
                 content: item.content || null,
                 url: item.url || null,
+                duration: item.duration || null,
+                chapters: item.chapters || null,
+                ...this.processTypeProperties(item),
+                
+                // Display flags and manual order set in the admin
+                pinned: item.pinned === true,
+                featured: item.featured === true,
+                position: Number.isInteger(item.position) ? item.position : null,
                 
                 // Media attachments
                 attachment: Array.isArray(item.attachment) ? 
@@ -386,18 +621,50 @@ class FeedManager {
     /**
      * Process actor information
      */
-    processActor(actor) {
+    processActor(actor, feedActor = null) {
         if (!actor) return null;
         
+        // Outbox activities reference their actor by URL - use the profile resolved when the feed was added
+        if (typeof actor === 'string') {
+            actor = feedActor && feedActor.id === actor ? feedActor : { id: actor, url: actor };
+        }
+        
         return {
+            id: actor.id || null,
             type: actor.type || 'Person',
             name: actor.name || actor.preferredUsername || 'Unknown',
+            preferredUsername: actor.preferredUsername || null,
+            handle: actor.handle || this.getActorHandle(actor),
             summary: actor.summary || null,
-            icon: actor.icon ? (actor.icon.url || actor.icon) : null,
+            icon: this.getImageUrl(actor.icon),
+            image: this.getImageUrl(actor.image),
             url: actor.url || null
         };
     }
     
+    /**
+     * Fediverse handle (@user@host) of an ActivityPub actor
+     */
+    getActorHandle(actor) {
+        if (!actor.preferredUsername || !actor.id) return null;
+        
+        try {
+            return `@${actor.preferredUsername}@${new URL(actor.id).host}`;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * URL of an icon/image, which may be a URL, an Image or Link object, or a list of them
+     */
+    getImageUrl(image) {
+        if (!image) return null;
+        if (Array.isArray(image)) return this.getImageUrl(image[0]);
+        if (typeof image === 'string') return image;
+        return this.getImageUrl(image.url || image.href);
+    }
+    
     /**
      * Process object (the thing being acted upon)
      */
@@ -420,12 +687,71 @@ class FeedManager {
             content: obj.content || null,
             url: obj.url || null,
             mediaType: obj.mediaType || null,
+            duration: obj.duration || null,
+            chapters: obj.chapters || null,
+            ...this.processTypeProperties(obj),
             attachment: Array.isArray(obj.attachment) ? 
                 obj.attachment.map(att => this.processAttachment(att)) : 
                 (obj.attachment ? [this.processAttachment(obj.attachment)] : [])
         };
     }
     
+    /**
+     * Properties of the types with their own renderers - Event times and
+     * location, Place coordinates, Question choices and Link targets
+     */
+    processTypeProperties(item) {
+        return {
+            startTime: item.startTime || null,
+            endTime: item.endTime || null,
+            location: this.processLocation(item.location),
+            latitude: this.toCoordinate(item.latitude),
+            longitude: this.toCoordinate(item.longitude),
+            oneOf: this.processChoices(item.oneOf),
+            anyOf: this.processChoices(item.anyOf),
+            closed: item.closed || null,
+            votersCount: Number.isInteger(item.votersCount) ? item.votersCount : null,
+            href: typeof item.href === 'string' ? item.href : null,
+            hreflang: item.hreflang || null,
+            mediaType: item.mediaType || null
+        };
+    }
+    
+    /**
+     * Where an event happens - a Place, a name, or the first of several
+     */
+    processLocation(location) {
+        if (Array.isArray(location)) return this.processLocation(location[0]);
+        if (!location) return null;
+        if (typeof location === 'string') return { name: location };
+        
+        return {
+            name: location.name || null,
+            latitude: this.toCoordinate(location.latitude),
+            longitude: this.toCoordinate(location.longitude),
+            url: typeof location.url === 'string' ? location.url : null
+        };
+    }
+    
+    toCoordinate(value) {
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        return Number.isFinite(number) ? number : null;
+    }
+    
+    /**
+     * Poll choices with their vote counts (the totalItems of their replies)
+     */
+    processChoices(choices) {
+        if (!Array.isArray(choices) || choices.length === 0) return null;
+        
+        return choices
+            .filter(choice => choice && typeof choice === 'object')
+            .map(choice => ({
+                name: choice.name || '',
+                votes: choice.replies && Number.isInteger(choice.replies.totalItems) ? choice.replies.totalItems : null
+            }));
+    }
+    
     /**
      * Process media attachments
      */
@@ -440,7 +766,8 @@ class FeedManager {
             summary: attachment.summary || null,
             width: attachment.width || null,
             height: attachment.height || null,
-            duration: attachment.duration || null
+            duration: attachment.duration || null,
+            chapters: attachment.chapters || null
         };
     }
     
@@ -476,6 +803,28 @@ class FeedManager {
         return mediaTypes[extension] || 'application/octet-stream';
     }
     
+    /**
+     * How much HTML the renderer may keep for a feed's content
+     */
+    getFeedTrustLevel(feedId) {
+        const config = this.feedConfigs.get(feedId);
+        return (config && config.trustLevel) || AnsyblConfig.feeds.defaultTrustLevel;
+    }
+    
+    /**
+     * Format of an item's content - the declared mediaType when it is a text
+     * format, otherwise Markdown for local feeds and HTML for external ones
+     */
+    getContentMediaType(item, feedId) {
+        const declared = (item.object && item.object.mediaType) || item.mediaType;
+        if (['text/markdown', 'text/html', 'text/plain'].includes(declared)) {
+            return declared;
+        }
+        
+        const config = this.feedConfigs.get(feedId);
+        return config && config.type === 'local' ? 'text/markdown' : 'text/html';
+    }
+    
     /**
      * Generate unique ID for items that don't have one
      */
@@ -523,6 +872,15 @@ class FeedManager {
         return allItems;
     }
     
+    /**
+     * Find a single item by feed and id
+     */
+    getItem(feedId, itemId) {
+        const feed = this.feeds.get(feedId);
+        const items = (feed && feed.data && feed.data.processedItems) || [];
+        return items.find(item => item.id === itemId) || null;
+    }
+    
     /**
      * Get paginated items
      */
@@ -547,25 +905,60 @@ class FeedManager {
     }
     
     /**
-     * Search items
+     * Search items - ranked best match first (see SearchIndex for the query syntax)
      */
     searchItems(query, options = {}) {
         if (!query || query.length < AnsyblConfig.search.minLength) {
             return [];
         }
         
-        const searchQuery = query.toLowerCase();
-        const allItems = this.getAllItems();
-        
-        const results = allItems.filter(item => {
-            return AnsyblConfig.search.searchFields.some(field => {
-                const value = this.getNestedProperty(item, field);
-                return value && value.toLowerCase().includes(searchQuery);
-            });
-        });
+        this.syncSearchIndex();
         
         const maxResults = options.maxResults || AnsyblConfig.search.maxResults;
-        return results.slice(0, maxResults);
+        return this.searchIndex
+            .search(query, { feedId: options.feedId, limit: maxResults })
+            .map(result => result.item);
+    }
+    
+    /**
+     * Words and phrases of a query, for highlighting matches
+     */
+    getSearchHighlights(query) {
+        return this.searchIndex.getHighlightTerms(query);
+    }
+    
+    /**
+     * (Re-)index one feed's items - unchanged items are skipped
+     */
+    indexFeed(feedId) {
+        const feed = this.feeds.get(feedId);
+        const items = (feed && feed.data && feed.data.processedItems) || [];
+        const config = this.feedConfigs.get(feedId);
+        
+        this.searchIndex.updateFeed(feedId, items, { feedName: (config && config.name) || (feed && feed.name) });
+        this.indexedFeeds.set(feedId, { items, count: items.length });
+    }
+    
+    /**
+     * Catch the index up with feeds that changed without a feedUpdated event
+     * (cache loads, removed feeds)
+     */
+    syncSearchIndex() {
+        for (const [feedId, feed] of this.feeds) {
+            const items = (feed.data && feed.data.processedItems) || [];
+            const indexed = this.indexedFeeds.get(feedId);
+            
+            if (!indexed || indexed.items !== items || indexed.count !== items.length) {
+                this.indexFeed(feedId);
+            }
+        }
+        
+        for (const feedId of this.indexedFeeds.keys()) {
+            if (!this.feeds.has(feedId)) {
+                this.searchIndex.removeFeed(feedId);
+                this.indexedFeeds.delete(feedId);
+            }
+        }
     }
     
     /**
@@ -672,6 +1065,102 @@ class FeedManager {
         AnsyblConfig.utils.log('info', 'Background updates stopped');
     }
     
+    /**
+     * Subscribe to the server's feed change stream
+     */
+    connectEventStream() {
+        this.disconnectEventStream();
+        
+        this.eventSource = new EventSource(AnsyblConfig.api.events);
+        
+        this.eventSource.addEventListener('feedChanged', event => {
+            try {
+                this.handleFeedChange(JSON.parse(event.data));
+            } catch (error) {
+                AnsyblConfig.utils.log('warn', 'Invalid feed change event', error);
+            }
+        });
+        
+        // We missed events while disconnected - reload everything
+        this.eventSource.addEventListener('resync', () => {
+            this.fetchAllFeeds(true);
+        });
+        
+        this.eventSource.onerror = () => {
+            // EventSource reconnects by itself; CLOSED means the server refused the stream
+            if (this.eventSource && this.eventSource.readyState === EventSource.CLOSED) {
+                AnsyblConfig.utils.log('warn', 'Event stream closed, falling back to polling');
+                this.disconnectEventStream();
+                
+                if (AnsyblConfig.feeds.backgroundUpdate) {
+                    this.startBackgroundUpdates();
+                }
+            }
+        };
+        
+        AnsyblConfig.utils.log('info', 'Real-time updates connected');
+    }
+    
+    disconnectEventStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        
+        this.pendingRefreshes.forEach(timeout => clearTimeout(timeout));
+        this.pendingRefreshes.clear();
+    }
+    
+    /**
+     * React to a change announced by the server
+     */
+    handleFeedChange(change) {
+        if (!change || !change.feedId) return;
+        
+        // Local feeds are stored as "local-{id}" in feedManager
+        const feedId = change.source === 'local' ? `local-${change.feedId}` : change.feedId;
+        
+        AnsyblConfig.utils.log('debug', `Feed change received: ${change.type} ${feedId}`);
+        
+        // Coalesce bursts of changes to the same feed into a single fetch
+        if (this.pendingRefreshes.has(feedId)) {
+            clearTimeout(this.pendingRefreshes.get(feedId));
+        }
+        
+        const reloadConfigs = change.type.startsWith('feed.') || !this.feedConfigs.has(feedId);
+        
+        this.pendingRefreshes.set(feedId, setTimeout(() => {
+            this.pendingRefreshes.delete(feedId);
+            this.refreshFeed(feedId, reloadConfigs);
+        }, 250));
+    }
+    
+    /**
+     * Re-fetch a single feed and re-render
+     */
+    async refreshFeed(feedId, reloadConfigs = false) {
+        try {
+            // Feeds may have been created, renamed, unpublished or deleted
+            if (reloadConfigs) {
+                await this.loadFeedConfigs();
+            }
+            
+            if (this.feedConfigs.has(feedId)) {
+                await this.fetchFeed(feedId, true);
+            } else {
+                this.feeds.delete(feedId);
+            }
+            
+            this.lastUpdate = new Date();
+            this.saveToCache();
+            
+            this.emit('loadComplete', this.getAllItems());
+            
+        } catch (error) {
+            AnsyblConfig.utils.log('warn', `Real-time refresh failed for ${feedId}`, error);
+        }
+    }
+    
     /**
      * Cache management
      */
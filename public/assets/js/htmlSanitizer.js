@@ -0,0 +1,234 @@
+/**
+ * HTML Sanitizer - Allowlist-based cleaning of feed HTML before it reaches innerHTML
+ * Content is parsed inertly, rebuilt from allowed tags/attributes only and
+ * links/images are rewritten to safe defaults
+ */
+
+class HTMLSanitizer {
+  constructor(options = {}) {
+    this.options = {
+      defaultTrustLevel: 'basic',
+      ...options,
+    };
+  }
+
+  /**
+   * Trust levels - which tags a feed's content may use.
+   * 'plain' renders text only; 'rich' builds on 'basic'.
+   */
+  static get trustLevels() {
+    const basic = [
+      'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'del', 'em', 'i', 'ins',
+      'li', 'mark', 'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub',
+      'sup', 'u', 'ul',
+    ];
+
+    return {
+      plain: [],
+      basic,
+      rich: [
+        ...basic,
+        'caption', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'img', 'section', 'summary',
+        'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
+      ],
+    };
+  }
+
+  /**
+   * Allowed attributes per tag ('*' applies to every allowed tag)
+   */
+  static get allowedAttributes() {
+    return {
+      '*': ['title', 'lang', 'dir'],
+      a: ['href'],
+      abbr: ['title'],
+      blockquote: ['cite'],
+      code: ['class'],
+      img: ['src', 'alt', 'width', 'height'],
+      li: ['value', 'id'],
+      ol: ['start', 'reversed'],
+      pre: ['class'],
+      sup: ['id'],
+      td: ['colspan', 'rowspan', 'align'],
+      th: ['colspan', 'rowspan', 'align', 'scope'],
+    };
+  }
+
+  /**
+   * Elements removed together with everything inside them
+   */
+  static get droppedElements() {
+    return [
+      'applet', 'audio', 'base', 'button', 'embed', 'form', 'frame', 'frameset',
+      'head', 'iframe', 'input', 'link', 'math', 'meta', 'noscript', 'object',
+      'script', 'select', 'style', 'svg', 'template', 'textarea', 'title', 'video',
+    ];
+  }
+
+  /**
+   * Allowed URL schemes per attribute - relative URLs are always allowed
+   */
+  static get allowedSchemes() {
+    return {
+      href: ['http', 'https', 'mailto', 'tel'],
+      cite: ['http', 'https'],
+      src: ['http', 'https'],
+    };
+  }
+
+  /**
+   * Sanitize an HTML string for the given trust level
+   */
+  sanitize(html, trustLevel = null) {
+    if (html === null || html === undefined || html === '') return '';
+
+    const level = this.resolveTrustLevel(trustLevel);
+    const source = this.parse(String(html));
+
+    if (level === 'plain') {
+      return this.escape(source.textContent);
+    }
+
+    const allowedTags = new Set(HTMLSanitizer.trustLevels[level]);
+    const output = document.createElement('div');
+    this.cleanChildren(source, output, allowedTags);
+
+    return output.innerHTML;
+  }
+
+  /**
+   * Text content of an HTML string, for titles and excerpts
+   */
+  toPlainText(html) {
+    if (!html) return '';
+    return this.parse(String(html)).textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  resolveTrustLevel(trustLevel) {
+    const level = trustLevel || this.options.defaultTrustLevel;
+    return Object.prototype.hasOwnProperty.call(HTMLSanitizer.trustLevels, level)
+      ? level
+      : 'plain';
+  }
+
+  /**
+   * Parse without executing anything - <template> content is inert
+   * (no script execution, no image loads)
+   */
+  parse(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return template.content;
+  }
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Copy allowed nodes from source into target, recursively
+   */
+  cleanChildren(source, target, allowedTags) {
+    Array.from(source.childNodes).forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        target.appendChild(document.createTextNode(node.textContent));
+        return;
+      }
+
+      // Comments, processing instructions, etc.
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.localName;
+
+      if (HTMLSanitizer.droppedElements.includes(tag)) return;
+
+      // Unknown or disallowed tag - keep its text, drop the element
+      if (!allowedTags.has(tag)) {
+        this.cleanChildren(node, target, allowedTags);
+        return;
+      }
+
+      const clean = document.createElement(tag);
+      this.copyAttributes(node, clean);
+      this.applyTagRules(clean);
+
+      // Images without a usable source are dropped entirely
+      if (tag === 'img' && !clean.hasAttribute('src')) return;
+
+      this.cleanChildren(node, clean, allowedTags);
+      target.appendChild(clean);
+    });
+  }
+
+  copyAttributes(source, target) {
+    const tag = source.localName;
+    const allowed = [
+      ...HTMLSanitizer.allowedAttributes['*'],
+      ...(HTMLSanitizer.allowedAttributes[tag] || []),
+    ];
+
+    Array.from(source.attributes).forEach((attribute) => {
+      const name = attribute.name.toLowerCase();
+      const { value } = attribute;
+
+      // Event handlers and anything else not listed
+      if (!allowed.includes(name)) return;
+
+      if (HTMLSanitizer.allowedSchemes[name]) {
+        if (!this.isSafeUrl(value, HTMLSanitizer.allowedSchemes[name])) return;
+      }
+
+      // Only language hints for syntax highlighting
+      if (name === 'class' && !/^language-[\w+-]+$/.test(value.trim())) return;
+
+      // Only footnote anchors, so content can't clobber the page's own ids
+      if (name === 'id' && !/^fn(ref)?-[\w-]+$/.test(value)) return;
+
+      target.setAttribute(name, value);
+    });
+  }
+
+  /**
+   * Safe defaults for links and images
+   */
+  applyTagRules(element) {
+    if (element.localName === 'a') {
+      const href = element.getAttribute('href') || '';
+
+      // In-page links (e.g. footnotes) stay in the same tab
+      if (!href.startsWith('#')) {
+        element.setAttribute('target', '_blank');
+        element.setAttribute('rel', 'noopener nofollow');
+      }
+    }
+
+    if (element.localName === 'img') {
+      element.setAttribute('loading', 'lazy');
+      element.setAttribute('decoding', 'async');
+    }
+  }
+
+  /**
+   * Allow relative URLs and the listed schemes only
+   */
+  isSafeUrl(url, schemes) {
+    // Browsers ignore whitespace and control characters inside schemes ("java\nscript:")
+    const normalized = Array.from(String(url))
+      .filter((char) => {
+        const code = char.charCodeAt(0);
+        return code > 0x20 && (code < 0x7f || code > 0x9f);
+      })
+      .join('');
+    const match = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+
+    if (!match) return true;
+
+    return schemes.includes(match[1].toLowerCase());
+  }
+}
+
+// Make HTMLSanitizer globally available
+window.HTMLSanitizer = HTMLSanitizer;
@@ -0,0 +1,770 @@
+/**
+ * Markdown Renderer - CommonMark (plus GFM tables, strikethrough and footnotes)
+ * to HTML. Shared by the front end and the admin preview; the output is not
+ * safe on its own and must go through HTMLSanitizer before reaching the DOM.
+ */
+
+class MarkdownRenderer {
+  constructor(options = {}) {
+    this.options = {
+      breaks: false, // Render single newlines as <br> instead of CommonMark soft breaks
+      ...options,
+    };
+  }
+
+  /**
+   * Block-level HTML tags that start a raw HTML block (CommonMark type 6)
+   */
+  static get blockTags() {
+    return new Set([
+      'address', 'article', 'aside', 'blockquote', 'caption', 'center', 'dd',
+      'details', 'dialog', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure',
+      'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'iframe',
+      'legend', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'script', 'section', 'style',
+      'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+    ]);
+  }
+
+  /**
+   * Render Markdown to HTML.
+   * options.idPrefix namespaces footnote anchors when several documents share a page.
+   */
+  render(markdown, options = {}) {
+    if (markdown === null || markdown === undefined || markdown === '') return '';
+
+    const text = String(markdown)
+      .replace(/\r\n?/g, '\n')
+      .replaceAll('\u0000', '�')
+      .replace(/\t/g, '    ');
+
+    const state = {
+      idPrefix: this.slug(options.idPrefix || ''),
+      references: new Map(),
+      footnotes: new Map(),
+      footnoteOrder: [],
+    };
+
+    const lines = this.extractDefinitions(text.split('\n'), state);
+    return this.renderBlocks(lines, state) + this.renderFootnotes(state);
+  }
+
+  /**
+   * Pull link reference definitions and footnote definitions out of the document
+   */
+  extractDefinitions(lines, state) {
+    const remaining = [];
+    let fence = null;
+
+    for (let i = 0; i < lines.length; i += 1) {
+      const line = lines[i];
+      const fenceMatch = line.match(/^ {0,3}(`{3,}|~{3,})/);
+
+      if (fence || fenceMatch) {
+        // Definitions don't count inside fenced code
+        const marker = fenceMatch && fenceMatch[1];
+        if (!fence) {
+          fence = marker;
+        } else if (marker && marker[0] === fence[0] && marker.length >= fence.length) {
+          fence = null;
+        }
+        remaining.push(line);
+      } else {
+        i = this.extractDefinition(lines, i, state, remaining);
+      }
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Record the footnote or reference definition at lines[start], or keep the
+   * line if it isn't one. Returns the index of the last line used.
+   */
+  extractDefinition(lines, start, state, remaining) {
+    const line = lines[start];
+
+    const footnote = line.match(/^ {0,3}\[\^([^\]\s]+)\]:[ ]?(.*)$/);
+    if (footnote) {
+      const body = [footnote[2]];
+      let i = start;
+
+      // Indented continuation lines (and blank lines between them) belong to the footnote
+      while (i + 1 < lines.length
+          && (/^ {4}/.test(lines[i + 1]) || (lines[i + 1].trim() === '' && /^ {4}/.test(lines[i + 2] || '')))) {
+        i += 1;
+        body.push(lines[i].replace(/^ {4}/, ''));
+      }
+
+      state.footnotes.set(footnote[1].toLowerCase(), body);
+      return i;
+    }
+
+    const reference = line.match(/^ {0,3}\[([^\]]+)\]:\s*<?([^\s>]+)>?(?:\s+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?\s*$/);
+    if (reference && reference[1][0] !== '^') {
+      const label = this.normalizeLabel(reference[1]);
+      if (!state.references.has(label)) {
+        state.references.set(label, {
+          href: this.unescape(reference[2]),
+          title: reference[3] || reference[4] || reference[5] || null,
+        });
+      }
+      return start;
+    }
+
+    remaining.push(line);
+    return start;
+  }
+
+  /**
+   * Render a sequence of lines as blocks. Tight list items render
+   * paragraphs without <p> wrappers.
+   */
+  renderBlocks(lines, state, tight = false) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      i = this.renderBlock(lines, i, state, html, tight);
+    }
+
+    return html.join('\n');
+  }
+
+  /**
+   * Render the block starting at lines[start]. Returns the index after it.
+   */
+  renderBlock(lines, start, state, html, tight) {
+    const line = lines[start];
+
+    if (line.trim() === '') return start + 1;
+
+    const fence = line.match(/^( {0,3})(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/);
+    if (fence) return this.renderFencedCode(lines, start, fence, html);
+
+    if (/^ {4}/.test(line)) return this.renderIndentedCode(lines, start, html);
+
+    const heading = line.match(/^ {0,3}(#{1,6})(?:[ ]+(.*?))?(?:[ ]+#+)?[ ]*$/);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${this.renderInline(heading[2] || '', state)}</h${level}>`);
+      return start + 1;
+    }
+
+    if (this.isThematicBreak(line)) {
+      html.push('<hr>');
+      return start + 1;
+    }
+
+    if (/^ {0,3}>/.test(line)) return this.renderBlockquote(lines, start, state, html);
+
+    if (this.isListItem(line)) return this.renderList(lines, start, state, html);
+
+    if (this.isHtmlBlockStart(line, true)) {
+      let end = start;
+      while (end < lines.length && lines[end].trim() !== '') end += 1;
+      html.push(lines.slice(start, end).join('\n'));
+      return end;
+    }
+
+    if (this.isTableStart(lines, start)) return this.renderTable(lines, start, state, html);
+
+    return this.renderParagraph(lines, start, state, html, tight);
+  }
+
+  renderFencedCode(lines, start, match, html) {
+    const indent = match[1].length;
+    const fence = match[2];
+    const language = this.unescape(match[3] || '');
+    const code = [];
+    let i = start + 1;
+
+    while (i < lines.length) {
+      const closing = lines[i].match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+      if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) {
+        i += 1;
+        break;
+      }
+      code.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+      i += 1;
+    }
+
+    const className = language ? ` class="language-${this.escapeHtml(language)}"` : '';
+    const body = code.length ? `${this.escapeHtml(code.join('\n'))}\n` : '';
+    html.push(`<pre><code${className}>${body}</code></pre>`);
+
+    return i;
+  }
+
+  renderIndentedCode(lines, start, html) {
+    const code = [];
+    let i = start;
+
+    while (i < lines.length && (/^ {4}/.test(lines[i]) || lines[i].trim() === '')) {
+      code.push(lines[i].replace(/^ {4}/, ''));
+      i += 1;
+    }
+
+    // Trailing blank lines are not part of the block
+    while (code.length && code[code.length - 1].trim() === '') {
+      code.pop();
+    }
+
+    html.push(`<pre><code>${this.escapeHtml(code.join('\n'))}\n</code></pre>`);
+    return i;
+  }
+
+  renderBlockquote(lines, start, state, html) {
+    const inner = [];
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (/^ {0,3}>/.test(line)) {
+        inner.push(line.replace(/^ {0,3}> ?/, ''));
+      } else if (this.isLazyContinuation(line, inner[inner.length - 1])) {
+        // Lazy continuation of a paragraph inside the quote
+        inner.push(line);
+      } else {
+        break;
+      }
+      i += 1;
+    }
+
+    html.push(`<blockquote>\n${this.renderBlocks(inner, state)}\n</blockquote>`);
+    return i;
+  }
+
+  renderList(lines, start, state, html) {
+    const first = this.parseListMarker(lines[start]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+      const marker = this.parseListMarker(lines[i]);
+      if (!marker || marker.ordered !== first.ordered || marker.delimiter !== first.delimiter) {
+        break;
+      }
+
+      const itemLines = [marker.content];
+      i += 1;
+
+      while (i < lines.length) {
+        const line = lines[i];
+        const previous = itemLines[itemLines.length - 1];
+
+        if (line.trim() === '') {
+          itemLines.push('');
+        } else if (line.match(/^ */)[0].length >= marker.contentOffset) {
+          itemLines.push(line.slice(marker.contentOffset));
+        } else if (this.isLazyContinuation(line, previous) && !this.isListItem(line)) {
+          // Lazy paragraph continuation
+          itemLines.push(line.trim());
+        } else {
+          break;
+        }
+        i += 1;
+      }
+
+      // Blank lines at the end separate items; blank lines inside an item make the list loose
+      let trailingBlank = false;
+      while (itemLines.length && itemLines[itemLines.length - 1].trim() === '') {
+        itemLines.pop();
+        trailingBlank = true;
+      }
+
+      if (itemLines.some((line) => line.trim() === '')) {
+        loose = true;
+      }
+
+      items.push(itemLines);
+
+      if (trailingBlank && i < lines.length && this.parseListMarker(lines[i])) {
+        loose = true;
+      }
+    }
+
+    const tag = first.ordered ? 'ol' : 'ul';
+    const startAttr = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+    const body = items
+      .map((itemLines) => `<li>${this.renderBlocks(itemLines, state, !loose)}</li>`)
+      .join('\n');
+
+    html.push(`<${tag}${startAttr}>\n${body}\n</${tag}>`);
+    return i;
+  }
+
+  renderTable(lines, start, state, html) {
+    const header = this.splitTableRow(lines[start]);
+    const alignments = this.splitTableRow(lines[start + 1]).map((cell) => {
+      const left = cell.startsWith(':');
+      const right = cell.endsWith(':');
+      if (left && right) return 'center';
+      if (right) return 'right';
+      if (left) return 'left';
+      return null;
+    });
+
+    const cell = (tag, content, index) => {
+      const align = alignments[index] ? ` align="${alignments[index]}"` : '';
+      return `<${tag}${align}>${this.renderInline(content || '', state)}</${tag}>`;
+    };
+
+    const rows = [];
+    let i = start + 2;
+
+    while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+      const cells = this.splitTableRow(lines[i]);
+      rows.push(`<tr>${header.map((_, index) => cell('td', cells[index], index)).join('')}</tr>`);
+      i += 1;
+    }
+
+    const head = `<thead>\n<tr>${header.map((content, index) => cell('th', content, index)).join('')}</tr>\n</thead>`;
+    const body = rows.length ? `\n<tbody>\n${rows.join('\n')}\n</tbody>` : '';
+    html.push(`<table>\n${head}${body}\n</table>`);
+
+    return i;
+  }
+
+  renderParagraph(lines, start, state, html, tight) {
+    const paragraph = [];
+    let i = start;
+
+    while (i < lines.length && lines[i].trim() !== '') {
+      // Setext heading underline
+      const underline = lines[i].match(/^ {0,3}(=+|-+)[ ]*$/);
+      if (paragraph.length && underline) {
+        const level = underline[1][0] === '=' ? 1 : 2;
+        html.push(`<h${level}>${this.renderInline(paragraph.join('\n').trim(), state)}</h${level}>`);
+        return i + 1;
+      }
+
+      if (paragraph.length && this.interruptsParagraph(lines[i])) break;
+
+      paragraph.push(lines[i].replace(/^ +/, ''));
+      i += 1;
+    }
+
+    const content = this.renderInline(paragraph.join('\n').trim(), state);
+    html.push(tight ? content : `<p>${content}</p>`);
+
+    return i;
+  }
+
+  /**
+   * Footnotes section, in order of first reference
+   */
+  renderFootnotes(state) {
+    if (!state.footnoteOrder.length) return '';
+
+    const items = state.footnoteOrder.map((label, index) => {
+      const id = this.footnoteId(state, label);
+      const backref = ` <a href="#fnref-${id}">↩</a>`;
+      let body = this.renderBlocks(state.footnotes.get(label), state);
+
+      // Put the back-link inside the last paragraph when there is one
+      body = body.endsWith('</p>')
+        ? `${body.slice(0, -4)}${backref}</p>`
+        : `${body}${backref}`;
+
+      return `<li id="fn-${id}" value="${index + 1}">${body}</li>`;
+    });
+
+    return `\n<section>\n<hr>\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+  }
+
+  /**
+   * Inline content: code spans, links, images, autolinks, raw HTML,
+   * emphasis, strikethrough, footnote references and line breaks
+   */
+  renderInline(text, state) {
+    const held = [];
+    let out = '';
+    let i = 0;
+
+    while (i < text.length) {
+      const token = this.parseInlineToken(text, i, state);
+
+      if (token) {
+        // Hold rendered HTML aside as \0index\0 so escaping and emphasis leave it alone
+        held.push(token.html);
+        out += `\u0000${held.length - 1}\u0000`;
+        i = token.end;
+      } else if (text[i] === '\n') {
+        // Two or more trailing spaces make a hard break
+        const hardBreak = / {2,}$/.test(out);
+        out = out.replace(/ +$/, '');
+        if (hardBreak || this.options.breaks) {
+          held.push('<br>\n');
+          out += `\u0000${held.length - 1}\u0000`;
+        } else {
+          out += '\n';
+        }
+        i += 1;
+        // Leading spaces on the next line are ignored
+        while (text[i] === ' ') i += 1;
+      } else {
+        out += text[i];
+        i += 1;
+      }
+    }
+
+    let html = this.renderEmphasis(this.escapeHtml(out));
+
+    // Restore held fragments (they may contain other held fragments). NUL never
+    // reaches here from the source, so odd parts of the split are indexes.
+    while (html.includes('\u0000')) {
+      html = html
+        .split('\u0000')
+        .map((part, index) => (index % 2 ? held[Number(part)] : part))
+        .join('');
+    }
+
+    return html;
+  }
+
+  /**
+   * The escape, code span, autolink, raw HTML, entity, footnote reference or
+   * link starting at text[start] as { html, end }, or null for plain text
+   */
+  parseInlineToken(text, start, state) {
+    const ch = text[start];
+    const rest = text.slice(start);
+
+    if (ch === '\\' && start + 1 < text.length) {
+      const next = text[start + 1];
+      if (next === '\n') return { html: '<br>\n', end: start + 2 };
+      if (/[!-/:-@[-`{-~]/.test(next)) return { html: this.escapeHtml(next), end: start + 2 };
+    }
+
+    if (ch === '`') {
+      const [run] = rest.match(/^`+/);
+      const closing = this.findClosingBackticks(text, start + run.length, run.length);
+
+      // An unmatched run is literal backticks
+      if (closing === -1) return { html: run, end: start + run.length };
+
+      let code = text.slice(start + run.length, closing).replace(/\n/g, ' ');
+      if (/^ .*[^ ].* $/.test(code)) {
+        code = code.slice(1, -1);
+      }
+
+      return { html: `<code>${this.escapeHtml(code)}</code>`, end: closing + run.length };
+    }
+
+    if (ch === '<') {
+      let match = rest.match(/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/);
+      if (match) {
+        return {
+          html: `<a href="${this.escapeAttribute(match[1])}">${this.escapeHtml(match[1])}</a>`,
+          end: start + match[0].length,
+        };
+      }
+
+      match = rest.match(/^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)*)>/);
+      if (match) {
+        return {
+          html: `<a href="mailto:${this.escapeAttribute(match[1])}">${this.escapeHtml(match[1])}</a>`,
+          end: start + match[0].length,
+        };
+      }
+
+      match = rest.match(/^(?:<!--[\s\S]*?-->|<\/[a-zA-Z][a-zA-Z0-9-]*\s*>|<[a-zA-Z][a-zA-Z0-9-]*(?:\s+[a-zA-Z_:][\w.:-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>)/);
+      if (match) return { html: match[0], end: start + match[0].length };
+    }
+
+    if (ch === '&') {
+      const match = rest.match(/^&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/);
+      if (match) return { html: match[0], end: start + match[0].length };
+    }
+
+    if (ch === '[' && text[start + 1] === '^') {
+      const match = rest.match(/^\[\^([^\]\s]+)\]/);
+      const label = match && match[1].toLowerCase();
+
+      if (match && state.footnotes.has(label)) {
+        if (!state.footnoteOrder.includes(label)) {
+          state.footnoteOrder.push(label);
+        }
+        const id = this.footnoteId(state, label);
+        const number = state.footnoteOrder.indexOf(label) + 1;
+        return {
+          html: `<sup id="fnref-${id}"><a href="#fn-${id}">${number}</a></sup>`,
+          end: start + match[0].length,
+        };
+      }
+    }
+
+    if (ch === '[' || (ch === '!' && text[start + 1] === '[')) {
+      return this.parseLink(text, start, state);
+    }
+
+    return null;
+  }
+
+  renderEmphasis(html) {
+    return html
+      .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+  }
+
+  /**
+   * Inline links/images and full, collapsed and shortcut reference links
+   */
+  parseLink(text, start, state) {
+    const isImage = text[start] === '!';
+    const open = isImage ? start + 1 : start;
+    const close = this.findClosingBracket(text, open);
+    if (close === -1) return null;
+
+    const label = text.slice(open + 1, close);
+    let target = null;
+    let end = close + 1;
+
+    if (text[end] === '(') {
+      const inline = this.parseInlineDestination(text, end);
+      if (inline) {
+        target = inline;
+        end = inline.end;
+      }
+    }
+
+    if (!target) {
+      let reference = label;
+      const full = text.slice(end).match(/^\[([^\]]*)\]/);
+      if (full) {
+        reference = full[1] || label;
+      }
+
+      const found = state.references.get(this.normalizeLabel(reference));
+      if (!found) return null;
+
+      target = found;
+      end = full ? end + full[0].length : end;
+    }
+
+    const title = target.title ? ` title="${this.escapeAttribute(target.title)}"` : '';
+    const href = this.escapeAttribute(target.href);
+
+    if (isImage) {
+      const alt = this.escapeAttribute(this.toPlainText(label));
+      return { html: `<img src="${href}" alt="${alt}"${title}>`, end };
+    }
+
+    // Links cannot contain other links
+    if (/\[[^\]]*\]\([^)]*\)/.test(label)) return null;
+
+    return { html: `<a href="${href}"${title}>${this.renderInline(label, state)}</a>`, end };
+  }
+
+  /**
+   * Parse `(destination "title")` starting at the opening parenthesis
+   */
+  parseInlineDestination(text, start) {
+    let i = start + 1;
+    while (text[i] === ' ' || text[i] === '\n') i += 1;
+
+    let href = '';
+    if (text[i] === '<') {
+      const closing = text.indexOf('>', i);
+      if (closing === -1) return null;
+      href = text.slice(i + 1, closing);
+      i = closing + 1;
+    } else {
+      let depth = 0;
+      // An unbalanced closing parenthesis ends the destination
+      while (i < text.length && !/\s/.test(text[i]) && !(text[i] === ')' && depth === 0)) {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          href += text[i] + text[i + 1];
+          i += 2;
+        } else {
+          if (text[i] === '(') depth += 1;
+          if (text[i] === ')') depth -= 1;
+          href += text[i];
+          i += 1;
+        }
+      }
+    }
+
+    while (text[i] === ' ' || text[i] === '\n') i += 1;
+
+    let title = null;
+    const quotes = { '"': '"', "'": "'", '(': ')' };
+    if (quotes[text[i]]) {
+      const closing = text.indexOf(quotes[text[i]], i + 1);
+      if (closing === -1) return null;
+      title = this.unescape(text.slice(i + 1, closing));
+      i = closing + 1;
+      while (text[i] === ' ' || text[i] === '\n') i += 1;
+    }
+
+    if (text[i] !== ')') return null;
+
+    return { href: this.unescape(href), title, end: i + 1 };
+  }
+
+  findClosingBracket(text, open) {
+    let depth = 0;
+
+    for (let i = open; i < text.length; i += 1) {
+      if (text[i] === '\\') {
+        i += 1;
+      } else if (text[i] === '`') {
+        // Brackets inside code spans don't count
+        const run = text.slice(i).match(/^`+/)[0];
+        const closing = this.findClosingBackticks(text, i + run.length, run.length);
+        if (closing !== -1) i = closing + run.length - 1;
+      } else if (text[i] === '[') {
+        depth += 1;
+      } else if (text[i] === ']') {
+        depth -= 1;
+        if (depth === 0) return i;
+      }
+    }
+
+    return -1;
+  }
+
+  findClosingBackticks(text, from, length) {
+    const pattern = new RegExp(`(^|[^\`])(\`{${length}})(?!\`)`, 'g');
+    pattern.lastIndex = Math.max(0, from - 1);
+
+    let match = pattern.exec(text);
+    while (match) {
+      const index = match.index + match[1].length;
+      if (index >= from) return index;
+      match = pattern.exec(text);
+    }
+
+    return -1;
+  }
+
+  /**
+   * Block detection helpers
+   */
+
+  isThematicBreak(line) {
+    return /^ {0,3}([-*_])(?:[ ]*\1){2,}[ ]*$/.test(line);
+  }
+
+  parseListMarker(line) {
+    if (this.isThematicBreak(line)) return null;
+
+    const match = line.match(/^( {0,3})([-+*]|(\d{1,9})([.)]))( +|$)(.*)$/);
+    if (!match) return null;
+
+    const [, indent, marker, number, delimiter, spacing, content] = match;
+    // More than four spaces after the marker means indented code inside the item
+    const padding = spacing.length > 4 || spacing.length === 0 ? 1 : spacing.length;
+
+    return {
+      ordered: number !== undefined,
+      delimiter: delimiter || marker,
+      start: number !== undefined ? parseInt(number, 10) : null,
+      contentOffset: indent.length + marker.length + padding,
+      content: spacing.length > 4 ? `${' '.repeat(spacing.length - 1)}${content}` : content,
+    };
+  }
+
+  isListItem(line) {
+    return this.parseListMarker(line) !== null;
+  }
+
+  isHtmlBlockStart(line, canInterrupt = false) {
+    if (/^ {0,3}<!--/.test(line)) return true;
+
+    const match = line.match(/^ {0,3}<\/?([a-zA-Z][a-zA-Z0-9-]*)(?:\s|\/?>|$)/);
+    if (match && MarkdownRenderer.blockTags.has(match[1].toLowerCase())) return true;
+
+    // A complete tag on its own line - only when not continuing a paragraph
+    return canInterrupt
+      && /^ {0,3}(?:<[a-zA-Z][a-zA-Z0-9-]*(?:\s+[a-zA-Z_:][\w.:-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>|<\/[a-zA-Z][a-zA-Z0-9-]*\s*>)\s*$/.test(line);
+  }
+
+  isTableStart(lines, index) {
+    if (index + 1 >= lines.length || !lines[index].includes('|')) return false;
+
+    const separator = lines[index + 1];
+    if (!/^ {0,3}\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(separator)) return false;
+
+    // A single column needs a pipe on one of the lines
+    if (!separator.includes('|') && !lines[index].trim().startsWith('|')) return false;
+
+    return this.splitTableRow(lines[index]).length === this.splitTableRow(separator).length;
+  }
+
+  splitTableRow(line) {
+    const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+    return trimmed.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  /**
+   * Paragraph text continuing a container (quote or list item) without its
+   * marker or indentation
+   */
+  isLazyContinuation(line, previous) {
+    return line.trim() !== '' && !!previous && previous.trim() !== '' && !this.interruptsParagraph(line);
+  }
+
+  /**
+   * Lines that end a paragraph without a blank line
+   */
+  interruptsParagraph(line) {
+    if (/^ {0,3}(`{3,}|~{3,})/.test(line)) return true;
+    if (/^ {0,3}#{1,6}(?:[ ]|$)/.test(line)) return true;
+    if (/^ {0,3}>/.test(line)) return true;
+    if (this.isThematicBreak(line)) return true;
+    if (this.isHtmlBlockStart(line)) return true;
+
+    // Only non-empty bullet items and ordered items starting at 1 interrupt a paragraph
+    const marker = this.parseListMarker(line);
+    return !!marker && marker.content.trim() !== '' && (!marker.ordered || marker.start === 1);
+  }
+
+  /**
+   * Utilities
+   */
+
+  footnoteId(state, label) {
+    const slug = this.slug(label);
+    return state.idPrefix ? `${state.idPrefix}-${slug}` : slug;
+  }
+
+  slug(value) {
+    return String(value).toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  toPlainText(markdown) {
+    return markdown
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[*_`~[\]]/g, '');
+  }
+
+  unescape(text) {
+    return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+  }
+
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/'/g, '&#39;');
+  }
+}
+
+// Make MarkdownRenderer globally available
+window.MarkdownRenderer = MarkdownRenderer;
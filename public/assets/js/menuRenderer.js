@@ -162,9 +162,33 @@ class MenuRenderer {
         }
         
         li.appendChild(link);
+        
+        // Local feeds are also published as RSS for feed readers
+        if (item.type === 'feed' && item.feed_id?.startsWith('local:')) {
+            li.appendChild(this.createSubscribeLink(item));
+        }
+        
         return li;
     }
     
+    /**
+     * Create the "Subscribe" link for a local feed menu item
+     */
+    createSubscribeLink(item) {
+        const localId = item.feed_id.replace('local:', '');
+        const [rss] = AnsyblConfig.feeds.exportFormats;
+        
+        const link = document.createElement('a');
+        link.className = 'nav-subscribe';
+        link.href = AnsyblConfig.utils.getFeedExportUrl(localId, rss.format);
+        link.type = rss.mediaType;
+        link.title = `Subscribe to ${item.title} (${rss.label})`;
+        link.setAttribute('aria-label', link.title);
+        link.textContent = 'Subscribe';
+        
+        return link;
+    }
+    
     /**
      * Resolve menu item URL based on type
      */
@@ -0,0 +1,108 @@
+/**
+ * Renderer Registry - Lets site plugins render item types the core doesn't
+ * know about, or render the ones it does differently
+ *
+ * Plugins are scripts loaded after the core scripts (after app.js) that
+ * register on AnsyblApp.renderers:
+ *
+ *   AnsyblApp.renderers.register('Recipe', {
+ *     render(activityItem, element, renderer) { ... },
+ *   });
+ *
+ * A registration targets an object type ('Recipe'), a media type
+ * ('application/pdf', 'audio/*') or every item ('*'), optionally narrowed by
+ * a match(activityItem) predicate. When several match an item, the highest
+ * priority renders it, and the latest registered on a tie.
+ */
+
+class RendererRegistry {
+  constructor() {
+    this.entries = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * @param {string} target - Object type, media type or '*'
+   * @param {Object} options
+   * @param {Function} [options.render] - (activityItem, element, renderer) => void,
+   *   fills in the item's element. Without it the core renderer for the type runs.
+   * @param {Function} [options.match] - (activityItem) => boolean
+   * @param {number} [options.priority=0]
+   * @param {string|HTMLTemplateElement} [options.template] - Template (or its ID)
+   *   to clone instead of #activity-item-template
+   * @returns {Function} Removes the registration
+   */
+  register(target, options = {}) {
+    if (typeof target !== 'string' || !target.trim()) {
+      throw new TypeError('A renderer must target an object type, a media type or "*"');
+    }
+    ['render', 'match'].forEach((name) => {
+      if (options[name] !== undefined && typeof options[name] !== 'function') {
+        throw new TypeError(`Renderer ${name} must be a function`);
+      }
+    });
+    if (!options.render && !options.template) {
+      throw new TypeError('A renderer needs a render function or a template');
+    }
+
+    this.sequence += 1;
+    const entry = {
+      target: target.trim(),
+      render: options.render || null,
+      match: options.match || null,
+      priority: Number(options.priority) || 0,
+      template: options.template || null,
+      order: this.sequence,
+    };
+
+    this.entries.push(entry);
+    AnsyblConfig.utils.log('info', `Renderer registered for ${entry.target}`);
+
+    return () => this.unregister(entry);
+  }
+
+  unregister(entry) {
+    this.entries = this.entries.filter((registered) => registered !== entry);
+  }
+
+  /**
+   * The registration that renders an item, or null to leave it to the core
+   */
+  resolve(activityItem) {
+    const matching = this.entries.filter((entry) => this.matches(entry, activityItem));
+    matching.sort((a, b) => b.priority - a.priority || b.order - a.order);
+
+    return matching[0] || null;
+  }
+
+  matches(entry, activityItem) {
+    if (!this.matchesTarget(entry.target, activityItem)) return false;
+    if (!entry.match) return true;
+
+    // A broken predicate shouldn't take down the rest of the stream
+    try {
+      return Boolean(entry.match(activityItem));
+    } catch (error) {
+      AnsyblConfig.utils.log('error', `Renderer match for ${entry.target} failed`, error);
+      return false;
+    }
+  }
+
+  matchesTarget(target, activityItem) {
+    if (target === '*') return true;
+
+    const object = activityItem.object && typeof activityItem.object === 'object' ? activityItem.object : {};
+
+    if (target.includes('/')) {
+      const mediaType = String(object.mediaType || activityItem.mediaType || '').split(';')[0].trim().toLowerCase();
+      const wanted = target.toLowerCase();
+
+      return wanted.endsWith('/*') ? mediaType.startsWith(wanted.slice(0, -1)) : mediaType === wanted;
+    }
+
+    return [activityItem.objectType || object.type, activityItem.type].includes(target);
+  }
+}
+
+// Make RendererRegistry globally available
+window.RendererRegistry = RendererRegistry;
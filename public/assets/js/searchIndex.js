@@ -0,0 +1,479 @@
+/**
+ * Search Index - Inverted index over feed items with BM25 ranking
+ * Supports prefix matching, "exact phrases", -exclusions and
+ * tag:/type:/feed:/author:/before:/after: filters
+ */
+
+class SearchIndex {
+  constructor(options = {}) {
+    this.options = {
+      fields: AnsyblConfig.search.searchFields,
+      fieldWeights: AnsyblConfig.search.fieldWeights || {},
+      k1: 1.2,
+      b: 0.75,
+      prefixWeight: 0.5, // Prefix matches count for less than whole words
+      minPrefixLength: AnsyblConfig.search.minLength,
+      ...options,
+    };
+
+    this.documents = new Map(); // id -> indexed document
+    this.postings = new Map(); // term -> Map(id -> weighted term frequency)
+    this.totalLength = 0;
+    this.sortedTerms = null; // Built lazily for prefix lookups
+  }
+
+  /**
+   * Filters understood in queries (filter:value)
+   */
+  static get filterNames() {
+    return ['tag', 'type', 'feed', 'author', 'before', 'after'];
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Index an item, replacing any previous version with the same id
+   */
+  add(item, meta = {}) {
+    if (!item || !item.id) return;
+
+    const existing = this.documents.get(item.id);
+    if (existing && existing.item === item) return;
+    if (existing) this.remove(item.id);
+
+    const terms = new Map();
+    const sequence = [];
+    const seenValues = new Set();
+    let length = 0;
+
+    const addText = (text, weight) => {
+      const tokens = this.tokenize(text);
+      if (!tokens.length) return;
+
+      tokens.forEach((token) => {
+        const term = this.stem(token);
+        terms.set(term, (terms.get(term) || 0) + weight);
+      });
+
+      length += tokens.length * weight;
+      // Field boundaries break phrases
+      sequence.push(...tokens, null);
+    };
+
+    this.options.fields.forEach((field) => {
+      const value = this.getField(item, field);
+      if (typeof value !== 'string' || !value.trim() || seenValues.has(value)) return;
+
+      // Activities repeat their object's name/content at the top level
+      seenValues.add(value);
+      addText(this.stripMarkup(value), this.options.fieldWeights[field] || 1);
+    });
+
+    const tags = this.getTags(item);
+    tags.forEach((tag) => addText(tag, this.options.fieldWeights.tag || 1));
+
+    const doc = {
+      id: item.id,
+      item,
+      feedId: item.feedId || null,
+      feedName: (meta.feedName || '').toLowerCase(),
+      terms,
+      sequence,
+      length,
+      tags,
+      types: [item.type, item.objectType].filter(Boolean).map((type) => type.toLowerCase()),
+      authors: this.getAuthors(item),
+      published: Date.parse(item.published) || 0,
+    };
+
+    terms.forEach((frequency, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+        this.sortedTerms = null;
+      }
+      this.postings.get(term).set(doc.id, frequency);
+    });
+
+    this.documents.set(doc.id, doc);
+    this.totalLength += length;
+  }
+
+  remove(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return;
+
+    doc.terms.forEach((_, term) => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    });
+
+    this.documents.delete(id);
+    this.totalLength -= doc.length;
+  }
+
+  /**
+   * Bring one feed's documents in line with its current items -
+   * unchanged items are left alone
+   */
+  updateFeed(feedId, items, meta = {}) {
+    const current = new Set(items.map((item) => item && item.id));
+
+    this.getFeedDocumentIds(feedId)
+      .filter((id) => !current.has(id))
+      .forEach((id) => this.remove(id));
+
+    items.forEach((item) => this.add(item, meta));
+  }
+
+  removeFeed(feedId) {
+    this.getFeedDocumentIds(feedId).forEach((id) => this.remove(id));
+  }
+
+  getFeedDocumentIds(feedId) {
+    return Array.from(this.documents.values())
+      .filter((doc) => doc.feedId === feedId)
+      .map((doc) => doc.id);
+  }
+
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+    this.sortedTerms = null;
+  }
+
+  /**
+   * Search the index. Returns [{ item, score }] best match first;
+   * filter-only queries come back newest first.
+   * options.feedId restricts results to one feed.
+   */
+  search(query, options = {}) {
+    const parsed = typeof query === 'string' ? this.parseQuery(query) : query;
+
+    // Every word and every phrase word has to match
+    const required = [
+      ...parsed.terms,
+      ...parsed.phrases.flat(),
+    ];
+
+    let candidates;
+    const scores = new Map();
+
+    if (required.length) {
+      required.forEach((token, index) => {
+        const matches = this.matchTerm(token);
+
+        // Best expansion per document, so a prefix matching many words doesn't inflate the score
+        const termScores = new Map();
+        matches.forEach(({ term, weight }) => {
+          const posting = this.postings.get(term);
+          const idf = this.idf(posting.size);
+
+          posting.forEach((frequency, id) => {
+            const score = weight * idf * this.saturate(frequency, this.documents.get(id).length);
+            if (score > (termScores.get(id) || 0)) termScores.set(id, score);
+          });
+        });
+
+        const ids = new Set(termScores.keys());
+        candidates = index === 0 ? ids : new Set([...candidates].filter((id) => ids.has(id)));
+
+        termScores.forEach((score, id) => scores.set(id, (scores.get(id) || 0) + score));
+      });
+    } else if (this.hasFilters(parsed)) {
+      candidates = new Set(this.documents.keys());
+    } else {
+      return [];
+    }
+
+    const results = [];
+    candidates.forEach((id) => {
+      const doc = this.documents.get(id);
+      if (!this.matchesDocument(doc, parsed, options)) return;
+      results.push({ item: doc.item, score: scores.get(id) || 0, published: doc.published });
+    });
+
+    results.sort((a, b) => (b.score - a.score) || (b.published - a.published));
+
+    return results
+      .slice(0, options.limit || results.length)
+      .map(({ item, score }) => ({ item, score }));
+  }
+
+  /**
+   * Parse the query syntax into words, phrases, exclusions and filters
+   */
+  parseQuery(query) {
+    const parsed = {
+      terms: [],
+      phrases: [],
+      excludeTerms: [],
+      excludePhrases: [],
+      filters: {
+        tag: [], type: [], feed: [], author: [], before: null, after: null,
+      },
+    };
+
+    const text = String(query || '');
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match = pattern.exec(text);
+
+    while (match) {
+      const [, negate, filterName, quoted, bare] = match;
+      const value = quoted !== undefined ? quoted : bare;
+      const filter = filterName && filterName.toLowerCase();
+
+      if (filter && SearchIndex.filterNames.includes(filter)) {
+        const filterValue = this.parseFilterValue(filter, value);
+
+        // Empty filters and unreadable dates are ignored
+        if (filterValue !== null && Array.isArray(parsed.filters[filter])) {
+          parsed.filters[filter].push(filterValue);
+        } else if (filterValue !== null) {
+          parsed.filters[filter] = filterValue;
+        }
+      } else {
+        // Unknown "foo:" prefixes are just text
+        const tokens = this.tokenize(filterName ? `${filterName}:${value}` : value);
+
+        if (quoted !== undefined || tokens.length > 1) {
+          if (tokens.length) (negate ? parsed.excludePhrases : parsed.phrases).push(tokens);
+        } else if (tokens.length) {
+          (negate ? parsed.excludeTerms : parsed.terms).push(tokens[0]);
+        }
+      }
+
+      match = pattern.exec(text);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * A filter's value as matched against documents (dates as timestamps), or null
+   */
+  parseFilterValue(name, value) {
+    const text = (value || '').trim().toLowerCase();
+    if (!text) return null;
+
+    if (name === 'before' || name === 'after') {
+      const time = Date.parse(text);
+      return Number.isNaN(time) ? null : time;
+    }
+
+    return name === 'tag' ? text.replace(/^#/, '') : text;
+  }
+
+  hasFilters(parsed) {
+    const { filters } = parsed;
+    return filters.tag.length > 0 || filters.type.length > 0 || filters.feed.length > 0
+      || filters.author.length > 0 || filters.before !== null || filters.after !== null;
+  }
+
+  /**
+   * Words and phrases to highlight in rendered results
+   */
+  getHighlightTerms(query) {
+    const parsed = typeof query === 'string' ? this.parseQuery(query) : query;
+
+    return {
+      terms: parsed.terms.filter(
+        (term) => term.length >= this.options.minPrefixLength || parsed.terms.length === 1,
+      ),
+      phrases: parsed.phrases,
+    };
+  }
+
+  /**
+   * Index terms a query word matches: its stem, plus words it is a prefix of
+   */
+  matchTerm(token) {
+    const stemmed = this.stem(token);
+    const matches = [];
+
+    if (this.postings.has(stemmed)) {
+      matches.push({ term: stemmed, weight: 1 });
+    }
+
+    if (token.length >= this.options.minPrefixLength) {
+      const terms = this.getSortedTerms();
+      let i = this.lowerBound(terms, token);
+
+      while (i < terms.length && terms[i].startsWith(token)) {
+        if (terms[i] !== stemmed) {
+          matches.push({ term: terms[i], weight: this.options.prefixWeight });
+        }
+        i += 1;
+      }
+    }
+
+    return matches;
+  }
+
+  matchesDocument(doc, parsed, options) {
+    const { filters } = parsed;
+
+    if (options.feedId && doc.feedId !== options.feedId) return false;
+
+    if (parsed.excludeTerms.some((token) => doc.terms.has(this.stem(token)))) return false;
+    if (parsed.phrases.some((phrase) => !this.containsPhrase(doc.sequence, phrase))) return false;
+    if (parsed.excludePhrases.some((phrase) => this.containsPhrase(doc.sequence, phrase))) {
+      return false;
+    }
+
+    if (filters.tag.length && !filters.tag.every((tag) => doc.tags.includes(tag))) return false;
+    if (filters.type.length && !filters.type.some((type) => doc.types.includes(type))) return false;
+
+    const inFeed = (feed) => doc.feedId === feed || doc.feedName.includes(feed);
+    if (filters.feed.length && !filters.feed.some(inFeed)) return false;
+
+    const byAuthor = (author) => doc.authors.some((name) => name.includes(author));
+    if (filters.author.length && !filters.author.some(byAuthor)) return false;
+
+    if (filters.before !== null && !(doc.published < filters.before)) return false;
+    if (filters.after !== null && !(doc.published >= filters.after)) return false;
+
+    return true;
+  }
+
+  containsPhrase(sequence, phrase) {
+    for (let i = 0; i <= sequence.length - phrase.length; i += 1) {
+      if (phrase.every((token, offset) => sequence[i + offset] === token)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * BM25 components
+   */
+
+  idf(documentFrequency) {
+    const total = this.documents.size;
+    return Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  saturate(frequency, length) {
+    const { k1, b } = this.options;
+    const averageLength = this.documents.size ? this.totalLength / this.documents.size : 1;
+    const lengthNorm = 1 - b + b * (length / (averageLength || 1));
+    return (frequency * (k1 + 1)) / (frequency + k1 * lengthNorm);
+  }
+
+  getSortedTerms() {
+    if (!this.sortedTerms) {
+      this.sortedTerms = Array.from(this.postings.keys()).sort();
+    }
+    return this.sortedTerms;
+  }
+
+  lowerBound(terms, value) {
+    let low = 0;
+    let high = terms.length;
+
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (terms[mid] < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Text processing
+   */
+
+  tokenize(text) {
+    if (!text) return [];
+
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+  }
+
+  /**
+   * Light English suffix stripping - applied to both index and query,
+   * so it only has to be consistent, not linguistically complete
+   */
+  stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+
+    let stem = word;
+
+    if (stem.endsWith('ies') && stem.length > 4) {
+      stem = `${stem.slice(0, -3)}y`;
+    } else if (stem.endsWith('sses')) {
+      stem = stem.slice(0, -2);
+    } else if (/(?:ch|sh|x|z)es$/.test(stem)) {
+      stem = stem.slice(0, -2);
+    } else if (stem.endsWith('s') && !/(?:ss|us|is)$/.test(stem)) {
+      stem = stem.slice(0, -1);
+    }
+
+    if (stem.endsWith('ing') && stem.length > 5) {
+      stem = this.undouble(stem.slice(0, -3));
+    } else if (stem.endsWith('ed') && stem.length > 4) {
+      stem = this.undouble(stem.slice(0, -2));
+    } else if (stem.endsWith('ly') && stem.length > 5) {
+      stem = stem.slice(0, -2);
+    }
+
+    return stem;
+  }
+
+  undouble(stem) {
+    return /([^aeiouslz])\1$/.test(stem) ? stem.slice(0, -1) : stem;
+  }
+
+  stripMarkup(text) {
+    return text
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&(?:#\d+|#x[0-9a-f]+|[a-z]+);/gi, ' ');
+  }
+
+  /**
+   * Item accessors
+   */
+
+  getField(item, path) {
+    return path.split('.').reduce((current, key) => (
+      current && current[key] !== undefined ? current[key] : null
+    ), item);
+  }
+
+  getTags(item) {
+    const tags = [...(item.tag || []), ...((item.object && item.object.tag) || [])];
+
+    return Array.from(new Set(tags
+      .map((tag) => (typeof tag === 'string' ? tag : tag && tag.name))
+      .filter(Boolean)
+      .map((name) => name.replace(/^#/, '').toLowerCase())));
+  }
+
+  getAuthors(item) {
+    const actors = [item.actor, item.attributedTo, item.object && item.object.attributedTo];
+
+    return actors
+      .flatMap((actor) => (Array.isArray(actor) ? actor : [actor]))
+      .flatMap((actor) => (typeof actor === 'string' ? [actor] : [actor && actor.name, actor && actor.preferredUsername]))
+      .filter(Boolean)
+      .map((name) => name.toLowerCase());
+  }
+}
+
+// Make SearchIndex globally available
+window.SearchIndex = SearchIndex;
@@ -4,9 +4,14 @@
  */
 
 class UIManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {ActivityRenderer} [options.activityRenderer] - Renderer shared with the app,
+     *   made here when not given
+     */
+    constructor(options = {}) {
         this.feedManager = null;
-        this.activityRenderer = null;
+        this.activityRenderer = options.activityRenderer || null;
         
         // UI state
         this.currentView = 'grid';
@@ -16,6 +21,8 @@ class UIManager {
         this.isLoading = false;
         this.searchQuery = '';
         this.searchTimeout = null;
+        this.sortBeforeSearch = null;
+        this.restoringUrlState = false;
         
         // DOM elements
         this.elements = {};
@@ -32,6 +39,9 @@ class UIManager {
     async init() {
         AnsyblConfig.utils.log('info', 'Initializing UIManager');
         
+        // The item detail view titles the tab after its item - this is restored on close
+        this.listTitle = document.title;
+        
         try {
             // Cache DOM elements
             this.cacheElements();
@@ -72,10 +82,14 @@ class UIManager {
         this.elements.errorMessage = document.getElementById('error-message');
         this.elements.errorDetails = document.getElementById('error-details');
         this.elements.retryButton = document.getElementById('retry-button');
+        this.elements.offlineBanner = document.getElementById('offline-banner');
+        this.elements.offlineDetails = document.getElementById('offline-details');
         
         // Content area
         this.elements.contentArea = document.getElementById('content-area');
         this.elements.activityStream = document.getElementById('activity-stream');
+        this.elements.featuredItems = document.getElementById('featured-items');
+        this.elements.itemDetail = document.getElementById('item-detail');
         
         // Controls
         this.elements.feedFilter = document.getElementById('feed-filter');
@@ -93,6 +107,8 @@ class UIManager {
         this.elements.currentYear = document.getElementById('current-year');
         this.elements.lastUpdated = document.getElementById('last-updated-time');
         this.elements.feedCount = document.getElementById('feed-count');
+        this.elements.subscribe = document.getElementById('footer-subscribe');
+        this.elements.subscribeList = document.getElementById('subscribe-list');
     }
     
     /**
@@ -167,9 +183,30 @@ class UIManager {
         this.boundHandlers.tagClick = this.handleTagClick.bind(this);
         document.addEventListener('tagClick', this.boundHandlers.tagClick);
         
+        // Back/forward restores the view recorded in the URL
+        this.boundHandlers.popState = () => this.applyUrlState(this.readUrlState());
+        window.addEventListener('popstate', this.boundHandlers.popState);
+        
+        // Item permalinks (#item/<feedId>/<itemId>)
+        this.boundHandlers.hashChange = () => this.handleRoute();
+        window.addEventListener('hashchange', this.boundHandlers.hashChange);
+        
         // Visibility change (for background updates)
         this.boundHandlers.visibilityChange = this.handleVisibilityChange.bind(this);
         document.addEventListener('visibilitychange', this.boundHandlers.visibilityChange);
+        
+        // Connectivity (offline mode)
+        if (AnsyblConfig.utils.isFeatureEnabled('offlineMode')) {
+            this.boundHandlers.online = () => this.hideOfflineBanner();
+            this.boundHandlers.offline = () => this.showOfflineBanner();
+            window.addEventListener('online', this.boundHandlers.online);
+            window.addEventListener('offline', this.boundHandlers.offline);
+            
+            if ('serviceWorker' in navigator) {
+                this.boundHandlers.serviceWorkerMessage = this.handleServiceWorkerMessage.bind(this);
+                navigator.serviceWorker.addEventListener('message', this.boundHandlers.serviceWorkerMessage);
+            }
+        }
     }
     
     /**
@@ -183,20 +220,35 @@ class UIManager {
         this.feedManager.on('ready', () => {
             AnsyblConfig.utils.log('info', 'FeedManager ready');
             this.updateFeedFilter();
+            this.updateSubscribeLinks();
         });
         
         this.feedManager.on('loadStart', () => {
             this.showLoading();
         });
         
-        this.feedManager.on('loadComplete', (items) => {
+        this.feedManager.on('loadComplete', () => {
             this.hideLoading();
-            this.renderContent(items);
+            // Rendered through the current filter and sort, so pins and the hero slot apply
+            this.renderContent();
             this.updateFooterInfo();
+            
+            // The item may not have been loaded when the permalink was opened
+            if (this.detailRoute) {
+                this.handleRoute();
+            }
         });
         
         this.feedManager.on('error', (error) => {
             this.hideLoading();
+            
+            // Keep cached content on screen when we can
+            if (this.canShowCachedContent()) {
+                this.showOfflineBanner();
+                this.renderContent();
+                return;
+            }
+            
             this.showError('Failed to load feeds: ' + error.message);
         });
         
@@ -205,13 +257,20 @@ class UIManager {
             this.updateFeedFilter();
         });
         
-        // Initialize ActivityRenderer
-        this.activityRenderer = new ActivityRenderer();
+        // Initialize ActivityRenderer, unless one is shared with the app
+        if (!this.activityRenderer) {
+            this.activityRenderer = new ActivityRenderer();
+        }
+        
+        // Initialize the docked audio player - it lives outside the content
+        // area so re-rendering the stream doesn't stop playback
+        this.audioPlayer = new window.AudioPlayer(document.getElementById('audio-player'));
         
         // Store references globally for access from other components
         window.uiManager = this;
         window.feedManager = this.feedManager;
         window.activityRenderer = this.activityRenderer;
+        window.audioPlayer = this.audioPlayer;
     }
     
     /**
@@ -223,8 +282,8 @@ class UIManager {
             this.elements.currentYear.textContent = new Date().getFullYear();
         }
         
-        // Set initial view
-        this.setView(AnsyblConfig.ui.defaultView);
+        // Set initial view, search, filter, sort and page from the URL
+        this.applyUrlState(this.readUrlState(), false);
         
         // Hide error state initially
         this.hideError();
@@ -232,6 +291,9 @@ class UIManager {
         // Initialize loading state
         this.showLoading();
         
+        // Open the item if the page was loaded from a permalink
+        this.handleRoute();
+        
         // Set up responsive behavior
         this.handleResize();
     }
@@ -249,6 +311,7 @@ class UIManager {
             if (!itemsToRender) {
                 // Apply current filters and get paginated results
                 itemsToRender = this.getFilteredAndSortedItems();
+                this.renderFeaturedItems();
             }
             
             // Clear existing content
@@ -268,6 +331,10 @@ class UIManager {
                 }
             });
             
+            if (this.isSearching()) {
+                this.highlightSearchMatches(this.elements.activityStream);
+            }
+            
             // Update pagination
             this.updatePagination();
             
@@ -286,19 +353,21 @@ class UIManager {
     getFilteredAndSortedItems() {
         if (!this.feedManager) return [];
         
-        let items = [];
+        // Apply feed filter (and search, which respects it)
+        const options = this.currentFilter !== 'all' ? { feedId: this.currentFilter } : {};
+        let items = this.isSearching()
+            ? this.feedManager.searchItems(this.searchQuery, options)
+            : this.feedManager.getAllItems(options);
         
-        // Apply search filter
-        if (this.searchQuery && this.searchQuery.length >= AnsyblConfig.search.minLength) {
-            items = this.feedManager.searchItems(this.searchQuery);
-        } else {
-            // Apply feed filter
-            const options = this.currentFilter !== 'all' ? { feedId: this.currentFilter } : {};
-            items = this.feedManager.getAllItems(options);
+        // Apply sorting - search results are already ranked by relevance
+        if (this.currentSort !== 'relevance') {
+            items = this.sortItems(items, this.currentSort);
         }
         
-        // Apply sorting
-        items = this.sortItems(items, this.currentSort);
+        // Outside search, featured items live in the hero slot and pinned ones lead the list
+        if (!this.isSearching()) {
+            items = this.withPinnedFirst(items.filter(item => !item.featured));
+        }
         
         // Apply pagination
         const startIndex = (this.currentPage - 1) * AnsyblConfig.ui.itemsPerPage;
@@ -307,6 +376,48 @@ class UIManager {
         return items.slice(startIndex, endIndex);
     }
     
+    /**
+     * Pinned items first, each group keeping its sort order
+     */
+    withPinnedFirst(items) {
+        return [
+            ...items.filter(item => item.pinned),
+            ...items.filter(item => !item.pinned)
+        ];
+    }
+    
+    /**
+     * Featured items of the current feed filter, in manual order
+     */
+    getFeaturedItems() {
+        if (!this.feedManager) return [];
+        
+        const options = this.currentFilter !== 'all' ? { feedId: this.currentFilter } : {};
+        
+        return this.sortItems(this.feedManager.getAllItems(options).filter(item => item.featured), 'manual');
+    }
+    
+    /**
+     * Fill the hero slot above the stream - on the first page, outside search
+     */
+    renderFeaturedItems() {
+        const container = this.elements.featuredItems;
+        if (!container) return;
+        
+        const items = this.isSearching() || this.currentPage !== 1 ? [] : this.getFeaturedItems();
+        
+        container.innerHTML = '';
+        container.hidden = items.length === 0;
+        
+        items.forEach(item => {
+            try {
+                this.activityRenderer.render(item, container);
+            } catch (error) {
+                AnsyblConfig.utils.log('error', 'Failed to render featured item', error);
+            }
+        });
+    }
+    
     /**
      * Sort items based on sort criteria
      */
@@ -329,6 +440,16 @@ class UIManager {
                     const titleB = (b.name || b.objectName || '').toLowerCase();
                     return titleA.localeCompare(titleB);
                     
+                case 'manual':
+                    // Hand-ordered items first, by position; the rest newest first
+                    if (Number.isInteger(a.position) && Number.isInteger(b.position)) {
+                        return a.position - b.position;
+                    }
+                    if (Number.isInteger(a.position) !== Number.isInteger(b.position)) {
+                        return Number.isInteger(a.position) ? -1 : 1;
+                    }
+                    return new Date(b.published) - new Date(a.published);
+                    
                 default:
                     return 0;
             }
@@ -366,6 +487,12 @@ class UIManager {
                 }
             });
             
+            // Keep the current (possibly URL-restored) selection
+            this.elements.feedFilter.value = this.currentFilter;
+            if (this.elements.feedFilter.value !== this.currentFilter) {
+                this.elements.feedFilter.value = 'all';
+            }
+            
         } catch (error) {
             AnsyblConfig.utils.log('error', 'Failed to update feed filter', error);
         }
@@ -440,11 +567,11 @@ class UIManager {
             }
             
             if (this.elements.nextPage) {
-                this.elements.nextPage.disabled = this.currentPage >= totalPages;
+                this.elements.nextPage.disabled = this.currentPage >= totalPages && !this.canLoadMore();
             }
             
             // Hide pagination if only one page
-            if (totalPages <= 1) {
+            if (totalPages <= 1 && !this.canLoadMore()) {
                 this.elements.pagination.style.display = 'none';
             } else {
                 this.elements.pagination.style.display = 'flex';
@@ -461,12 +588,28 @@ class UIManager {
     getTotalItemsCount() {
         if (!this.feedManager) return 0;
         
-        if (this.searchQuery && this.searchQuery.length >= AnsyblConfig.search.minLength) {
-            return this.feedManager.searchItems(this.searchQuery).length;
-        } else {
-            const options = this.currentFilter !== 'all' ? { feedId: this.currentFilter } : {};
-            return this.feedManager.getAllItems(options).length;
+        const options = this.currentFilter !== 'all' ? { feedId: this.currentFilter } : {};
+        
+        if (this.isSearching()) {
+            return this.feedManager.searchItems(this.searchQuery, options).length;
+        }
+        
+        // Featured items are shown in the hero slot, not the paginated list
+        return this.feedManager.getAllItems(options).filter(item => !item.featured).length;
+    }
+    
+    /**
+     * Check if more remote pages can be loaded for the current view
+     */
+    canLoadMore() {
+        if (!this.feedManager || !this.feedManager.hasMorePages) return false;
+        
+        // Search results only cover what is already loaded
+        if (this.isSearching()) {
+            return false;
         }
+        
+        return this.feedManager.hasMorePages(this.currentFilter);
     }
     
     /**
@@ -491,6 +634,62 @@ class UIManager {
         }
     }
     
+    /**
+     * Advertise the RSS/Atom exports of published local feeds - autodiscovery
+     * <link rel="alternate"> tags in the head and "Subscribe" links in the footer
+     */
+    updateSubscribeLinks() {
+        if (!this.feedManager) return;
+        
+        try {
+            const localFeeds = this.feedManager.getFeedInfo()
+                .filter(feed => feed.type === 'local' && feed.localId && feed.enabled);
+            const formats = AnsyblConfig.feeds.exportFormats;
+            
+            document.head.querySelectorAll('link[data-feed-export]').forEach(link => link.remove());
+            
+            localFeeds.forEach(feed => {
+                formats.forEach(({ format, label, mediaType }) => {
+                    const link = document.createElement('link');
+                    link.rel = 'alternate';
+                    link.type = mediaType;
+                    link.title = `${feed.name} (${label})`;
+                    link.href = AnsyblConfig.utils.getFeedExportUrl(feed.localId, format);
+                    link.setAttribute('data-feed-export', feed.localId);
+                    document.head.appendChild(link);
+                });
+            });
+            
+            if (!this.elements.subscribe || !this.elements.subscribeList) return;
+            
+            this.elements.subscribeList.innerHTML = '';
+            localFeeds.forEach(feed => {
+                const item = document.createElement('li');
+                
+                const name = document.createElement('span');
+                name.className = 'subscribe-feed-name';
+                name.textContent = feed.name;
+                item.appendChild(name);
+                
+                formats.forEach(({ format, label, mediaType }) => {
+                    const link = document.createElement('a');
+                    link.className = `subscribe-link subscribe-${format}`;
+                    link.href = AnsyblConfig.utils.getFeedExportUrl(feed.localId, format);
+                    link.type = mediaType;
+                    link.textContent = label;
+                    item.appendChild(link);
+                });
+                
+                this.elements.subscribeList.appendChild(item);
+            });
+            
+            this.elements.subscribe.hidden = localFeeds.length === 0;
+            
+        } catch (error) {
+            AnsyblConfig.utils.log('error', 'Failed to update subscribe links', error);
+        }
+    }
+    
     /**
      * Event Handlers
      */
@@ -513,17 +712,12 @@ class UIManager {
         }
         
         this.searchTimeout = setTimeout(() => {
-            this.searchQuery = query;
-            this.currentPage = 1; // Reset to first page
-            this.renderContent();
+            this.setSearchQuery(query);
         }, AnsyblConfig.search.debounceDelay);
     }
     
     handleSearchButton() {
-        const query = this.elements.siteSearch.value.trim();
-        this.searchQuery = query;
-        this.currentPage = 1;
-        this.renderContent();
+        this.setSearchQuery(this.elements.siteSearch.value.trim());
     }
     
     handleFeedFilter(e) {
@@ -589,7 +783,7 @@ class UIManager {
                     
                 case 'ArrowRight':
                     const totalPages = Math.ceil(this.getTotalItemsCount() / AnsyblConfig.ui.itemsPerPage);
-                    if (this.currentPage < totalPages) {
+                    if (this.currentPage < totalPages || this.canLoadMore()) {
                         this.changePage(this.currentPage + 1);
                     }
                     break;
@@ -598,16 +792,26 @@ class UIManager {
     }
     
     handleTagClick(e) {
-        const tag = e.detail.tag;
+        const tag = e.detail.tag.replace(/^#/, '');
         
-        // Set search query to tag
-        this.searchQuery = tag;
+        // Search for the tag itself, not just the word
+        const query = /\s/.test(tag) ? `tag:"${tag}"` : `tag:${tag}`;
         if (this.elements.siteSearch) {
-            this.elements.siteSearch.value = tag;
+            this.elements.siteSearch.value = query;
         }
         
-        this.currentPage = 1;
-        this.renderContent();
+        this.setSearchQuery(query);
+    }
+    
+    handleServiceWorkerMessage(event) {
+        const message = event.data || {};
+        if (message.source !== 'ansybl-sw') return;
+        
+        if (message.type === 'offline') {
+            this.showOfflineBanner(message.cachedAt);
+        } else if (message.type === 'online') {
+            this.hideOfflineBanner();
+        }
     }
     
     handleVisibilityChange() {
@@ -642,6 +846,8 @@ class UIManager {
             this.elements.activityStream.className = `activity-stream ${view}-view`;
         }
         
+        this.writeUrlState();
+        
         AnsyblConfig.utils.log('debug', `View changed to: ${view}`);
     }
     
@@ -654,26 +860,99 @@ class UIManager {
             this.elements.feedFilter.value = filter;
         }
         
-        // Clear search when applying feed filter
-        if (filter !== 'all') {
-            this.searchQuery = '';
-            if (this.elements.siteSearch) {
-                this.elements.siteSearch.value = '';
-            }
-        }
-        
         this.renderContent();
+        this.writeUrlState();
         
         AnsyblConfig.utils.log('debug', `Filter changed to: ${filter}`);
     }
     
     setSort(sort) {
         this.currentSort = sort;
+        
+        if (this.elements.sortOrder) {
+            this.elements.sortOrder.value = sort;
+        }
+        
         this.renderContent();
+        this.writeUrlState();
         
         AnsyblConfig.utils.log('debug', `Sort changed to: ${sort}`);
     }
     
+    /**
+     * Run a search (or clear it with an empty query). Searching switches to
+     * relevance order; clearing restores the previous sort.
+     */
+    setSearchQuery(query) {
+        const wasSearching = this.isSearching();
+        
+        this.searchQuery = query;
+        this.currentPage = 1;
+        
+        if (this.isSearching() && !wasSearching) {
+            this.sortBeforeSearch = this.currentSort;
+            this.setSort('relevance');
+        } else if (!this.isSearching() && wasSearching && this.currentSort === 'relevance') {
+            this.setSort(this.sortBeforeSearch || 'published-desc');
+        } else {
+            this.renderContent();
+            // Refining a query replaces the history entry instead of adding one per keystroke
+            this.writeUrlState({ replace: wasSearching && this.isSearching() });
+        }
+    }
+    
+    isSearching() {
+        return !!this.searchQuery && this.searchQuery.length >= AnsyblConfig.search.minLength;
+    }
+    
+    /**
+     * Wrap matched words and phrases in rendered cards in <mark>
+     */
+    highlightSearchMatches(container) {
+        const { terms, phrases } = this.feedManager.getSearchHighlights(this.searchQuery);
+        
+        // Query words are letters/digits only, so they are safe inside a pattern
+        const patterns = [
+            ...phrases.map(phrase => phrase.join('[^\\p{L}\\p{N}]+')),
+            ...terms.map(term => `${term}[\\p{L}\\p{N}]*`)
+        ];
+        if (patterns.length === 0) return;
+        
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})`, 'giu');
+        
+        container.querySelectorAll('.activity-title, .activity-summary, .activity-object').forEach(element => {
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+            const textNodes = [];
+            while (walker.nextNode()) {
+                textNodes.push(walker.currentNode);
+            }
+            
+            textNodes.forEach(node => {
+                const text = node.textContent;
+                pattern.lastIndex = 0;
+                if (!pattern.test(text)) return;
+                
+                const fragment = document.createDocumentFragment();
+                let lastIndex = 0;
+                
+                text.replace(pattern, (match, offset) => {
+                    fragment.appendChild(document.createTextNode(text.slice(lastIndex, offset)));
+                    
+                    const mark = document.createElement('mark');
+                    mark.className = 'search-highlight';
+                    mark.textContent = match;
+                    fragment.appendChild(mark);
+                    
+                    lastIndex = offset + match.length;
+                    return match;
+                });
+                
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+                node.parentNode.replaceChild(fragment, node);
+            });
+        });
+    }
+    
     /**
      * Filter by specific feed (called from menu)
      */
@@ -688,13 +967,28 @@ class UIManager {
         this.setFilter('all');
     }
     
-    changePage(page) {
-        const totalPages = Math.ceil(this.getTotalItemsCount() / AnsyblConfig.ui.itemsPerPage);
+    async changePage(page) {
+        let totalPages = Math.ceil(this.getTotalItemsCount() / AnsyblConfig.ui.itemsPerPage);
+        
+        // Paging past what is loaded - ask FeedManager for the next remote page
+        if (page > totalPages && this.canLoadMore()) {
+            this.showLoading();
+            try {
+                await this.feedManager.loadMoreItems(this.currentFilter);
+            } finally {
+                this.hideLoading();
+            }
+            totalPages = Math.ceil(this.getTotalItemsCount() / AnsyblConfig.ui.itemsPerPage);
+        }
         
-        if (page < 1 || page > totalPages) return;
+        if (page < 1 || page > totalPages) {
+            this.updatePagination();
+            return;
+        }
         
         this.currentPage = page;
         this.renderContent();
+        this.writeUrlState();
         
         // Scroll to top of content
         if (this.elements.contentArea) {
@@ -704,6 +998,243 @@ class UIManager {
         AnsyblConfig.utils.log('debug', `Page changed to: ${page}`);
     }
     
+    /**
+     * URL State - search, feed filter, sort, view and page live in the
+     * query string so views survive reloads and can be shared
+     */
+    
+    static get urlStateDefaults() {
+        return {
+            q: '',
+            feed: 'all',
+            sort: 'published-desc',
+            view: AnsyblConfig.ui.defaultView,
+            page: 1
+        };
+    }
+    
+    static get sortOrders() {
+        return ['published-desc', 'published-asc', 'updated-desc', 'title-asc', 'manual', 'relevance'];
+    }
+    
+    getUrlState() {
+        return {
+            q: this.searchQuery,
+            feed: this.currentFilter,
+            sort: this.currentSort,
+            view: this.currentView,
+            page: this.currentPage
+        };
+    }
+    
+    /**
+     * Parse state from the current URL, falling back to defaults for missing or bad values
+     */
+    readUrlState() {
+        const defaults = UIManager.urlStateDefaults;
+        const params = new URLSearchParams(window.location.search);
+        const page = parseInt(params.get('page'), 10);
+        
+        return {
+            q: params.get('q') || defaults.q,
+            feed: params.get('feed') || defaults.feed,
+            sort: UIManager.sortOrders.includes(params.get('sort')) ? params.get('sort') : defaults.sort,
+            view: ['grid', 'list'].includes(params.get('view')) ? params.get('view') : defaults.view,
+            page: page > 0 ? page : defaults.page
+        };
+    }
+    
+    /**
+     * Build the URL for a state - default values are left out
+     */
+    buildUrl(state) {
+        const defaults = UIManager.urlStateDefaults;
+        const params = new URLSearchParams(window.location.search);
+        
+        Object.keys(defaults).forEach(key => {
+            if (state[key] !== undefined && state[key] !== defaults[key] && state[key] !== '') {
+                params.set(key, state[key]);
+            } else {
+                params.delete(key);
+            }
+        });
+        
+        // Legacy #feed-<id> links are replaced by the feed parameter
+        const hash = window.location.hash.startsWith('#feed-') ? '' : window.location.hash;
+        const query = params.toString();
+        
+        return `${window.location.pathname}${query ? `?${query}` : ''}${hash}`;
+    }
+    
+    /**
+     * Record the current state in the URL (a new history entry unless replace is set)
+     */
+    writeUrlState({ replace = false } = {}) {
+        if (this.restoringUrlState || !window.history || !window.history.pushState) return;
+        
+        const url = this.buildUrl(this.getUrlState());
+        const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+        if (url === current) return;
+        
+        if (replace) {
+            window.history.replaceState(this.getUrlState(), '', url);
+        } else {
+            window.history.pushState(this.getUrlState(), '', url);
+        }
+    }
+    
+    /**
+     * Restore a state (page load, back/forward) without adding history entries
+     */
+    applyUrlState(state, render = true) {
+        this.restoringUrlState = true;
+        
+        try {
+            this.setView(state.view);
+            
+            this.currentFilter = state.feed;
+            if (this.elements.feedFilter) {
+                this.elements.feedFilter.value = state.feed;
+            }
+            
+            this.searchQuery = state.q;
+            if (this.elements.siteSearch) {
+                this.elements.siteSearch.value = state.q;
+            }
+            
+            this.currentSort = state.sort;
+            if (this.elements.sortOrder) {
+                this.elements.sortOrder.value = state.sort;
+            }
+            
+            this.currentPage = state.page;
+            
+            if (render && this.feedManager) {
+                this.renderContent();
+            }
+        } finally {
+            this.restoringUrlState = false;
+        }
+    }
+    
+    /**
+     * Item Detail - a single item opened from its permalink
+     */
+    
+    handleRoute() {
+        const route = ActivityRenderer.parsePermalinkHash(window.location.hash);
+        
+        if (route) {
+            this.showItemDetail(route.feedId, route.itemId);
+        } else if (this.detailRoute) {
+            this.hideItemDetail();
+        }
+    }
+    
+    showItemDetail(feedId, itemId) {
+        if (!this.elements.itemDetail || !this.feedManager) return;
+        
+        const previous = this.detailRoute;
+        const isNewRoute = !previous || previous.feedId !== feedId || previous.itemId !== itemId;
+        
+        this.detailRoute = { feedId, itemId };
+        const detail = this.elements.itemDetail;
+        const item = this.feedManager.getItem(feedId, itemId);
+        
+        detail.innerHTML = '';
+        detail.appendChild(this.createDetailNavigation(feedId, itemId, !!item));
+        
+        if (item) {
+            this.activityRenderer.render(item, detail, { detail: true });
+            document.title = `${this.getItemTitle(item)} - ${this.listTitle}`;
+        } else {
+            // Feeds may still be loading - loadComplete tries again
+            const missing = document.createElement('div');
+            missing.className = 'empty-state';
+            missing.innerHTML = this.feedManager.isLoading || this.isLoading
+                ? '<div class="empty-state-content"><p>Loading item...</p></div>'
+                : '<div class="empty-state-content"><h3>Item not found</h3><p>It may have been removed from its feed.</p></div>';
+            detail.appendChild(missing);
+        }
+        
+        detail.hidden = false;
+        if (this.elements.contentArea) {
+            this.elements.contentArea.hidden = true;
+        }
+        
+        // Re-renders after feed updates keep the reader's position
+        if (isNewRoute) {
+            window.scrollTo(0, 0);
+        }
+    }
+    
+    hideItemDetail() {
+        this.detailRoute = null;
+        document.title = this.listTitle;
+        
+        if (this.elements.itemDetail) {
+            this.elements.itemDetail.hidden = true;
+            this.elements.itemDetail.innerHTML = '';
+        }
+        
+        if (this.elements.contentArea) {
+            this.elements.contentArea.hidden = false;
+        }
+    }
+    
+    /**
+     * Back link plus newer/older links within the item's feed
+     */
+    createDetailNavigation(feedId, itemId, found) {
+        const nav = document.createElement('nav');
+        nav.className = 'item-detail-nav';
+        nav.setAttribute('aria-label', 'Item navigation');
+        
+        const back = document.createElement('a');
+        back.className = 'item-detail-back';
+        back.href = `${window.location.pathname}${window.location.search}`;
+        back.textContent = '← Back to feed';
+        back.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.closeItemDetail();
+        });
+        nav.appendChild(back);
+        
+        if (!found) return nav;
+        
+        const items = this.feedManager.getAllItems({ feedId });
+        const index = items.findIndex(item => item.id === itemId);
+        const links = [
+            { item: items[index - 1], label: '← Newer', className: 'item-detail-prev' },
+            { item: items[index + 1], label: 'Older →', className: 'item-detail-next' }
+        ];
+        
+        links.forEach(({ item, label, className }) => {
+            if (!item) return;
+            
+            const link = document.createElement('a');
+            link.className = className;
+            link.href = ActivityRenderer.getPermalinkHash(feedId, item.id);
+            link.textContent = label;
+            link.title = this.getItemTitle(item);
+            nav.appendChild(link);
+        });
+        
+        return nav;
+    }
+    
+    /**
+     * Return to the list, keeping its search/filter/sort/page
+     */
+    closeItemDetail() {
+        window.history.pushState(window.history.state, '', `${window.location.pathname}${window.location.search}`);
+        this.handleRoute();
+    }
+    
+    getItemTitle(item) {
+        return item.objectName || item.name || item.objectType || item.type;
+    }
+    
     /**
      * State Management
      */
@@ -762,6 +1293,36 @@ class UIManager {
         }
     }
     
+    /**
+     * Offline mode - only when the feature flag is on and there is something cached to show
+     */
+    canShowCachedContent() {
+        return AnsyblConfig.utils.isFeatureEnabled('offlineMode')
+            && !!this.feedManager
+            && this.feedManager.getAllItems().length > 0;
+    }
+    
+    showOfflineBanner(cachedAt = null) {
+        if (!AnsyblConfig.utils.isFeatureEnabled('offlineMode') || !this.elements.offlineBanner) return;
+        
+        const timestamp = cachedAt || (this.feedManager && this.feedManager.lastUpdate);
+        const date = timestamp ? new Date(timestamp) : null;
+        
+        if (this.elements.offlineDetails) {
+            this.elements.offlineDetails.textContent = date && !Number.isNaN(date.getTime())
+                ? `You're offline, showing cached content from ${date.toLocaleString()}.`
+                : "You're offline, showing cached content.";
+        }
+        
+        this.elements.offlineBanner.setAttribute('aria-hidden', 'false');
+    }
+    
+    hideOfflineBanner() {
+        if (this.elements.offlineBanner) {
+            this.elements.offlineBanner.setAttribute('aria-hidden', 'true');
+        }
+    }
+    
     showEmptyState() {
         if (!this.elements.activityStream) return;
         
@@ -779,11 +1340,10 @@ class UIManager {
         const clearButton = emptyState.querySelector('.clear-search-button');
         if (clearButton) {
             clearButton.addEventListener('click', () => {
-                this.searchQuery = '';
                 if (this.elements.siteSearch) {
                     this.elements.siteSearch.value = '';
                 }
-                this.renderContent();
+                this.setSearchQuery('');
             });
         }
         
@@ -807,6 +1367,7 @@ class UIManager {
         // Clear references
         this.feedManager = null;
         this.activityRenderer = null;
+        this.audioPlayer = null;
         this.elements = {};
         this.boundHandlers = {};
         
@@ -0,0 +1,200 @@
+/**
+ * Service Worker - Offline support for Ansybl Site
+ * Precaches the application shell and serves feed data stale-while-revalidate
+ */
+
+// Header stamped on cached data responses so the UI can tell how old they are
+const CACHED_AT_HEADER = 'X-Ansybl-Cached-At';
+
+// Keep in sync with the script/style tags in index.html
+const SHELL_ASSETS = [
+    '/',
+    '/index.html',
+    '/assets/css/styles.css?v=2',
+    '/assets/js/config.js?v=8',
+    '/assets/js/menuRenderer.js?v=2',
+    '/assets/js/searchIndex.js?v=2',
+    '/assets/js/feedConverter.js?v=2',
+    '/assets/js/feedManager.js?v=12',
+    '/assets/js/htmlSanitizer.js?v=3',
+    '/assets/js/markdown.js?v=2',
+    '/assets/js/audioPlayer.js?v=2',
+    '/assets/js/rendererRegistry.js?v=2',
+    '/assets/js/activityRenderer.js?v=15',
+    '/assets/js/uiManager.js?v=12',
+    '/assets/js/app.js?v=5'
+];
+
+// Bumping any asset's ?v= above starts a new cache, so the old shell is dropped on activate
+const CACHE_VERSION = hashAssets(SHELL_ASSETS);
+const SHELL_CACHE = `ansybl-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `ansybl-data-${CACHE_VERSION}`;
+
+// Feed data served stale-while-revalidate
+const DATA_ROUTES = [
+    /^\/api\/feeds\.php(\/|$)/,
+    /^\/api\/local-feeds\.php(\/|$)/,
+    /^\/feeds\/[^/]+\.ansybl$/
+];
+
+/**
+ * Install - precache the application shell
+ */
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_ASSETS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Activate - drop caches from previous versions
+ */
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('ansybl-') && key !== SHELL_CACHE && key !== DATA_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Fetch - route same-origin GET requests
+ */
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // Leave the admin panel alone - it needs live, authenticated data
+    if (url.pathname.startsWith('/admin') || isAdminReferrer(request)) return;
+
+    if (DATA_ROUTES.some(route => route.test(url.pathname))) {
+        event.respondWith(staleWhileRevalidate(event));
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstNavigation(request));
+        return;
+    }
+
+    if (SHELL_ASSETS.includes(url.pathname + url.search)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Serve cached data immediately and refresh it in the background
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(event.request);
+
+    const network = fetch(event.request)
+        .then(async response => {
+            if (response.ok) {
+                await putWithTimestamp(cache, event.request, response.clone());
+            }
+            notifyClients({ type: 'online' });
+            return response;
+        })
+        .catch(error => {
+            if (cached) {
+                notifyClients({
+                    type: 'offline',
+                    url: event.request.url,
+                    cachedAt: cached.headers.get(CACHED_AT_HEADER)
+                });
+            }
+            throw error;
+        });
+
+    // Explicit refreshes (retry, real-time updates) wait for the network
+    if (cached && bypassesCache(event.request)) {
+        return network.catch(() => cached);
+    }
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+
+    return network;
+}
+
+/**
+ * Pages come from the network when possible, falling back to the cached shell
+ */
+async function networkFirstNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match('/index.html');
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Shell assets are versioned by query string, so the cached copy is always valid
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    return cached || fetch(request);
+}
+
+/**
+ * Store a response with the time it was cached
+ */
+async function putWithTimestamp(cache, request, response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+
+    const body = await response.blob();
+    await cache.put(request, new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    }));
+}
+
+/**
+ * Tell open pages about connectivity changes
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ source: 'ansybl-sw', ...message }));
+}
+
+/**
+ * Short, stable fingerprint of the asset list (djb2)
+ */
+function hashAssets(assets) {
+    let hash = 5381;
+    for (const char of assets.join('\n')) {
+        hash = ((hash * 33) ^ char.charCodeAt(0)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+function bypassesCache(request) {
+    return ['no-cache', 'no-store', 'reload'].includes(request.cache);
+}
+
+function isAdminReferrer(request) {
+    try {
+        return request.referrer && new URL(request.referrer).pathname.startsWith('/admin');
+    } catch (error) {
+        return false;
+    }
+}
@@ -0,0 +1,42 @@
+<?php
+/**
+ * Publish scheduled local feed items that are due, purge trash past its retention
+ * period, renew WebSub subscriptions to external feeds that are about to expire
+ * and drop expired link previews
+ * Run from cron, e.g. every five minutes: php /path/to/ansybl-site/publish-scheduled.php
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit();
+}
+
+require_once __DIR__ . '/vendor/autoload.php';
+
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\FeedCache;
+use AnsyblSite\Core\LocalFeedManager;
+use AnsyblSite\Core\WebSubSubscriber;
+
+$fileManager = new ConcurrentFileManager(__DIR__ . '/data');
+$localFeedManager = new LocalFeedManager($fileManager);
+$published = $localFeedManager->publishDueItems();
+$purged = $localFeedManager->purgeExpiredTrash();
+$renewed = (new WebSubSubscriber($fileManager))->renewExpiring();
+(new FeedCache($fileManager, 'cache/unfurl'))->cleanup();
+
+if (empty($published)) {
+    echo "No scheduled items due\n";
+}
+
+foreach ($published as $feedId => $itemIds) {
+    echo "{$feedId}: published " . implode(', ', $itemIds) . "\n";
+}
+
+foreach ($purged as $feedId => $itemIds) {
+    echo "{$feedId}: purged " . implode(', ', $itemIds) . " from the trash\n";
+}
+
+foreach ($renewed as $feedId) {
+    echo "{$feedId}: asked the hub to renew the WebSub subscription\n";
+}
@@ -0,0 +1,671 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+use AnsyblSite\Exceptions\ValidationException;
+
+/**
+ * Publishes local feeds as ActivityPub actors: WebFinger, actor document,
+ * outbox, followers, an inbox for Follow/Undo, and signed delivery of new
+ * items to followers. Keys and followers live in data/activitypub/<feed>.json.
+ */
+class ActivityPubPublisher
+{
+    public const CONTEXT = 'https://www.w3.org/ns/activitystreams';
+    public const PUBLIC_AUDIENCE = 'https://www.w3.org/ns/activitystreams#Public';
+    public const ACTOR_TYPES = ['Service', 'Person'];
+    public const PAGE_SIZE = 20;
+    
+    private const SECURITY_CONTEXT = 'https://w3id.org/security/v1';
+    private const ENDPOINT = '/api/activitypub.php';
+    private const ACTIVITY_JSON = 'application/activity+json';
+    
+    private ConcurrentFileManager $fileManager;
+    private FeedExporter $exporter;
+    private HttpSignature $signature;
+    private PublicUrlGuard $urlGuard;
+    private string $dataPath = 'activitypub';
+    private int $timeout;
+    
+    public function __construct(ConcurrentFileManager $fileManager, ?FeedExporter $exporter = null, ?HttpSignature $signature = null, int $timeout = 10, ?PublicUrlGuard $urlGuard = null)
+    {
+        $this->fileManager = $fileManager;
+        $this->exporter = $exporter ?? new FeedExporter();
+        $this->signature = $signature ?? new HttpSignature();
+        $this->timeout = $timeout;
+        $this->urlGuard = $urlGuard ?? new PublicUrlGuard();
+        
+        $this->ensureDataDirectory();
+    }
+    
+    /**
+     * Actor URL - the other collections hang off it
+     */
+    public function getActorUrl(array $feed): string
+    {
+        return $this->exporter->getSiteUrl($feed) . self::ENDPOINT . '/' . rawurlencode($feed['id']);
+    }
+    
+    /**
+     * "@feed@host" - what people type into Mastodon to follow the feed
+     */
+    public function getHandle(array $feed): string
+    {
+        return '@' . $feed['id'] . '@' . preg_replace('#^[a-z]+://#i', '', $this->exporter->getSiteUrl($feed));
+    }
+    
+    /**
+     * WebFinger (RFC 7033) record for acct:<feed>@<host>
+     */
+    public function getWebfinger(array $feed): array
+    {
+        $actorUrl = $this->getActorUrl($feed);
+        
+        return [
+            'subject' => 'acct:' . ltrim($this->getHandle($feed), '@'),
+            'aliases' => [$actorUrl],
+            'links' => [
+                ['rel' => 'self', 'type' => self::ACTIVITY_JSON, 'href' => $actorUrl],
+                ['rel' => 'http://webfinger.net/rel/profile-page', 'type' => 'text/html', 'href' => $this->getProfileUrl($feed)]
+            ]
+        ];
+    }
+    
+    public function getActor(array $feed): array
+    {
+        $actorUrl = $this->getActorUrl($feed);
+        $state = $this->getState($feed['id'], true);
+        $author = is_array($feed['author'] ?? null) ? $feed['author'] : [];
+        
+        $actor = [
+            '@context' => [self::CONTEXT, self::SECURITY_CONTEXT],
+            'id' => $actorUrl,
+            'type' => in_array($feed['actorType'] ?? null, self::ACTOR_TYPES, true) ? $feed['actorType'] : 'Service',
+            'preferredUsername' => $feed['id'],
+            'name' => $feed['name'],
+            'summary' => !empty($feed['description'])
+                ? '<p>' . htmlspecialchars($feed['description'], ENT_QUOTES, 'UTF-8') . '</p>'
+                : null,
+            'url' => $this->getProfileUrl($feed),
+            'icon' => !empty($author['icon']) && is_string($author['icon'])
+                ? ['type' => 'Image', 'url' => $this->exporter->absoluteUrl($author['icon'], $this->exporter->getSiteUrl($feed))]
+                : null,
+            'inbox' => "{$actorUrl}/inbox",
+            'outbox' => "{$actorUrl}/outbox",
+            'followers' => "{$actorUrl}/followers",
+            'published' => $feed['created'] ?? null,
+            'manuallyApprovesFollowers' => false,
+            'discoverable' => true,
+            'publicKey' => [
+                'id' => "{$actorUrl}#main-key",
+                'owner' => $actorUrl,
+                'publicKeyPem' => $state['publicKeyPem']
+            ]
+        ];
+        
+        return array_filter($actor, fn($value) => $value !== null);
+    }
+    
+    /**
+     * The outbox: an OrderedCollection pointing at pages of Create activities, newest first
+     */
+    public function getOutbox(array $feed, ?int $page = null): array
+    {
+        $outboxUrl = $this->getActorUrl($feed) . '/outbox';
+        $items = $this->getPublicItems($feed);
+        
+        if ($page === null) {
+            return [
+                '@context' => self::CONTEXT,
+                'id' => $outboxUrl,
+                'type' => 'OrderedCollection',
+                'totalItems' => count($items),
+                'first' => "{$outboxUrl}?page=1"
+            ];
+        }
+        
+        $page = max(1, $page);
+        $pageItems = array_slice($items, ($page - 1) * self::PAGE_SIZE, self::PAGE_SIZE);
+        
+        $collectionPage = [
+            '@context' => self::CONTEXT,
+            'id' => "{$outboxUrl}?page={$page}",
+            'type' => 'OrderedCollectionPage',
+            'partOf' => $outboxUrl,
+            'orderedItems' => array_map(fn($item) => $this->createActivity($feed, $item), $pageItems)
+        ];
+        
+        if ($page * self::PAGE_SIZE < count($items)) {
+            $collectionPage['next'] = $outboxUrl . '?page=' . ($page + 1);
+        }
+        if ($page > 1) {
+            $collectionPage['prev'] = $outboxUrl . '?page=' . ($page - 1);
+        }
+        
+        return $collectionPage;
+    }
+    
+    public function getFollowersCollection(array $feed): array
+    {
+        $followers = $this->getFollowers($feed['id']);
+        
+        return [
+            '@context' => self::CONTEXT,
+            'id' => $this->getActorUrl($feed) . '/followers',
+            'type' => 'OrderedCollection',
+            'totalItems' => count($followers),
+            'orderedItems' => array_column($followers, 'id')
+        ];
+    }
+    
+    /**
+     * An item as a federated object. Collections go out as an Article/Note with
+     * their media attached, as that's what fediverse software can show.
+     */
+    public function getObject(array $feed, array $item): array
+    {
+        $siteUrl = $this->exporter->getSiteUrl($feed);
+        $type = $item['type'] ?? 'Note';
+        if ($type === 'Collection') {
+            $type = !empty($item['name']) ? 'Article' : 'Note';
+        }
+        
+        $attachments = array_map(fn($media) => array_filter([
+            'type' => 'Document',
+            'mediaType' => $media['mediaType'],
+            'url' => $this->exporter->absoluteUrl($media['url'], $siteUrl),
+            'name' => $item['name'] ?? null
+        ]), $this->exporter->getMedia($item));
+        
+        $tags = array_map(fn($name) => ['type' => 'Hashtag', 'name' => '#' . $name], $this->exporter->getTagNames($item));
+        $content = $this->exporter->getContentHtml($item);
+        
+        $object = [
+            'id' => $this->getObjectUrl($feed, $item),
+            'type' => $type,
+            'attributedTo' => $this->getActorUrl($feed),
+            'name' => $type !== 'Note' && !empty($item['name']) ? $item['name'] : null,
+            'content' => $content !== '' ? $content : null,
+            'mediaType' => $content !== '' ? 'text/html' : null,
+            'url' => $this->exporter->getPermalink($feed, $item, $siteUrl),
+            'published' => $this->formatDate($item['published'] ?? null),
+            'to' => [self::PUBLIC_AUDIENCE],
+            'cc' => [$this->getActorUrl($feed) . '/followers'],
+            'attachment' => $attachments ?: null,
+            'tag' => $tags ?: null,
+            'duration' => $item['duration'] ?? null
+        ];
+        
+        // Event times and location, Place coordinates and poll choices go out as they are
+        foreach (LocalFeedManager::TYPE_FIELDS as $field) {
+            if (isset($item[$field])) {
+                $object[$field] = in_array($field, ['startTime', 'endTime'], true) ? $this->formatDate($item[$field]) : $item[$field];
+            }
+        }
+        
+        return array_filter($object, fn($value) => $value !== null);
+    }
+    
+    /**
+     * Wrap an item in the Create activity that announces it
+     */
+    public function createActivity(array $feed, array $item): array
+    {
+        $object = $this->getObject($feed, $item);
+        
+        return [
+            '@context' => self::CONTEXT,
+            'id' => $object['id'] . '/activity',
+            'type' => 'Create',
+            'actor' => $object['attributedTo'],
+            'published' => $object['published'],
+            'to' => $object['to'],
+            'cc' => $object['cc'],
+            'object' => $object
+        ];
+    }
+    
+    /**
+     * Handle a signed POST to the feed's inbox. Follow adds a follower (and is
+     * answered with an Accept), Undo of a Follow removes it; anything else is ignored.
+     *
+     * @return string 'followed', 'unfollowed' or 'ignored'
+     */
+    public function handleInbox(array $feed, string $body, array $headers, string $target): string
+    {
+        $activity = json_decode($body, true);
+        if (!is_array($activity) || empty($activity['type']) || empty($activity['actor']) || !is_string($activity['actor'])) {
+            throw new ValidationException('Invalid activity');
+        }
+        
+        // Nothing is fetched for a key that isn't on the actor's own server,
+        // so an unsigned POST can't send us to an arbitrary URL
+        $keyId = $this->signature->parseSignatureHeader(array_change_key_case($headers, CASE_LOWER)['signature'] ?? '')['keyId'] ?? null;
+        if (!$keyId || !$this->isSameHost($keyId, $activity['actor'])) {
+            throw new ValidationException('Invalid HTTP signature', 401);
+        }
+        
+        $sender = $this->fetchActor($feed, $activity['actor']);
+        $publicKey = $sender['publicKey'] ?? null;
+        
+        if (!is_array($publicKey) || empty($publicKey['publicKeyPem']) || ($publicKey['id'] ?? null) !== $keyId
+            || !$this->signature->verify('POST', $target, $headers, $publicKey['publicKeyPem'], $body)) {
+            throw new ValidationException('Invalid HTTP signature', 401);
+        }
+        
+        $actorUrl = $this->getActorUrl($feed);
+        
+        switch ($activity['type']) {
+            case 'Follow':
+                if ($this->getId($activity['object'] ?? null) !== $actorUrl) {
+                    return 'ignored';
+                }
+                
+                $this->addFollower($feed['id'], $sender, $activity['id'] ?? null);
+                $this->deliver($feed, [
+                    '@context' => self::CONTEXT,
+                    'id' => $actorUrl . '#accepts/' . bin2hex(random_bytes(8)),
+                    'type' => 'Accept',
+                    'actor' => $actorUrl,
+                    'object' => $activity
+                ], [$sender['inbox']]);
+                
+                return 'followed';
+                
+            case 'Undo':
+                $object = $activity['object'] ?? null;
+                $followId = $this->getId($object);
+                $isFollow = is_array($object) ? ($object['type'] ?? null) === 'Follow' : $this->isFollowId($feed['id'], $followId);
+                
+                if (!$isFollow) {
+                    return 'ignored';
+                }
+                
+                $this->removeFollower($feed['id'], $sender['id']);
+                return 'unfollowed';
+                
+            default:
+                return 'ignored';
+        }
+    }
+    
+    /**
+     * Deliver a new item to the feed's followers
+     *
+     * @return array Inbox URL => HTTP status (0 when unreachable)
+     */
+    public function publishItem(array $feed, array $item): array
+    {
+        if (empty($this->getFollowers($feed['id']))) {
+            return [];
+        }
+        
+        return $this->deliver($feed, $this->createActivity($feed, $item));
+    }
+    
+    /**
+     * Wrap an edited item in an Update activity - the object carries its
+     * updated time, which is how fediverse software recognises an edit
+     */
+    public function updateActivity(array $feed, array $item): array
+    {
+        $object = $this->getObject($feed, $item);
+        $object['updated'] = $this->formatDate($item['updated'] ?? null);
+        
+        return [
+            '@context' => self::CONTEXT,
+            'id' => $object['id'] . '/activity/update-' . strtotime($object['updated']),
+            'type' => 'Update',
+            'actor' => $object['attributedTo'],
+            'published' => $object['updated'],
+            'to' => $object['to'],
+            'cc' => $object['cc'],
+            'object' => $object
+        ];
+    }
+    
+    /**
+     * Deliver an edit of a published item to the feed's followers
+     *
+     * @return array Inbox URL => HTTP status (0 when unreachable)
+     */
+    public function publishUpdate(array $feed, array $item): array
+    {
+        if (empty($this->getFollowers($feed['id']))) {
+            return [];
+        }
+        
+        return $this->deliver($feed, $this->updateActivity($feed, $item));
+    }
+    
+    /**
+     * What's left of a deleted item - served in its place and sent in Delete activities
+     */
+    public function getTombstone(array $feed, array $item, ?string $deleted = null): array
+    {
+        return [
+            'id' => $this->getObjectUrl($feed, $item),
+            'type' => 'Tombstone',
+            'formerType' => ($item['type'] ?? 'Note') === 'Collection' ? 'Article' : ($item['type'] ?? 'Note'),
+            'deleted' => $this->formatDate($deleted)
+        ];
+    }
+    
+    /**
+     * Wrap a deleted item's tombstone in the Delete activity that retracts it
+     */
+    public function deleteActivity(array $feed, array $item, ?string $deleted = null): array
+    {
+        $tombstone = $this->getTombstone($feed, $item, $deleted);
+        
+        return [
+            '@context' => self::CONTEXT,
+            'id' => $tombstone['id'] . '/activity/delete',
+            'type' => 'Delete',
+            'actor' => $this->getActorUrl($feed),
+            'published' => $tombstone['deleted'],
+            'to' => [self::PUBLIC_AUDIENCE],
+            'cc' => [$this->getActorUrl($feed) . '/followers'],
+            'object' => $tombstone
+        ];
+    }
+    
+    /**
+     * Tell the feed's followers an item was deleted, so their servers remove it
+     *
+     * @return array Inbox URL => HTTP status (0 when unreachable)
+     */
+    public function publishDelete(array $feed, array $item): array
+    {
+        if (empty($this->getFollowers($feed['id']))) {
+            return [];
+        }
+        
+        return $this->deliver($feed, $this->deleteActivity($feed, $item));
+    }
+    
+    /**
+     * POST a signed activity to the given inboxes, or to every follower -
+     * once per server where followers share an inbox
+     *
+     * @return array Inbox URL => HTTP status (0 when unreachable)
+     */
+    public function deliver(array $feed, array $activity, ?array $inboxes = null): array
+    {
+        if ($inboxes === null) {
+            $inboxes = array_map(
+                fn($follower) => $follower['sharedInbox'] ?? $follower['inbox'],
+                $this->getFollowers($feed['id'])
+            );
+        }
+        
+        $state = $this->getState($feed['id'], true);
+        $keyId = $this->getActorUrl($feed) . '#main-key';
+        $body = json_encode($activity, JSON_UNESCAPED_SLASHES);
+        $results = [];
+        
+        foreach (array_unique(array_filter($inboxes)) as $inbox) {
+            try {
+                $address = $this->urlGuard->assertFetchable($inbox);
+                $headers = $this->signature->sign('POST', $inbox, $keyId, $state['privateKeyPem'], $body);
+                $headers['Content-Type'] = self::ACTIVITY_JSON;
+                $results[$inbox] = $this->request('POST', $inbox, $headers, $body, $address)['status'];
+            } catch (\Exception $e) {
+                $results[$inbox] = 0;
+            }
+            
+            if ($results[$inbox] < 200 || $results[$inbox] >= 300) {
+                error_log("ActivityPub delivery of {$activity['id']} to {$inbox} failed with status {$results[$inbox]}");
+            }
+        }
+        
+        return $results;
+    }
+    
+    public function getFollowers(string $feedId): array
+    {
+        return $this->getState($feedId)['followers'] ?? [];
+    }
+    
+    /**
+     * Forget a deleted feed's keys and followers
+     */
+    public function deleteActor(string $feedId): void
+    {
+        $this->fileManager->delete($this->getStateFile($feedId));
+    }
+    
+    /**
+     * Fetch a remote actor, signing the request for servers that require it
+     */
+    protected function fetchActor(array $feed, string $url): array
+    {
+        $address = $this->urlGuard->assertFetchable($url);
+        
+        $state = $this->getState($feed['id'], true);
+        $headers = $this->signature->sign('GET', $url, $this->getActorUrl($feed) . '#main-key', $state['privateKeyPem']);
+        $headers['Accept'] = self::ACTIVITY_JSON;
+        
+        $response = $this->request('GET', $url, $headers, null, $address);
+        $actor = json_decode($response['body'], true);
+        
+        if ($response['status'] !== 200 || !is_array($actor) || empty($actor['inbox']) || !is_string($actor['inbox']) || ($actor['id'] ?? null) !== $url) {
+            throw new ValidationException("Could not fetch actor {$url}", 401);
+        }
+        
+        // The Accept, and later deliveries, go to the actor's inbox
+        $this->urlGuard->assertFetchable($actor['inbox']);
+        
+        return $actor;
+    }
+    
+    /**
+     * @param string|null $address The address the URL was checked at, which
+     *                             cURL connects to instead of resolving it again
+     * @return array{status: int, body: string}
+     */
+    protected function request(string $method, string $url, array $headers, ?string $body = null, ?string $address = null): array
+    {
+        $headerLines = [];
+        foreach ($headers as $name => $value) {
+            $headerLines[] = "{$name}: {$value}";
+        }
+        $headerLines[] = 'User-Agent: Ansybl Site ActivityPub 1.0';
+        
+        if (function_exists('curl_init')) {
+            $ch = curl_init();
+            curl_setopt_array($ch, [
+                CURLOPT_URL => $url,
+                CURLOPT_CUSTOMREQUEST => $method,
+                CURLOPT_RETURNTRANSFER => true,
+                CURLOPT_TIMEOUT => $this->timeout,
+                CURLOPT_PROTOCOLS => CURLPROTO_HTTP | CURLPROTO_HTTPS,
+                CURLOPT_HTTPHEADER => $headerLines
+            ]);
+            if ($body !== null) {
+                curl_setopt($ch, CURLOPT_POSTFIELDS, $body);
+            }
+            if ($address !== null) {
+                curl_setopt($ch, CURLOPT_RESOLVE, $this->urlGuard->pinAddress($url, $address));
+            }
+            
+            $responseBody = curl_exec($ch);
+            $status = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+            curl_close($ch);
+            
+            return ['status' => $responseBody === false ? 0 : $status, 'body' => (string) $responseBody];
+        }
+        
+        // Without cURL the connection can't be pinned - the host was checked just before
+        $context = stream_context_create([
+            'http' => [
+                'method' => $method,
+                'header' => implode("\r\n", $headerLines),
+                'content' => $body ?? '',
+                'timeout' => $this->timeout,
+                'follow_location' => 0,
+                'ignore_errors' => true
+            ]
+        ]);
+        
+        $responseBody = @file_get_contents($url, false, $context);
+        $status = 0;
+        foreach ($http_response_header ?? [] as $header) {
+            if (preg_match('/^HTTP\/\S+\s+(\d{3})/', $header, $matches)) {
+                $status = (int) $matches[1];
+            }
+        }
+        
+        return ['status' => $status, 'body' => (string) $responseBody];
+    }
+    
+    private function isSameHost(string $url, string $otherUrl): bool
+    {
+        $host = strtolower((string) parse_url($url, PHP_URL_HOST));
+        
+        return $host !== '' && $host === strtolower((string) parse_url($otherUrl, PHP_URL_HOST))
+            && parse_url($url, PHP_URL_PORT) === parse_url($otherUrl, PHP_URL_PORT);
+    }
+    
+    private function getProfileUrl(array $feed): string
+    {
+        return $this->exporter->getSiteUrl($feed) . '/?feed=' . rawurlencode('local-' . $feed['id']);
+    }
+    
+    private function getObjectUrl(array $feed, array $item): string
+    {
+        return $this->getActorUrl($feed) . '/items/' . rawurlencode($item['id']);
+    }
+    
+    /**
+     * Items with an ID, newest first
+     */
+    private function getPublicItems(array $feed): array
+    {
+        $items = array_values(array_filter($feed['items'] ?? [], fn($item) => !empty($item['id'])));
+        usort($items, fn($a, $b) => strcmp($b['published'] ?? '', $a['published'] ?? ''));
+        
+        return $items;
+    }
+    
+    private function addFollower(string $feedId, array $actor, ?string $followId): void
+    {
+        $this->updateState($feedId, function($state) use ($actor, $followId) {
+            $followers = array_values(array_filter(
+                $state['followers'] ?? [],
+                fn($follower) => $follower['id'] !== $actor['id']
+            ));
+            
+            $followers[] = [
+                'id' => $actor['id'],
+                'inbox' => $actor['inbox'],
+                'sharedInbox' => $actor['endpoints']['sharedInbox'] ?? null,
+                'follow' => $followId,
+                'followed' => date('c')
+            ];
+            
+            $state['followers'] = $followers;
+            return $state;
+        });
+    }
+    
+    private function removeFollower(string $feedId, string $actorId): void
+    {
+        $this->updateState($feedId, function($state) use ($actorId) {
+            $state['followers'] = array_values(array_filter(
+                $state['followers'] ?? [],
+                fn($follower) => $follower['id'] !== $actorId
+            ));
+            return $state;
+        });
+    }
+    
+    private function isFollowId(string $feedId, ?string $id): bool
+    {
+        return $id !== null && in_array($id, array_column($this->getFollowers($feedId), 'follow'), true);
+    }
+    
+    /**
+     * ID of a property that may be an embedded object or a URL
+     */
+    private function getId(mixed $value): ?string
+    {
+        if (is_array($value)) {
+            $value = $value['id'] ?? null;
+        }
+        
+        return is_string($value) ? $value : null;
+    }
+    
+    /**
+     * Stored keys and followers; the RSA key pair is created the first time it's needed
+     */
+    private function getState(string $feedId, bool $withKeys = false): array
+    {
+        $file = $this->getStateFile($feedId);
+        $state = $this->fileManager->exists($file) ? $this->fileManager->safeRead($file) : [];
+        
+        if ($withKeys && empty($state['privateKeyPem'])) {
+            $this->updateState($feedId, function($current) {
+                if (empty($current['privateKeyPem'])) {
+                    $current = array_merge($current, $this->generateKeys());
+                }
+                return $current;
+            });
+            $state = $this->fileManager->safeRead($file);
+        }
+        
+        return $state;
+    }
+    
+    private function updateState(string $feedId, callable $updater): void
+    {
+        $this->fileManager->transactionalUpdate($this->getStateFile($feedId), function($state) use ($updater) {
+            $state = $updater($state);
+            $state['updated'] = date('c');
+            return $state;
+        });
+    }
+    
+    private function generateKeys(): array
+    {
+        $key = openssl_pkey_new([
+            'private_key_bits' => 2048,
+            'private_key_type' => OPENSSL_KEYTYPE_RSA
+        ]);
+        
+        if ($key === false || !openssl_pkey_export($key, $privateKeyPem)) {
+            throw new \RuntimeException('Could not generate an ActivityPub key pair');
+        }
+        
+        return [
+            'publicKeyPem' => openssl_pkey_get_details($key)['key'],
+            'privateKeyPem' => $privateKeyPem,
+            'followers' => [],
+            'created' => date('c')
+        ];
+    }
+    
+    private function getStateFile(string $feedId): string
+    {
+        return $this->dataPath . '/' . preg_replace('/[^a-zA-Z0-9_-]/', '_', $feedId) . '.json';
+    }
+    
+    private function formatDate(?string $date): string
+    {
+        try {
+            return (new \DateTimeImmutable($date ?? 'now'))->format(DATE_ATOM);
+        } catch (\Exception $e) {
+            return (new \DateTimeImmutable())->format(DATE_ATOM);
+        }
+    }
+    
+    private function ensureDataDirectory(): void
+    {
+        $path = $this->fileManager->getFilePath($this->dataPath);
+        
+        if (!is_dir($path)) {
+            mkdir($path, 0755, true);
+        }
+    }
+}
@@ -0,0 +1,222 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+use AnsyblSite\Exceptions\ValidationException;
+
+/**
+ * Resolves a fediverse account - an @user@host handle (via WebFinger) or an
+ * ActivityPub actor URL - to the actor's profile and outbox collection,
+ * so the account can be followed as an external feed
+ */
+class ActorResolver
+{
+    public const ACTOR_TYPES = ['Person', 'Service', 'Group', 'Organization', 'Application'];
+    
+    private const ACTIVITY_JSON = 'application/activity+json';
+    private const LD_JSON = 'application/ld+json; profile="https://www.w3.org/ns/activitystreams"';
+    
+    private string $scheme;
+    private int $timeout;
+    
+    /**
+     * @param string $scheme Scheme used to reach WebFinger on the handle's host
+     */
+    public function __construct(string $scheme = 'https', int $timeout = 15)
+    {
+        $this->scheme = $scheme;
+        $this->timeout = $timeout;
+    }
+    
+    /**
+     * Check for a "@user@host" (or "user@host") handle
+     */
+    public static function isHandle(string $input): bool
+    {
+        return (bool) preg_match('/^@?[^@\s\/]+@[^@\s\/]+$/', trim($input));
+    }
+    
+    /**
+     * Resolve a handle or actor URL. Returns null for a URL that isn't an actor
+     * (an ordinary feed), throws when a handle can't be resolved.
+     *
+     * @return array{handle: string, actor: array, outbox: string}|null
+     */
+    public function resolve(string $input): ?array
+    {
+        $input = trim($input);
+        
+        if (self::isHandle($input)) {
+            $actorUrl = $this->webfinger($input);
+            $actor = $this->fetchJson($actorUrl);
+            
+            if (!$this->isActor($actor)) {
+                throw new ValidationException("WebFinger for {$input} does not point to an ActivityPub actor");
+            }
+        } else {
+            $actor = $this->fetchJson($input);
+            
+            if (!$this->isActor($actor)) {
+                return null;
+            }
+        }
+        
+        $outbox = $this->getUrl($actor['outbox'] ?? null);
+        if (!$outbox) {
+            throw new ValidationException('The actor does not publish an outbox');
+        }
+        
+        $profile = $this->extractProfile($actor);
+        
+        return [
+            'handle' => $profile['handle'],
+            'actor' => $profile,
+            'outbox' => $outbox
+        ];
+    }
+    
+    /**
+     * Look up a handle's actor URL through WebFinger (RFC 7033)
+     */
+    public function webfinger(string $handle): string
+    {
+        [$user, $host] = explode('@', ltrim(trim($handle), '@'), 2);
+        $resource = "acct:{$user}@{$host}";
+        $url = "{$this->scheme}://{$host}/.well-known/webfinger?resource=" . rawurlencode($resource);
+        
+        $data = $this->fetchJson($url, 'application/jrd+json, application/json');
+        if ($data === null) {
+            throw new ValidationException("No WebFinger record found for @{$user}@{$host}");
+        }
+        
+        foreach ($data['links'] ?? [] as $link) {
+            $type = $link['type'] ?? '';
+            if (($link['rel'] ?? '') === 'self' && !empty($link['href'])
+                && (str_starts_with($type, self::ACTIVITY_JSON) || str_starts_with($type, 'application/ld+json'))) {
+                return $link['href'];
+            }
+        }
+        
+        throw new ValidationException("@{$user}@{$host} has no ActivityPub actor");
+    }
+    
+    public function isActor(?array $data): bool
+    {
+        return $data !== null
+            && in_array($data['type'] ?? null, self::ACTOR_TYPES, true)
+            && !empty($data['id']);
+    }
+    
+    /**
+     * The actor fields the front end shows as profile info
+     */
+    public function extractProfile(array $actor): array
+    {
+        $username = $actor['preferredUsername'] ?? null;
+        $host = parse_url($actor['id'], PHP_URL_HOST);
+        $port = parse_url($actor['id'], PHP_URL_PORT);
+        if ($host && $port) {
+            $host .= ':' . $port;
+        }
+        
+        return [
+            'id' => $actor['id'],
+            'type' => $actor['type'],
+            'name' => ($actor['name'] ?? '') !== '' ? $actor['name'] : $username,
+            'preferredUsername' => $username,
+            'handle' => $username && $host ? "@{$username}@{$host}" : null,
+            'summary' => $actor['summary'] ?? null,
+            'url' => $this->getUrl($actor['url'] ?? null) ?? $actor['id'],
+            'icon' => $this->getUrl($actor['icon'] ?? null),
+            'image' => $this->getUrl($actor['image'] ?? null)
+        ];
+    }
+    
+    /**
+     * URL of a property that may be a string, a Link/Image object or a list of them
+     */
+    private function getUrl(mixed $value): ?string
+    {
+        if (is_string($value)) {
+            return $value;
+        }
+        
+        if (!is_array($value)) {
+            return null;
+        }
+        
+        if (array_is_list($value)) {
+            return $this->getUrl($value[0] ?? null);
+        }
+        
+        return $this->getUrl($value['url'] ?? $value['href'] ?? null);
+    }
+    
+    /**
+     * Fetch a JSON document. Returns null when the response isn't JSON,
+     * throws when it can't be fetched at all.
+     */
+    protected function fetchJson(string $url, ?string $accept = null): ?array
+    {
+        if (!filter_var($url, FILTER_VALIDATE_URL)) {
+            throw new ValidationException("Invalid URL: {$url}");
+        }
+        
+        $accept = $accept ?? self::ACTIVITY_JSON . ', ' . self::LD_JSON;
+        
+        if (function_exists('curl_init')) {
+            $ch = curl_init();
+            curl_setopt_array($ch, [
+                CURLOPT_URL => $url,
+                CURLOPT_RETURNTRANSFER => true,
+                CURLOPT_TIMEOUT => $this->timeout,
+                CURLOPT_FOLLOWLOCATION => true,
+                CURLOPT_MAXREDIRS => 5,
+                CURLOPT_USERAGENT => 'Ansybl Site Feed Reader 1.0',
+                CURLOPT_HTTPHEADER => ["Accept: {$accept}"]
+            ]);
+            
+            $body = curl_exec($ch);
+            $status = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+            $error = curl_error($ch);
+            curl_close($ch);
+            
+            if ($body === false || $error !== '') {
+                throw new \RuntimeException("Failed to fetch {$url}: {$error}");
+            }
+        } else {
+            $context = stream_context_create([
+                'http' => [
+                    'timeout' => $this->timeout,
+                    'user_agent' => 'Ansybl Site Feed Reader 1.0',
+                    'header' => "Accept: {$accept}",
+                    'ignore_errors' => true
+                ]
+            ]);
+            
+            $body = @file_get_contents($url, false, $context);
+            if ($body === false) {
+                throw new \RuntimeException("Failed to fetch {$url}");
+            }
+            
+            $status = 0;
+            foreach ($http_response_header ?? [] as $header) {
+                if (preg_match('/^HTTP\/\S+\s+(\d{3})/', $header, $matches)) {
+                    $status = (int) $matches[1];
+                }
+            }
+        }
+        
+        if ($status === 404 || $status === 410) {
+            return null;
+        }
+        
+        if ($status < 200 || $status >= 300) {
+            throw new \RuntimeException("HTTP error {$status} when fetching {$url}");
+        }
+        
+        $data = json_decode($body, true);
+        
+        return is_array($data) ? $data : null;
+    }
+}
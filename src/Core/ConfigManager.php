@@ -344,7 +344,9 @@ class ConfigManager
             'features' => [
                 'search_enabled' => true,
                 'comments_enabled' => false,
-                'social_sharing' => true
+                'social_sharing' => true,
+                // The server fetches pages on readers' behalf for these
+                'link_previews' => false
             ],
             'meta' => [
                 'created' => date('c'),
@@ -0,0 +1,421 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+use AnsyblSite\Exceptions\FileSystemException;
+use AnsyblSite\Exceptions\ValidationException;
+
+/**
+ * Portable zip archives of local feeds, for backups and for moving a feed to
+ * another site. An archive holds manifest.json, feed.json (the feed and its
+ * items) and the feed's uploaded media under media/.
+ */
+class FeedArchive
+{
+    public const FORMAT = 'ansybl-feed-archive';
+    public const VERSION = 1;
+    
+    /**
+     * Feed settings carried over on import - IDs, URLs and dates belong to the site
+     */
+    private const FEED_FIELDS = ['description', 'author', 'language', 'published', 'actorType', 'emitUpdates'];
+    
+    /**
+     * Most media, uncompressed, an archive may bring in
+     */
+    public const MAX_MEDIA_SIZE = 1024 * 1024 * 1024;
+    
+    private LocalFeedManager $feeds;
+    private string $uploadsDir;
+    private string $uploadsUrl = '/uploads/feeds';
+    private int $maxMediaSize;
+    
+    public function __construct(LocalFeedManager $feeds, ?string $uploadsDir = null, int $maxMediaSize = self::MAX_MEDIA_SIZE)
+    {
+        $this->feeds = $feeds;
+        $this->uploadsDir = rtrim($uploadsDir ?? dirname(__DIR__, 2) . '/public/uploads/feeds', '/');
+        $this->maxMediaSize = $maxMediaSize;
+    }
+    
+    /**
+     * Write a feed and its media to a zip file
+     *
+     * @return array The archive's manifest
+     */
+    public function export(string $feedId, string $zipPath): array
+    {
+        $feed = $this->feeds->getFeed($feedId);
+        
+        // The trash and deletion notices belong to this site's copy of the feed
+        unset($feed['trash'], $feed['tombstones']);
+        
+        $zip = $this->openZip($zipPath, \ZipArchive::CREATE | \ZipArchive::OVERWRITE);
+        
+        $media = [];
+        foreach ($this->listMedia($feedId) as $path => $file) {
+            $zip->addFile($file, "media/{$path}");
+            $media[] = ['path' => $path, 'size' => filesize($file), 'sha256' => hash_file('sha256', $file)];
+        }
+        
+        $manifest = [
+            'format' => self::FORMAT,
+            'version' => self::VERSION,
+            'exported' => date('c'),
+            'feedId' => $feedId,
+            'name' => $feed['name'],
+            'source' => $feed['url'] ?? null,
+            'items' => count($feed['items'] ?? []),
+            'media' => $media
+        ];
+        
+        $zip->addFromString('manifest.json', json_encode($manifest, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+        $zip->addFromString('feed.json', json_encode($feed, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+        
+        if (!$zip->close()) {
+            throw new FileSystemException("Failed to write archive: {$zipPath}");
+        }
+        
+        return $manifest;
+    }
+    
+    /**
+     * Import an archive as a new local feed. Items get new IDs in the new feed
+     * and links to the archived media point at the new upload folder. On a dry
+     * run nothing is written; the report says what the import would do.
+     *
+     * @param array $options name (import under another name), dryRun, author
+     * @return array Report with feedId, sourceFeedId, items (old ID => new ID,
+     *               null on a dry run), media (archive path => new URL),
+     *               conflicts and warnings
+     */
+    public function import(string $zipPath, array $options = []): array
+    {
+        $dryRun = !empty($options['dryRun']);
+        $zip = $this->openZip($zipPath);
+        
+        try {
+            $manifest = $this->readJson($zip, 'manifest.json');
+            if (($manifest['format'] ?? null) !== self::FORMAT) {
+                throw new ValidationException('Not a feed archive: manifest.json is missing or has another format');
+            }
+            if (($manifest['version'] ?? 0) > self::VERSION) {
+                throw new ValidationException("Archive version {$manifest['version']} is newer than this site supports");
+            }
+            
+            $feed = $this->readJson($zip, 'feed.json');
+            if (empty($feed['name']) || !is_array($feed['items'] ?? null)) {
+                throw new ValidationException('feed.json has no feed name or item list');
+            }
+            
+            $warnings = [];
+            $entries = $this->getMediaEntries($zip, $warnings);
+            
+            $sourceFeedId = $manifest['feedId'] ?? $feed['id'] ?? '';
+            $name = trim($options['name'] ?? '') ?: $feed['name'];
+            $existing = $this->feeds->listFeeds();
+            
+            $conflicts = [];
+            foreach ($existing as $existingFeed) {
+                if (strcasecmp($existingFeed['name'], $name) === 0) {
+                    $conflicts[] = "A feed named \"{$existingFeed['name']}\" already exists";
+                }
+            }
+            
+            $feedId = $dryRun
+                ? $this->feeds->generateFeedId($name)
+                : $this->feeds->createFeed(['name' => $name] + array_intersect_key($feed, array_flip(self::FEED_FIELDS)));
+            
+            if ($feedId !== $sourceFeedId && in_array($sourceFeedId, array_column($existing, 'id'), true)) {
+                $conflicts[] = "A feed with ID {$sourceFeedId} already exists, so the archive is imported as {$feedId}";
+            }
+            
+            // Archive path => path in the new upload folder
+            $media = $this->planMedia($zip, $entries, $manifest['media'] ?? [], $feedId, $conflicts, $warnings);
+            
+            $items = $this->rewriteMediaUrls($feed['items'], $sourceFeedId, $feedId, $media);
+            // Archives can come from anywhere, so items get the checks the admin's do
+            $items = array_values(array_filter($items, function($item) use (&$warnings) {
+                if (!is_array($item)) {
+                    $warnings[] = 'Skipped an item that is not an object';
+                    return false;
+                }
+                
+                $errors = $this->feeds->getItemErrors($item);
+                if (!empty($errors)) {
+                    $id = is_string($item['id'] ?? null) ? $item['id'] : 'without an ID';
+                    $warnings[] = "Skipped item {$id}: " . implode(', ', $errors);
+                    return false;
+                }
+                return true;
+            }));
+            
+            $missing = $this->findMediaUrls($items, $sourceFeedId);
+            if (!empty($missing)) {
+                $warnings[] = 'Items link to media that is not in the archive: ' . implode(', ', $missing);
+            }
+            
+            if ($dryRun) {
+                $itemIds = array_fill_keys(array_map(fn($item) => $item['id'] ?? '', $items), null);
+            } else {
+                try {
+                    $this->copyMedia($zip, $media, $feedId);
+                    $itemIds = $this->feeds->importItems($feedId, $items, $options['author'] ?? null);
+                } catch (\Exception $e) {
+                    // Don't leave a half-imported feed behind
+                    $this->feeds->deleteFeed($feedId);
+                    throw $e;
+                }
+            }
+        } finally {
+            $zip->close();
+        }
+        
+        return [
+            'dryRun' => $dryRun,
+            'feedId' => $feedId,
+            'sourceFeedId' => $sourceFeedId,
+            'name' => $name,
+            'items' => $itemIds,
+            'media' => array_map(fn($path) => "{$this->uploadsUrl}/{$feedId}/{$path}", $media),
+            'conflicts' => $conflicts,
+            'warnings' => $warnings
+        ];
+    }
+    
+    /**
+     * Files in a feed's upload folder, by path within it
+     */
+    private function listMedia(string $feedId): array
+    {
+        $dir = "{$this->uploadsDir}/{$feedId}";
+        if (!is_dir($dir)) {
+            return [];
+        }
+        
+        $files = [];
+        $iterator = new \RecursiveIteratorIterator(new \RecursiveDirectoryIterator($dir, \FilesystemIterator::SKIP_DOTS));
+        
+        foreach ($iterator as $file) {
+            if ($file->isFile()) {
+                $files[substr($file->getPathname(), strlen($dir) + 1)] = $file->getPathname();
+            }
+        }
+        
+        ksort($files);
+        return $files;
+    }
+    
+    /**
+     * Media files in the archive, by path under media/. Archives with paths
+     * that could escape the upload folder are refused outright.
+     */
+    private function getMediaEntries(\ZipArchive $zip, array &$warnings): array
+    {
+        $entries = [];
+        
+        for ($index = 0; $index < $zip->numFiles; $index++) {
+            $name = $zip->getNameIndex($index);
+            
+            if (str_contains($name, '\\') || str_starts_with($name, '/') || str_contains($name, "\0")
+                || in_array('..', explode('/', $name), true)) {
+                throw new ValidationException("Unsafe path in archive: {$name}");
+            }
+            
+            if (in_array($name, ['manifest.json', 'feed.json'], true) || str_ends_with($name, '/')) {
+                continue;
+            }
+            
+            if (!str_starts_with($name, 'media/')) {
+                $warnings[] = "Ignored unknown file {$name}";
+                continue;
+            }
+            
+            $entries[substr($name, strlen('media/'))] = $name;
+        }
+        
+        return $entries;
+    }
+    
+    /**
+     * Decide where each archived file goes, checking it against the manifest
+     * and skipping anything that couldn't have been uploaded (see MediaTypes).
+     * Names already taken in the upload folder get a numbered suffix.
+     */
+    private function planMedia(\ZipArchive $zip, array $entries, array $listed, string $feedId, array &$conflicts, array &$warnings): array
+    {
+        $checksums = array_column($listed, 'sha256', 'path');
+        $targetDir = "{$this->uploadsDir}/{$feedId}";
+        $media = [];
+        $totalSize = 0;
+        
+        foreach (array_diff(array_keys($checksums), array_keys($entries)) as $path) {
+            $warnings[] = "media/{$path} is listed in the manifest but missing from the archive";
+        }
+        
+        foreach ($entries as $path => $name) {
+            $size = $zip->statName($name)['size'] ?? 0;
+            if ($size > MediaTypes::MAX_FILE_SIZE) {
+                $warnings[] = "{$name} is larger than " . (MediaTypes::MAX_FILE_SIZE / 1048576) . ' MB and is skipped';
+                continue;
+            }
+            
+            $mimeType = $this->detectMimeType($zip, $name);
+            if (!MediaTypes::isAllowed($mimeType, $path)) {
+                $warnings[] = "{$name} ({$mimeType}) is not an allowed media file and is skipped";
+                continue;
+            }
+            
+            $totalSize += $size;
+            if ($totalSize > $this->maxMediaSize) {
+                throw new ValidationException('The archive holds more than ' . round($this->maxMediaSize / 1048576) . ' MB of media');
+            }
+            
+            if (isset($checksums[$path]) && $this->hashEntry($zip, $name) !== $checksums[$path]) {
+                $conflicts[] = "{$name} does not match its checksum and is skipped";
+                continue;
+            }
+            
+            $target = $path;
+            $counter = 1;
+            while (file_exists("{$targetDir}/{$target}") || in_array($target, $media, true)) {
+                $info = pathinfo($path);
+                $dir = $info['dirname'] === '.' ? '' : $info['dirname'] . '/';
+                $extension = isset($info['extension']) ? '.' . $info['extension'] : '';
+                $target = "{$dir}{$info['filename']}-" . $counter++ . $extension;
+            }
+            
+            if ($target !== $path) {
+                $conflicts[] = "{$path} already exists in the upload folder and is imported as {$target}";
+            }
+            
+            $media[$path] = $target;
+        }
+        
+        return $media;
+    }
+    
+    /**
+     * Point links to archived media - relative or on the old site's host - at their new location
+     */
+    private function rewriteMediaUrls(array $items, string $sourceFeedId, string $feedId, array $media): array
+    {
+        $patterns = [];
+        foreach ($media as $path => $target) {
+            $old = preg_quote("{$this->uploadsUrl}/{$sourceFeedId}/{$path}", '#');
+            $patterns["#(?:https?://[^/\\s\"'<>()]+)?{$old}(?![\\w./-])#"] = "{$this->uploadsUrl}/{$feedId}/{$target}";
+        }
+        
+        if (empty($patterns)) {
+            return $items;
+        }
+        
+        array_walk_recursive($items, function(&$value) use ($patterns) {
+            if (is_string($value)) {
+                $value = preg_replace(array_keys($patterns), array_values($patterns), $value);
+            }
+        });
+        
+        return $items;
+    }
+    
+    /**
+     * Links into the source feed's upload folder that are left after rewriting
+     */
+    private function findMediaUrls(array $items, string $sourceFeedId): array
+    {
+        $urls = [];
+        $pattern = '#' . preg_quote("{$this->uploadsUrl}/{$sourceFeedId}/", '#') . '[^\s"\'<>()]+#';
+        
+        array_walk_recursive($items, function($value) use ($pattern, &$urls) {
+            if (is_string($value) && preg_match_all($pattern, $value, $matches)) {
+                array_push($urls, ...$matches[0]);
+            }
+        });
+        
+        return array_values(array_unique($urls));
+    }
+    
+    private function copyMedia(\ZipArchive $zip, array $media, string $feedId): void
+    {
+        foreach ($media as $path => $target) {
+            $destination = "{$this->uploadsDir}/{$feedId}/{$target}";
+            
+            if (!is_dir(dirname($destination)) && !mkdir(dirname($destination), 0755, true)) {
+                throw new FileSystemException("Failed to create upload directory for {$target}");
+            }
+            
+            $source = $zip->getStream("media/{$path}");
+            $output = fopen($destination, 'wb');
+            
+            if ($source === false || $output === false) {
+                throw new FileSystemException("Failed to import media file {$path}");
+            }
+            
+            // No more than the size that was checked, whatever the entry inflates to
+            $copied = stream_copy_to_stream($source, $output, MediaTypes::MAX_FILE_SIZE + 1);
+            fclose($source);
+            fclose($output);
+            
+            if ($copied === false || $copied > MediaTypes::MAX_FILE_SIZE) {
+                unlink($destination);
+                throw new FileSystemException("Failed to import media file {$path}");
+            }
+        }
+    }
+    
+    /**
+     * MIME type of an entry, sniffed from its first bytes like an upload's
+     */
+    private function detectMimeType(\ZipArchive $zip, string $name): string
+    {
+        $stream = $zip->getStream($name);
+        if ($stream === false) {
+            return 'application/octet-stream';
+        }
+        
+        $head = (string) fread($stream, 8192);
+        fclose($stream);
+        
+        return (new \finfo(FILEINFO_MIME_TYPE))->buffer($head) ?: 'application/octet-stream';
+    }
+    
+    private function hashEntry(\ZipArchive $zip, string $name): ?string
+    {
+        $stream = $zip->getStream($name);
+        if ($stream === false) {
+            return null;
+        }
+        
+        $context = hash_init('sha256');
+        hash_update_stream($context, $stream);
+        fclose($stream);
+        
+        return hash_final($context);
+    }
+    
+    private function readJson(\ZipArchive $zip, string $name): array
+    {
+        $json = $zip->getFromName($name);
+        $data = $json === false ? null : json_decode($json, true);
+        
+        if (!is_array($data)) {
+            throw new ValidationException("Archive has no valid {$name}");
+        }
+        
+        return $data;
+    }
+    
+    private function openZip(string $path, int $flags = 0): \ZipArchive
+    {
+        if (!class_exists(\ZipArchive::class)) {
+            throw new FileSystemException('Feed archives need the PHP zip extension');
+        }
+        
+        $zip = new \ZipArchive();
+        if ($zip->open($path, $flags) !== true) {
+            throw new FileSystemException("Failed to open archive: {$path}");
+        }
+        
+        return $zip;
+    }
+}
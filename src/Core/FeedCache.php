@@ -7,12 +7,14 @@ class FeedCache
     private ConcurrentFileManager $fileManager;
     private string $cacheDir;
     private int $defaultTTL;
+    private ?FeedEventLog $eventLog;
     
-    public function __construct(ConcurrentFileManager $fileManager, string $cacheDir = 'cache', int $defaultTTL = 3600)
+    public function __construct(ConcurrentFileManager $fileManager, string $cacheDir = 'cache', int $defaultTTL = 3600, ?FeedEventLog $eventLog = null)
     {
         $this->fileManager = $fileManager;
         $this->cacheDir = $cacheDir;
         $this->defaultTTL = $defaultTTL;
+        $this->eventLog = $eventLog;
         
         $this->ensureCacheDirectory();
     }
@@ -20,6 +22,7 @@ class FeedCache
     public function store(string $feedId, array $feedData, ?int $ttl = null): bool
     {
         $ttl = $ttl ?? $this->defaultTTL;
+        $previous = $this->eventLog ? $this->get($feedId) : null;
         
         $cacheData = [
             'feed_id' => $feedId,
@@ -30,7 +33,45 @@ class FeedCache
         ];
         
         $filename = $this->getCacheFilename($feedId);
-        return $this->fileManager->write($filename, $cacheData);
+        $stored = $this->fileManager->write($filename, $cacheData);
+        
+        // Only announce refreshes that actually changed the feed
+        if ($stored && $this->eventLog && ($previous['data'] ?? null) !== $feedData) {
+            try {
+                $this->eventLog->record(FeedEventLog::CACHE_REFRESHED, $feedId, 'external');
+            } catch (\Exception $e) {
+                error_log("Error recording cache refresh for {$feedId}: " . $e->getMessage());
+            }
+        }
+        
+        return $stored;
+    }
+    
+    /**
+     * Change an entry's data under the file lock, so parallel callers can't
+     * overwrite each other. The updater gets the data, or null when the entry
+     * is missing or expired; a fresh entry keeps its expiry and a new one
+     * lasts $ttl. Nothing is written if the updater throws.
+     */
+    public function update(string $feedId, callable $updater, ?int $ttl = null): bool
+    {
+        $ttl = $ttl ?? $this->defaultTTL;
+        
+        return $this->fileManager->transactionalUpdate($this->getCacheFilename($feedId), function($cacheData) use ($feedId, $updater, $ttl) {
+            if (empty($cacheData) || time() > ($cacheData['expires_at'] ?? 0)) {
+                $cacheData = [
+                    'feed_id' => $feedId,
+                    'cached_at' => time(),
+                    'ttl' => $ttl,
+                    'expires_at' => time() + $ttl,
+                    'data' => null
+                ];
+            }
+            
+            $cacheData['data'] = $updater($cacheData['data']);
+            
+            return $cacheData;
+        });
     }
     
     public function get(string $feedId): ?array
@@ -89,6 +130,27 @@ class FeedCache
         return $this->fileManager->delete($filename);
     }
     
+    /**
+     * Drop a feed's cached copy because the source says it changed (a WebSub push),
+     * and announce it so readers refetch it
+     */
+    public function invalidate(string $feedId): bool
+    {
+        if (!$this->delete($feedId)) {
+            return false;
+        }
+        
+        if ($this->eventLog) {
+            try {
+                $this->eventLog->record(FeedEventLog::CACHE_REFRESHED, $feedId, 'external', ['push' => true]);
+            } catch (\Exception $e) {
+                error_log("Error recording cache invalidation for {$feedId}: " . $e->getMessage());
+            }
+        }
+        
+        return true;
+    }
+    
     public function clear(): bool
     {
         $feeds = $this->list();
@@ -0,0 +1,111 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+/**
+ * Append-only log of feed change events, read by the real-time events stream
+ */
+class FeedEventLog
+{
+    public const ITEM_CREATED = 'item.created';
+    public const ITEM_UPDATED = 'item.updated';
+    public const ITEM_DELETED = 'item.deleted';
+    public const FEED_CREATED = 'feed.created';
+    public const FEED_UPDATED = 'feed.updated';
+    public const FEED_DELETED = 'feed.deleted';
+    public const CACHE_REFRESHED = 'cache.refreshed';
+    
+    private ConcurrentFileManager $fileManager;
+    private string $filename;
+    private int $maxEvents;
+    
+    public function __construct(ConcurrentFileManager $fileManager, string $filename = 'feed-events.json', int $maxEvents = 200)
+    {
+        $this->fileManager = $fileManager;
+        $this->filename = $filename;
+        $this->maxEvents = $maxEvents;
+    }
+    
+    /**
+     * Record a change and return its event id
+     */
+    public function record(string $type, string $feedId, string $source = 'local', array $data = []): int
+    {
+        $eventId = 0;
+        
+        $this->fileManager->transactionalUpdate(
+            $this->filename,
+            function($log) use ($type, $feedId, $source, $data, &$eventId) {
+                $eventId = ($log['lastId'] ?? 0) + 1;
+                
+                $events = $log['events'] ?? [];
+                $events[] = array_merge($data, [
+                    'id' => $eventId,
+                    'type' => $type,
+                    'feedId' => $feedId,
+                    'source' => $source,
+                    'timestamp' => date('c')
+                ]);
+                
+                // Keep the log bounded - clients that fall further behind do a full refresh
+                if (count($events) > $this->maxEvents) {
+                    $events = array_slice($events, -$this->maxEvents);
+                }
+                
+                return [
+                    'lastId' => $eventId,
+                    'events' => $events
+                ];
+            }
+        );
+        
+        return $eventId;
+    }
+    
+    /**
+     * Get events recorded after the given event id
+     */
+    public function since(int $lastId): array
+    {
+        $log = $this->read();
+        
+        return array_values(array_filter(
+            $log['events'] ?? [],
+            fn($event) => $event['id'] > $lastId
+        ));
+    }
+    
+    public function getLastId(): int
+    {
+        return $this->read()['lastId'] ?? 0;
+    }
+    
+    /**
+     * Whether events after $lastId have already been trimmed from the log
+     */
+    public function hasGap(int $lastId): bool
+    {
+        $log = $this->read();
+        $events = $log['events'] ?? [];
+        
+        if (empty($events) || $lastId >= ($log['lastId'] ?? 0)) {
+            return false;
+        }
+        
+        return $events[0]['id'] > $lastId + 1;
+    }
+    
+    private function read(): array
+    {
+        if (!$this->fileManager->exists($this->filename)) {
+            return [];
+        }
+        
+        try {
+            return $this->fileManager->safeRead($this->filename);
+        } catch (\Exception $e) {
+            error_log("Error reading feed event log: " . $e->getMessage());
+            return [];
+        }
+    }
+}
@@ -0,0 +1,479 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+/**
+ * Renders a local feed as RSS 2.0 (with iTunes podcast tags) and Atom,
+ * for readers and podcast apps that can't consume Activity Streams
+ */
+class FeedExporter
+{
+    public const FORMATS = [
+        'rss' => 'application/rss+xml',
+        'atom' => 'application/atom+xml'
+    ];
+    
+    /**
+     * The site's built-in WebSub hub, advertised in every export
+     */
+    public const HUB_PATH = '/api/websub.php';
+    
+    private const ATOM_NS = 'http://www.w3.org/2005/Atom';
+    private const ITUNES_NS = 'http://www.itunes.com/dtds/podcast-1.0.dtd';
+    private const CONTENT_NS = 'http://purl.org/rss/1.0/modules/content/';
+    
+    private ?string $publicPath;
+    private MarkdownRenderer $markdown;
+    
+    /**
+     * @param string|null $publicPath Public web root, used to size local enclosures
+     */
+    public function __construct(?string $publicPath = null)
+    {
+        $this->publicPath = $publicPath;
+        $this->markdown = new MarkdownRenderer();
+    }
+    
+    /**
+     * Render feed metadata (as stored by LocalFeedManager) in the given format
+     */
+    public function export(array $feed, string $format): string
+    {
+        switch ($format) {
+            case 'rss':
+                return $this->toRss($feed);
+            case 'atom':
+                return $this->toAtom($feed);
+            default:
+                throw new \InvalidArgumentException("Unsupported export format: {$format}");
+        }
+    }
+    
+    /**
+     * RSS 2.0 - Audio items get iTunes tags, media gets an <enclosure>
+     */
+    public function toRss(array $feed): string
+    {
+        $siteUrl = $this->getSiteUrl($feed);
+        $items = $this->getExportItems($feed);
+        $isPodcast = $this->hasAudio($items);
+        
+        $xml = $this->createWriter();
+        $xml->startElement('rss');
+        $xml->writeAttribute('version', '2.0');
+        $xml->writeAttribute('xmlns:atom', self::ATOM_NS);
+        $xml->writeAttribute('xmlns:content', self::CONTENT_NS);
+        if ($isPodcast) {
+            $xml->writeAttribute('xmlns:itunes', self::ITUNES_NS);
+        }
+        
+        $xml->startElement('channel');
+        $xml->writeElement('title', $feed['name']);
+        $xml->writeElement('link', $siteUrl . '/');
+        $xml->writeElement('description', $feed['description'] ?: $feed['name']);
+        $xml->writeElement('language', $feed['language'] ?? 'en');
+        $xml->writeElement('lastBuildDate', $this->formatDate($feed['updated'] ?? null, DATE_RSS));
+        $xml->writeElement('generator', 'Ansybl Site');
+        
+        $xml->startElement('atom:link');
+        $xml->writeAttribute('href', $this->getExportUrl($feed, 'rss'));
+        $xml->writeAttribute('rel', 'self');
+        $xml->writeAttribute('type', self::FORMATS['rss']);
+        $xml->endElement();
+        
+        $xml->startElement('atom:link');
+        $xml->writeAttribute('href', $this->getHubUrl($feed));
+        $xml->writeAttribute('rel', 'hub');
+        $xml->endElement();
+        
+        if ($isPodcast) {
+            $xml->writeElement('itunes:author', $this->getAuthorName($feed));
+            $xml->writeElement('itunes:summary', $feed['description'] ?: $feed['name']);
+            $xml->writeElement('itunes:explicit', 'false');
+            $xml->startElement('itunes:owner');
+            $xml->writeElement('itunes:name', $this->getAuthorName($feed));
+            $xml->endElement();
+        }
+        
+        foreach ($items as $item) {
+            $this->writeRssItem($xml, $feed, $item, $siteUrl, $isPodcast);
+        }
+        
+        $xml->endElement(); // channel
+        $xml->endElement(); // rss
+        $xml->endDocument();
+        
+        return $xml->outputMemory();
+    }
+    
+    /**
+     * Atom 1.0 - every media file becomes a rel="enclosure" link
+     */
+    public function toAtom(array $feed): string
+    {
+        $siteUrl = $this->getSiteUrl($feed);
+        $items = $this->getExportItems($feed);
+        
+        $xml = $this->createWriter();
+        $xml->startElement('feed');
+        $xml->writeAttribute('xmlns', self::ATOM_NS);
+        $xml->writeAttribute('xml:lang', $feed['language'] ?? 'en');
+        
+        $xml->writeElement('id', $feed['url']);
+        $xml->writeElement('title', $feed['name']);
+        if (!empty($feed['description'])) {
+            $xml->writeElement('subtitle', $feed['description']);
+        }
+        $xml->writeElement('updated', $this->formatDate($feed['updated'] ?? null, DATE_ATOM));
+        $xml->writeElement('generator', 'Ansybl Site');
+        
+        $this->writeAtomLink($xml, $this->getExportUrl($feed, 'atom'), 'self', self::FORMATS['atom']);
+        $this->writeAtomLink($xml, $this->getHubUrl($feed), 'hub');
+        $this->writeAtomLink($xml, $siteUrl . '/', 'alternate', 'text/html');
+        $this->writeAtomLink($xml, $feed['url'], 'alternate', 'application/activity+json');
+        
+        $xml->startElement('author');
+        $xml->writeElement('name', $this->getAuthorName($feed));
+        $xml->endElement();
+        
+        foreach ($items as $item) {
+            $permalink = $this->getPermalink($feed, $item, $siteUrl);
+            
+            $xml->startElement('entry');
+            $xml->writeElement('id', $permalink);
+            $xml->writeElement('title', $this->getItemTitle($item));
+            $xml->writeElement('published', $this->formatDate($item['published'] ?? null, DATE_ATOM));
+            $xml->writeElement('updated', $this->formatDate($item['updated'] ?? $item['published'] ?? null, DATE_ATOM));
+            $this->writeAtomLink($xml, $permalink, 'alternate', 'text/html');
+            
+            foreach ($this->getMedia($item) as $media) {
+                $this->writeAtomLink(
+                    $xml,
+                    $this->absoluteUrl($media['url'], $siteUrl),
+                    'enclosure',
+                    $media['mediaType'],
+                    $this->getMediaLength($media)
+                );
+            }
+            
+            if (!empty($item['summary'])) {
+                $xml->writeElement('summary', $item['summary']);
+            }
+            
+            $content = $this->getContentHtml($item);
+            if ($content !== '') {
+                $xml->startElement('content');
+                $xml->writeAttribute('type', 'html');
+                $xml->text($content);
+                $xml->endElement();
+            }
+            
+            foreach ($this->getTagNames($item) as $tag) {
+                $xml->startElement('category');
+                $xml->writeAttribute('term', $tag);
+                $xml->endElement();
+            }
+            
+            $xml->endElement(); // entry
+        }
+        
+        $xml->endElement(); // feed
+        $xml->endDocument();
+        
+        return $xml->outputMemory();
+    }
+    
+    /**
+     * Public URL of an exported format, next to the .ansybl file
+     */
+    public function getExportUrl(array $feed, string $format): string
+    {
+        return preg_replace('/\.ansybl$/', '', $feed['url']) . '.' . $format;
+    }
+    
+    /**
+     * Convert an ISO 8601 duration (PT1H2M3S) to the HH:MM:SS iTunes expects
+     */
+    public function formatItunesDuration(?string $duration): ?string
+    {
+        if ($duration === null || $duration === '') {
+            return null;
+        }
+        
+        if (preg_match('/^\d+(:\d{1,2}){0,2}$/', $duration)) {
+            return $duration;
+        }
+        
+        try {
+            $interval = new \DateInterval($duration);
+        } catch (\Exception $e) {
+            return null;
+        }
+        
+        $hours = $interval->d * 24 + $interval->h;
+        return sprintf('%02d:%02d:%02d', $hours, $interval->i, $interval->s);
+    }
+    
+    private function writeRssItem(\XMLWriter $xml, array $feed, array $item, string $siteUrl, bool $isPodcast): void
+    {
+        $permalink = $this->getPermalink($feed, $item, $siteUrl);
+        $content = $this->getContentHtml($item);
+        
+        $xml->startElement('item');
+        $xml->writeElement('title', $this->getItemTitle($item));
+        $xml->writeElement('link', $permalink);
+        
+        $xml->startElement('guid');
+        $xml->writeAttribute('isPermaLink', 'false');
+        $xml->text($item['id']);
+        $xml->endElement();
+        
+        $xml->writeElement('pubDate', $this->formatDate($item['published'] ?? null, DATE_RSS));
+        $xml->writeElement('description', !empty($item['summary']) ? $item['summary'] : strip_tags($content));
+        
+        if ($content !== '') {
+            $xml->writeElement('content:encoded', $content);
+        }
+        
+        foreach ($this->getTagNames($item) as $tag) {
+            $xml->writeElement('category', $tag);
+        }
+        
+        // RSS allows a single enclosure - prefer the audio for podcast apps
+        $media = $this->getMedia($item);
+        usort($media, fn($a, $b) => $this->isAudio($b) <=> $this->isAudio($a));
+        if (!empty($media)) {
+            $xml->startElement('enclosure');
+            $xml->writeAttribute('url', $this->absoluteUrl($media[0]['url'], $siteUrl));
+            $xml->writeAttribute('length', (string) $this->getMediaLength($media[0]));
+            $xml->writeAttribute('type', $media[0]['mediaType']);
+            $xml->endElement();
+        }
+        
+        if ($isPodcast && !empty($media) && $this->isAudio($media[0])) {
+            $xml->writeElement('itunes:title', $this->getItemTitle($item));
+            $xml->writeElement('itunes:episodeType', 'full');
+            
+            $duration = $this->formatItunesDuration($media[0]['duration'] ?? null);
+            if ($duration !== null) {
+                $xml->writeElement('itunes:duration', $duration);
+            }
+            
+            if (!empty($item['summary'])) {
+                $xml->writeElement('itunes:summary', $item['summary']);
+            }
+        }
+        
+        $xml->endElement(); // item
+    }
+    
+    private function writeAtomLink(\XMLWriter $xml, string $href, string $rel, ?string $type = null, int $length = 0): void
+    {
+        $xml->startElement('link');
+        $xml->writeAttribute('rel', $rel);
+        if ($type !== null) {
+            $xml->writeAttribute('type', $type);
+        }
+        $xml->writeAttribute('href', $href);
+        if ($length > 0) {
+            $xml->writeAttribute('length', (string) $length);
+        }
+        $xml->endElement();
+    }
+    
+    private function createWriter(): \XMLWriter
+    {
+        $xml = new \XMLWriter();
+        $xml->openMemory();
+        $xml->setIndent(true);
+        $xml->setIndentString('  ');
+        $xml->startDocument('1.0', 'UTF-8');
+        
+        return $xml;
+    }
+    
+    /**
+     * Items newest first
+     */
+    private function getExportItems(array $feed): array
+    {
+        $items = array_values(array_filter($feed['items'] ?? [], fn($item) => !empty($item['id'])));
+        usort($items, fn($a, $b) => strcmp($b['published'] ?? '', $a['published'] ?? ''));
+        
+        return $items;
+    }
+    
+    /**
+     * Media files of an item: its own URL for Audio/Video/Image items,
+     * its attachments, and the Audio/Video entries of a Collection
+     */
+    public function getMedia(array $item): array
+    {
+        $media = [];
+        $candidates = array_merge([$item], $item['attachment'] ?? [], $item['items'] ?? []);
+        
+        foreach ($candidates as $candidate) {
+            if (!is_array($candidate)) {
+                continue;
+            }
+            
+            $url = $candidate['url'] ?? null;
+            if (is_array($url)) {
+                $url = $url['href'] ?? null;
+            }
+            
+            $mediaType = $candidate['mediaType'] ?? null;
+            if (!is_string($url) || $url === '' || !preg_match('#^(audio|video|image)/#', (string) $mediaType)) {
+                continue;
+            }
+            
+            $media[$url] = [
+                'url' => $url,
+                'mediaType' => $mediaType,
+                'duration' => $candidate['duration'] ?? null,
+                'size' => $candidate['size'] ?? null
+            ];
+        }
+        
+        return array_values($media);
+    }
+    
+    private function hasAudio(array $items): bool
+    {
+        foreach ($items as $item) {
+            foreach ($this->getMedia($item) as $media) {
+                if ($this->isAudio($media)) {
+                    return true;
+                }
+            }
+        }
+        
+        return false;
+    }
+    
+    private function isAudio(array $media): bool
+    {
+        return str_starts_with($media['mediaType'], 'audio/');
+    }
+    
+    /**
+     * Enclosure length in bytes - uploaded files are measured on disk
+     */
+    private function getMediaLength(array $media): int
+    {
+        if (!empty($media['size'])) {
+            return (int) $media['size'];
+        }
+        
+        if ($this->publicPath !== null && str_starts_with($media['url'], '/')) {
+            $file = $this->publicPath . parse_url($media['url'], PHP_URL_PATH);
+            if (is_file($file)) {
+                return (int) filesize($file);
+            }
+        }
+        
+        return 0;
+    }
+    
+    /**
+     * Item HTML - Markdown is rendered and plain text escaped into paragraphs
+     * (local content is Markdown unless the item says otherwise)
+     */
+    public function getContentHtml(array $item): string
+    {
+        $content = $item['content'] ?? '';
+        if (!is_string($content) || trim($content) === '') {
+            foreach ($item['items'] ?? [] as $child) {
+                if (!empty($child['content']) && is_string($child['content'])) {
+                    return $this->getContentHtml($child);
+                }
+            }
+            return '';
+        }
+        
+        $mediaType = $item['mediaType'] ?? null;
+        if ($mediaType === 'text/html') {
+            return $content;
+        }
+        
+        if ($mediaType !== 'text/plain') {
+            return $this->markdown->render($content);
+        }
+        
+        $paragraphs = preg_split('/\n\s*\n/', trim(str_replace("\r\n", "\n", $content)));
+        return implode("\n", array_map(
+            fn($paragraph) => '<p>' . nl2br(htmlspecialchars($paragraph, ENT_QUOTES, 'UTF-8'), false) . '</p>',
+            $paragraphs
+        ));
+    }
+    
+    public function getTagNames(array $item): array
+    {
+        $names = [];
+        foreach ($item['tag'] ?? [] as $tag) {
+            $name = is_array($tag) ? ($tag['name'] ?? null) : $tag;
+            if (is_string($name) && $name !== '') {
+                $names[] = ltrim($name, '#');
+            }
+        }
+        
+        return array_values(array_unique($names));
+    }
+    
+    private function getItemTitle(array $item): string
+    {
+        if (!empty($item['name'])) {
+            return $item['name'];
+        }
+        
+        $text = trim(strip_tags(($item['summary'] ?? '') ?: ($item['content'] ?? '')));
+        return $text !== '' ? mb_strimwidth($text, 0, 80, '…') : ($item['type'] ?? 'Item');
+    }
+    
+    private function getAuthorName(array $feed): string
+    {
+        $author = $feed['author'] ?? null;
+        return is_array($author) ? ($author['name'] ?? 'Admin') : ((string) $author ?: 'Admin');
+    }
+    
+    /**
+     * Item permalink on the site - matches the front end's #item/<feed>/<item> route
+     */
+    public function getPermalink(array $feed, array $item, string $siteUrl): string
+    {
+        return $siteUrl . '/#item/' . rawurlencode('local-' . $feed['id']) . '/' . rawurlencode($item['id']);
+    }
+    
+    public function getHubUrl(array $feed): string
+    {
+        return $this->getSiteUrl($feed) . self::HUB_PATH;
+    }
+    
+    /**
+     * Scheme and host the feed was published under
+     */
+    public function getSiteUrl(array $feed): string
+    {
+        $parts = parse_url($feed['url'] ?? '');
+        if (empty($parts['host'])) {
+            return '';
+        }
+        
+        $port = isset($parts['port']) ? ':' . $parts['port'] : '';
+        return ($parts['scheme'] ?? 'http') . '://' . $parts['host'] . $port;
+    }
+    
+    public function absoluteUrl(string $url, string $siteUrl): string
+    {
+        return preg_match('#^[a-z][a-z0-9+.-]*://#i', $url) ? $url : $siteUrl . '/' . ltrim($url, '/');
+    }
+    
+    private function formatDate(?string $date, string $format): string
+    {
+        try {
+            return (new \DateTimeImmutable($date ?? 'now'))->format($format);
+        } catch (\Exception $e) {
+            return (new \DateTimeImmutable())->format($format);
+        }
+    }
+}
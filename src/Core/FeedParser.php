@@ -4,6 +4,7 @@ namespace AnsyblSite\Core;
 
 use AnsyblSite\Exceptions\InvalidJsonException;
 use AnsyblSite\Exceptions\SchemaValidationException;
+use AnsyblSite\Exceptions\ValidationException;
 
 class FeedParser 
 {
@@ -32,10 +33,93 @@ class FeedParser
         return $data;
     }
     
+    /**
+     * Parse a fetched feed in any supported format. Activity Streams is validated
+     * as before; JSON Feed, RSS and Atom are passed through for the front end's
+     * FeedConverter to turn into Activity Streams items
+     */
+    public function parseSource(string $body): array
+    {
+        $format = $this->detectFormat($body);
+        
+        switch ($format) {
+            case 'jsonfeed':
+                return json_decode($body, true);
+                
+            case 'rss':
+            case 'atom':
+                $document = $this->loadXml($body);
+                return [
+                    'format' => $format,
+                    'name' => $this->getXmlFeedTitle($document, $format),
+                    'document' => $body
+                ];
+                
+            default:
+                return $this->parse($body);
+        }
+    }
+    
+    /**
+     * Detect a feed body's format: 'activitystreams', 'jsonfeed', 'rss' or 'atom'
+     */
+    public function detectFormat(string $body): string
+    {
+        $trimmed = ltrim($body, "\xEF\xBB\xBF \t\r\n");
+        
+        if (str_starts_with($trimmed, '<')) {
+            // Skip the prolog, comments and doctype to find the root element
+            $root = preg_replace('/^(?:<\?.*?\?>|<!--.*?-->|<!DOCTYPE[^>]*>|\s)+/s', '', $trimmed);
+            
+            if (preg_match('/^<(?:rss|rdf:RDF)[\s>]/i', $root)) {
+                return 'rss';
+            }
+            if (preg_match('/^<(?:[\w-]+:)?feed[\s>]/', $root)) {
+                return 'atom';
+            }
+            
+            throw new ValidationException('Unsupported feed format: XML is neither RSS nor Atom');
+        }
+        
+        $data = json_decode($trimmed, true);
+        if (is_array($data) && is_string($data['version'] ?? null)
+            && str_starts_with($data['version'], 'https://jsonfeed.org/version/')) {
+            return 'jsonfeed';
+        }
+        
+        return 'activitystreams';
+    }
+    
+    /**
+     * Parse a CollectionPage/OrderedCollectionPage fetched while paging a feed
+     */
+    public function parsePage(string $pageJson): array
+    {
+        $data = json_decode($pageJson, true);
+        if (json_last_error() !== JSON_ERROR_NONE) {
+            throw new InvalidJsonException("Invalid JSON: " . json_last_error_msg());
+        }
+        
+        $this->validationErrors = [];
+        
+        if (!$this->validator->validate($data, 'activitystreams-page')) {
+            $this->validationErrors = $this->validator->getErrors();
+            throw new SchemaValidationException("Page validation failed: " . implode(', ', $this->getValidationErrorMessages()));
+        }
+        
+        return $data;
+    }
+    
     public function validate(array $feedData): bool
     {
         $this->validationErrors = [];
         
+        // ActivityPub servers send a list of contexts - AS2 plus their extensions
+        if (is_array($feedData['@context'] ?? null)
+            && in_array('https://www.w3.org/ns/activitystreams', $feedData['@context'], true)) {
+            $feedData['@context'] = 'https://www.w3.org/ns/activitystreams';
+        }
+        
         // Validate against Activity Streams 2.0 schema
         $isValid = $this->validator->validate($feedData, 'activitystreams-feed');
         
@@ -60,9 +144,9 @@ class FeedParser
     {
         return [
             'id' => $feedData['id'] ?? null,
-            'name' => $feedData['name'] ?? null,
-            'summary' => $feedData['summary'] ?? null,
-            'type' => $feedData['type'] ?? null,
+            'name' => $feedData['name'] ?? $feedData['title'] ?? null,
+            'summary' => $feedData['summary'] ?? $feedData['description'] ?? null,
+            'type' => $feedData['type'] ?? $feedData['format'] ?? null,
             'totalItems' => $feedData['totalItems'] ?? null,
             'published' => $feedData['published'] ?? null,
             'updated' => $feedData['updated'] ?? null,
@@ -72,7 +156,76 @@ class FeedParser
     
     public function extractItems(array $feedData): array
     {
-        return $feedData['items'] ?? [];
+        if (isset($feedData['format'], $feedData['document'])) {
+            return $this->extractXmlItems($feedData['document'], $feedData['format']);
+        }
+        
+        return $feedData['items'] ?? $feedData['orderedItems'] ?? [];
+    }
+    
+    /**
+     * Minimal item list for an RSS/Atom document - used for counts and previews,
+     * the full conversion happens in the front end
+     */
+    private function extractXmlItems(string $xml, string $format): array
+    {
+        $document = $this->loadXml($xml);
+        $items = [];
+        
+        if ($format === 'atom') {
+            foreach ($document->children('http://www.w3.org/2005/Atom')->entry as $entry) {
+                $items[] = [
+                    'type' => 'Article',
+                    'name' => trim((string) $entry->title),
+                    'published' => (string) $entry->published ?: (string) $entry->updated
+                ];
+            }
+            return $items;
+        }
+        
+        // RSS 2.0 items live in the channel, RSS 1.0 (RDF) items next to it
+        $entries = $document->channel->item ?? [];
+        if (count($entries) === 0) {
+            $entries = $document->children('http://purl.org/rss/1.0/')->item;
+        }
+        
+        foreach ($entries as $entry) {
+            $items[] = [
+                'type' => 'Article',
+                'name' => trim((string) $entry->title),
+                'published' => (string) $entry->pubDate
+            ];
+        }
+        
+        return $items;
+    }
+    
+    private function getXmlFeedTitle(\SimpleXMLElement $document, string $format): ?string
+    {
+        if ($format === 'atom') {
+            $title = trim((string) $document->children('http://www.w3.org/2005/Atom')->title);
+        } else {
+            $title = trim((string) ($document->channel->title ?? ''));
+            if ($title === '') {
+                $title = trim((string) $document->children('http://purl.org/rss/1.0/')->channel->title);
+            }
+        }
+        
+        return $title !== '' ? $title : null;
+    }
+    
+    private function loadXml(string $xml): \SimpleXMLElement
+    {
+        $previous = libxml_use_internal_errors(true);
+        $document = simplexml_load_string($xml, \SimpleXMLElement::class, LIBXML_NONET | LIBXML_NOCDATA);
+        libxml_clear_errors();
+        libxml_use_internal_errors($previous);
+        
+        if ($document === false) {
+            throw new ValidationException('Invalid XML in feed');
+        }
+        
+        return $document;
     }
     
     public function extractAuthors(array $item): array
@@ -313,6 +466,22 @@ class FeedParser
             ]
         ]);
         
+        $this->validator->registerSchema('activitystreams-page', [
+            'required' => ['type'],
+            'properties' => [
+                'type' => [
+                    'type' => 'string',
+                    'enum' => ['CollectionPage', 'OrderedCollectionPage']
+                ],
+                'id' => ['type' => 'string'],
+                'partOf' => ['type' => 'mixed'],
+                'next' => ['type' => 'mixed'],
+                'prev' => ['type' => 'mixed'],
+                'items' => ['type' => 'array'],
+                'orderedItems' => ['type' => 'array']
+            ]
+        ]);
+        
         $this->validator->registerSchema('activitystreams-item', [
             'required' => ['type'],
             'properties' => [
@@ -0,0 +1,147 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+use AnsyblSite\Exceptions\ValidationException;
+
+/**
+ * HTTP Signatures (draft-cavage-http-signatures, rsa-sha256) as used by
+ * ActivityPub servers to authenticate deliveries and fetches
+ */
+class HttpSignature
+{
+    /**
+     * How far a signed request's Date may be from our clock
+     */
+    public const MAX_CLOCK_SKEW = 43200;
+    
+    /**
+     * Headers for a signed request: Host, Date, Digest (with a body) and Signature
+     */
+    public function sign(string $method, string $url, string $keyId, string $privateKeyPem, ?string $body = null): array
+    {
+        $parts = parse_url($url);
+        $host = $parts['host'] . (isset($parts['port']) ? ':' . $parts['port'] : '');
+        $target = ($parts['path'] ?? '/') . (isset($parts['query']) ? '?' . $parts['query'] : '');
+        
+        $headers = [
+            'Host' => $host,
+            'Date' => gmdate('D, d M Y H:i:s \G\M\T')
+        ];
+        
+        if ($body !== null) {
+            $headers['Digest'] = $this->digest($body);
+        }
+        
+        $signed = ['(request-target)' => strtolower($method) . ' ' . $target];
+        foreach ($headers as $name => $value) {
+            $signed[strtolower($name)] = $value;
+        }
+        
+        $key = openssl_pkey_get_private($privateKeyPem);
+        if ($key === false || !openssl_sign($this->signingString($signed), $signature, $key, OPENSSL_ALGO_SHA256)) {
+            throw new ValidationException('Could not sign request: invalid private key');
+        }
+        
+        $headers['Signature'] = sprintf(
+            'keyId="%s",algorithm="rsa-sha256",headers="%s",signature="%s"',
+            $keyId,
+            implode(' ', array_keys($signed)),
+            base64_encode($signature)
+        );
+        
+        return $headers;
+    }
+    
+    /**
+     * Check a request's Signature header against the sender's public key.
+     * $headers may use any case; $body is checked against the Digest header when given.
+     */
+    public function verify(string $method, string $target, array $headers, string $publicKeyPem, ?string $body = null): bool
+    {
+        $headers = array_change_key_case($headers, CASE_LOWER);
+        $params = $this->parseSignatureHeader($headers['signature'] ?? '');
+        
+        if (empty($params['signature'])) {
+            return false;
+        }
+        
+        $names = explode(' ', strtolower($params['headers'] ?? 'date'));
+        
+        // A delivery has to sign its body and a fresh date, or it could be replayed
+        if ($body !== null) {
+            if (!in_array('digest', $names, true) || !hash_equals($this->digest($body), $headers['digest'] ?? '')) {
+                return false;
+            }
+        }
+        
+        // The Date header or the newer (created) parameter
+        if (strtoupper($method) === 'POST' && !in_array('date', $names, true) && !in_array('(created)', $names, true)) {
+            return false;
+        }
+        
+        if (in_array('date', $names, true)) {
+            $date = strtotime($headers['date'] ?? '');
+            if ($date === false || abs(time() - $date) > self::MAX_CLOCK_SKEW) {
+                return false;
+            }
+        }
+        
+        if (in_array('(created)', $names, true)) {
+            if (!ctype_digit($params['created'] ?? '') || abs(time() - (int) $params['created']) > self::MAX_CLOCK_SKEW) {
+                return false;
+            }
+        }
+        
+        $signed = [];
+        foreach ($names as $name) {
+            if ($name === '(request-target)') {
+                $signed[$name] = strtolower($method) . ' ' . $target;
+            } elseif ($name === '(created)') {
+                $signed[$name] = $params['created'];
+            } elseif (isset($headers[$name])) {
+                $signed[$name] = $headers[$name];
+            } else {
+                return false;
+            }
+        }
+        
+        $key = openssl_pkey_get_public($publicKeyPem);
+        if ($key === false) {
+            return false;
+        }
+        
+        return openssl_verify($this->signingString($signed), base64_decode($params['signature']), $key, OPENSSL_ALGO_SHA256) === 1;
+    }
+    
+    /**
+     * keyId="...",headers="...",created=...,signature="..." -> ['keyId' => ..., ...]
+     */
+    public function parseSignatureHeader(string $header): array
+    {
+        // created and expires are bare numbers
+        preg_match_all('/(\w+)=(?:"([^"]*)"|(\d+))/', $header, $matches, PREG_SET_ORDER);
+        
+        $params = [];
+        foreach ($matches as $match) {
+            $params[$match[1]] = $match[3] ?? $match[2];
+        }
+        
+        return $params;
+    }
+    
+    public function digest(string $body): string
+    {
+        return 'SHA-256=' . base64_encode(hash('sha256', $body, true));
+    }
+    
+    private function signingString(array $signed): string
+    {
+        $lines = [];
+        foreach ($signed as $name => $value) {
+            $lines[] = "{$name}: {$value}";
+        }
+        
+        return implode("\n", $lines);
+    }
+}
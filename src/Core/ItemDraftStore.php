@@ -0,0 +1,139 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+use AnsyblSite\Exceptions\ValidationException;
+
+/**
+ * Unsaved item editor state, kept per author so a draft follows them from
+ * one browser to another. Drafts of new items use the key "new", drafts of
+ * existing items the item's ID. They live in data/drafts/<feed-id>.json.
+ */
+class ItemDraftStore
+{
+    public const NEW_ITEM_KEY = 'new';
+    
+    /**
+     * Largest draft accepted, in bytes of JSON
+     */
+    public const MAX_DRAFT_SIZE = 262144;
+    
+    private ConcurrentFileManager $fileManager;
+    private string $draftsPath = 'drafts';
+    
+    public function __construct(ConcurrentFileManager $fileManager)
+    {
+        $this->fileManager = $fileManager;
+        
+        $this->ensureDataDirectory();
+    }
+    
+    /**
+     * Store an author's draft, replacing the one they had for the item
+     *
+     * @param array $state Editor state, as the editor collected it
+     */
+    public function save(string $feedId, string $itemKey, string $author, array $state): array
+    {
+        if (strlen(json_encode($state)) > self::MAX_DRAFT_SIZE) {
+            throw new ValidationException('Draft is too large to save');
+        }
+        
+        $draft = [
+            'itemKey' => $itemKey,
+            'saved' => date('c'),
+            'state' => $state
+        ];
+        
+        $this->fileManager->transactionalUpdate(
+            $this->getFile($feedId),
+            function($data) use ($itemKey, $author, $draft) {
+                $data['authors'][$author][$itemKey] = $draft;
+                $data['updated'] = date('c');
+                
+                return $data;
+            }
+        );
+        
+        return $draft;
+    }
+    
+    public function get(string $feedId, string $itemKey, string $author): ?array
+    {
+        return $this->read($feedId)['authors'][$author][$itemKey] ?? null;
+    }
+    
+    /**
+     * An author's drafts in a feed, most recently saved first
+     */
+    public function getDrafts(string $feedId, string $author): array
+    {
+        $drafts = array_values($this->read($feedId)['authors'][$author] ?? []);
+        usort($drafts, fn($a, $b) => strcmp($b['saved'], $a['saved']));
+        
+        return $drafts;
+    }
+    
+    public function delete(string $feedId, string $itemKey, string $author): void
+    {
+        if (!$this->fileManager->exists($this->getFile($feedId))) {
+            return;
+        }
+        
+        $this->fileManager->transactionalUpdate($this->getFile($feedId), function($data) use ($itemKey, $author) {
+            unset($data['authors'][$author][$itemKey]);
+            
+            if (empty($data['authors'][$author])) {
+                unset($data['authors'][$author]);
+            }
+            
+            return $data;
+        });
+    }
+    
+    /**
+     * Forget every author's draft of an item, once it's gone
+     */
+    public function deleteItem(string $feedId, string $itemId): void
+    {
+        if (!$this->fileManager->exists($this->getFile($feedId))) {
+            return;
+        }
+        
+        $this->fileManager->transactionalUpdate($this->getFile($feedId), function($data) use ($itemId) {
+            foreach (array_keys($data['authors'] ?? []) as $author) {
+                unset($data['authors'][$author][$itemId]);
+            }
+            
+            return $data;
+        });
+    }
+    
+    public function deleteFeed(string $feedId): void
+    {
+        if ($this->fileManager->exists($this->getFile($feedId))) {
+            $this->fileManager->delete($this->getFile($feedId));
+        }
+    }
+    
+    private function read(string $feedId): array
+    {
+        $file = $this->getFile($feedId);
+        
+        return $this->fileManager->exists($file) ? $this->fileManager->safeRead($file) : [];
+    }
+    
+    private function getFile(string $feedId): string
+    {
+        return "{$this->draftsPath}/{$feedId}.json";
+    }
+    
+    private function ensureDataDirectory(): void
+    {
+        $path = $this->fileManager->getFilePath($this->draftsPath);
+        
+        if (!is_dir($path)) {
+            mkdir($path, 0755, true);
+        }
+    }
+}
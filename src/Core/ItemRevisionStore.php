@@ -0,0 +1,180 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+/**
+ * Revision history of local feed items. Every save stores a snapshot of the
+ * item's content fields with its author and time, so edits can be compared
+ * and rolled back. Revisions live in data/revisions/<feed-id>.json.
+ */
+class ItemRevisionStore
+{
+    /**
+     * Content fields that are versioned - publishing state (published, status) isn't
+     */
+    public const TRACKED_FIELDS = ['type', 'name', 'summary', 'content', 'url', 'mediaType', 'duration', 'attachment', 'tag', 'items', 'totalItems', 'startTime', 'endTime', 'location', 'latitude', 'longitude', 'oneOf', 'anyOf', 'hreflang'];
+    
+    private ConcurrentFileManager $fileManager;
+    private string $revisionsPath = 'revisions';
+    private int $maxRevisions;
+    
+    public function __construct(ConcurrentFileManager $fileManager, int $maxRevisions = 50)
+    {
+        $this->fileManager = $fileManager;
+        $this->maxRevisions = $maxRevisions;
+        
+        $this->ensureDataDirectory();
+    }
+    
+    /**
+     * Store the item as a new revision. Saves that change none of the tracked
+     * fields don't make one.
+     *
+     * @param string $action 'create', 'update' or 'restore'
+     * @return array|null The revision, or null when nothing changed
+     */
+    public function record(string $feedId, array $item, ?string $author = null, string $action = 'update', ?int $restoredFrom = null): ?array
+    {
+        $revision = null;
+        $snapshot = $this->snapshot($item);
+        
+        $this->fileManager->transactionalUpdate(
+            $this->getFile($feedId),
+            function($data) use ($item, $snapshot, $author, $action, $restoredFrom, &$revision) {
+                $history = $data['items'][$item['id']] ?? ['lastId' => 0, 'revisions' => []];
+                $previous = end($history['revisions']) ?: null;
+                $changes = $this->diffFields($previous['snapshot'] ?? [], $snapshot);
+                
+                if ($previous !== null && empty($changes)) {
+                    return $data;
+                }
+                
+                $revision = [
+                    'id' => $history['lastId'] + 1,
+                    'created' => date('c'),
+                    'author' => $author,
+                    'action' => $action,
+                    'changes' => $changes,
+                    'snapshot' => $snapshot
+                ];
+                if ($restoredFrom !== null) {
+                    $revision['restoredFrom'] = $restoredFrom;
+                }
+                
+                $history['lastId'] = $revision['id'];
+                $history['revisions'][] = $revision;
+                
+                // Oldest revisions go first once the history is full
+                if (count($history['revisions']) > $this->maxRevisions) {
+                    $history['revisions'] = array_slice($history['revisions'], -$this->maxRevisions);
+                }
+                
+                $data['items'][$item['id']] = $history;
+                $data['updated'] = date('c');
+                
+                return $data;
+            }
+        );
+        
+        return $revision;
+    }
+    
+    /**
+     * Revisions of an item, newest first
+     */
+    public function getRevisions(string $feedId, string $itemId): array
+    {
+        return array_reverse($this->read($feedId)['items'][$itemId]['revisions'] ?? []);
+    }
+    
+    public function getRevision(string $feedId, string $itemId, int $revisionId): ?array
+    {
+        foreach ($this->getRevisions($feedId, $itemId) as $revision) {
+            if ($revision['id'] === $revisionId) {
+                return $revision;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Latest revision of every item in a feed, by item ID
+     */
+    public function getLatestRevisions(string $feedId): array
+    {
+        $latest = [];
+        
+        foreach ($this->read($feedId)['items'] ?? [] as $itemId => $history) {
+            if (!empty($history['revisions'])) {
+                $latest[$itemId] = end($history['revisions']);
+            }
+        }
+        
+        return $latest;
+    }
+    
+    public function deleteItem(string $feedId, string $itemId): void
+    {
+        if (!$this->fileManager->exists($this->getFile($feedId))) {
+            return;
+        }
+        
+        $this->fileManager->transactionalUpdate($this->getFile($feedId), function($data) use ($itemId) {
+            unset($data['items'][$itemId]);
+            return $data;
+        });
+    }
+    
+    public function deleteFeed(string $feedId): void
+    {
+        if ($this->fileManager->exists($this->getFile($feedId))) {
+            $this->fileManager->delete($this->getFile($feedId));
+        }
+    }
+    
+    /**
+     * The tracked fields the item has
+     */
+    public function snapshot(array $item): array
+    {
+        return array_intersect_key($item, array_flip(self::TRACKED_FIELDS));
+    }
+    
+    /**
+     * Tracked fields that differ between two snapshots
+     */
+    private function diffFields(array $before, array $after): array
+    {
+        $changes = [];
+        
+        foreach (self::TRACKED_FIELDS as $field) {
+            if (($before[$field] ?? null) != ($after[$field] ?? null)) {
+                $changes[] = $field;
+            }
+        }
+        
+        return $changes;
+    }
+    
+    private function read(string $feedId): array
+    {
+        $file = $this->getFile($feedId);
+        
+        return $this->fileManager->exists($file) ? $this->fileManager->safeRead($file) : [];
+    }
+    
+    private function getFile(string $feedId): string
+    {
+        return "{$this->revisionsPath}/{$feedId}.json";
+    }
+    
+    private function ensureDataDirectory(): void
+    {
+        $path = $this->fileManager->getFilePath($this->revisionsPath);
+        
+        if (!is_dir($path)) {
+            mkdir($path, 0755, true);
+        }
+    }
+}
@@ -0,0 +1,383 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+use AnsyblSite\Exceptions\ValidationException;
+
+/**
+ * Builds link previews - title, description, image and site name - from a
+ * page's OpenGraph, Twitter Card and oEmbed metadata, caching them in a
+ * FeedCache. Only public http(s) addresses are fetched (see PublicUrlGuard):
+ * every hop of a redirect is checked, and the connection goes to the
+ * address that was checked.
+ */
+class LinkUnfurler
+{
+    public const TTL = 86400;
+    
+    /**
+     * Pages that can't be previewed are retried after an hour
+     */
+    public const FAILURE_TTL = 3600;
+    
+    /**
+     * Pages one client can have fetched per RATE_WINDOW - previews already
+     * cached don't count
+     */
+    public const RATE_LIMIT = 30;
+    public const RATE_WINDOW = 3600;
+    
+    private const MAX_BYTES = 524288;
+    private const MAX_REDIRECTS = 3;
+    private const USER_AGENT = 'Ansybl Site Link Preview 1.0';
+    
+    private FeedCache $cache;
+    private int $timeout;
+    private PublicUrlGuard $urlGuard;
+    
+    /**
+     * @param array $allowedHosts Hosts fetched even though they resolve to
+     *                            private addresses (an intranet, a test server)
+     */
+    public function __construct(FeedCache $cache, int $timeout = 10, array $allowedHosts = [])
+    {
+        $this->cache = $cache;
+        $this->timeout = $timeout;
+        $this->urlGuard = new PublicUrlGuard($allowedHosts);
+    }
+    
+    /**
+     * Preview of a URL, or null when the page can't be previewed
+     *
+     * @param string|null $client Who is asking (an IP address), to hold them to RATE_LIMIT
+     * @throws ValidationException When the URL may not be fetched, with code 429
+     *                             when the client has fetched too many
+     */
+    public function unfurl(string $url, ?string $client = null): ?array
+    {
+        $url = trim($url);
+        $this->urlGuard->assertFetchable($url);
+        
+        $key = sha1($url);
+        $cached = $this->cache->getFresh($key);
+        if ($cached !== null) {
+            return $cached['preview'];
+        }
+        
+        if ($client !== null) {
+            $this->countFetch($client);
+        }
+        
+        try {
+            $preview = $this->buildPreview($url);
+        } catch (ValidationException $e) {
+            throw $e;
+        } catch (\Exception $e) {
+            error_log("Error unfurling {$url}: " . $e->getMessage());
+            $preview = null;
+        }
+        
+        $this->cache->store($key, ['preview' => $preview], $preview ? self::TTL : self::FAILURE_TTL);
+        
+        return $preview;
+    }
+    
+    /**
+     * Count a fetch against the client's allowance for the current window
+     */
+    private function countFetch(string $client): void
+    {
+        // Read and incremented under one lock, so parallel requests can't share
+        // a count - the window runs from the first fetch
+        $this->cache->update('client-' . sha1($client), function(?array $counter) {
+            $fetches = $counter['fetches'] ?? 0;
+            
+            if ($fetches >= self::RATE_LIMIT) {
+                throw new ValidationException('Too many link previews requested, try again later', 429);
+            }
+            
+            return ['fetches' => $fetches + 1];
+        }, self::RATE_WINDOW);
+    }
+    
+    private function buildPreview(string $url): ?array
+    {
+        $response = $this->fetch($url, 'text/html, application/xhtml+xml;q=0.9, */*;q=0.1');
+        
+        if ($response['status'] < 200 || $response['status'] >= 300) {
+            return null;
+        }
+        
+        $mediaType = strtolower(trim(explode(';', $response['headers']['content-type'] ?? '')[0]));
+        
+        $preview = [
+            'url' => $response['url'],
+            'title' => null,
+            'description' => null,
+            'image' => null,
+            'siteName' => null,
+            'type' => null,
+            'mediaType' => $mediaType ?: null
+        ];
+        
+        // Anything but a web page (an image, a PDF) is previewed by its URL alone
+        if (!in_array($mediaType, ['text/html', 'application/xhtml+xml'], true)) {
+            return $preview;
+        }
+        
+        $meta = $this->parseHtml($this->toUtf8($response['body'], $response['headers']['content-type'] ?? ''), $response['url']);
+        
+        $preview['title'] = $meta['og:title'] ?? $meta['twitter:title'] ?? null;
+        $preview['description'] = $meta['og:description'] ?? $meta['twitter:description'] ?? $meta['description'] ?? null;
+        $preview['image'] = $meta['og:image'] ?? $meta['og:image:url'] ?? $meta['twitter:image'] ?? $meta['twitter:image:src'] ?? null;
+        $preview['siteName'] = $meta['og:site_name'] ?? null;
+        $preview['type'] = $meta['og:type'] ?? null;
+        
+        // oEmbed fills in what the page's own tags leave out
+        if (isset($meta['oembed']) && ($preview['title'] === null || $preview['image'] === null || $preview['siteName'] === null)) {
+            $oembed = $this->fetchOEmbed($meta['oembed']);
+            
+            $preview['title'] ??= $oembed['title'] ?? null;
+            $preview['image'] ??= $oembed['thumbnail_url'] ?? null;
+            $preview['siteName'] ??= $oembed['provider_name'] ?? null;
+        }
+        
+        $preview['title'] ??= $meta['title'] ?? null;
+        $preview['image'] = $this->resolveUrl($preview['image'], $response['url']);
+        
+        foreach (['title' => 300, 'description' => 500, 'siteName' => 100, 'type' => 50] as $field => $length) {
+            if (is_string($preview[$field])) {
+                $preview[$field] = $this->clean($preview[$field], $length);
+            }
+        }
+        
+        return $preview;
+    }
+    
+    /**
+     * Meta tags by property or name, the <title>, and the oEmbed endpoint
+     */
+    public function parseHtml(string $html, string $baseUrl): array
+    {
+        $document = new \DOMDocument();
+        @$document->loadHTML('<?xml encoding="UTF-8">' . $html, LIBXML_NONET | LIBXML_NOERROR | LIBXML_NOWARNING);
+        
+        $meta = [];
+        
+        foreach ($document->getElementsByTagName('meta') as $tag) {
+            $name = strtolower(trim($tag->getAttribute('property') ?: $tag->getAttribute('name')));
+            $content = trim($tag->getAttribute('content'));
+            
+            // The first of repeated tags (og:image) is the main one
+            if ($name !== '' && $content !== '' && !isset($meta[$name])) {
+                $meta[$name] = $content;
+            }
+        }
+        
+        $title = $document->getElementsByTagName('title')->item(0);
+        if ($title && trim($title->textContent) !== '') {
+            $meta['title'] = trim($title->textContent);
+        }
+        
+        foreach ($document->getElementsByTagName('link') as $link) {
+            if (strtolower($link->getAttribute('rel')) === 'alternate'
+                && strtolower($link->getAttribute('type')) === 'application/json+oembed'
+                && $link->getAttribute('href') !== '') {
+                $meta['oembed'] = $this->resolveUrl($link->getAttribute('href'), $baseUrl);
+                break;
+            }
+        }
+        
+        return $meta;
+    }
+    
+    private function fetchOEmbed(?string $url): array
+    {
+        if ($url === null) {
+            return [];
+        }
+        
+        try {
+            $response = $this->fetch($url, 'application/json');
+        } catch (\Exception $e) {
+            return [];
+        }
+        
+        $data = $response['status'] === 200 ? json_decode($response['body'], true) : null;
+        
+        return is_array($data) ? array_filter($data, 'is_string') : [];
+    }
+    
+    /**
+     * GET a URL, following redirects only to addresses that pass the checks too
+     *
+     * @return array{url: string, status: int, headers: array, body: string}
+     */
+    private function fetch(string $url, string $accept): array
+    {
+        for ($redirects = 0; $redirects <= self::MAX_REDIRECTS; $redirects++) {
+            $address = $this->urlGuard->assertFetchable($url);
+            $response = $this->request($url, $address, $accept);
+            
+            $location = $response['headers']['location'] ?? null;
+            if ($response['status'] < 300 || $response['status'] >= 400 || !$location) {
+                return ['url' => $url] + $response;
+            }
+            
+            $url = $this->resolveUrl($location, $url) ?? '';
+        }
+        
+        throw new \RuntimeException('Too many redirects');
+    }
+    
+    /**
+     * One request, to the checked address, reading at most MAX_BYTES
+     *
+     * @return array{status: int, headers: array, body: string}
+     */
+    private function request(string $url, string $address, string $accept): array
+    {
+        if (!function_exists('curl_init')) {
+            return $this->streamRequest($url, $accept);
+        }
+        
+        $headers = [];
+        $body = '';
+        
+        $ch = curl_init();
+        curl_setopt_array($ch, [
+            CURLOPT_URL => $url,
+            CURLOPT_RESOLVE => $this->urlGuard->pinAddress($url, $address),
+            CURLOPT_PROTOCOLS => CURLPROTO_HTTP | CURLPROTO_HTTPS,
+            CURLOPT_FOLLOWLOCATION => false,
+            CURLOPT_TIMEOUT => $this->timeout,
+            CURLOPT_USERAGENT => self::USER_AGENT,
+            CURLOPT_HTTPHEADER => ["Accept: {$accept}"],
+            CURLOPT_ENCODING => '',
+            CURLOPT_HEADERFUNCTION => function($ch, $line) use (&$headers) {
+                $this->parseHeaderLine($line, $headers);
+                return strlen($line);
+            },
+            // Stop reading once there's enough for the <head>
+            CURLOPT_WRITEFUNCTION => function($ch, $chunk) use (&$body) {
+                $body .= $chunk;
+                return strlen($body) > self::MAX_BYTES ? 0 : strlen($chunk);
+            }
+        ]);
+        
+        $result = curl_exec($ch);
+        $status = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $errno = curl_errno($ch);
+        $error = curl_error($ch);
+        curl_close($ch);
+        
+        if ($result === false && !($errno === CURLE_WRITE_ERROR && strlen($body) > self::MAX_BYTES)) {
+            throw new \RuntimeException("Failed to fetch {$url}: {$error}");
+        }
+        
+        return ['status' => $status, 'headers' => $headers, 'body' => substr($body, 0, self::MAX_BYTES)];
+    }
+    
+    /**
+     * Without cURL the connection can't be pinned to the checked address;
+     * the host was resolved just before, which narrows the window
+     */
+    private function streamRequest(string $url, string $accept): array
+    {
+        $context = stream_context_create([
+            'http' => [
+                'timeout' => $this->timeout,
+                'user_agent' => self::USER_AGENT,
+                'header' => "Accept: {$accept}",
+                'follow_location' => 0,
+                'ignore_errors' => true
+            ]
+        ]);
+        
+        $body = @file_get_contents($url, false, $context, 0, self::MAX_BYTES);
+        if ($body === false) {
+            throw new \RuntimeException("Failed to fetch {$url}");
+        }
+        
+        $headers = [];
+        foreach ($http_response_header ?? [] as $line) {
+            $this->parseHeaderLine($line, $headers);
+        }
+        
+        return ['status' => $headers[':status'] ?? 0, 'headers' => $headers, 'body' => $body];
+    }
+    
+    /**
+     * Collect a header line into $headers (lower-cased names); status lines
+     * start a new response, as each redirect hop sends one
+     */
+    private function parseHeaderLine(string $line, array &$headers): void
+    {
+        if (preg_match('/^HTTP\/\S+\s+(\d{3})/', $line, $matches)) {
+            $headers = [':status' => (int) $matches[1]];
+        } elseif (str_contains($line, ':')) {
+            [$name, $value] = explode(':', $line, 2);
+            $headers[strtolower(trim($name))] = trim($value);
+        }
+    }
+    
+    private function toUtf8(string $html, string $contentType): string
+    {
+        $charset = null;
+        if (preg_match('/charset=["\']?([\w-]+)/i', $contentType, $matches)
+            || preg_match('/<meta[^>]+charset=["\']?([\w-]+)/i', $html, $matches)) {
+            $charset = strtoupper($matches[1]);
+        }
+        
+        if ($charset && $charset !== 'UTF-8' && function_exists('mb_convert_encoding')) {
+            $converted = @mb_convert_encoding($html, 'UTF-8', $charset);
+            if (is_string($converted)) {
+                return $converted;
+            }
+        }
+        
+        return $html;
+    }
+    
+    private function resolveUrl(?string $url, string $baseUrl): ?string
+    {
+        if ($url === null || $url === '') {
+            return null;
+        }
+        
+        if (preg_match('/^https?:\/\//i', $url)) {
+            return $url;
+        }
+        
+        $base = parse_url($baseUrl);
+        $origin = $base['scheme'] . '://' . $base['host'] . (isset($base['port']) ? ':' . $base['port'] : '');
+        
+        if (str_starts_with($url, '//')) {
+            return $base['scheme'] . ':' . $url;
+        }
+        
+        if (str_starts_with($url, '/')) {
+            return $origin . $url;
+        }
+        
+        // Other schemes (data:, javascript:) aren't followed or shown
+        if (preg_match('/^[a-z][a-z0-9+.-]*:/i', $url)) {
+            return null;
+        }
+        
+        $path = $base['path'] ?? '/';
+        
+        return $origin . substr($path, 0, strrpos($path, '/') + 1) . $url;
+    }
+    
+    private function clean(string $text, int $length): ?string
+    {
+        $text = trim(preg_replace('/\s+/u', ' ', html_entity_decode(strip_tags($text), ENT_QUOTES | ENT_HTML5, 'UTF-8')));
+        
+        if ($text === '') {
+            return null;
+        }
+        
+        return mb_strlen($text) > $length ? rtrim(mb_substr($text, 0, $length - 1)) . '…' : $text;
+    }
+}
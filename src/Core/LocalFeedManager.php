@@ -9,21 +9,70 @@ use AnsyblSite\Exceptions\ValidationException;
 
 class LocalFeedManager 
 {
+    /**
+     * Drafts and scheduled items stay out of the public feeds until they're published
+     */
+    public const ITEM_STATUSES = ['draft', 'scheduled', 'published'];
+    
+    /**
+     * How long deleted items stay in the trash, and their tombstones in the public feed
+     */
+    public const TRASH_RETENTION_DAYS = 30;
+    
+    /**
+     * Actions the admin item list can apply to a selection of items at once
+     */
+    public const BULK_ACTIONS = ['delete', 'addTags', 'removeTags', 'publish', 'unpublish', 'shiftDate', 'move', 'copy'];
+    
+    /**
+     * Display flags of an item: pinned items lead the list, featured ones get the hero slot
+     */
+    public const ITEM_FLAGS = ['pinned', 'featured'];
+    
+    /**
+     * Object types an item can be
+     */
+    public const ITEM_TYPES = ['Article', 'Note', 'Page', 'Image', 'Video', 'Audio', 'Document', 'Link', 'Event', 'Place', 'Question'];
+    
+    /**
+     * Types whose content is text written in the editor, so it carries a text media type
+     */
+    public const TEXT_TYPES = ['Article', 'Note', 'Page', 'Event', 'Place', 'Question'];
+    
+    /**
+     * AS2 properties of particular types - Event times and location, Place
+     * coordinates, Question choices and the language of a Link's target
+     */
+    public const TYPE_FIELDS = ['startTime', 'endTime', 'location', 'latitude', 'longitude', 'oneOf', 'anyOf', 'hreflang'];
+    
     private ConcurrentFileManager $fileManager;
     private SchemaValidator $validator;
+    private FeedEventLog $eventLog;
+    private FeedExporter $exporter;
+    private ActivityPubPublisher $publisher;
+    private WebSubHub $hub;
+    private ItemRevisionStore $revisions;
+    private ItemDraftStore $drafts;
     private string $feedsDataPath;
     private string $feedsPublicPath;
     private string $uploadsPath;
     
-    public function __construct(ConcurrentFileManager $fileManager, ?SchemaValidator $validator = null)
+    public function __construct(ConcurrentFileManager $fileManager, ?SchemaValidator $validator = null, ?FeedEventLog $eventLog = null, ?FeedExporter $exporter = null, ?ActivityPubPublisher $publisher = null, ?WebSubHub $hub = null, ?ItemRevisionStore $revisions = null, ?ItemDraftStore $drafts = null)
     {
         $this->fileManager = $fileManager;
         $this->validator = $validator ?? new SchemaValidator();
+        $this->eventLog = $eventLog ?? new FeedEventLog($fileManager);
+        $this->exporter = $exporter ?? new FeedExporter(dirname($this->getAbsolutePublicPath()));
+        $this->publisher = $publisher ?? new ActivityPubPublisher($fileManager, $this->exporter);
+        $this->hub = $hub ?? new WebSubHub($fileManager);
+        $this->revisions = $revisions ?? new ItemRevisionStore($fileManager);
+        $this->drafts = $drafts ?? new ItemDraftStore($fileManager);
         
         // Use paths relative to the FileManager's data directory
         $this->feedsDataPath = 'local-feeds';
         $this->feedsPublicPath = '../public/feeds';
-        $this->uploadsPath = '../public/uploads/feeds';
+        // Raw filesystem path, so it's resolved from the data directory rather than the working directory
+        $this->uploadsPath = $fileManager->getFilePath('../public/uploads/feeds');
         
         $this->registerLocalFeedSchemas();
     }
@@ -54,6 +103,8 @@ class LocalFeedManager
             'created' => date('c'),
             'updated' => date('c'),
             'published' => $feedData['published'] ?? true,
+            'actorType' => $feedData['actorType'] ?? 'Service',
+            'emitUpdates' => $feedData['emitUpdates'] ?? false,
             'url' => $this->generateFeedUrl($feedId),
             'items' => [],
             'totalItems' => 0,
@@ -76,6 +127,8 @@ class LocalFeedManager
         // Create upload directory for this feed
         $this->createFeedUploadDirectory($feedId);
         
+        $this->recordEvent(FeedEventLog::FEED_CREATED, $feedId);
+        
         return $feedId;
     }
     
@@ -94,16 +147,28 @@ class LocalFeedManager
         return $this->fileManager->read($filePath);
     }
     
+    /**
+     * Feed metadata with only the items readers may see - what the public feed files are made from
+     */
+    public function getPublicFeed(string $feedId): array
+    {
+        $feedData = $this->getFeed($feedId);
+        $feedData['items'] = array_values(array_filter($feedData['items'] ?? [], fn($item) => $this->isPublic($item)));
+        $feedData['totalItems'] = count($feedData['items']);
+        
+        return $feedData;
+    }
+    
     /**
      * Update local feed metadata
      */
     public function updateFeed(string $feedId, array $updateData): bool
     {
-        return $this->fileManager->transactionalUpdate(
+        $success = $this->fileManager->transactionalUpdate(
             $this->feedsDataPath . "/{$feedId}.json",
             function($feedData) use ($updateData) {
                 // Update allowed fields
-                $allowedFields = ['name', 'description', 'author', 'language', 'published'];
+                $allowedFields = ['name', 'description', 'author', 'language', 'published', 'actorType', 'emitUpdates'];
                 foreach ($allowedFields as $field) {
                     if (isset($updateData[$field])) {
                         $feedData[$field] = $updateData[$field];
@@ -115,6 +180,14 @@ class LocalFeedManager
                 return $feedData;
             }
         );
+        
+        if ($success) {
+            // Name, description and published state all show up in the public feeds
+            $this->generateActivityStreamsFeed($feedId);
+            $this->recordEvent(FeedEventLog::FEED_UPDATED, $feedId);
+        }
+        
+        return $success;
     }
     
     /**
@@ -126,6 +199,7 @@ class LocalFeedManager
             // Delete metadata
             $metadataFile = $this->feedsDataPath . "/{$feedId}.json";
             if ($this->fileManager->exists($metadataFile)) {
+                $this->hub->removeTopics(array_keys($this->getHubTopics($this->getFeed($feedId))));
                 $this->fileManager->delete($metadataFile);
             }
             
@@ -134,6 +208,13 @@ class LocalFeedManager
             if (file_exists($publicFile)) {
                 unlink($publicFile);
             }
+            $this->removeExportFeeds($feedId);
+            
+            // Forget the feed's ActivityPub keys and followers
+            $this->publisher->deleteActor($feedId);
+            
+            $this->revisions->deleteFeed($feedId);
+            $this->drafts->deleteFeed($feedId);
             
             // Delete upload directory
             $uploadDir = $this->uploadsPath . "/{$feedId}";
@@ -141,6 +222,8 @@ class LocalFeedManager
                 $this->removeDirectory($uploadDir);
             }
             
+            $this->recordEvent(FeedEventLog::FEED_DELETED, $feedId);
+            
             return true;
         } catch (\Exception $e) {
             error_log("Error deleting feed {$feedId}: " . $e->getMessage());
@@ -153,15 +236,9 @@ class LocalFeedManager
      */
     public function listFeeds(): array
     {
-        $feedFiles = glob($this->fileManager->getFilePath($this->feedsDataPath . '/*.json'));
         $feeds = [];
         
-        if ($feedFiles === false) {
-            return [];
-        }
-        
-        foreach ($feedFiles as $file) {
-            $feedId = basename($file, '.json');
+        foreach ($this->getFeedIds() as $feedId) {
             try {
                 $feedData = $this->getFeed($feedId);
                 $feeds[] = [
@@ -170,6 +247,11 @@ class LocalFeedManager
                     'description' => $feedData['description'] ?? '',
                     'totalItems' => $feedData['totalItems'] ?? 0,
                     'published' => $feedData['published'] ?? false,
+                    'actorType' => $feedData['actorType'] ?? 'Service',
+                    'emitUpdates' => $feedData['emitUpdates'] ?? false,
+                    'fediverseHandle' => ($feedData['published'] ?? true) !== false && !empty($feedData['url'])
+                        ? $this->publisher->getHandle($feedData)
+                        : null,
                     'created' => $feedData['created'] ?? null,
                     'updated' => $feedData['updated'] ?? null,
                     'url' => $feedData['url'] ?? null
@@ -185,7 +267,7 @@ class LocalFeedManager
     /**
      * Add item to local feed
      */
-    public function addItem(string $feedId, array $itemData): string
+    public function addItem(string $feedId, array $itemData, ?string $author = null): string
     {
         // Validate item data
         if (!$this->validateItemData($itemData)) {
@@ -203,14 +285,19 @@ class LocalFeedManager
             'content' => $itemData['content'] ?? '',
             'summary' => $itemData['summary'] ?? '',
             'published' => $itemData['published'] ?? date('c'),
+            'status' => $this->resolveStatus($itemData['status'] ?? null, $itemData['published'] ?? null),
             'updated' => date('c'),
             'url' => $itemData['url'] ?? null,
             'mediaType' => $itemData['mediaType'] ?? null,
             'duration' => $itemData['duration'] ?? null,
             'attachment' => $itemData['attachment'] ?? [],
-            'tag' => $itemData['tag'] ?? []
+            'tag' => $itemData['tag'] ?? [],
+            'pinned' => isset($itemData['pinned']) ? (bool) $itemData['pinned'] : null,
+            'featured' => isset($itemData['featured']) ? (bool) $itemData['featured'] : null
         ];
         
+        $item += array_intersect_key($itemData, array_flip(self::TYPE_FIELDS));
+        
         // Add Collection-specific fields if this is a Collection
         if ($itemData['type'] === 'Collection') {
             $item['items'] = $itemData['items'] ?? [];
@@ -224,6 +311,12 @@ class LocalFeedManager
         $success = $this->fileManager->transactionalUpdate(
             $this->feedsDataPath . "/{$feedId}.json",
             function($feedData) use ($item) {
+                // In a hand-ordered feed new items go last
+                $position = $this->nextPosition($feedData['items'] ?? []);
+                if ($position !== null) {
+                    $item['position'] = $position;
+                }
+                
                 $feedData['items'][] = $item;
                 $feedData['totalItems'] = count($feedData['items']);
                 $feedData['updated'] = date('c');
@@ -235,59 +328,272 @@ class LocalFeedManager
             throw new FileSystemException("Failed to add item to feed: {$feedId}");
         }
         
+        $this->recordRevision($feedId, $item, $author, 'create');
+        
         // Regenerate Activity Streams feed
         $this->generateActivityStreamsFeed($feedId);
         
+        $this->recordEvent(FeedEventLog::ITEM_CREATED, $feedId, $itemId);
+        
+        if ($this->isPublic($item)) {
+            $this->federateItem($feedId, $item);
+        }
+        
         return $itemId;
     }
     
     /**
      * Update item in local feed
      */
-    public function updateItem(string $feedId, string $itemId, array $updateData): bool
+    public function updateItem(string $feedId, string $itemId, array $updateData, ?string $author = null): bool
+    {
+        return $this->saveItem($feedId, $itemId, function(array $item) use ($updateData) {
+            // Update allowed fields - including Collection-specific fields
+            $allowedFields = array_merge(['type', 'name', 'content', 'summary', 'published', 'status', 'url', 'mediaType', 'duration', 'attachment', 'tag', 'items', 'totalItems'], self::TYPE_FIELDS);
+            foreach ($allowedFields as $field) {
+                if (!array_key_exists($field, $updateData)) {
+                    continue;
+                }
+                
+                $value = $updateData[$field];
+                if ($value !== null && $value !== '' && $value !== []) {
+                    $item[$field] = $value;
+                } elseif ($field !== 'type') {
+                    // Sending a field empty clears it (every item keeps its type)
+                    unset($item[$field]);
+                }
+            }
+            
+            foreach (self::ITEM_FLAGS as $flag) {
+                if (array_key_exists($flag, $updateData)) {
+                    $item[$flag] = (bool) $updateData[$flag];
+                }
+            }
+            
+            // A new date or status can schedule, publish or unpublish the item
+            if (array_key_exists('status', $updateData) || array_key_exists('published', $updateData)) {
+                $item['status'] = $this->resolveStatus($item['status'] ?? null, $item['published'] ?? null);
+            }
+            
+            return $item;
+        }, $author);
+    }
+    
+    /**
+     * Revisions of an item, newest first
+     */
+    public function getItemRevisions(string $feedId, string $itemId): array
+    {
+        return $this->revisions->getRevisions($feedId, $itemId);
+    }
+    
+    /**
+     * An author's unsaved editor drafts in a feed, most recent first
+     */
+    public function getDrafts(string $feedId, string $author): array
+    {
+        return $this->drafts->getDrafts($feedId, $author);
+    }
+    
+    public function getDraft(string $feedId, string $itemKey, string $author): ?array
+    {
+        return $this->drafts->get($feedId, $itemKey, $author);
+    }
+    
+    /**
+     * Keep the editor state of a new item (key "new") or of an item being
+     * edited, until the author saves or discards it
+     */
+    public function saveDraft(string $feedId, string $itemKey, string $author, array $state): array
+    {
+        if (!$this->fileManager->exists($this->feedsDataPath . "/{$feedId}.json")) {
+            throw new FileNotFoundException("Local feed not found: {$feedId}");
+        }
+        
+        return $this->drafts->save($feedId, $itemKey, $author, $state);
+    }
+    
+    public function deleteDraft(string $feedId, string $itemKey, string $author): void
+    {
+        $this->drafts->delete($feedId, $itemKey, $author);
+    }
+    
+    /**
+     * Put an item's content back the way it was at a revision. The restore is
+     * itself a new revision, so it can be undone the same way.
+     */
+    public function restoreRevision(string $feedId, string $itemId, int $revisionId, ?string $author = null): bool
+    {
+        $revision = $this->revisions->getRevision($feedId, $itemId, $revisionId);
+        
+        if ($revision === null) {
+            throw new ValidationException("Revision {$revisionId} of item {$itemId} not found", 404);
+        }
+        
+        return $this->saveItem($feedId, $itemId, function(array $item) use ($revision) {
+            // Fields the revision didn't have are dropped, not kept from the current version
+            $item = array_diff_key($item, array_flip(ItemRevisionStore::TRACKED_FIELDS));
+            return array_merge($item, $revision['snapshot']);
+        }, $author, $revisionId);
+    }
+    
+    /**
+     * Publish the scheduled items whose time has come and regenerate their feeds.
+     * Run from cron through publish-scheduled.php, and lazily by the public APIs.
+     *
+     * @return array Feed ID => IDs of the items published
+     */
+    public function publishDueItems(): array
+    {
+        $published = [];
+        
+        foreach ($this->getFeedIds() as $feedId) {
+            try {
+                // Check without the lock first - almost always there's nothing to do
+                $pending = array_filter($this->getFeed($feedId)['items'] ?? [], fn($item) => $this->isDue($item));
+                if (empty($pending)) {
+                    continue;
+                }
+                
+                $dueItems = [];
+                $this->fileManager->transactionalUpdate(
+                    $this->feedsDataPath . "/{$feedId}.json",
+                    function($feedData) use (&$dueItems) {
+                        foreach ($feedData['items'] as &$item) {
+                            if ($this->isDue($item)) {
+                                $item['status'] = 'published';
+                                $dueItems[] = $item;
+                            }
+                        }
+                        unset($item);
+                        
+                        if (!empty($dueItems)) {
+                            $feedData['updated'] = date('c');
+                        }
+                        return $feedData;
+                    }
+                );
+                
+                if (empty($dueItems)) {
+                    continue;
+                }
+                
+                $this->generateActivityStreamsFeed($feedId);
+                
+                // To readers and followers the item is new
+                foreach ($dueItems as $item) {
+                    $this->recordEvent(FeedEventLog::ITEM_CREATED, $feedId, $item['id']);
+                    $this->federateItem($feedId, $item);
+                }
+                
+                $published[$feedId] = array_column($dueItems, 'id');
+            } catch (\Exception $e) {
+                error_log("Error publishing scheduled items of {$feedId}: " . $e->getMessage());
+            }
+        }
+        
+        return $published;
+    }
+    
+    /**
+     * Delete item from local feed - it goes to the feed's trash, and the public
+     * feed carries a Tombstone in its place so readers drop their copies
+     */
+    public function deleteItem(string $feedId, string $itemId, ?string $author = null): bool
     {
+        $deletedItem = null;
+        
         $success = $this->fileManager->transactionalUpdate(
             $this->feedsDataPath . "/{$feedId}.json",
-            function($feedData) use ($itemId, $updateData) {
-                foreach ($feedData['items'] as &$item) {
+            function($feedData) use ($itemId, $author, &$deletedItem) {
+                foreach ($feedData['items'] as $index => $item) {
                     if ($item['id'] === $itemId) {
-                        // Update allowed fields - including Collection-specific fields
-                        $allowedFields = ['type', 'name', 'content', 'summary', 'published', 'url', 'mediaType', 'duration', 'attachment', 'tag', 'items', 'totalItems'];
-                        foreach ($allowedFields as $field) {
-                            if (isset($updateData[$field])) {
-                                $item[$field] = $updateData[$field];
-                            }
-                        }
-                        $item['updated'] = date('c');
+                        $deletedItem = $item;
+                        unset($feedData['items'][$index]);
                         break;
                     }
                 }
+                
+                if ($deletedItem === null) {
+                    return $feedData;
+                }
+                
+                $feedData['trash'][] = array_merge($deletedItem, [
+                    'deletedAt' => date('c'),
+                    'deletedBy' => $author
+                ]);
+                
+                // Drafts and scheduled items were never out, so there's nothing to retract
+                if ($this->isPublic($deletedItem)) {
+                    $feedData['tombstones'][] = [
+                        'id' => $deletedItem['id'],
+                        'formerType' => $deletedItem['type'],
+                        'deleted' => date('c')
+                    ];
+                }
+                
+                $feedData['items'] = array_values($feedData['items']); // Reindex
+                $feedData['totalItems'] = count($feedData['items']);
                 $feedData['updated'] = date('c');
                 return $feedData;
             }
         );
         
-        if ($success) {
+        if ($success && $deletedItem !== null) {
             // Regenerate Activity Streams feed
             $this->generateActivityStreamsFeed($feedId);
+            $this->recordEvent(FeedEventLog::ITEM_DELETED, $feedId, $itemId);
+            
+            if ($this->isPublic($deletedItem)) {
+                $this->federateDelete($feedId, $deletedItem);
+            }
         }
         
         return $success;
     }
     
     /**
-     * Delete item from local feed
+     * Items in a feed's trash, most recently deleted first, with when they'll be purged
+     */
+    public function getTrash(string $feedId): array
+    {
+        $trash = array_map(function($item) {
+            $item['expires'] = date('c', strtotime($item['deletedAt']) + self::TRASH_RETENTION_DAYS * 86400);
+            return $item;
+        }, $this->getFeed($feedId)['trash'] ?? []);
+        
+        return array_reverse($trash);
+    }
+    
+    /**
+     * Put a trashed item back in the feed
      */
-    public function deleteItem(string $feedId, string $itemId): bool
+    public function restoreItem(string $feedId, string $itemId): bool
     {
+        $restoredItem = null;
+        
         $success = $this->fileManager->transactionalUpdate(
             $this->feedsDataPath . "/{$feedId}.json",
-            function($feedData) use ($itemId) {
-                $feedData['items'] = array_filter(
-                    $feedData['items'], 
-                    fn($item) => $item['id'] !== $itemId
-                );
-                $feedData['items'] = array_values($feedData['items']); // Reindex
+            function($feedData) use ($itemId, &$restoredItem) {
+                foreach ($feedData['trash'] ?? [] as $index => $item) {
+                    if ($item['id'] === $itemId) {
+                        unset($item['deletedAt'], $item['deletedBy']);
+                        $restoredItem = $item;
+                        unset($feedData['trash'][$index]);
+                        break;
+                    }
+                }
+                
+                if ($restoredItem === null) {
+                    throw new ValidationException("Item {$itemId} is not in the trash", 404);
+                }
+                
+                $feedData['trash'] = array_values($feedData['trash']);
+                $feedData['tombstones'] = array_values(array_filter(
+                    $feedData['tombstones'] ?? [],
+                    fn($tombstone) => $tombstone['id'] !== $itemId
+                ));
+                $feedData['items'][] = $restoredItem;
                 $feedData['totalItems'] = count($feedData['items']);
                 $feedData['updated'] = date('c');
                 return $feedData;
@@ -295,89 +601,810 @@ class LocalFeedManager
         );
         
         if ($success) {
-            // Regenerate Activity Streams feed
             $this->generateActivityStreamsFeed($feedId);
+            
+            // To readers and followers the item is back as new
+            $this->recordEvent(FeedEventLog::ITEM_CREATED, $feedId, $itemId);
+            if ($this->isPublic($restoredItem)) {
+                $this->federateItem($feedId, $restoredItem);
+            }
         }
         
         return $success;
     }
     
     /**
-     * Get items from local feed
+     * Permanently remove items from the trash, or empty it when no IDs are given.
+     * Their tombstones stay in the public feed until the retention period ends.
+     *
+     * @return array IDs of the purged items
      */
-    public function getItems(string $feedId, int $limit = null, int $offset = 0): array
+    public function purgeTrash(string $feedId, ?array $itemIds = null): array
     {
-        $feedData = $this->getFeed($feedId);
-        $items = $feedData['items'] ?? [];
+        $purged = [];
         
-        if ($limit !== null) {
-            return array_slice($items, $offset, $limit);
+        $this->fileManager->transactionalUpdate(
+            $this->feedsDataPath . "/{$feedId}.json",
+            function($feedData) use ($itemIds, &$purged) {
+                $kept = [];
+                foreach ($feedData['trash'] ?? [] as $item) {
+                    if ($itemIds === null || in_array($item['id'], $itemIds, true)) {
+                        $purged[] = $item['id'];
+                    } else {
+                        $kept[] = $item;
+                    }
+                }
+                
+                $feedData['trash'] = $kept;
+                return $feedData;
+            }
+        );
+        
+        foreach ($purged as $itemId) {
+            try {
+                $this->revisions->deleteItem($feedId, $itemId);
+                $this->drafts->deleteItem($feedId, $itemId);
+            } catch (\Exception $e) {
+                error_log("Error removing revisions and drafts of item {$itemId} in {$feedId}: " . $e->getMessage());
+            }
         }
         
-        return array_slice($items, $offset);
+        return $purged;
     }
     
     /**
-     * Generate Activity Streams 2.0 feed file
+     * Purge trashed items and drop tombstones older than the retention period.
+     * Run from cron through publish-scheduled.php, and lazily by the feeds API.
+     *
+     * @return array Feed ID => IDs of the items purged
      */
-    public function generateActivityStreamsFeed(string $feedId): bool
+    public function purgeExpiredTrash(): array
     {
-        try {
-            $feedData = $this->getFeed($feedId);
-            
-            // Build Activity Streams 2.0 structure
-            $activityStream = [
-                '@context' => 'https://www.w3.org/ns/activitystreams',
-                'type' => 'Collection',
-                'id' => $feedData['url'],
-                'name' => $feedData['name'],
-                'summary' => $feedData['description'],
-                'totalItems' => $feedData['totalItems'],
-                'published' => $feedData['created'],
-                'updated' => $feedData['updated'],
-                'attributedTo' => $feedData['author'],
-                'items' => $feedData['items'] ?? []
-            ];
-            
-            // Remove null values
-            $activityStream = array_filter($activityStream, fn($value) => $value !== null);
-            
-            // Write to public feeds directory
-            // Determine absolute path based on where we are
-            $publicFile = $this->getAbsolutePublicPath() . "/{$feedId}.ansybl";
-            $jsonContent = json_encode($activityStream, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
-            
-            return file_put_contents($publicFile, $jsonContent) !== false;
-            
-        } catch (\Exception $e) {
-            error_log("Error generating Activity Streams feed for {$feedId}: " . $e->getMessage());
-            return false;
+        $cutoff = time() - self::TRASH_RETENTION_DAYS * 86400;
+        $isExpired = fn($date) => strtotime($date) < $cutoff;
+        $purged = [];
+        
+        foreach ($this->getFeedIds() as $feedId) {
+            try {
+                $feedData = $this->getFeed($feedId);
+                $expiredItems = array_filter($feedData['trash'] ?? [], fn($item) => $isExpired($item['deletedAt']));
+                $expiredTombstones = array_filter($feedData['tombstones'] ?? [], fn($tombstone) => $isExpired($tombstone['deleted']));
+                
+                if (!empty($expiredItems)) {
+                    $purged[$feedId] = $this->purgeTrash($feedId, array_column($expiredItems, 'id'));
+                }
+                
+                if (!empty($expiredTombstones)) {
+                    $this->fileManager->transactionalUpdate(
+                        $this->feedsDataPath . "/{$feedId}.json",
+                        function($feedData) use ($isExpired) {
+                            $feedData['tombstones'] = array_values(array_filter(
+                                $feedData['tombstones'] ?? [],
+                                fn($tombstone) => !$isExpired($tombstone['deleted'])
+                            ));
+                            return $feedData;
+                        }
+                    );
+                    $this->generateActivityStreamsFeed($feedId);
+                }
+            } catch (\Exception $e) {
+                error_log("Error purging the trash of {$feedId}: " . $e->getMessage());
+            }
         }
+        
+        return $purged;
     }
     
     /**
-     * Get absolute path to public feeds directory
+     * Apply one action to many items in a single locked update of the feed file.
+     * Moves and copies lock the target feed as well, so the batch lands in both
+     * feeds or in neither.
+     *
+     * @param array $options tags (addTags/removeTags), seconds (shiftDate), targetFeedId (move/copy)
+     * @return array The items changed, for move/copy the IDs they got in the target
+     *               feed, and the selected IDs that weren't in the feed
      */
-    private function getAbsolutePublicPath(): string
+    public function bulkUpdate(string $feedId, array $itemIds, string $action, array $options = [], ?string $author = null): array
     {
-        // Try to find the project root by looking for composer.json
-        $currentDir = __DIR__;
-        while ($currentDir !== '/' && !file_exists($currentDir . '/composer.json')) {
-            $currentDir = dirname($currentDir);
+        if (!in_array($action, self::BULK_ACTIONS, true)) {
+            throw new ValidationException("Unknown bulk action: {$action}");
         }
         
-        if (!file_exists($currentDir . '/composer.json')) {
-            // Fallback: assume we're in src/Core and go up to project root
-            $currentDir = dirname(dirname(__DIR__));
+        if (empty($itemIds)) {
+            throw new ValidationException('No items selected');
         }
         
-        return $currentDir . '/public/feeds';
+        $targetFeedId = null;
+        if (in_array($action, ['move', 'copy'], true)) {
+            $targetFeedId = $options['targetFeedId'] ?? '';
+            if ($targetFeedId === $feedId) {
+                throw new ValidationException('Items are already in this feed');
+            }
+            if (!preg_match('/^[a-zA-Z0-9_-]+$/', $targetFeedId) || !$this->fileManager->exists($this->feedsDataPath . "/{$targetFeedId}.json")) {
+                throw new ValidationException("Target feed not found: {$targetFeedId}", 404);
+            }
+        }
+        
+        $tags = array_values(array_filter(array_map('trim', (array) ($options['tags'] ?? [])), 'strlen'));
+        if (in_array($action, ['addTags', 'removeTags'], true) && empty($tags)) {
+            throw new ValidationException('No tags given');
+        }
+        
+        $seconds = (int) ($options['seconds'] ?? 0);
+        if ($action === 'shiftDate' && $seconds === 0) {
+            throw new ValidationException('No date shift given');
+        }
+        
+        $before = [];  // Item ID => the item as it was
+        $after = [];   // Item ID => the item as it is now, for items still in the feed
+        $created = []; // Item ID => its copy in the target feed
+        
+        $this->updateFeeds(array_filter([$feedId, $targetFeedId]), function(array $feeds) use ($feedId, $targetFeedId, $itemIds, $action, $tags, $seconds, $author, &$before, &$after, &$created) {
+            $source = $feeds[$feedId];
+            $kept = [];
+            
+            foreach ($source['items'] as $item) {
+                if (!in_array($item['id'], $itemIds, true)) {
+                    $kept[] = $item;
+                    continue;
+                }
+                
+                $before[$item['id']] = $item;
+                
+                if ($action === 'move' || $action === 'copy') {
+                    $copy = array_merge($item, ['id' => $this->generateItemId($targetFeedId), 'updated' => date('c')]);
+                    unset($copy['position']);
+                    
+                    $position = $this->nextPosition($feeds[$targetFeedId]['items'] ?? []);
+                    if ($position !== null) {
+                        $copy['position'] = $position;
+                    }
+                    
+                    $feeds[$targetFeedId]['items'][] = $copy;
+                    $created[$item['id']] = $copy;
+                }
+                
+                // Deleted and moved items leave the feed, with a tombstone if readers had them
+                if ($action === 'delete' || $action === 'move') {
+                    if ($action === 'delete') {
+                        $source['trash'][] = array_merge($item, ['deletedAt' => date('c'), 'deletedBy' => $author]);
+                    }
+                    if ($this->isPublic($item)) {
+                        $source['tombstones'][] = ['id' => $item['id'], 'formerType' => $item['type'], 'deleted' => date('c')];
+                    }
+                    continue;
+                }
+                
+                if ($action !== 'copy') {
+                    $item = $this->applyBulkAction($item, $action, $tags, $seconds);
+                    $item['updated'] = date('c');
+                    $after[$item['id']] = $item;
+                }
+                $kept[] = $item;
+            }
+            
+            if (empty($before)) {
+                throw new ValidationException('None of the selected items are in this feed', 404);
+            }
+            
+            $source['items'] = $kept;
+            $feeds[$feedId] = $source;
+            
+            foreach ($feeds as $id => $feedData) {
+                $feeds[$id]['totalItems'] = count($feedData['items']);
+                $feeds[$id]['updated'] = date('c');
+            }
+            
+            return $feeds;
+        });
+        
+        $this->afterBulkUpdate($feedId, $targetFeedId, $action, $before, $after, $created, $author);
+        
+        return [
+            'action' => $action,
+            'itemIds' => array_keys($before),
+            'created' => array_map(fn($copy) => $copy['id'], $created),
+            'missing' => array_values(array_diff($itemIds, array_keys($before)))
+        ];
     }
     
     /**
-     * Generate unique feed ID from name
+     * Add items brought in from elsewhere, such as a feed archive, in one go.
+     * Each gets a new ID in this feed; they keep their dates and status and,
+     * being old news, aren't sent to followers. They have to pass the same
+     * checks as items added one at a time.
+     *
+     * @return array Old item ID => new item ID
+     * @throws ValidationException When an item is invalid - nothing is imported
      */
-    private function generateFeedId(string $name): string
+    public function importItems(string $feedId, array $items, ?string $author = null): array
+    {
+        if (!$this->fileManager->exists($this->feedsDataPath . "/{$feedId}.json")) {
+            throw new FileNotFoundException("Local feed not found: {$feedId}");
+        }
+        
+        foreach ($items as $item) {
+            $errors = $this->getItemErrors($item);
+            if (!empty($errors)) {
+                throw new ValidationException('Invalid item data: ' . implode(', ', $errors));
+            }
+        }
+        
+        $ids = [];
+        $imported = [];
+        
+        foreach ($items as $item) {
+            $newId = $this->generateItemId($feedId);
+            if (isset($item['id'])) {
+                $ids[$item['id']] = $newId;
+            }
+            
+            $item['id'] = $newId;
+            if (isset($item['status'])) {
+                $item['status'] = $this->resolveStatus($item['status'], $item['published'] ?? null);
+            }
+            $imported[] = $item;
+        }
+        
+        $success = $this->fileManager->transactionalUpdate(
+            $this->feedsDataPath . "/{$feedId}.json",
+            function($feedData) use ($imported) {
+                $feedData['items'] = array_merge($feedData['items'] ?? [], $imported);
+                $feedData['totalItems'] = count($feedData['items']);
+                $feedData['updated'] = date('c');
+                return $feedData;
+            }
+        );
+        
+        if (!$success) {
+            throw new FileSystemException("Failed to import items into feed: {$feedId}");
+        }
+        
+        foreach ($imported as $item) {
+            $this->recordRevision($feedId, $item, $author, 'create');
+        }
+        
+        $this->generateActivityStreamsFeed($feedId);
+        $this->recordEvent(FeedEventLog::FEED_UPDATED, $feedId);
+        
+        return $ids;
+    }
+    
+    /**
+     * Put the feed's items in a hand-picked order. Listed items come first, in
+     * the given order; the rest follow in their current order. Every item gets
+     * its place as "position", which readers use for the feed's manual order.
+     */
+    public function reorderItems(string $feedId, array $itemIds): bool
+    {
+        if (!$this->fileManager->exists($this->feedsDataPath . "/{$feedId}.json")) {
+            throw new FileNotFoundException("Local feed not found: {$feedId}");
+        }
+        
+        $success = $this->fileManager->transactionalUpdate(
+            $this->feedsDataPath . "/{$feedId}.json",
+            function($feedData) use ($itemIds) {
+                $items = [];
+                foreach ($feedData['items'] ?? [] as $item) {
+                    $items[$item['id']] = $item;
+                }
+                
+                $unknown = array_diff($itemIds, array_keys($items));
+                if (!empty($unknown)) {
+                    throw new ValidationException('Items not in this feed: ' . implode(', ', $unknown));
+                }
+                
+                $ordered = array_values(array_replace(array_flip(array_unique($itemIds)), $items));
+                foreach ($ordered as $index => &$item) {
+                    $item['position'] = $index + 1;
+                }
+                unset($item);
+                
+                $feedData['items'] = $ordered;
+                $feedData['updated'] = date('c');
+                return $feedData;
+            }
+        );
+        
+        if ($success) {
+            $this->generateActivityStreamsFeed($feedId);
+            $this->recordEvent(FeedEventLog::FEED_UPDATED, $feedId);
+        }
+        
+        return $success;
+    }
+    
+    /**
+     * Get items from local feed
+     */
+    public function getItems(string $feedId, int $limit = null, int $offset = 0): array
+    {
+        $feedData = $this->getFeed($feedId);
+        $items = $feedData['items'] ?? [];
+        
+        if ($limit !== null) {
+            return array_slice($items, $offset, $limit);
+        }
+        
+        return array_slice($items, $offset);
+    }
+    
+    /**
+     * Generate Activity Streams 2.0 feed file
+     */
+    public function generateActivityStreamsFeed(string $feedId): bool
+    {
+        try {
+            $feedData = $this->getPublicFeed($feedId);
+            
+            // Build Activity Streams 2.0 structure
+            $activityStream = [
+                '@context' => 'https://www.w3.org/ns/activitystreams',
+                'type' => 'Collection',
+                'id' => $feedData['url'],
+                'name' => $feedData['name'],
+                'summary' => $feedData['description'],
+                'totalItems' => $feedData['totalItems'],
+                'published' => $feedData['created'],
+                'updated' => $feedData['updated'],
+                'attributedTo' => $feedData['author'],
+                'items' => $this->withContentMediaType($feedData['items'] ?? [])
+            ];
+            
+            if (!empty($feedData['emitUpdates'])) {
+                $activityStream['items'] = $this->withUpdateActivities($feedId, $feedData, $activityStream['items']);
+            }
+            
+            // Deleted items stay listed as Tombstones so readers and caches drop them
+            foreach ($feedData['tombstones'] ?? [] as $tombstone) {
+                $activityStream['items'][] = array_merge(['type' => 'Tombstone'], $tombstone);
+            }
+            
+            // Remove null values
+            $activityStream = array_filter($activityStream, fn($value) => $value !== null);
+            
+            // Write to public feeds directory
+            // Determine absolute path based on where we are
+            $publicFile = $this->getAbsolutePublicPath() . "/{$feedId}.ansybl";
+            $jsonContent = json_encode($activityStream, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
+            
+            if (file_put_contents($publicFile, $jsonContent) === false) {
+                return false;
+            }
+            
+            // RSS and Atom copies for readers that don't speak Activity Streams
+            if (!$this->generateExportFeeds($feedId, $feedData)) {
+                return false;
+            }
+            
+            $this->notifyHub($feedData);
+            
+            return true;
+            
+        } catch (\Exception $e) {
+            error_log("Error generating Activity Streams feed for {$feedId}: " . $e->getMessage());
+            return false;
+        }
+    }
+    
+    /**
+     * Write /feeds/<id>.rss and /feeds/<id>.atom - unpublished feeds don't get them
+     */
+    public function generateExportFeeds(string $feedId, ?array $feedData = null): bool
+    {
+        $feedData = $feedData ?? $this->getPublicFeed($feedId);
+        
+        if (($feedData['published'] ?? true) === false) {
+            $this->removeExportFeeds($feedId);
+            return true;
+        }
+        
+        foreach (array_keys(FeedExporter::FORMATS) as $format) {
+            $publicFile = $this->getAbsolutePublicPath() . "/{$feedId}.{$format}";
+            if (file_put_contents($publicFile, $this->exporter->export($feedData, $format)) === false) {
+                error_log("Error writing {$format} export for {$feedId}");
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Remove the RSS/Atom copies of a feed
+     */
+    private function removeExportFeeds(string $feedId): void
+    {
+        foreach (array_keys(FeedExporter::FORMATS) as $format) {
+            $publicFile = $this->getAbsolutePublicPath() . "/{$feedId}.{$format}";
+            if (file_exists($publicFile)) {
+                unlink($publicFile);
+            }
+        }
+    }
+    
+    /**
+     * Mark text content as Markdown unless the item says otherwise, so other
+     * readers of the .ansybl file know how to render it
+     */
+    private function withContentMediaType(array $items): array
+    {
+        return array_map(function($item) {
+            if (!empty($item['items']) && is_array($item['items'])) {
+                $item['items'] = $this->withContentMediaType($item['items']);
+            }
+            
+            if (in_array($item['type'] ?? '', self::TEXT_TYPES, true)
+                && !empty($item['content']) && empty($item['mediaType'])) {
+                $item['mediaType'] = 'text/markdown';
+            }
+            
+            return $item;
+        }, $items);
+    }
+    
+    /**
+     * Apply a change to an item, record it as a revision and tell readers and followers
+     */
+    private function saveItem(string $feedId, string $itemId, callable $apply, ?string $author, ?int $restoredFrom = null): bool
+    {
+        $wasPublic = false;
+        $updatedItem = null;
+        
+        $success = $this->fileManager->transactionalUpdate(
+            $this->feedsDataPath . "/{$feedId}.json",
+            function($feedData) use ($itemId, $apply, &$wasPublic, &$updatedItem) {
+                foreach ($feedData['items'] as &$item) {
+                    if ($item['id'] === $itemId) {
+                        $wasPublic = $this->isPublic($item);
+                        
+                        $item = $apply($item);
+                        $item['updated'] = date('c');
+                        $updatedItem = $item;
+                        break;
+                    }
+                }
+                $feedData['updated'] = date('c');
+                return $feedData;
+            }
+        );
+        
+        if ($success) {
+            $revision = $updatedItem !== null
+                ? $this->recordRevision($feedId, $updatedItem, $author, $restoredFrom !== null ? 'restore' : 'update', $restoredFrom)
+                : null;
+            
+            // Regenerate Activity Streams feed
+            $this->generateActivityStreamsFeed($feedId);
+            $this->recordEvent(FeedEventLog::ITEM_UPDATED, $feedId, $itemId);
+            
+            if ($updatedItem !== null && $this->isPublic($updatedItem)) {
+                if (!$wasPublic) {
+                    // Followers hear about a draft when it's first published
+                    $this->federateItem($feedId, $updatedItem);
+                } elseif ($revision !== null) {
+                    $this->federateUpdate($feedId, $updatedItem);
+                }
+            }
+        }
+        
+        return $success;
+    }
+    
+    /**
+     * One item's share of a bulk edit
+     */
+    private function applyBulkAction(array $item, string $action, array $tags, int $seconds): array
+    {
+        // Tags are plain names from the admin, or Hashtag objects from elsewhere
+        $tagName = fn($tag) => is_array($tag) ? ltrim($tag['name'] ?? '', '#') : $tag;
+        
+        switch ($action) {
+            case 'addTags':
+                $existing = array_map($tagName, $item['tag'] ?? []);
+                $item['tag'] = array_merge($item['tag'] ?? [], array_values(array_diff($tags, $existing)));
+                break;
+                
+            case 'removeTags':
+                $item['tag'] = array_values(array_filter($item['tag'] ?? [], fn($tag) => !in_array($tagName($tag), $tags, true)));
+                break;
+                
+            case 'publish':
+                $item['status'] = $this->resolveStatus('published', $item['published'] ?? null);
+                break;
+                
+            case 'unpublish':
+                $item['status'] = 'draft';
+                break;
+                
+            case 'shiftDate':
+                $published = strtotime($item['published'] ?? '') ?: time();
+                $item['published'] = date('c', $published + $seconds);
+                $item['status'] = $this->resolveStatus($item['status'] ?? null, $item['published']);
+                break;
+        }
+        
+        return $item;
+    }
+    
+    /**
+     * Regenerate, record and federate what a bulk update changed - like single
+     * edits, none of this can fail the batch once it's written
+     */
+    private function afterBulkUpdate(string $feedId, ?string $targetFeedId, string $action, array $before, array $after, array $created, ?string $author): void
+    {
+        foreach ($after as $itemId => $item) {
+            $this->recordRevision($feedId, $item, $author, 'update');
+        }
+        
+        foreach ($created as $itemId => $copy) {
+            $this->recordRevision($targetFeedId, $copy, $author, 'create');
+            
+            if ($action === 'move') {
+                try {
+                    $this->revisions->deleteItem($feedId, $itemId);
+                } catch (\Exception $e) {
+                    error_log("Error removing revisions of item {$itemId} in {$feedId}: " . $e->getMessage());
+                }
+            }
+        }
+        
+        foreach (array_filter([$feedId, $targetFeedId]) as $id) {
+            $this->generateActivityStreamsFeed($id);
+            $this->recordEvent(FeedEventLog::FEED_UPDATED, $id);
+        }
+        
+        foreach ($before as $itemId => $item) {
+            $wasPublic = $this->isPublic($item);
+            
+            if (isset($after[$itemId])) {
+                if (!$wasPublic && $this->isPublic($after[$itemId])) {
+                    $this->federateItem($feedId, $after[$itemId]);
+                }
+            } elseif ($action !== 'copy' && $wasPublic) {
+                $this->federateDelete($feedId, $item);
+            }
+            
+            if (isset($created[$itemId]) && $this->isPublic($created[$itemId])) {
+                $this->federateItem($targetFeedId, $created[$itemId]);
+            }
+        }
+    }
+    
+    /**
+     * Update several feed files under their locks at once. The locks are always
+     * taken in ID order, so two batches over the same feeds can't deadlock.
+     *
+     * @param callable $updater Gets and returns the feeds' data by feed ID
+     */
+    private function updateFeeds(array $feedIds, callable $updater, array $feeds = []): array
+    {
+        if (empty($feedIds)) {
+            return $updater($feeds);
+        }
+        
+        sort($feedIds);
+        $feedId = array_shift($feedIds);
+        
+        $this->fileManager->transactionalUpdate(
+            $this->feedsDataPath . "/{$feedId}.json",
+            function($feedData) use ($feedId, $feedIds, $updater, &$feeds) {
+                $feeds[$feedId] = $feedData;
+                $feeds = $this->updateFeeds($feedIds, $updater, $feeds);
+                return $feeds[$feedId];
+            }
+        );
+        
+        return $feeds;
+    }
+    
+    /**
+     * Store a revision without letting a history problem fail the save
+     */
+    private function recordRevision(string $feedId, array $item, ?string $author, string $action, ?int $restoredFrom = null): ?array
+    {
+        try {
+            return $this->revisions->record($feedId, $item, $author, $action, $restoredFrom);
+        } catch (\Exception $e) {
+            error_log("Error recording revision of item {$item['id']} in {$feedId}: " . $e->getMessage());
+            return null;
+        }
+    }
+    
+    /**
+     * With Update activities on, edited items go out as an Update of the item
+     * saying what changed, so readers see the edit instead of a silent rewrite
+     */
+    private function withUpdateActivities(string $feedId, array $feedData, array $items): array
+    {
+        $latest = $this->revisions->getLatestRevisions($feedId);
+        
+        return array_map(function($item) use ($latest, $feedData) {
+            $revision = $latest[$item['id']] ?? null;
+            if ($revision === null || ($revision['action'] ?? 'update') === 'create' || empty($revision['changes'])) {
+                return $item;
+            }
+            
+            return [
+                'type' => 'Update',
+                'id' => "{$item['id']}-rev{$revision['id']}",
+                'published' => $revision['created'],
+                'actor' => $feedData['author'],
+                'summary' => 'Updated ' . implode(', ', $revision['changes']),
+                'object' => $item
+            ];
+        }, $items);
+    }
+    
+    /**
+     * The position after the last one in a hand-ordered feed, or null when
+     * the items have never been reordered
+     */
+    private function nextPosition(array $items): ?int
+    {
+        $positions = array_filter(array_column($items, 'position'), 'is_int');
+        
+        return empty($positions) ? null : max($positions) + 1;
+    }
+    
+    /**
+     * Items from before statuses existed have none, and were always public
+     */
+    private function isPublic(array $item): bool
+    {
+        return ($item['status'] ?? 'published') === 'published';
+    }
+    
+    private function isDue(array $item): bool
+    {
+        if (($item['status'] ?? null) !== 'scheduled') {
+            return false;
+        }
+        
+        $time = strtotime($item['published'] ?? '');
+        return $time === false || $time <= time();
+    }
+    
+    /**
+     * Drafts stay drafts; anything else is scheduled while its published date is in the future
+     */
+    private function resolveStatus(?string $status, ?string $published): string
+    {
+        if ($status === 'draft') {
+            return 'draft';
+        }
+        
+        $time = $published !== null ? strtotime($published) : false;
+        return $time !== false && $time > time() ? 'scheduled' : 'published';
+    }
+    
+    private function getFeedIds(): array
+    {
+        $feedFiles = glob($this->fileManager->getFilePath($this->feedsDataPath . '/*.json'));
+        
+        return $feedFiles === false ? [] : array_map(fn($file) => basename($file, '.json'), $feedFiles);
+    }
+    
+    /**
+     * Push the rewritten feed files to their WebSub subscribers - never fails the write itself
+     */
+    private function notifyHub(array $feedData): void
+    {
+        if (($feedData['published'] ?? true) === false) {
+            return;
+        }
+        
+        foreach ($this->getHubTopics($feedData) as $topic => [$format, $contentType]) {
+            try {
+                if (empty($this->hub->getSubscriptions($topic))) {
+                    continue;
+                }
+                
+                $content = file_get_contents($this->getAbsolutePublicPath() . "/{$feedData['id']}.{$format}");
+                if ($content !== false) {
+                    $this->hub->publish($topic, $content, $contentType, $this->exporter->getHubUrl($feedData));
+                }
+            } catch (\Exception $e) {
+                error_log("Error notifying WebSub subscribers of {$topic}: " . $e->getMessage());
+            }
+        }
+    }
+    
+    /**
+     * Public URLs of a feed's files, each with its format and content type
+     */
+    private function getHubTopics(array $feedData): array
+    {
+        $topics = [$feedData['url'] => ['ansybl', 'application/activity+json']];
+        
+        foreach (FeedExporter::FORMATS as $format => $contentType) {
+            $topics[$this->exporter->getExportUrl($feedData, $format)] = [$format, $contentType];
+        }
+        
+        return $topics;
+    }
+    
+    /**
+     * Send followers an Update for an edit, when the feed has them turned on
+     */
+    private function federateUpdate(string $feedId, array $item): void
+    {
+        try {
+            $feedData = $this->getFeed($feedId);
+            if (($feedData['published'] ?? true) !== false && !empty($feedData['emitUpdates'])) {
+                $this->publisher->publishUpdate($feedData, $item);
+            }
+        } catch (\Exception $e) {
+            error_log("Error delivering update of item {$item['id']} of {$feedId} to followers: " . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Tell followers a published item was deleted
+     */
+    private function federateDelete(string $feedId, array $item): void
+    {
+        try {
+            $feedData = $this->getFeed($feedId);
+            if (($feedData['published'] ?? true) !== false) {
+                $this->publisher->publishDelete($feedData, $item);
+            }
+        } catch (\Exception $e) {
+            error_log("Error delivering deletion of item {$item['id']} of {$feedId} to followers: " . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Send a new item to the feed's fediverse followers as a Create activity -
+     * like the events stream, delivery problems never fail the write itself
+     */
+    private function federateItem(string $feedId, array $item): void
+    {
+        try {
+            $feedData = $this->getFeed($feedId);
+            if (($feedData['published'] ?? true) !== false) {
+                $this->publisher->publishItem($feedData, $item);
+            }
+        } catch (\Exception $e) {
+            error_log("Error delivering item {$item['id']} of {$feedId} to followers: " . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Announce a change to the real-time events stream - never fails the write itself
+     */
+    private function recordEvent(string $type, string $feedId, ?string $itemId = null): void
+    {
+        try {
+            $this->eventLog->record($type, $feedId, 'local', $itemId !== null ? ['itemId' => $itemId] : []);
+        } catch (\Exception $e) {
+            error_log("Error recording feed event for {$feedId}: " . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Get absolute path to public feeds directory
+     */
+    private function getAbsolutePublicPath(): string
+    {
+        // Try to find the project root by looking for composer.json
+        $currentDir = __DIR__;
+        while ($currentDir !== '/' && !file_exists($currentDir . '/composer.json')) {
+            $currentDir = dirname($currentDir);
+        }
+        
+        if (!file_exists($currentDir . '/composer.json')) {
+            // Fallback: assume we're in src/Core and go up to project root
+            $currentDir = dirname(dirname(__DIR__));
+        }
+        
+        return $currentDir . '/public/feeds';
+    }
+    
+    /**
+     * Generate unique feed ID from name - the ID createFeed would give a feed of that name
+     */
+    public function generateFeedId(string $name): string
     {
         $baseId = strtolower(preg_replace('/[^a-zA-Z0-9-]/', '-', $name));
         $baseId = preg_replace('/-+/', '-', $baseId);
@@ -453,6 +1480,18 @@ class LocalFeedManager
     /**
      * Validate item data
      */
+    /**
+     * Why addItem would refuse item data - empty when it's valid
+     */
+    public function getItemErrors(array $itemData): array
+    {
+        if ($this->validateItemData($itemData)) {
+            return [];
+        }
+        
+        return array_map(fn($error) => "{$error['field']}: {$error['message']}", $this->validator->getErrors());
+    }
+    
     private function validateItemData(array $itemData): bool
     {
         return $this->validator->validate($itemData, 'local-feed-item');
@@ -470,7 +1509,9 @@ class LocalFeedManager
                 'description' => ['type' => 'string', 'maxLength' => 500],
                 'author' => ['type' => 'array'],
                 'language' => ['type' => 'string', 'minLength' => 2, 'maxLength' => 5],
-                'published' => ['type' => 'boolean']
+                'published' => ['type' => 'boolean'],
+                'actorType' => ['type' => 'string', 'enum' => ActivityPubPublisher::ACTOR_TYPES],
+                'emitUpdates' => ['type' => 'boolean']
             ]
         ]);
         
@@ -479,17 +1520,28 @@ class LocalFeedManager
             'properties' => [
                 'type' => [
                     'type' => 'string',
-                    'enum' => ['Article', 'Note', 'Image', 'Video', 'Audio']
+                    'enum' => self::ITEM_TYPES
                 ],
                 'name' => ['type' => 'string', 'maxLength' => 200],
                 'content' => ['type' => 'string'],
                 'summary' => ['type' => 'string', 'maxLength' => 500],
                 'published' => ['type' => 'string'],
+                'status' => ['type' => 'string', 'enum' => self::ITEM_STATUSES],
                 'url' => ['type' => 'string'],
                 'mediaType' => ['type' => 'string'],
                 'duration' => ['type' => 'string'],
                 'attachment' => ['type' => 'array'],
-                'tag' => ['type' => 'array']
+                'tag' => ['type' => 'array'],
+                'pinned' => ['type' => 'boolean'],
+                'featured' => ['type' => 'boolean'],
+                'startTime' => ['type' => 'string'],
+                'endTime' => ['type' => 'string'],
+                'location' => ['type' => 'object'],
+                'latitude' => ['type' => 'number'],
+                'longitude' => ['type' => 'number'],
+                'oneOf' => ['type' => 'array'],
+                'anyOf' => ['type' => 'array'],
+                'hreflang' => ['type' => 'string', 'maxLength' => 35]
             ]
         ]);
     }
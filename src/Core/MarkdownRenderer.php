@@ -0,0 +1,393 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+/**
+ * Markdown to HTML for content that leaves the site as HTML - RSS
+ * content:encoded, Atom content and ActivityPub objects. Covers the Markdown
+ * the editor writes (headings, emphasis, links, images, lists, quotes, code,
+ * tables, strikethrough); raw HTML is escaped rather than passed through, and
+ * links and images only keep http(s), mailto and relative URLs.
+ * The browser renders with public/assets/js/markdown.js.
+ */
+class MarkdownRenderer
+{
+    private const PLACEHOLDER = "\x1A";
+    
+    public function render(string $markdown): string
+    {
+        $text = str_replace(["\r\n", "\r", "\t", "\0", self::PLACEHOLDER], ["\n", "\n", '    ', "\u{FFFD}", ''], $markdown);
+        
+        return $this->renderBlocks(explode("\n", $text));
+    }
+    
+    /**
+     * @param bool $tight Inside a tight list item paragraphs aren't wrapped in <p>
+     */
+    private function renderBlocks(array $lines, bool $tight = false): string
+    {
+        $html = [];
+        $i = 0;
+        $count = count($lines);
+        
+        while ($i < $count) {
+            $line = $lines[$i];
+            
+            if (trim($line) === '') {
+                $i++;
+            } elseif (preg_match('/^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/', $line, $matches)) {
+                $html[] = $this->renderFencedCode($lines, $i, $matches[1], $matches[2]);
+            } elseif (preg_match('/^ {0,3}(#{1,6})(?:\s+(.*))?$/', $line, $matches)) {
+                $level = strlen($matches[1]);
+                $title = preg_replace('/(?:^|\s+)#+\s*$/', '', trim($matches[2] ?? ''));
+                $html[] = "<h{$level}>" . $this->renderInline($title) . "</h{$level}>";
+                $i++;
+            } elseif ($this->isThematicBreak($line)) {
+                $html[] = '<hr>';
+                $i++;
+            } elseif (preg_match('/^ {0,3}>/', $line)) {
+                $html[] = $this->renderBlockquote($lines, $i);
+            } elseif ($this->parseListMarker($line) !== null) {
+                $html[] = $this->renderList($lines, $i);
+            } elseif (str_starts_with($line, '    ')) {
+                $html[] = $this->renderIndentedCode($lines, $i);
+            } elseif ($this->isTableStart($lines, $i)) {
+                $html[] = $this->renderTable($lines, $i);
+            } else {
+                $html[] = $this->renderParagraph($lines, $i, $tight);
+            }
+        }
+        
+        return implode("\n", $html);
+    }
+    
+    private function renderFencedCode(array $lines, int &$i, string $fence, string $info): string
+    {
+        $closing = '/^ {0,3}' . preg_quote($fence[0], '/') . '{' . strlen($fence) . ',}\s*$/';
+        $code = [];
+        
+        for ($i++; $i < count($lines); $i++) {
+            if (preg_match($closing, $lines[$i])) {
+                $i++;
+                break;
+            }
+            $code[] = $lines[$i];
+        }
+        
+        $class = $info !== '' ? ' class="language-' . $this->escape($info) . '"' : '';
+        $body = empty($code) ? '' : implode("\n", $code) . "\n";
+        
+        return "<pre><code{$class}>" . $this->escape($body) . '</code></pre>';
+    }
+    
+    private function renderIndentedCode(array $lines, int &$i): string
+    {
+        $code = [];
+        
+        for (; $i < count($lines); $i++) {
+            if (str_starts_with($lines[$i], '    ')) {
+                $code[] = substr($lines[$i], 4);
+            } elseif (trim($lines[$i]) === '' && isset($lines[$i + 1]) && str_starts_with($lines[$i + 1], '    ')) {
+                $code[] = '';
+            } else {
+                break;
+            }
+        }
+        
+        return '<pre><code>' . $this->escape(implode("\n", $code) . "\n") . '</code></pre>';
+    }
+    
+    private function renderBlockquote(array $lines, int &$i): string
+    {
+        $quoted = [];
+        
+        for (; $i < count($lines); $i++) {
+            $line = $lines[$i];
+            
+            if (preg_match('/^ {0,3}> ?(.*)$/', $line, $matches)) {
+                $quoted[] = $matches[1];
+            } elseif (trim($line) !== '' && !empty($quoted) && trim(end($quoted)) !== '' && !$this->interruptsParagraph($line)) {
+                // A lazy continuation of the quoted paragraph
+                $quoted[] = $line;
+            } else {
+                break;
+            }
+        }
+        
+        return "<blockquote>\n" . $this->renderBlocks($quoted) . "\n</blockquote>";
+    }
+    
+    private function renderList(array $lines, int &$i): string
+    {
+        $first = $this->parseListMarker($lines[$i]);
+        $items = [];
+        $loose = false;
+        $separated = false;
+        $count = count($lines);
+        
+        while ($i < $count) {
+            $marker = $this->parseListMarker($lines[$i]);
+            if ($marker === null || $marker['ordered'] !== $first['ordered'] || $marker['delimiter'] !== $first['delimiter']) {
+                break;
+            }
+            
+            $item = [substr($lines[$i], $marker['width'])];
+            $i++;
+            
+            while ($i < $count) {
+                $line = $lines[$i];
+                
+                if (trim($line) === '') {
+                    $item[] = '';
+                    $i++;
+                    continue;
+                }
+                
+                $indent = strlen($line) - strlen(ltrim($line, ' '));
+                $afterBlank = end($item) === '';
+                
+                if ($indent >= $marker['width']) {
+                    $item[] = substr($line, $marker['width']);
+                } elseif (!$afterBlank && !$this->interruptsParagraph($line) && $this->parseListMarker($line) === null) {
+                    // A lazy continuation of the item's paragraph
+                    $item[] = $line;
+                } else {
+                    break;
+                }
+                $i++;
+            }
+            
+            // Blank lines between blocks in an item, or between items, make the list loose
+            $trailingBlank = false;
+            while (!empty($item) && end($item) === '') {
+                array_pop($item);
+                $trailingBlank = true;
+            }
+            if (in_array('', $item, true) || $separated) {
+                $loose = true;
+            }
+            $separated = $trailingBlank;
+            
+            $items[] = $item;
+        }
+        
+        $tag = $first['ordered'] ? 'ol' : 'ul';
+        $start = $first['ordered'] && $first['start'] !== 1 ? " start=\"{$first['start']}\"" : '';
+        
+        $html = "<{$tag}{$start}>\n";
+        foreach ($items as $item) {
+            $content = $this->renderBlocks($item, !$loose);
+            $html .= $loose || str_contains($content, "\n") ? "<li>\n{$content}\n</li>\n" : "<li>{$content}</li>\n";
+        }
+        
+        return $html . "</{$tag}>";
+    }
+    
+    private function renderTable(array $lines, int &$i): string
+    {
+        $header = $this->splitTableRow($lines[$i]);
+        $alignments = array_map(function($cell) {
+            $cell = trim($cell);
+            if (str_starts_with($cell, ':') && str_ends_with($cell, ':')) {
+                return 'center';
+            }
+            return str_ends_with($cell, ':') ? 'right' : (str_starts_with($cell, ':') ? 'left' : null);
+        }, $this->splitTableRow($lines[$i + 1]));
+        
+        $cell = function($tag, $text, $column) use ($alignments) {
+            $align = isset($alignments[$column]) ? " align=\"{$alignments[$column]}\"" : '';
+            return "<{$tag}{$align}>" . $this->renderInline(trim($text)) . "</{$tag}>";
+        };
+        
+        $html = "<table>\n<thead>\n<tr>";
+        foreach ($header as $column => $text) {
+            $html .= $cell('th', $text, $column);
+        }
+        $html .= "</tr>\n</thead>";
+        
+        $rows = [];
+        for ($i += 2; $i < count($lines) && trim($lines[$i]) !== '' && str_contains($lines[$i], '|'); $i++) {
+            $cells = array_pad(array_slice($this->splitTableRow($lines[$i]), 0, count($header)), count($header), '');
+            $row = '<tr>';
+            foreach ($cells as $column => $text) {
+                $row .= $cell('td', $text, $column);
+            }
+            $rows[] = $row . '</tr>';
+        }
+        
+        if (!empty($rows)) {
+            $html .= "\n<tbody>\n" . implode("\n", $rows) . "\n</tbody>";
+        }
+        
+        return $html . "\n</table>";
+    }
+    
+    private function renderParagraph(array $lines, int &$i, bool $tight): string
+    {
+        $text = [ltrim($lines[$i])];
+        
+        for ($i++; $i < count($lines); $i++) {
+            $line = $lines[$i];
+            
+            // A setext underline turns the paragraph into a heading
+            if (preg_match('/^ {0,3}(=+|-+)\s*$/', $line, $matches)) {
+                $i++;
+                $level = $matches[1][0] === '=' ? 1 : 2;
+                return "<h{$level}>" . $this->renderInline(implode("\n", $text)) . "</h{$level}>";
+            }
+            
+            if (trim($line) === '' || $this->interruptsParagraph($line)) {
+                break;
+            }
+            
+            $text[] = ltrim($line);
+        }
+        
+        $content = $this->renderInline(rtrim(implode("\n", $text)));
+        
+        return $tight ? $content : "<p>{$content}</p>";
+    }
+    
+    private function renderInline(string $text): string
+    {
+        $tokens = [];
+        $html = $this->formatInline($text, $tokens);
+        
+        // Tokens can hold tokens (a link's label), so restore until none are left
+        $pattern = '/' . self::PLACEHOLDER . '(\d+)' . self::PLACEHOLDER . '/';
+        while (preg_match($pattern, $html)) {
+            $html = preg_replace_callback($pattern, fn($matches) => $tokens[(int) $matches[1]], $html);
+        }
+        
+        return $html;
+    }
+    
+    /**
+     * Escaped HTML with code, links and escapes set aside in $tokens as placeholders
+     */
+    private function formatInline(string $text, array &$tokens): string
+    {
+        $hold = function(string $html) use (&$tokens) {
+            $tokens[] = $html;
+            return self::PLACEHOLDER . (count($tokens) - 1) . self::PLACEHOLDER;
+        };
+        
+        // Code spans first - nothing inside them is Markdown
+        $text = preg_replace_callback('/(`+)(?!`)(.+?)(?<!`)\1(?!`)/s', function($matches) use ($hold) {
+            $code = preg_replace('/^ (.*) $/s', '$1', str_replace("\n", ' ', $matches[2]));
+            return $hold('<code>' . $this->escape($code) . '</code>');
+        }, $text);
+        
+        // Hard breaks: two trailing spaces or a backslash at the end of a line
+        $text = preg_replace_callback('/(?: {2,}|\\\\)\n/', fn() => $hold("<br>\n"), $text);
+        
+        $text = preg_replace_callback('/\\\\([!-\/:-@\[-`{-~])/', fn($matches) => $hold($this->escape($matches[1])), $text);
+        
+        $text = preg_replace_callback('/<((?:https?:\/\/|mailto:)[^\s<>]+)>/i', function($matches) use ($hold) {
+            $url = $this->escape($matches[1]);
+            return $hold("<a href=\"{$url}\">{$url}</a>");
+        }, $text);
+        
+        $text = preg_replace_callback(
+            '/(!?)\[((?:[^\[\]]|\[[^\[\]]*\])*)\]\(\s*<?([^\s<>()]*(?:\([^\s<>()]*\)[^\s<>()]*)*)>?(?:\s+(?:"([^"]*)"|\'([^\']*)\'))?\s*\)/',
+            function($matches) use ($hold, &$tokens) {
+                $url = $this->safeUrl($matches[3]);
+                $title = ($matches[4] ?? '') !== '' ? $matches[4] : ($matches[5] ?? '');
+                $titleAttribute = $title !== '' ? ' title="' . $this->escape($title) . '"' : '';
+                
+                if ($matches[1] === '!') {
+                    return $url === null
+                        ? $hold($this->escape($matches[2]))
+                        : $hold('<img src="' . $this->escape($url) . '" alt="' . $this->escape($matches[2]) . "\"{$titleAttribute}>");
+                }
+                
+                $label = $this->formatInline($matches[2], $tokens);
+                return $url === null ? $hold($label) : $hold('<a href="' . $this->escape($url) . "\"{$titleAttribute}>{$label}</a>");
+            },
+            $text
+        );
+        
+        $html = $this->escape($text);
+        
+        $html = preg_replace('/\*\*(?=\S)(.+?)(?<=\S)\*\*/s', '<strong>$1</strong>', $html);
+        $html = preg_replace('/(?<![\w_])__(?=\S)(.+?)(?<=\S)__(?![\w_])/s', '<strong>$1</strong>', $html);
+        $html = preg_replace('/\*(?=[^\s*])(.+?)(?<=[^\s*])\*/s', '<em>$1</em>', $html);
+        $html = preg_replace('/(?<![\w_])_(?=\S)(.+?)(?<=\S)_(?![\w_])/s', '<em>$1</em>', $html);
+        
+        return preg_replace('/~~(?=\S)(.+?)(?<=\S)~~/s', '<del>$1</del>', $html);
+    }
+    
+    /**
+     * The URL when it's http(s), mailto or relative, null otherwise
+     */
+    private function safeUrl(string $url): ?string
+    {
+        // An escape or code span inside the URL could be hiding its scheme
+        if (str_contains($url, self::PLACEHOLDER)) {
+            return null;
+        }
+        
+        if (!preg_match('/^([a-z][a-z0-9+.-]*):/i', $url, $matches)) {
+            return $url;
+        }
+        
+        return in_array(strtolower($matches[1]), ['http', 'https', 'mailto'], true) ? $url : null;
+    }
+    
+    private function isThematicBreak(string $line): bool
+    {
+        return (bool) preg_match('/^ {0,3}([-*_])(?:\s*\1){2,}\s*$/', $line);
+    }
+    
+    /**
+     * @return array{ordered: bool, delimiter: string, start: int, width: int}|null
+     */
+    private function parseListMarker(string $line): ?array
+    {
+        if ($this->isThematicBreak($line) || !preg_match('/^( {0,3})([-+*]|(\d{1,9})([.)]))( +|$)/', $line, $matches)) {
+            return null;
+        }
+        
+        // Content indented five or more spaces past the marker is indented code
+        $spacing = strlen($matches[5]) > 4 || $matches[5] === '' ? 1 : strlen($matches[5]);
+        
+        return [
+            'ordered' => $matches[3] !== '',
+            'delimiter' => $matches[3] !== '' ? $matches[4] : $matches[2],
+            'start' => (int) $matches[3],
+            'width' => strlen($matches[1]) + strlen($matches[2]) + $spacing
+        ];
+    }
+    
+    private function isTableStart(array $lines, int $i): bool
+    {
+        if (!isset($lines[$i + 1]) || !str_contains($lines[$i], '|')
+            || !preg_match('/^ {0,3}\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/', $lines[$i + 1])) {
+            return false;
+        }
+        
+        return count($this->splitTableRow($lines[$i])) === count($this->splitTableRow($lines[$i + 1]));
+    }
+    
+    private function splitTableRow(string $line): array
+    {
+        $line = trim($line);
+        $line = preg_replace('/^\||(?<!\\\\)\|$/', '', $line);
+        
+        return array_map(fn($cell) => str_replace('\|', '|', $cell), preg_split('/(?<!\\\\)\|/', $line));
+    }
+    
+    /**
+     * Lines that end a paragraph without a blank line before them
+     */
+    private function interruptsParagraph(string $line): bool
+    {
+        return (bool) preg_match('/^ {0,3}(?:#{1,6}(?:\s|$)|`{3,}|~{3,}|>|[-+*]\s+\S|1[.)]\s+\S)/', $line)
+            || $this->isThematicBreak($line);
+    }
+    
+    private function escape(string $text): string
+    {
+        return htmlspecialchars($text, ENT_QUOTES | ENT_SUBSTITUTE, 'UTF-8');
+    }
+}
@@ -0,0 +1,52 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+/**
+ * The media a local feed may hold: what the admin can upload, and what a feed
+ * archive may bring in. Files are served from public/uploads, so their content
+ * type and their extension both have to be on the list.
+ */
+class MediaTypes
+{
+    public const MAX_FILE_SIZE = 10 * 1024 * 1024;
+    
+    public const IMAGE = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+    public const AUDIO = ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4'];
+    public const VIDEO = ['video/mp4', 'video/webm', 'video/ogg'];
+    public const DOCUMENT = ['application/pdf', 'text/plain'];
+    
+    /**
+     * File extensions allowed for each MIME type
+     */
+    public const EXTENSIONS = [
+        'image/jpeg' => ['jpg', 'jpeg'],
+        'image/png' => ['png'],
+        'image/gif' => ['gif'],
+        'image/webp' => ['webp'],
+        'audio/mpeg' => ['mp3'],
+        'audio/wav' => ['wav'],
+        'audio/ogg' => ['ogg', 'oga', 'opus'],
+        'audio/mp4' => ['m4a', 'mp4'],
+        'video/mp4' => ['mp4', 'm4v'],
+        'video/webm' => ['webm'],
+        'video/ogg' => ['ogv', 'ogg'],
+        'application/pdf' => ['pdf'],
+        'text/plain' => ['txt']
+    ];
+    
+    public static function all(): array
+    {
+        return array_merge(self::IMAGE, self::AUDIO, self::VIDEO, self::DOCUMENT);
+    }
+    
+    /**
+     * Whether a file of this (sniffed) MIME type may be stored under this name
+     */
+    public static function isAllowed(string $mimeType, string $filename): bool
+    {
+        $extension = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+        
+        return in_array($mimeType, self::all(), true) && in_array($extension, self::EXTENSIONS[$mimeType] ?? [], true);
+    }
+}
@@ -0,0 +1,99 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+use AnsyblSite\Exceptions\ValidationException;
+
+/**
+ * Keeps the server from being pointed at its own network: a URL it fetches
+ * or posts to on someone else's behalf (a link preview, a remote actor, a
+ * WebSub callback) has to be http(s) and resolve only to public addresses
+ */
+class PublicUrlGuard
+{
+    private array $allowedHosts;
+    
+    /**
+     * @param array $allowedHosts Hosts allowed even though they resolve to
+     *                            private addresses (an intranet, a test server)
+     */
+    public function __construct(array $allowedHosts = [])
+    {
+        $this->allowedHosts = array_map('strtolower', $allowedHosts);
+    }
+    
+    /**
+     * Check a URL may be fetched, returning the address to connect to
+     *
+     * @throws ValidationException
+     */
+    public function assertFetchable(string $url): string
+    {
+        $parts = parse_url($url);
+        $scheme = strtolower($parts['scheme'] ?? '');
+        
+        if (!filter_var($url, FILTER_VALIDATE_URL) || !in_array($scheme, ['http', 'https'], true) || empty($parts['host'])) {
+            throw new ValidationException('Only http and https URLs can be fetched');
+        }
+        
+        if (isset($parts['user']) || isset($parts['pass'])) {
+            throw new ValidationException('URLs with credentials cannot be fetched');
+        }
+        
+        $host = strtolower(trim($parts['host'], '[]'));
+        $addresses = filter_var($host, FILTER_VALIDATE_IP) ? [$host] : $this->lookup($host);
+        
+        if (empty($addresses)) {
+            throw new ValidationException("Could not resolve {$host}");
+        }
+        
+        if (!in_array($host, $this->allowedHosts, true)) {
+            foreach ($addresses as $address) {
+                if (!$this->isPublicAddress($address)) {
+                    throw new ValidationException("{$host} is not a public address");
+                }
+            }
+        }
+        
+        return $addresses[0];
+    }
+    
+    /**
+     * CURLOPT_RESOLVE entries that send a URL's connection to the address
+     * assertFetchable() checked, so its host can't be resolved again to
+     * somewhere else (DNS rebinding)
+     */
+    public function pinAddress(string $url, string $address): array
+    {
+        $parts = parse_url($url);
+        $host = trim($parts['host'], '[]');
+        $port = $parts['port'] ?? (strtolower($parts['scheme']) === 'https' ? 443 : 80);
+        
+        return ["{$host}:{$port}:" . (str_contains($address, ':') ? "[{$address}]" : $address)];
+    }
+    
+    /**
+     * The A and AAAA addresses of a host name
+     */
+    protected function lookup(string $host): array
+    {
+        $addresses = [];
+        foreach (@dns_get_record($host, DNS_A | DNS_AAAA) ?: [] as $record) {
+            $addresses[] = $record['ip'] ?? $record['ipv6'] ?? null;
+        }
+        
+        $addresses = array_values(array_filter($addresses));
+        
+        return $addresses ?: (gethostbynamel($host) ?: []);
+    }
+    
+    private function isPublicAddress(string $address): bool
+    {
+        // IPv4 addresses written as IPv6 (::ffff:10.0.0.1)
+        if (preg_match('/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i', $address, $matches)) {
+            $address = $matches[1];
+        }
+        
+        return filter_var($address, FILTER_VALIDATE_IP, FILTER_FLAG_NO_PRIV_RANGE | FILTER_FLAG_NO_RES_RANGE) !== false;
+    }
+}
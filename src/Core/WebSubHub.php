@@ -0,0 +1,255 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+use AnsyblSite\Exceptions\ValidationException;
+
+/**
+ * Built-in WebSub (W3C, formerly PubSubHubbub) hub for the site's own feeds.
+ * Subscribers register a callback per topic URL; when a local feed is rewritten
+ * its new content is pushed to every callback. Subscriptions live in data/websub/hub.json.
+ */
+class WebSubHub
+{
+    public const DEFAULT_LEASE = 864000;
+    public const MAX_LEASE = 2592000;
+    
+    private const MIN_LEASE = 3600;
+    private const MAX_SECRET_LENGTH = 200;
+    
+    private ConcurrentFileManager $fileManager;
+    private PublicUrlGuard $urlGuard;
+    private string $subscriptionsFile = 'websub/hub.json';
+    private int $timeout;
+    
+    public function __construct(ConcurrentFileManager $fileManager, int $timeout = 10, ?PublicUrlGuard $urlGuard = null)
+    {
+        $this->fileManager = $fileManager;
+        $this->timeout = $timeout;
+        $this->urlGuard = $urlGuard ?? new PublicUrlGuard();
+        
+        $this->ensureDataDirectory();
+    }
+    
+    /**
+     * Handle a subscribe/unsubscribe request. The subscriber's intent is verified
+     * by echoing a challenge from its callback before anything is stored.
+     *
+     * @return bool Whether the callback confirmed the request
+     */
+    public function subscribe(string $mode, string $topic, string $callback, ?int $leaseSeconds = null, ?string $secret = null): bool
+    {
+        if (!in_array($mode, ['subscribe', 'unsubscribe'], true)) {
+            throw new ValidationException("Unsupported hub.mode: {$mode}");
+        }
+        
+        if (!preg_match('#^https?://#i', $callback) || !filter_var($callback, FILTER_VALIDATE_URL)) {
+            throw new ValidationException('hub.callback must be an http(s) URL');
+        }
+        
+        // Anyone can subscribe, so the hub only calls back to public addresses
+        $address = $this->urlGuard->assertFetchable($callback);
+        
+        if ($secret !== null && ($secret === '' || strlen($secret) >= self::MAX_SECRET_LENGTH)) {
+            throw new ValidationException('hub.secret must be between 1 and ' . (self::MAX_SECRET_LENGTH - 1) . ' bytes');
+        }
+        
+        $leaseSeconds = min(max($leaseSeconds ?? self::DEFAULT_LEASE, self::MIN_LEASE), self::MAX_LEASE);
+        
+        if (!$this->verifyIntent($mode, $topic, $callback, $leaseSeconds, $address)) {
+            return false;
+        }
+        
+        $this->updateSubscriptions(function($subscriptions) use ($mode, $topic, $callback, $leaseSeconds, $secret) {
+            $subscriptions = array_values(array_filter(
+                $subscriptions,
+                fn($subscription) => !($subscription['topic'] === $topic && $subscription['callback'] === $callback)
+            ));
+            
+            if ($mode === 'subscribe') {
+                $subscriptions[] = [
+                    'topic' => $topic,
+                    'callback' => $callback,
+                    'secret' => $secret,
+                    'expires' => time() + $leaseSeconds,
+                    'created' => date('c')
+                ];
+            }
+            
+            return $subscriptions;
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Push new content of a topic to its subscribers, signed with their secret
+     *
+     * @return array Callback URL => HTTP status (0 when unreachable)
+     */
+    public function publish(string $topic, string $content, string $contentType, string $hubUrl): array
+    {
+        $subscriptions = $this->getSubscriptions($topic);
+        $results = [];
+        
+        foreach ($subscriptions as $subscription) {
+            $headers = [
+                'Content-Type' => $contentType,
+                'Link' => "<{$hubUrl}>; rel=\"hub\", <{$topic}>; rel=\"self\""
+            ];
+            
+            if (!empty($subscription['secret'])) {
+                $headers['X-Hub-Signature'] = 'sha256=' . hash_hmac('sha256', $content, $subscription['secret']);
+            }
+            
+            try {
+                $address = $this->urlGuard->assertFetchable($subscription['callback']);
+                $results[$subscription['callback']] = $this->request('POST', $subscription['callback'], $headers, $content, $address)['status'];
+            } catch (\Exception $e) {
+                $results[$subscription['callback']] = 0;
+            }
+            
+            if ($results[$subscription['callback']] < 200 || $results[$subscription['callback']] >= 300) {
+                error_log("WebSub delivery of {$topic} to {$subscription['callback']} failed with status {$results[$subscription['callback']]}");
+            }
+        }
+        
+        return $results;
+    }
+    
+    /**
+     * Unexpired subscriptions, optionally for one topic
+     */
+    public function getSubscriptions(?string $topic = null): array
+    {
+        $file = $this->subscriptionsFile;
+        $subscriptions = $this->fileManager->exists($file) ? ($this->fileManager->safeRead($file)['subscriptions'] ?? []) : [];
+        
+        return array_values(array_filter(
+            $subscriptions,
+            fn($subscription) => $subscription['expires'] > time() && ($topic === null || $subscription['topic'] === $topic)
+        ));
+    }
+    
+    /**
+     * Drop every subscription to the given topics - their feed is gone
+     */
+    public function removeTopics(array $topics): void
+    {
+        if (!$this->fileManager->exists($this->subscriptionsFile)) {
+            return;
+        }
+        
+        $this->updateSubscriptions(fn($subscriptions) => array_values(array_filter(
+            $subscriptions,
+            fn($subscription) => !in_array($subscription['topic'], $topics, true)
+        )));
+    }
+    
+    /**
+     * GET the callback with a challenge; the subscriber confirms by echoing it back
+     */
+    private function verifyIntent(string $mode, string $topic, string $callback, int $leaseSeconds, string $address): bool
+    {
+        $challenge = bin2hex(random_bytes(16));
+        $query = http_build_query([
+            'hub.mode' => $mode,
+            'hub.topic' => $topic,
+            'hub.challenge' => $challenge,
+            'hub.lease_seconds' => $leaseSeconds
+        ]);
+        
+        try {
+            $response = $this->request('GET', $callback . (str_contains($callback, '?') ? '&' : '?') . $query, [], null, $address);
+        } catch (\Exception $e) {
+            return false;
+        }
+        
+        return $response['status'] >= 200 && $response['status'] < 300 && trim($response['body']) === $challenge;
+    }
+    
+    /**
+     * Apply a change to the stored subscriptions, dropping expired ones on the way
+     */
+    private function updateSubscriptions(callable $updater): void
+    {
+        $this->fileManager->transactionalUpdate($this->subscriptionsFile, function($data) use ($updater) {
+            $active = array_filter($data['subscriptions'] ?? [], fn($subscription) => $subscription['expires'] > time());
+            
+            return [
+                'subscriptions' => $updater(array_values($active)),
+                'updated' => date('c')
+            ];
+        });
+    }
+    
+    /**
+     * @param string|null $address The address the callback was checked at,
+     *                             which cURL connects to instead of resolving it again
+     * @return array{status: int, body: string}
+     */
+    protected function request(string $method, string $url, array $headers = [], ?string $body = null, ?string $address = null): array
+    {
+        $headerLines = [];
+        foreach ($headers as $name => $value) {
+            $headerLines[] = "{$name}: {$value}";
+        }
+        
+        if (function_exists('curl_init')) {
+            $ch = curl_init();
+            curl_setopt_array($ch, [
+                CURLOPT_URL => $url,
+                CURLOPT_CUSTOMREQUEST => $method,
+                CURLOPT_RETURNTRANSFER => true,
+                CURLOPT_TIMEOUT => $this->timeout,
+                CURLOPT_PROTOCOLS => CURLPROTO_HTTP | CURLPROTO_HTTPS,
+                CURLOPT_USERAGENT => 'Ansybl Site WebSub Hub 1.0',
+                CURLOPT_HTTPHEADER => $headerLines
+            ]);
+            if ($body !== null) {
+                curl_setopt($ch, CURLOPT_POSTFIELDS, $body);
+            }
+            if ($address !== null) {
+                curl_setopt($ch, CURLOPT_RESOLVE, $this->urlGuard->pinAddress($url, $address));
+            }
+            
+            $responseBody = curl_exec($ch);
+            $status = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+            curl_close($ch);
+            
+            return ['status' => $responseBody === false ? 0 : $status, 'body' => (string) $responseBody];
+        }
+        
+        // Without cURL the connection can't be pinned - the host was checked just before
+        $context = stream_context_create([
+            'http' => [
+                'method' => $method,
+                'header' => implode("\r\n", $headerLines),
+                'content' => $body ?? '',
+                'timeout' => $this->timeout,
+                'user_agent' => 'Ansybl Site WebSub Hub 1.0',
+                'follow_location' => 0,
+                'ignore_errors' => true
+            ]
+        ]);
+        
+        $responseBody = @file_get_contents($url, false, $context);
+        $status = 0;
+        foreach ($http_response_header ?? [] as $header) {
+            if (preg_match('/^HTTP\/\S+\s+(\d{3})/', $header, $matches)) {
+                $status = (int) $matches[1];
+            }
+        }
+        
+        return ['status' => $status, 'body' => (string) $responseBody];
+    }
+    
+    private function ensureDataDirectory(): void
+    {
+        $path = $this->fileManager->getFilePath(dirname($this->subscriptionsFile));
+        
+        if (!is_dir($path)) {
+            mkdir($path, 0755, true);
+        }
+    }
+}
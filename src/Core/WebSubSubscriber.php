@@ -0,0 +1,429 @@
+<?php
+
+namespace AnsyblSite\Core;
+
+use AnsyblSite\Exceptions\ValidationException;
+
+/**
+ * Subscribes external feeds to their WebSub hub, so new content is pushed to
+ * /api/websub.php/callback/<feed> instead of waiting for the next poll.
+ * Subscriptions live in data/websub/subscriptions.json, keyed by feed ID.
+ */
+class WebSubSubscriber
+{
+    public const LEASE_SECONDS = 864000;
+    
+    /**
+     * Renew subscriptions this close to expiring
+     */
+    public const RENEW_MARGIN = 86400;
+    
+    /**
+     * Ask again if the hub hasn't verified a renewal within this time
+     */
+    public const RENEW_RETRY = 3600;
+    
+    private ConcurrentFileManager $fileManager;
+    private string $subscriptionsFile = 'websub/subscriptions.json';
+    private int $timeout;
+    
+    public function __construct(ConcurrentFileManager $fileManager, int $timeout = 15)
+    {
+        $this->fileManager = $fileManager;
+        $this->timeout = $timeout;
+        
+        $this->ensureDataDirectory();
+    }
+    
+    /**
+     * Find a feed's hub and subscribe to it. Feeds without a hub are simply polled.
+     *
+     * @return array|null The pending subscription, or null when the feed has no hub
+     */
+    public function subscribe(string $feedId, string $url, string $callback): ?array
+    {
+        $links = $this->discover($url);
+        
+        if (empty($links['hub'])) {
+            $this->forget($feedId);
+            return null;
+        }
+        
+        $subscription = [
+            'topic' => $links['self'] ?? $url,
+            'hub' => $links['hub'],
+            'callback' => $callback,
+            'secret' => bin2hex(random_bytes(20)),
+            'state' => 'pending',
+            'requested' => date('c'),
+            'expires' => null
+        ];
+        
+        $this->requestSubscription('subscribe', $subscription);
+        $this->store($feedId, $subscription);
+        
+        return $subscription;
+    }
+    
+    /**
+     * Ask the hub to stop pushing a feed. The subscription is removed once the
+     * hub verifies, or straight away when the hub can't be reached.
+     */
+    public function unsubscribe(string $feedId): void
+    {
+        $subscription = $this->getSubscription($feedId);
+        if ($subscription === null) {
+            return;
+        }
+        
+        try {
+            $this->requestSubscription('unsubscribe', $subscription);
+            $this->store($feedId, array_merge($subscription, ['state' => 'unsubscribing']));
+        } catch (\Exception $e) {
+            error_log("WebSub unsubscribe for {$feedId} failed: " . $e->getMessage());
+            $this->forget($feedId);
+        }
+    }
+    
+    /**
+     * Re-subscribe active subscriptions whose lease is about to run out. Run
+     * from cron (publish-scheduled.php); a renewal is asked for once, and again
+     * only if the hub hasn't verified it within RENEW_RETRY.
+     *
+     * @return array IDs of the renewed feeds
+     */
+    public function renewExpiring(): array
+    {
+        $renewed = [];
+        
+        foreach ($this->getSubscriptions() as $feedId => $subscription) {
+            if ($subscription['state'] !== 'active' || ($subscription['expires'] ?? 0) > time() + self::RENEW_MARGIN) {
+                continue;
+            }
+            
+            if (isset($subscription['renewing']) && strtotime($subscription['renewing']) > time() - self::RENEW_RETRY) {
+                continue;
+            }
+            
+            try {
+                $this->requestSubscription('subscribe', $subscription);
+                $this->store($feedId, array_merge($subscription, ['renewing' => date('c')]));
+                $renewed[] = $feedId;
+            } catch (\Exception $e) {
+                error_log("WebSub renewal for {$feedId} failed: " . $e->getMessage());
+            }
+        }
+        
+        return $renewed;
+    }
+    
+    /**
+     * Answer the hub's verification of intent (the GET to our callback)
+     *
+     * @return string|null The challenge to echo back, or null to refuse
+     */
+    public function verifyIntent(string $feedId, string $mode, string $topic, string $challenge, ?int $leaseSeconds = null): ?string
+    {
+        $subscription = $this->getSubscription($feedId);
+        
+        if ($subscription === null || $subscription['topic'] !== $topic) {
+            return null;
+        }
+        
+        switch ($mode) {
+            case 'subscribe':
+                if (!in_array($subscription['state'], ['pending', 'active'], true)) {
+                    return null;
+                }
+                
+                $subscription = array_merge($subscription, [
+                    'state' => 'active',
+                    'expires' => time() + ($leaseSeconds ?? self::LEASE_SECONDS),
+                    'verified' => date('c')
+                ]);
+                unset($subscription['renewing']);
+                
+                $this->store($feedId, $subscription);
+                return $challenge;
+                
+            case 'unsubscribe':
+                if ($subscription['state'] !== 'unsubscribing') {
+                    return null;
+                }
+                
+                $this->forget($feedId);
+                return $challenge;
+                
+            case 'denied':
+                // The hub refused; the feed goes back to being polled. Anyone can
+                // reach the callback, so only a request awaiting the hub's answer
+                // (a new subscription or a renewal) can be denied
+                if ($subscription['state'] !== 'pending' && !isset($subscription['renewing'])) {
+                    return null;
+                }
+                
+                $this->forget($feedId);
+                return '';
+                
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Check a content distribution request from the hub against the subscription's secret
+     *
+     * @param string|null $signature The X-Hub-Signature header, "<algo>=<hex hmac>"
+     */
+    public function isAuthentic(string $feedId, string $body, ?string $signature): bool
+    {
+        $subscription = $this->getSubscription($feedId);
+        
+        if ($subscription === null || $subscription['state'] !== 'active') {
+            return false;
+        }
+        
+        if (!$signature || !preg_match('/^(sha1|sha256|sha384|sha512)=([a-f0-9]+)$/i', trim($signature), $matches)) {
+            return false;
+        }
+        
+        return hash_equals(hash_hmac(strtolower($matches[1]), $body, $subscription['secret']), strtolower($matches[2]));
+    }
+    
+    public function getSubscription(string $feedId): ?array
+    {
+        return $this->getSubscriptions()[$feedId] ?? null;
+    }
+    
+    public function getSubscriptions(): array
+    {
+        $file = $this->subscriptionsFile;
+        
+        return $this->fileManager->exists($file) ? ($this->fileManager->safeRead($file)['subscriptions'] ?? []) : [];
+    }
+    
+    /**
+     * Fetch a feed and look for its hub and canonical topic URL - in Link
+     * headers first, then in the document itself
+     *
+     * @return array{hub?: string, self?: string}
+     */
+    public function discover(string $url): array
+    {
+        if (!filter_var($url, FILTER_VALIDATE_URL)) {
+            throw new ValidationException("Invalid URL: {$url}");
+        }
+        
+        $response = $this->request('GET', $url);
+        if ($response['status'] < 200 || $response['status'] >= 300) {
+            return [];
+        }
+        
+        $links = $this->parseLinkHeaders($response['headers']['link'] ?? []);
+        
+        return $links + $this->findDocumentLinks($response['body']);
+    }
+    
+    /**
+     * rel="hub" and rel="self" from Link headers
+     */
+    public function parseLinkHeaders(array $values): array
+    {
+        $links = [];
+        
+        foreach ($values as $value) {
+            preg_match_all('/<([^>]+)>\s*((?:;\s*[^;,]+)*)/', $value, $matches, PREG_SET_ORDER);
+            
+            foreach ($matches as $match) {
+                if (!preg_match('/;\s*rel\s*=\s*"?([^";,]+)"?/i', $match[2], $rel)) {
+                    continue;
+                }
+                
+                foreach (preg_split('/\s+/', strtolower(trim($rel[1]))) as $name) {
+                    if (in_array($name, ['hub', 'self'], true) && !isset($links[$name])) {
+                        $links[$name] = $match[1];
+                    }
+                }
+            }
+        }
+        
+        return $links;
+    }
+    
+    /**
+     * Hub links inside a feed: <atom:link>/<link> in RSS and Atom, "hubs" in JSON Feed
+     */
+    public function findDocumentLinks(string $body): array
+    {
+        $body = ltrim($body, "\u{FEFF} \t\r\n");
+        $links = [];
+        
+        if (str_starts_with($body, '{')) {
+            $data = json_decode($body, true);
+            
+            foreach ($data['hubs'] ?? [] as $hub) {
+                if (is_array($hub) && strcasecmp($hub['type'] ?? '', 'WebSub') === 0 && !empty($hub['url'])) {
+                    $links['hub'] = $hub['url'];
+                    break;
+                }
+            }
+            
+            if (!empty($data['feed_url']) && is_string($data['feed_url'])) {
+                $links['self'] = $data['feed_url'];
+            }
+            
+            return $links;
+        }
+        
+        $previous = libxml_use_internal_errors(true);
+        $xml = simplexml_load_string($body, 'SimpleXMLElement', LIBXML_NONET);
+        libxml_use_internal_errors($previous);
+        
+        if ($xml === false) {
+            return [];
+        }
+        
+        foreach ($xml->xpath('//*[local-name()="link"][@rel][@href]') ?: [] as $link) {
+            $rel = strtolower((string) $link['rel']);
+            if (in_array($rel, ['hub', 'self'], true) && !isset($links[$rel])) {
+                $links[$rel] = (string) $link['href'];
+            }
+        }
+        
+        return $links;
+    }
+    
+    /**
+     * POST a (un)subscription request to the hub - it answers 202 and verifies later
+     */
+    private function requestSubscription(string $mode, array $subscription): void
+    {
+        $body = http_build_query([
+            'hub.mode' => $mode,
+            'hub.topic' => $subscription['topic'],
+            'hub.callback' => $subscription['callback'],
+            'hub.secret' => $subscription['secret'],
+            'hub.lease_seconds' => self::LEASE_SECONDS
+        ]);
+        
+        $response = $this->request('POST', $subscription['hub'], ['Content-Type' => 'application/x-www-form-urlencoded'], $body);
+        
+        if ($response['status'] < 200 || $response['status'] >= 300) {
+            throw new \RuntimeException("Hub {$subscription['hub']} answered {$mode} with HTTP {$response['status']}");
+        }
+    }
+    
+    private function store(string $feedId, array $subscription): void
+    {
+        $this->fileManager->transactionalUpdate($this->subscriptionsFile, function($data) use ($feedId, $subscription) {
+            $data['subscriptions'][$feedId] = $subscription;
+            $data['updated'] = date('c');
+            return $data;
+        });
+    }
+    
+    private function forget(string $feedId): void
+    {
+        if ($this->getSubscription($feedId) === null) {
+            return;
+        }
+        
+        $this->fileManager->transactionalUpdate($this->subscriptionsFile, function($data) use ($feedId) {
+            unset($data['subscriptions'][$feedId]);
+            $data['updated'] = date('c');
+            return $data;
+        });
+    }
+    
+    /**
+     * @return array{status: int, headers: array, body: string} Header names are lowercased, each with a list of values
+     */
+    protected function request(string $method, string $url, array $headers = [], ?string $body = null): array
+    {
+        $headerLines = [];
+        foreach ($headers as $name => $value) {
+            $headerLines[] = "{$name}: {$value}";
+        }
+        
+        $responseHeaders = [];
+        $collectHeader = function($line) use (&$responseHeaders) {
+            if (str_contains($line, ':')) {
+                [$name, $value] = explode(':', $line, 2);
+                $responseHeaders[strtolower(trim($name))][] = trim($value);
+            }
+        };
+        
+        if (function_exists('curl_init')) {
+            $ch = curl_init();
+            curl_setopt_array($ch, [
+                CURLOPT_URL => $url,
+                CURLOPT_CUSTOMREQUEST => $method,
+                CURLOPT_RETURNTRANSFER => true,
+                CURLOPT_TIMEOUT => $this->timeout,
+                CURLOPT_FOLLOWLOCATION => $method === 'GET',
+                CURLOPT_MAXREDIRS => 5,
+                CURLOPT_USERAGENT => 'Ansybl Site Feed Reader 1.0',
+                CURLOPT_HTTPHEADER => $headerLines,
+                CURLOPT_HEADERFUNCTION => function($ch, $line) use ($collectHeader, &$responseHeaders) {
+                    // A redirect starts a new set of headers
+                    if (str_starts_with($line, 'HTTP/')) {
+                        $responseHeaders = [];
+                    }
+                    $collectHeader($line);
+                    return strlen($line);
+                }
+            ]);
+            if ($body !== null) {
+                curl_setopt($ch, CURLOPT_POSTFIELDS, $body);
+            }
+            
+            $responseBody = curl_exec($ch);
+            $status = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+            $error = curl_error($ch);
+            curl_close($ch);
+            
+            if ($responseBody === false || $error !== '') {
+                throw new \RuntimeException("Failed to reach {$url}: {$error}");
+            }
+            
+            return ['status' => $status, 'headers' => $responseHeaders, 'body' => $responseBody];
+        }
+        
+        $context = stream_context_create([
+            'http' => [
+                'method' => $method,
+                'header' => implode("\r\n", $headerLines),
+                'content' => $body ?? '',
+                'timeout' => $this->timeout,
+                'user_agent' => 'Ansybl Site Feed Reader 1.0',
+                'ignore_errors' => true
+            ]
+        ]);
+        
+        $responseBody = @file_get_contents($url, false, $context);
+        if ($responseBody === false) {
+            throw new \RuntimeException("Failed to reach {$url}");
+        }
+        
+        $status = 0;
+        foreach ($http_response_header ?? [] as $line) {
+            if (preg_match('/^HTTP\/\S+\s+(\d{3})/', $line, $matches)) {
+                $status = (int) $matches[1];
+                $responseHeaders = [];
+            } else {
+                $collectHeader($line);
+            }
+        }
+        
+        return ['status' => $status, 'headers' => $responseHeaders, 'body' => $responseBody];
+    }
+    
+    private function ensureDataDirectory(): void
+    {
+        $path = $this->fileManager->getFilePath(dirname($this->subscriptionsFile));
+        
+        if (!is_dir($path)) {
+            mkdir($path, 0755, true);
+        }
+    }
+}
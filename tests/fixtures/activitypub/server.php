@@ -0,0 +1,74 @@
+<?php
+/**
+ * Stub fediverse server for ActorResolverTest - run with `php -S host:port server.php`.
+ * Serves WebFinger, one actor (alice), her outbox and its first page.
+ */
+
+$base = 'http://' . $_SERVER['HTTP_HOST'];
+$path = parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH);
+
+$documents = [
+    '/.well-known/webfinger' => ($_GET['resource'] ?? '') === 'acct:alice@' . $_SERVER['HTTP_HOST'] ? [
+        'subject' => 'acct:alice@' . $_SERVER['HTTP_HOST'],
+        'links' => [
+            ['rel' => 'http://webfinger.net/rel/profile-page', 'type' => 'text/html', 'href' => "$base/@alice"],
+            ['rel' => 'self', 'type' => 'application/activity+json', 'href' => "$base/users/alice"]
+        ]
+    ] : null,
+    '/users/alice' => [
+        '@context' => ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+        'id' => "$base/users/alice",
+        'type' => 'Person',
+        'preferredUsername' => 'alice',
+        'name' => 'Alice',
+        'summary' => '<p>Writes about gardens</p>',
+        'url' => "$base/@alice",
+        'icon' => ['type' => 'Image', 'mediaType' => 'image/png', 'url' => "$base/avatar.png"],
+        'image' => ['type' => 'Image', 'mediaType' => 'image/jpeg', 'url' => "$base/header.jpg"],
+        'outbox' => "$base/users/alice/outbox"
+    ],
+    '/users/quiet' => [
+        'id' => "$base/users/quiet",
+        'type' => 'Service',
+        'preferredUsername' => 'quiet'
+    ],
+    '/users/alice/outbox' => isset($_GET['page']) ? [
+        '@context' => 'https://www.w3.org/ns/activitystreams',
+        'id' => "$base/users/alice/outbox?page=true",
+        'type' => 'OrderedCollectionPage',
+        'partOf' => "$base/users/alice/outbox",
+        'orderedItems' => [[
+            'id' => "$base/users/alice/statuses/1/activity",
+            'type' => 'Create',
+            'actor' => "$base/users/alice",
+            'published' => '2025-08-01T10:00:00Z',
+            'object' => [
+                'id' => "$base/users/alice/statuses/1",
+                'type' => 'Note',
+                'attributedTo' => "$base/users/alice",
+                'content' => '<p>First post</p>'
+            ]
+        ]]
+    ] : [
+        '@context' => ['https://www.w3.org/ns/activitystreams'],
+        'id' => "$base/users/alice/outbox",
+        'type' => 'OrderedCollection',
+        'totalItems' => 1,
+        'first' => "$base/users/alice/outbox?page=true"
+    ],
+    '/feed.json' => [
+        '@context' => 'https://www.w3.org/ns/activitystreams',
+        'type' => 'OrderedCollection',
+        'orderedItems' => []
+    ]
+];
+
+$document = $documents[$path] ?? null;
+
+if ($document === null) {
+    http_response_code(404);
+    exit;
+}
+
+header('Content-Type: ' . ($path === '/.well-known/webfinger' ? 'application/jrd+json' : 'application/activity+json'));
+echo json_encode($document, JSON_UNESCAPED_SLASHES);
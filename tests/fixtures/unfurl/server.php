@@ -0,0 +1,63 @@
+<?php
+/**
+ * Stub web server for LinkUnfurlerTest - run with `php -S host:port server.php`.
+ * Serves pages described by OpenGraph tags, Twitter Cards or oEmbed, and redirects.
+ */
+
+$base = 'http://' . $_SERVER['HTTP_HOST'];
+$path = parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH);
+
+$pages = [
+    '/article' => '<meta property="og:title" content="Growing Tomatoes">
+        <meta property="og:description" content="A  season in the &amp; garden">
+        <meta property="og:image" content="/images/tomatoes.jpg">
+        <meta property="og:image" content="/images/second.jpg">
+        <meta property="og:site_name" content="Garden Notes">
+        <meta property="og:type" content="article">
+        <meta name="twitter:title" content="Ignored">
+        <title>Growing Tomatoes | Garden Notes</title>',
+    '/card' => '<meta name="twitter:description" content="Short and sweet">
+        <meta name="twitter:image" content="https://cdn.example/card.png">
+        <title>Card Page</title>',
+    '/video' => '<title>Video page</title>
+        <link rel="alternate" type="application/json+oembed" href="/oembed.json?url=video">',
+    '/unsafe-oembed' => '<title>Unsafe</title>
+        <link rel="alternate" type="application/json+oembed" href="http://10.0.0.1/oembed.json">'
+];
+
+if (isset($pages[$path])) {
+    header('Content-Type: text/html; charset=utf-8');
+    echo "<!DOCTYPE html><html><head>{$pages[$path]}</head><body><p>Body</p></body></html>";
+    exit;
+}
+
+switch ($path) {
+    case '/latin1':
+        header('Content-Type: text/html; charset=iso-8859-1');
+        echo "<html><head><title>Caf\xE9 menu</title></head></html>";
+        break;
+    case '/oembed.json':
+        header('Content-Type: application/json');
+        echo json_encode([
+            'type' => 'video',
+            'version' => '1.0',
+            'title' => 'Pruning Roses',
+            'provider_name' => 'VideoSite',
+            'thumbnail_url' => "$base/thumbs/roses.jpg",
+            'html' => '<iframe src="https://videosite.example/embed/1"></iframe>',
+            'width' => 640
+        ], JSON_UNESCAPED_SLASHES);
+        break;
+    case '/report.pdf':
+        header('Content-Type: application/pdf');
+        echo '%PDF-1.4';
+        break;
+    case '/moved':
+        header("Location: $base/article", true, 301);
+        break;
+    case '/escape':
+        header('Location: http://169.254.169.254/latest/meta-data/', true, 302);
+        break;
+    default:
+        http_response_code(404);
+}
@@ -4,6 +4,9 @@
 
 // Load required modules
 require('../../public/assets/js/config.js');
+require('../../public/assets/js/htmlSanitizer.js');
+require('../../public/assets/js/markdown.js');
+require('../../public/assets/js/rendererRegistry.js');
 require('../../public/assets/js/activityRenderer.js');
 
 describe('ActivityRenderer', () => {
@@ -35,4 +38,302 @@ describe('ActivityRenderer', () => {
     
     expect(result).toBeDefined();
   });
-});
\ No newline at end of file
+
+  test('should render Markdown content and sanitize the result', () => {
+    const html = renderer.formatContent(
+      '# Title\n\n- [link](javascript:alert(1))\n\n<script>alert(1)</script>',
+      { id: 'a', contentMediaType: 'text/markdown', trustLevel: 'rich' },
+    );
+
+    expect(html).toContain('<h1>Title</h1>');
+    expect(html).toContain('>link</a></li>');
+    expect(html).not.toMatch(/script|javascript/);
+  });
+
+  test('should leave HTML content as HTML', () => {
+    const html = renderer.formatContent('<p># not a heading</p>', {
+      contentMediaType: 'text/html',
+      trustLevel: 'basic',
+    });
+
+    expect(html).toBe('<p># not a heading</p>');
+  });
+
+  test('should build and parse item permalinks', () => {
+    const hash = ActivityRenderer.getPermalinkHash('local-blog', 'https://example.com/items/1');
+
+    expect(hash).toBe('#item/local-blog/https%3A%2F%2Fexample.com%2Fitems%2F1');
+    expect(ActivityRenderer.parsePermalinkHash(hash)).toEqual({
+      feedId: 'local-blog',
+      itemId: 'https://example.com/items/1',
+    });
+    expect(ActivityRenderer.parsePermalinkHash('#feed-local:blog')).toBeNull();
+  });
+
+  test('should share the permalink rather than the current page', () => {
+    const item = global.createMockActivityItem();
+
+    expect(renderer.getPermalink(item)).toBe('http://localhost/#item/test-feed/test-activity');
+  });
+
+  test('should show fediverse handles and plain-text bios for actors', () => {
+    const element = document.createElement('div');
+    element.innerHTML = '<div class="activity-actor"><img class="actor-avatar"><h3 class="actor-name"></h3><p class="actor-summary"></p></div>';
+
+    renderer.renderActor({
+      name: 'Alice',
+      handle: '@alice@example.social',
+      summary: '<p>Writes about <a href="#">gardens</a></p>',
+      url: 'https://example.social/@alice',
+      icon: 'https://example.social/avatar.png',
+    }, element);
+
+    expect(element.querySelector('.actor-name a').textContent).toBe('Alice');
+    expect(element.querySelector('.actor-handle').textContent).toBe('@alice@example.social');
+    expect(element.querySelector('.actor-summary').textContent).toBe('Writes about gardens');
+  });
+});
+describe('ActivityRenderer object types', () => {
+  let renderer;
+  let element;
+
+  beforeEach(() => {
+    renderer = new ActivityRenderer();
+    element = document.createElement('article');
+    element.innerHTML = '<h3 class="activity-title"></h3><div class="activity-summary"></div><div class="activity-object"></div>';
+  });
+
+  test('should render events with their time, place and a calendar file', () => {
+    const event = {
+      id: 'blog-item-1',
+      type: 'Event',
+      name: 'Garden Open Day',
+      summary: 'Tours, cake; and seedlings',
+      startTime: '2025-09-01T18:00:00Z',
+      endTime: '2025-09-01T20:30:00Z',
+      location: { type: 'Place', name: 'Community Garden', latitude: 51.5, longitude: -0.12 },
+    };
+
+    renderer.renderEvent(event, element);
+
+    expect(element.querySelector('.event-details time').dateTime).toBe('2025-09-01T18:00:00Z');
+    expect(element.querySelector('.event-details').textContent).toContain('Community Garden');
+    expect(element.querySelector('.place-map').href).toContain('mlat=51.5&mlon=-0.12');
+    expect(element.querySelector('.event-ics-link').download).toBe('garden-open-day.ics');
+
+    const calendar = renderer.toICalendar(event);
+    expect(calendar).toContain('DTSTART:20250901T180000Z\r\n');
+    expect(calendar).toContain('DTEND:20250901T203000Z\r\n');
+    expect(calendar).toContain('DESCRIPTION:Tours\\, cake\\; and seedlings\r\n');
+    expect(calendar).toContain('GEO:51.5;-0.12\r\n');
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  test('should fold long calendar lines', () => {
+    const folded = renderer.foldICalLine(`SUMMARY:${'x'.repeat(100)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toHaveLength(75);
+    expect(lines[1]).toBe(` ${'x'.repeat(33)}`);
+  });
+
+  test('should show places as coordinates linking to a map', () => {
+    renderer.renderPlace({ id: 'p1', type: 'Place', name: 'Lighthouse', latitude: -33.8568, longitude: 151.2153 }, element);
+
+    expect(element.querySelector('.place-map-coordinates').textContent).toBe('33.8568° S, 151.2153° E');
+    expect(element.querySelector('.place-map').getAttribute('aria-label')).toBe('Map of Lighthouse');
+  });
+
+  test('should show each poll choice with its share of the votes', () => {
+    renderer.renderQuestion({
+      id: 'q1',
+      type: 'Question',
+      name: 'Favourite season?',
+      oneOf: [{ name: 'Spring', votes: 3 }, { name: 'Autumn', votes: 1 }],
+      closed: true,
+    }, element);
+
+    const shares = Array.from(element.querySelectorAll('.poll-choice-share')).map((share) => share.textContent);
+    expect(shares).toEqual(['75%', '25%']);
+    expect(element.querySelector('.poll-meta').textContent).toContain('Choose one · 4 votes');
+  });
+
+  test('should show links with their host and language', () => {
+    renderer.renderLink({
+      id: 'l1',
+      type: 'Link',
+      object: { type: 'Link', href: 'https://example.org/guide', hreflang: 'fr' },
+    }, element);
+
+    const link = element.querySelector('.link-preview a');
+    expect(link.href).toBe('https://example.org/guide');
+    expect(link.hreflang).toBe('fr');
+    expect(element.querySelector('.link-meta').textContent).toBe('example.org · Language: fr');
+  });
+
+  test('should only link documents, pages and links to web URLs', () => {
+    renderer.renderDocument({ id: 'd1', type: 'Document', name: 'Report', url: '/uploads/report.pdf' }, element);
+    expect(element.querySelector('.document-link').getAttribute('href')).toBe('/uploads/report.pdf');
+
+    ['javascript:alert(1)', ' java\tscript:alert(1)', 'data:text/html,<script>alert(1)</script>'].forEach((url) => {
+      element.querySelector('.activity-object').innerHTML = '';
+
+      renderer.renderDocument({ id: 'd2', type: 'Document', name: 'Report', url }, element);
+      renderer.renderPage({ id: 'p1', type: 'Page', name: 'Home', url }, element);
+      renderer.renderLink({ id: 'l2', type: 'Link', object: { type: 'Link', href: url } }, element);
+
+      expect(element.querySelector('a')).toBeNull();
+    });
+  });
+});
+
+describe('ActivityRenderer plugins', () => {
+  const itemTemplate = (id, extra = '') => `
+    <template id="${id}">
+      <article class="activity-item">
+        ${extra}
+        <div class="activity-actor"><img class="actor-avatar"><h3 class="actor-name"></h3><p class="actor-summary"></p></div>
+        <time class="activity-time"></time>
+        <h2 class="activity-title"></h2><div class="activity-summary"></div><div class="activity-object"></div>
+        <div class="activity-attachments"></div><div class="activity-tags"></div>
+        <footer class="activity-footer">
+          <div class="activity-meta"><span class="feed-source"></span><span class="activity-type"></span></div>
+          <div class="activity-actions"><a class="permalink"></a><button class="share-button"></button><a class="external-link"></a></div>
+        </footer>
+      </article>
+    </template>`;
+  const recipe = { id: 'r1', type: 'Recipe', name: 'Soda bread', published: '2025-01-15T12:00:00Z', feedId: 'kitchen' };
+  let registry;
+  let renderer;
+
+  beforeEach(() => {
+    document.body.innerHTML = itemTemplate('activity-item-template') + itemTemplate('activity-item-template-recipe', '<p class="recipe-banner"></p>');
+    registry = new RendererRegistry();
+    renderer = new ActivityRenderer({ registry });
+  });
+
+  test('should render items with registered renderers', () => {
+    registry.register('Recipe', {
+      render(item, element, core) {
+        element.querySelector('.activity-title').textContent = `Recipe: ${item.name}`;
+        expect(core).toBe(renderer);
+      },
+    });
+
+    const article = renderer.render(recipe).querySelector('.activity-item');
+
+    expect(article.querySelector('.activity-title').textContent).toBe('Recipe: Soda bread');
+  });
+
+  test('should clone per-type template overrides', () => {
+    const article = renderer.render(recipe).querySelector('.activity-item');
+
+    expect(article.querySelector('.recipe-banner')).not.toBeNull();
+    expect(renderer.render({ ...recipe, type: 'Note' }).querySelector('.recipe-banner')).toBeNull();
+  });
+
+  test('should use a registered template with the core renderer', () => {
+    document.body.insertAdjacentHTML('beforeend', itemTemplate('compact-note', '<p class="compact"></p>'));
+    registry.register('Note', { template: 'compact-note' });
+
+    const article = renderer.render({ ...recipe, type: 'Note', content: 'Hello' }).querySelector('.activity-item');
+
+    expect(article.querySelector('.compact')).not.toBeNull();
+    expect(article.querySelector('.activity-object').textContent).toContain('Hello');
+  });
+
+  test('should fall back to the core renderer when a plugin throws', () => {
+    registry.register('Note', {
+      render() {
+        throw new Error('broken plugin');
+      },
+    });
+
+    const article = renderer.render({ ...recipe, type: 'Note', content: 'Hello' }).querySelector('.activity-item');
+
+    expect(article.querySelector('.activity-object').textContent).toContain('Hello');
+  });
+});
+
+describe('ActivityRenderer link previews', () => {
+  let renderer;
+  let element;
+  const flush = () => new Promise((resolve) => { setTimeout(resolve, 0); });
+  const respondWith = (data) => global.fetch.mockResolvedValue({
+    ok: data !== null,
+    json: async () => ({ success: true, data }),
+  });
+
+  beforeEach(() => {
+    AnsyblConfig.features.linkPreviews = true;
+    renderer = new ActivityRenderer();
+    element = document.createElement('article');
+    element.innerHTML = '<h3 class="activity-title"></h3><div class="activity-summary"></div><div class="activity-object"></div>';
+    global.fetch.mockReset();
+  });
+
+  afterEach(() => {
+    AnsyblConfig.features.linkPreviews = false;
+  });
+
+  test('should link bare URLs in notes and preview the first one', async () => {
+    respondWith({
+      url: 'https://example.org/tomatoes', title: 'Growing Tomatoes', description: 'A season in the garden', image: 'https://example.org/t.jpg', siteName: 'Garden Notes',
+    });
+
+    renderer.renderNote({
+      id: 'n1',
+      type: 'Note',
+      contentMediaType: 'text/markdown',
+      content: 'Read https://example.org/tomatoes, then `https://example.org/code`.',
+    }, element);
+    await flush();
+
+    const links = element.querySelectorAll('.activity-object p a');
+    expect(Array.from(links).map((link) => link.getAttribute('href'))).toEqual(['https://example.org/tomatoes']);
+    expect(global.fetch).toHaveBeenCalledWith('/api/unfurl.php?url=https%3A%2F%2Fexample.org%2Ftomatoes');
+
+    const card = element.querySelector('.link-card');
+    expect(card.hidden).toBe(false);
+    expect(card.querySelector('.link-card-title').textContent).toBe('Growing Tomatoes');
+    expect(card.querySelector('.link-card-site').textContent).toBe('Garden Notes');
+    expect(card.querySelector('.link-card-image').referrerPolicy).toBe('no-referrer');
+  });
+
+  test('should not preview mentions and hashtags', () => {
+    const content = document.createElement('div');
+    content.innerHTML = '<a class="u-url mention" href="https://example.social/@alice">@alice</a> <a class="mention hashtag" rel="tag" href="https://example.social/tags/roses">#roses</a> <a href="https://example.org/post">post</a>';
+
+    expect(renderer.getFirstExternalLink(content).getAttribute('href')).toBe('https://example.org/post');
+  });
+
+  test('should drop the card when there is no preview', async () => {
+    respondWith(null);
+
+    renderer.renderLink({ id: 'l1', type: 'Link', url: 'https://example.org/nothing' }, element);
+    await flush();
+
+    expect(element.querySelector('.link-preview a').getAttribute('href')).toBe('https://example.org/nothing');
+    expect(element.querySelector('.link-card')).toBeNull();
+  });
+
+  test('should not fetch previews unless they are turned on', async () => {
+    AnsyblConfig.features.linkPreviews = false;
+
+    renderer.renderLink({ id: 'l1', type: 'Link', url: 'https://example.org/page' }, element);
+    await flush();
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(element.querySelector('.link-card')).toBeNull();
+  });
+
+  test('should fetch each preview once', async () => {
+    respondWith({ url: 'https://example.org/', title: 'Example' });
+
+    await renderer.fetchLinkPreview('https://example.org/');
+    await renderer.fetchLinkPreview('https://example.org/');
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Tests for the docked AudioPlayer
+ */
+
+// Load required modules
+require('../../public/assets/js/config.js');
+require('../../public/assets/js/htmlSanitizer.js');
+require('../../public/assets/js/markdown.js');
+require('../../public/assets/js/audioPlayer.js');
+require('../../public/assets/js/activityRenderer.js');
+
+describe('AudioPlayer', () => {
+  let player;
+
+  const episode = (id, extra = {}) => AudioPlayer.createTrack({
+    id,
+    src: `https://example.com/${id}.mp3`,
+    title: `Episode ${id}`,
+    feedId: 'podcast',
+    itemId: id,
+    ...extra,
+  });
+
+  const createPlayer = () => new AudioPlayer(document.getElementById('audio-player'));
+
+  beforeEach(() => {
+    localStorage.clear();
+
+    jest.spyOn(window.HTMLMediaElement.prototype, 'play').mockImplementation(() => Promise.resolve());
+    jest.spyOn(window.HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    jest.spyOn(window.HTMLMediaElement.prototype, 'load').mockImplementation(() => {});
+
+    document.body.innerHTML = '<div id="activity-stream"></div><div id="audio-player" hidden></div>';
+    player = createPlayer();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete window.audioPlayer;
+  });
+
+  describe('time parsing', () => {
+    test('parses ISO 8601 durations and clock times', () => {
+      expect(AudioPlayer.parseDuration('PT25M')).toBe(1500);
+      expect(AudioPlayer.parseDuration('PT1H2M3S')).toBe(3723);
+      expect(AudioPlayer.parseTime('01:02:03')).toBe(3723);
+      expect(AudioPlayer.parseTime('4:05')).toBe(245);
+      expect(AudioPlayer.parseTime(90)).toBe(90);
+      expect(AudioPlayer.parseTime('soon')).toBeNull();
+    });
+
+    test('formats seconds for display', () => {
+      expect(AudioPlayer.formatTime(65)).toBe('1:05');
+      expect(AudioPlayer.formatTime(3723)).toBe('1:02:03');
+      expect(AudioPlayer.formatTime(NaN)).toBe('0:00');
+    });
+  });
+
+  describe('chapters', () => {
+    test('normalizes inline chapter lists in start order', () => {
+      const chapters = AudioPlayer.normalizeChapters({
+        chapters: [
+          { startTime: '10:00', title: 'Interview' },
+          { startTime: 0, title: 'Intro' },
+          { title: 'No start' },
+        ],
+      });
+
+      expect(chapters).toEqual([
+        { start: 0, title: 'Intro' },
+        { start: 600, title: 'Interview' },
+      ]);
+    });
+
+    test('keeps a chapters file URL for lazy loading', () => {
+      const track = episode('one', { chapters: { url: 'https://example.com/one.chapters.json' } });
+
+      expect(track.chapters).toEqual([]);
+      expect(track.chaptersUrl).toBe('https://example.com/one.chapters.json');
+    });
+
+    test('loads a chapters file into a copy of the playing track', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ chapters: [{ startTime: 0, title: 'Intro' }, { startTime: 300, title: 'Main' }] }),
+      });
+      const track = episode('one', { chapters: { url: 'https://example.com/one.chapters.json' } });
+
+      player.play(track);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(global.fetch).toHaveBeenCalledWith('https://example.com/one.chapters.json');
+      expect(player.current.chapters).toEqual([{ start: 0, title: 'Intro' }, { start: 300, title: 'Main' }]);
+      expect(track.chapters).toEqual([]);
+      expect(player.elements.chapters.hidden).toBe(false);
+    });
+
+    test('jumps to a chapter and reports the current one', () => {
+      player.play(episode('one', { chapters: [{ startTime: 0, title: 'Intro' }, { startTime: 300, title: 'Main' }] }));
+
+      player.jumpToChapter(1);
+
+      expect(player.audio.currentTime).toBe(300);
+      expect(player.getCurrentChapterIndex()).toBe(1);
+      expect(player.elements.chapters.hidden).toBe(false);
+    });
+  });
+
+  describe('playback', () => {
+    test('shows the dock with the playing track', () => {
+      player.play(episode('one'));
+
+      expect(player.container.hidden).toBe(false);
+      expect(player.audio.src).toBe('https://example.com/one.mp3');
+      expect(player.elements.title.textContent).toBe('Episode one');
+      expect(player.elements.title.getAttribute('href')).toBe('#item/podcast/one');
+      expect(window.HTMLMediaElement.prototype.play).toHaveBeenCalled();
+    });
+
+    test('skips backward and forward without leaving the track', () => {
+      player.play(episode('one'));
+      player.audio.currentTime = 100;
+
+      player.skip(-AnsyblConfig.audio.skipBack);
+      expect(player.audio.currentTime).toBe(85);
+
+      player.skip(AnsyblConfig.audio.skipForward);
+      expect(player.audio.currentTime).toBe(115);
+
+      player.audio.currentTime = 5;
+      player.skip(-15);
+      expect(player.audio.currentTime).toBe(0);
+    });
+
+    test('plays the queue in order when a track ends', () => {
+      player.play(episode('one'));
+      player.enqueue(episode('two'));
+      player.enqueue(episode('three'));
+      player.enqueue(episode('two'));
+
+      expect(player.queue.map((track) => track.id)).toEqual(['two', 'three']);
+
+      player.audio.dispatchEvent(new Event('ended'));
+
+      expect(player.current.id).toBe('two');
+      expect(player.queue.map((track) => track.id)).toEqual(['three']);
+    });
+
+    test('enqueueing with nothing loaded cues the track without playing', () => {
+      player.enqueue(episode('one'));
+
+      expect(player.current.id).toBe('one');
+      expect(player.queue).toEqual([]);
+      expect(window.HTMLMediaElement.prototype.play).not.toHaveBeenCalled();
+    });
+
+    test('only accepts the configured speeds', () => {
+      player.play(episode('one'));
+
+      player.setSpeed('1.5');
+      expect(player.audio.playbackRate).toBe(1.5);
+
+      player.setSpeed(9);
+      expect(player.audio.playbackRate).toBe(1.5);
+    });
+
+    test('closing the player hides the dock and clears the queue', () => {
+      player.play(episode('one'));
+      player.enqueue(episode('two'));
+
+      player.stop();
+
+      expect(player.container.hidden).toBe(true);
+      expect(player.current).toBeNull();
+      expect(player.queue).toEqual([]);
+    });
+  });
+
+  describe('persistence', () => {
+    test('resumes an item where it was left', () => {
+      player.play(episode('one'));
+      player.audio.currentTime = 120;
+      player.play(episode('two'));
+
+      expect(player.getSavedPosition('one')).toBe(120);
+
+      player.play(episode('one'));
+      player.audio.currentTime = 0;
+      player.audio.dispatchEvent(new Event('loadedmetadata'));
+
+      expect(player.audio.currentTime).toBe(120);
+    });
+
+    test('forgets the position of a finished item', () => {
+      player.play(episode('one'));
+      player.audio.currentTime = 120;
+      player.savePosition(true);
+
+      player.audio.dispatchEvent(new Event('ended'));
+
+      expect(player.getSavedPosition('one')).toBe(0);
+    });
+
+    test('restores the track, queue and speed after a reload', () => {
+      player.play(episode('one'));
+      player.enqueue(episode('two'));
+      player.setSpeed(1.25);
+
+      const reloaded = createPlayer();
+
+      expect(reloaded.current.id).toBe('one');
+      expect(reloaded.queue.map((track) => track.id)).toEqual(['two']);
+      expect(reloaded.audio.playbackRate).toBe(1.25);
+      expect(reloaded.container.hidden).toBe(false);
+    });
+
+    test('survives unreadable storage', () => {
+      localStorage.setItem(AnsyblConfig.audio.keys.state, '{not json');
+
+      expect(() => createPlayer()).not.toThrow();
+    });
+  });
+
+  describe('card controls', () => {
+    test('offer resume when a position is saved', () => {
+      player.positions.one = { position: 125, updatedAt: Date.now() };
+
+      const controls = player.createCardControls(episode('one', { duration: 'PT25M' }));
+
+      expect(controls.querySelector('.audio-play-button').textContent).toBe('▶ Resume at 2:05');
+      expect(controls.querySelector('.audio-duration').textContent).toBe('25:00');
+    });
+
+    test('play and queue buttons drive the player', () => {
+      const stream = document.getElementById('activity-stream');
+      stream.appendChild(player.createCardControls(episode('one')));
+      stream.appendChild(player.createCardControls(episode('two')));
+
+      const [first, second] = stream.querySelectorAll('.audio-card-controls');
+      first.querySelector('.audio-play-button').click();
+      second.querySelector('.audio-queue-button').click();
+
+      expect(player.current.id).toBe('one');
+      expect(player.queue.map((track) => track.id)).toEqual(['two']);
+    });
+  });
+
+  describe('ActivityRenderer integration', () => {
+    test('Audio items get player controls instead of an inline audio element', () => {
+      window.audioPlayer = player;
+      const renderer = new ActivityRenderer();
+      const element = document.createElement('div');
+      element.innerHTML = '<h2 class="activity-title"></h2><div class="activity-summary"></div><div class="activity-object"></div>';
+
+      renderer.renderAudio({
+        id: 'ep-1',
+        type: 'Audio',
+        feedId: 'podcast',
+        name: 'Pilot',
+        url: { href: 'https://example.com/pilot.mp3' },
+        duration: 'PT10M',
+        attachment: [{ mediaType: 'application/json+chapters', url: 'https://example.com/pilot.json' }],
+      }, element);
+
+      expect(element.querySelector('audio')).toBeNull();
+      element.querySelector('.audio-play-button').click();
+
+      expect(player.current).toMatchObject({
+        id: 'ep-1',
+        src: 'https://example.com/pilot.mp3',
+        title: 'Pilot',
+        duration: 600,
+        chaptersUrl: 'https://example.com/pilot.json',
+      });
+    });
+
+    test('playback continues when the stream is re-rendered', () => {
+      window.audioPlayer = player;
+      player.play(episode('one'));
+
+      document.getElementById('activity-stream').innerHTML = '';
+
+      expect(player.current.id).toBe('one');
+      expect(document.getElementById('audio-player').hidden).toBe(false);
+    });
+
+    test('falls back to a native audio element without a player', () => {
+      const renderer = new ActivityRenderer();
+      const element = document.createElement('div');
+      element.innerHTML = '<h2 class="activity-title"></h2><div class="activity-summary"></div><div class="activity-object"></div>';
+
+      renderer.renderAudio({ id: 'ep-1', type: 'Audio', url: 'https://example.com/pilot.mp3' }, element);
+
+      expect(element.querySelector('audio.object-audio').src).toBe('https://example.com/pilot.mp3');
+    });
+  });
+});
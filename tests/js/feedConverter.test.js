@@ -0,0 +1,269 @@
+/**
+ * Tests for FeedConverter (RSS, Atom and JSON Feed import)
+ */
+
+// Load required modules
+require('../../public/assets/js/config.js');
+require('../../public/assets/js/searchIndex.js');
+require('../../public/assets/js/feedConverter.js');
+require('../../public/assets/js/feedManager.js');
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+  xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <channel>
+    <title>The Show</title>
+    <link>https://show.example.com/</link>
+    <description>A show about &lt;b&gt;feeds&lt;/b&gt;</description>
+    <itunes:author>Jane Doe</itunes:author>
+    <itunes:image href="https://show.example.com/cover.jpg"/>
+    <item>
+      <title>Episode 1</title>
+      <link>https://show.example.com/1</link>
+      <guid isPermaLink="false">show-1</guid>
+      <pubDate>Sat, 02 Aug 2025 10:00:00 GMT</pubDate>
+      <description>The first episode</description>
+      <content:encoded><![CDATA[<p>Show <em>notes</em></p>]]></content:encoded>
+      <category>feeds</category>
+      <category>#podcasts</category>
+      <enclosure url="https://cdn.example.com/1.mp3" length="1234" type="audio/mpeg"/>
+      <itunes:duration>01:02:03</itunes:duration>
+    </item>
+    <item>
+      <description>A quick note</description>
+      <author>guest@example.com (Guest Host)</author>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:uuid:feed</id>
+  <title>Atom Blog</title>
+  <subtitle type="html">Notes &amp;amp; essays</subtitle>
+  <updated>2025-08-03T10:00:00Z</updated>
+  <link href="https://blog.example.com/"/>
+  <author><name>Sam</name><uri>https://blog.example.com/about</uri></author>
+  <entry>
+    <id>urn:uuid:entry-1</id>
+    <title type="html">Hello &lt;em&gt;world&lt;/em&gt;</title>
+    <link rel="alternate" href="https://blog.example.com/hello"/>
+    <link rel="enclosure" href="https://blog.example.com/photo.jpg" type="image/jpeg" length="2048"/>
+    <updated>2025-08-03T10:00:00Z</updated>
+    <summary>Greetings</summary>
+    <content type="xhtml"><div xmlns="http://www.w3.org/1999/xhtml"><p>Hello <strong>world</strong></p></div></content>
+    <category term="intro" label="Introductions"/>
+  </entry>
+  <entry>
+    <id>urn:uuid:entry-2</id>
+    <published>2025-08-01T10:00:00Z</published>
+    <updated>2025-08-02T10:00:00Z</updated>
+    <content type="html">&lt;p&gt;Escaped markup&lt;/p&gt;</content>
+  </entry>
+</feed>`;
+
+const JSON_FEED = {
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'JSON Blog',
+  home_page_url: 'https://json.example.com/',
+  feed_url: 'https://json.example.com/feed.json',
+  authors: [{ name: 'Alex', url: 'https://json.example.com/alex', avatar: 'https://json.example.com/alex.png' }],
+  items: [
+    {
+      id: 1,
+      url: 'https://json.example.com/1',
+      title: 'First',
+      content_html: '<p>Hi</p>',
+      date_published: '2025-08-01T10:00:00Z',
+      tags: ['intro', 'intro', 'news'],
+      attachments: [
+        { url: 'https://json.example.com/1.m4a', mime_type: 'audio/x-m4a', size_in_bytes: 100, duration_in_seconds: 1500 },
+      ],
+    },
+    {
+      id: '2',
+      content_text: 'Plain text only',
+      date_published: '2025-08-02T10:00:00Z',
+      image: 'https://json.example.com/2.png',
+    },
+  ],
+};
+
+describe('FeedConverter', () => {
+  let converter;
+
+  beforeEach(() => {
+    converter = new FeedConverter();
+  });
+
+  describe('detectFormat', () => {
+    test('recognises raw XML and JSON', () => {
+      expect(converter.detectFormat(RSS)).toBe('rss');
+      expect(converter.detectFormat('<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"></rdf:RDF>')).toBe('rss');
+      expect(converter.detectFormat(ATOM)).toBe('atom');
+      expect(converter.detectFormat(JSON.stringify(JSON_FEED))).toBe('jsonfeed');
+      expect(converter.detectFormat('<html></html>')).toBeNull();
+    });
+
+    test('recognises parsed data and the feeds API wrapper', () => {
+      expect(converter.detectFormat({ format: 'atom', name: 'Atom Blog', document: ATOM })).toBe('atom');
+      expect(converter.detectFormat(JSON_FEED)).toBe('jsonfeed');
+      expect(converter.detectFormat({ type: 'OrderedCollection', orderedItems: [] })).toBe('activitystreams');
+      expect(converter.detectFormat({ items: [] })).toBeNull();
+    });
+  });
+
+  describe('RSS 2.0', () => {
+    let collection;
+
+    beforeEach(() => {
+      collection = converter.toActivityStreams({ format: 'rss', document: RSS });
+    });
+
+    test('maps the channel to a collection', () => {
+      expect(collection).toMatchObject({
+        type: 'OrderedCollection',
+        name: 'The Show',
+        summary: 'A show about feeds',
+        url: 'https://show.example.com/',
+        icon: 'https://show.example.com/cover.jpg',
+        totalItems: 2,
+        sourceFormat: 'rss',
+      });
+    });
+
+    test('maps items with content, enclosures and categories', () => {
+      expect(collection.orderedItems[0]).toEqual({
+        id: 'show-1',
+        type: 'Article',
+        name: 'Episode 1',
+        summary: 'The first episode',
+        content: '<p>Show <em>notes</em></p>',
+        mediaType: 'text/html',
+        url: 'https://show.example.com/1',
+        published: '2025-08-02T10:00:00.000Z',
+        actor: { type: 'Person', name: 'Jane Doe', icon: 'https://show.example.com/cover.jpg' },
+        attachment: [{
+          type: 'Audio', url: 'https://cdn.example.com/1.mp3', mediaType: 'audio/mpeg', size: 1234, duration: 'PT1H2M3S',
+        }],
+        tag: [{ type: 'Hashtag', name: '#feeds' }, { type: 'Hashtag', name: '#podcasts' }],
+      });
+    });
+
+    test('untitled items become notes by their own author', () => {
+      expect(collection.orderedItems[1]).toMatchObject({
+        type: 'Note',
+        content: 'A quick note',
+        actor: { name: 'Guest Host' },
+      });
+    });
+  });
+
+  describe('Atom 1.0', () => {
+    let collection;
+
+    beforeEach(() => {
+      collection = converter.toActivityStreams(ATOM);
+    });
+
+    test('maps the feed to a collection', () => {
+      expect(collection).toMatchObject({
+        id: 'urn:uuid:feed',
+        name: 'Atom Blog',
+        summary: 'Notes & essays',
+        url: 'https://blog.example.com/',
+        sourceFormat: 'atom',
+      });
+    });
+
+    test('maps xhtml content, enclosure links and category labels', () => {
+      expect(collection.orderedItems[0]).toMatchObject({
+        id: 'urn:uuid:entry-1',
+        type: 'Article',
+        name: 'Hello world',
+        summary: 'Greetings',
+        content: '<p>Hello <strong>world</strong></p>',
+        mediaType: 'text/html',
+        url: 'https://blog.example.com/hello',
+        published: '2025-08-03T10:00:00.000Z',
+        actor: { type: 'Person', name: 'Sam', url: 'https://blog.example.com/about' },
+        attachment: [{
+          type: 'Image', url: 'https://blog.example.com/photo.jpg', mediaType: 'image/jpeg', size: 2048,
+        }],
+        tag: [{ type: 'Hashtag', name: '#Introductions' }],
+      });
+    });
+
+    test('unescapes html content and prefers the published date', () => {
+      expect(collection.orderedItems[1]).toMatchObject({
+        type: 'Note',
+        content: '<p>Escaped markup</p>',
+        mediaType: 'text/html',
+        published: '2025-08-01T10:00:00.000Z',
+        updated: '2025-08-02T10:00:00.000Z',
+      });
+    });
+  });
+
+  describe('JSON Feed 1.1', () => {
+    let collection;
+
+    beforeEach(() => {
+      collection = converter.toActivityStreams(JSON_FEED);
+    });
+
+    test('maps items with attachments, tags and authors', () => {
+      expect(collection).toMatchObject({ id: 'https://json.example.com/feed.json', name: 'JSON Blog', sourceFormat: 'jsonfeed' });
+      expect(collection.orderedItems[0]).toMatchObject({
+        id: '1',
+        type: 'Article',
+        content: '<p>Hi</p>',
+        mediaType: 'text/html',
+        actor: { name: 'Alex', url: 'https://json.example.com/alex', icon: 'https://json.example.com/alex.png' },
+        attachment: [{
+          type: 'Audio', url: 'https://json.example.com/1.m4a', mediaType: 'audio/x-m4a', size: 100, duration: 'PT25M',
+        }],
+        tag: [{ type: 'Hashtag', name: '#intro' }, { type: 'Hashtag', name: '#news' }],
+      });
+    });
+
+    test('uses content_text and the item image', () => {
+      expect(collection.orderedItems[1]).toMatchObject({
+        type: 'Note',
+        content: 'Plain text only',
+        mediaType: 'text/plain',
+        attachment: [{ type: 'Image', url: 'https://json.example.com/2.png' }],
+      });
+    });
+  });
+
+  test('rejects malformed XML', () => {
+    expect(() => converter.toActivityStreams({ format: 'rss', document: '<rss><channel>' }))
+      .toThrow('Invalid feed data: malformed XML');
+  });
+
+  test('leaves Activity Streams data untouched', () => {
+    const data = { type: 'OrderedCollection', orderedItems: [] };
+    expect(converter.toActivityStreams(data)).toBe(data);
+  });
+
+  test('converted feeds go through the FeedManager pipeline', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ success: true, data: { feeds: [] } }),
+    });
+    const feedManager = new FeedManager();
+    const processed = await feedManager.validateAndProcessFeed({ format: 'rss', document: RSS }, 'show');
+
+    expect(processed.name).toBe('The Show');
+    expect(processed.processedItems).toHaveLength(2);
+    expect(processed.processedItems[0]).toMatchObject({
+      id: 'show-1',
+      feedId: 'show',
+      actor: { name: 'Jane Doe' },
+      attachment: [{ url: 'https://cdn.example.com/1.mp3', duration: 'PT1H2M3S' }],
+      tag: [{ name: '#feeds' }, { name: '#podcasts' }],
+    });
+  });
+});
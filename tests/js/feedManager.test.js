@@ -4,6 +4,8 @@
 
 // Load required modules
 require('../../public/assets/js/config.js');
+require('../../public/assets/js/searchIndex.js');
+require('../../public/assets/js/feedConverter.js');
 require('../../public/assets/js/feedManager.js');
 
 describe('FeedManager', () => {
@@ -55,4 +57,308 @@ describe('FeedManager', () => {
     expect(items).toHaveLength(2);
     expect(items[0].id).toBe('item1'); // More recent
   });
-});
\ No newline at end of file
+
+  describe('search', () => {
+    beforeEach(() => {
+      feedManager.feeds.set('feed1', {
+        data: {
+          processedItems: [
+            { id: 'a', feedId: 'feed1', name: 'Gardening tips', content: 'Water your tomatoes', published: '2025-01-01T00:00:00Z' },
+            { id: 'b', feedId: 'feed1', name: 'Cooking', content: 'Tomato soup for gardening fans', published: '2025-01-02T00:00:00Z' },
+          ],
+        },
+      });
+      feedManager.feeds.set('feed2', {
+        data: {
+          processedItems: [
+            { id: 'c', feedId: 'feed2', name: 'Garden party', published: '2025-01-03T00:00:00Z' },
+          ],
+        },
+      });
+    });
+
+    test('should rank title matches first and match prefixes', () => {
+      const ids = feedManager.searchItems('garden').map((item) => item.id);
+
+      expect(ids).toEqual(expect.arrayContaining(['a', 'b', 'c']));
+      expect(ids[ids.length - 1]).toBe('b');
+    });
+
+    test('should respect the feed filter', () => {
+      const ids = feedManager.searchItems('garden', { feedId: 'feed2' }).map((item) => item.id);
+
+      expect(ids).toEqual(['c']);
+    });
+
+    test('should index feeds incrementally on feedUpdated', () => {
+      feedManager.searchItems('garden');
+      const feed = feedManager.feeds.get('feed2');
+      feed.data.processedItems = [{ id: 'd', feedId: 'feed2', name: 'Orchard notes', published: '2025-01-04T00:00:00Z' }];
+
+      feedManager.emit('feedUpdated', 'feed2', feed);
+
+      expect(feedManager.searchIndex.documents.has('c')).toBe(false);
+      expect(feedManager.searchItems('orchard').map((item) => item.id)).toEqual(['d']);
+    });
+  });
+
+  describe('collection pagination', () => {
+    const mockJson = (body) => ({ ok: true, json: async () => body });
+
+    test('should follow first/next pages and de-duplicate items by id', async () => {
+      global.fetch.mockReset();
+      global.fetch
+        .mockResolvedValueOnce(mockJson({
+          type: 'OrderedCollectionPage',
+          orderedItems: [{ id: 'a', type: 'Note' }, { id: 'b', type: 'Note' }],
+          next: '/outbox?page=2',
+        }))
+        .mockResolvedValueOnce(mockJson({
+          type: 'OrderedCollectionPage',
+          orderedItems: [{ id: 'b', type: 'Note' }, { id: 'c', type: 'Note' }],
+        }));
+
+      const result = await feedManager.extractCollectionItems({
+        type: 'OrderedCollection',
+        first: '/outbox?page=1',
+      });
+
+      expect(result.items.map((item) => item.id)).toEqual(['a', 'b', 'c']);
+      expect(result.nextPage).toBeNull();
+    });
+
+    test('should stop at the page cap and keep the next page for loading more', async () => {
+      const { maxPages } = AnsyblConfig.feeds.pagination;
+      AnsyblConfig.feeds.pagination.maxPages = 1;
+
+      global.fetch.mockReset();
+      global.fetch.mockResolvedValueOnce(mockJson({
+        type: 'CollectionPage',
+        items: [{ id: 'a', type: 'Note' }],
+        next: '/outbox?page=2',
+      }));
+
+      const result = await feedManager.extractCollectionItems({
+        type: 'Collection',
+        first: '/outbox?page=1',
+      });
+
+      AnsyblConfig.feeds.pagination.maxPages = maxPages;
+
+      expect(result.items).toHaveLength(1);
+      expect(result.nextPage).toBe('/outbox?page=2');
+    });
+
+    test('should load the next remote page into a feed', async () => {
+      feedManager.feeds.set('feed1', {
+        id: 'feed1',
+        data: {
+          processedItems: [{ id: 'a', published: '2025-01-15T12:00:00Z', feedId: 'feed1' }],
+          nextPage: '/outbox?page=2',
+        },
+      });
+
+      global.fetch.mockReset();
+      global.fetch.mockResolvedValueOnce(mockJson({
+        type: 'CollectionPage',
+        items: [
+          { id: 'a', type: 'Note', published: '2025-01-15T12:00:00Z' },
+          { id: 'b', type: 'Note', published: '2025-01-14T12:00:00Z' },
+        ],
+      }));
+
+      expect(feedManager.hasMorePages('feed1')).toBe(true);
+
+      const added = await feedManager.loadMoreItems('feed1');
+
+      expect(added).toBe(1);
+      expect(feedManager.getAllItems({ feedId: 'feed1' })).toHaveLength(2);
+      expect(feedManager.hasMorePages('feed1')).toBe(false);
+    });
+    test('should resolve relative page links against the feed URL', async () => {
+      feedManager.feedConfigs.set('remote', {
+        id: 'remote',
+        type: 'external',
+        url: 'https://example.social/users/alice/outbox',
+      });
+
+      global.fetch.mockReset();
+      global.fetch
+        .mockResolvedValueOnce(mockJson({
+          success: true,
+          data: { page: { type: 'OrderedCollectionPage', orderedItems: [{ id: 'a', type: 'Note' }], next: '?page=2' } },
+        }))
+        .mockResolvedValueOnce(mockJson({
+          success: true,
+          data: { page: { type: 'OrderedCollectionPage', orderedItems: [{ id: 'b', type: 'Note' }] } },
+        }));
+
+      const result = await feedManager.extractCollectionItems({
+        type: 'OrderedCollection',
+        first: 'outbox?page=1',
+      }, feedManager.feedConfigs.get('remote'));
+
+      expect(result.items.map((item) => item.id)).toEqual(['a', 'b']);
+      expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+        `/api/feeds.php/remote/page?url=${encodeURIComponent('https://example.social/users/alice/outbox?page=1')}`,
+        `/api/feeds.php/remote/page?url=${encodeURIComponent('https://example.social/users/alice/outbox?page=2')}`,
+      ]);
+    });
+  });
+
+  describe('deleted items', () => {
+    test('should drop tombstones, deletions and the items they name', async () => {
+      const result = await feedManager.validateAndProcessFeed({
+        '@context': 'https://www.w3.org/ns/activitystreams',
+        type: 'Collection',
+        items: [
+          { id: 'b', type: 'Note' },
+          { id: 'c', type: 'Create', object: { id: 'c-note', type: 'Note' } },
+          { id: 'a', type: 'Tombstone', formerType: 'Note', deleted: '2025-01-16T12:00:00Z' },
+          { id: 'd', type: 'Delete', object: 'c-note' },
+        ],
+      }, 'feed1');
+
+      expect(result.processedItems.map((item) => item.id)).toEqual(['b']);
+    });
+
+    test('should retract shown items when a later page deletes them', async () => {
+      feedManager.feeds.set('feed1', {
+        id: 'feed1',
+        data: {
+          processedItems: [{ id: 'a', published: '2025-01-15T12:00:00Z', feedId: 'feed1' }],
+          nextPage: '/outbox?page=2',
+        },
+      });
+
+      global.fetch.mockReset();
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          type: 'CollectionPage',
+          items: [
+            { id: 'a', type: 'Tombstone' },
+            { id: 'b', type: 'Note', published: '2025-01-14T12:00:00Z' },
+          ],
+        }),
+      });
+
+      await feedManager.loadMoreItems('feed1');
+
+      expect(feedManager.getAllItems({ feedId: 'feed1' }).map((item) => item.id)).toEqual(['b']);
+    });
+  });
+
+  describe('ActivityPub outboxes', () => {
+    const alice = {
+      id: 'https://example.social/users/alice',
+      type: 'Person',
+      name: 'Alice',
+      preferredUsername: 'alice',
+      handle: '@alice@example.social',
+      summary: '<p>Writes about gardens</p>',
+      url: 'https://example.social/@alice',
+      icon: 'https://example.social/avatar.png',
+      image: 'https://example.social/header.jpg',
+    };
+
+    test('should keep the richer actor fields', () => {
+      expect(feedManager.processActor({
+        id: 'https://example.social/users/bob',
+        type: 'Person',
+        preferredUsername: 'bob',
+        icon: { type: 'Image', url: 'https://example.social/bob.png' },
+        image: { type: 'Image', url: 'https://example.social/bob-header.jpg' },
+      })).toMatchObject({
+        name: 'bob',
+        preferredUsername: 'bob',
+        handle: '@bob@example.social',
+        icon: 'https://example.social/bob.png',
+        image: 'https://example.social/bob-header.jpg',
+      });
+    });
+
+    test('should use the resolved profile for activities that reference the actor by URL', async () => {
+      feedManager.feedConfigs.set('alice', {
+        id: 'alice', type: 'external', enabled: true, actor: alice,
+      });
+
+      const processed = await feedManager.validateAndProcessFeed({
+        '@context': ['https://www.w3.org/ns/activitystreams', { Hashtag: 'as:Hashtag' }],
+        type: 'OrderedCollectionPage',
+        orderedItems: [{
+          id: 'https://example.social/users/alice/statuses/1/activity',
+          type: 'Create',
+          actor: alice.id,
+          object: { type: 'Note', content: '<p>First post</p>' },
+        }],
+      }, 'alice');
+
+      expect(processed.processedItems[0].actor).toMatchObject({
+        name: 'Alice',
+        handle: '@alice@example.social',
+        icon: 'https://example.social/avatar.png',
+        image: 'https://example.social/header.jpg',
+      });
+    });
+
+    test('should fall back to a bare actor for other URLs', () => {
+      expect(feedManager.processActor('https://other.example/users/carol', alice)).toMatchObject({
+        id: 'https://other.example/users/carol',
+        name: 'Unknown',
+        url: 'https://other.example/users/carol',
+      });
+    });
+  });
+
+  describe('real-time updates', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should re-fetch only the affected local feed', async () => {
+      feedManager.feedConfigs.set('local-blog', { id: 'local-blog', type: 'local', enabled: true });
+      feedManager.feedConfigs.set('other', { id: 'other', type: 'external', enabled: true });
+      const fetchFeed = jest.spyOn(feedManager, 'fetchFeed').mockResolvedValue({});
+      const onComplete = jest.fn();
+      feedManager.on('loadComplete', onComplete);
+
+      feedManager.handleFeedChange({ type: 'item.created', feedId: 'blog', source: 'local' });
+      feedManager.handleFeedChange({ type: 'item.updated', feedId: 'blog', source: 'local' });
+      await jest.runAllTimersAsync();
+
+      expect(fetchFeed).toHaveBeenCalledTimes(1);
+      expect(fetchFeed).toHaveBeenCalledWith('local-blog', true);
+      expect(onComplete).toHaveBeenCalled();
+    });
+
+    test('should drop a feed that no longer exists after reloading configs', async () => {
+      feedManager.feeds.set('local-gone', { id: 'local-gone', data: { processedItems: [] } });
+      jest.spyOn(feedManager, 'loadFeedConfigs').mockResolvedValue();
+      const fetchFeed = jest.spyOn(feedManager, 'fetchFeed');
+
+      feedManager.handleFeedChange({ type: 'feed.deleted', feedId: 'gone', source: 'local' });
+      await jest.runAllTimersAsync();
+
+      expect(fetchFeed).not.toHaveBeenCalled();
+      expect(feedManager.feeds.has('local-gone')).toBe(false);
+    });
+  });
+
+  test('should keep event, place and poll properties of items', () => {
+    const processed = feedManager.processTypeProperties({
+      startTime: '2025-09-01T18:00:00Z',
+      location: [{ type: 'Place', name: 'Hall', latitude: '51.5', longitude: 'west' }],
+      anyOf: [{ type: 'Note', name: 'Yes', replies: { type: 'Collection', totalItems: 4 } }, { type: 'Note', name: 'No' }, 'bogus'],
+    });
+
+    expect(processed.startTime).toBe('2025-09-01T18:00:00Z');
+    expect(processed.location).toEqual({ name: 'Hall', latitude: 51.5, longitude: null, url: null });
+    expect(processed.anyOf).toEqual([{ name: 'Yes', votes: 4 }, { name: 'No', votes: null }]);
+    expect(processed.oneOf).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for HTMLSanitizer class
+ */
+
+// Load required modules
+require('../../public/assets/js/config.js');
+require('../../public/assets/js/htmlSanitizer.js');
+
+describe('HTMLSanitizer', () => {
+  let sanitizer;
+
+  beforeEach(() => {
+    sanitizer = new HTMLSanitizer();
+  });
+
+  test('should keep allowed formatting', () => {
+    const html = sanitizer.sanitize('<p>Hello <strong>world</strong> and <em>you</em></p>');
+
+    expect(html).toBe('<p>Hello <strong>world</strong> and <em>you</em></p>');
+  });
+
+  test('should strip scripts, styles and event handlers', () => {
+    const html = sanitizer.sanitize(
+      '<p onclick="alert(1)">Hi</p><script>alert(1)</script><style>p{}</style><img src="x.png" onerror="alert(1)">',
+      'rich',
+    );
+
+    expect(html).not.toMatch(/script|style|onclick|onerror|alert/);
+    expect(html).toContain('<p>Hi</p>');
+  });
+
+  test('should drop javascript: URLs including obfuscated ones', () => {
+    const html = sanitizer.sanitize(
+      '<a href="javascript:alert(1)">a</a><a href=" java\nscript:alert(1)">b</a><a href="JAVASCRIPT:alert(1)">c</a>',
+    );
+
+    expect(html).not.toContain('href');
+    expect(html).toContain('a</a>');
+  });
+
+  test('should rewrite links to open safely', () => {
+    const html = sanitizer.sanitize('<a href="https://example.com">Example</a>');
+
+    expect(html).toContain('rel="noopener nofollow"');
+    expect(html).toContain('target="_blank"');
+  });
+
+  test('should keep in-page links in the same tab', () => {
+    const html = sanitizer.sanitize('<a href="#fn-1">1</a>');
+
+    expect(html).toBe('<a href="#fn-1">1</a>');
+  });
+
+  test('should lazy-load images at rich trust level', () => {
+    const html = sanitizer.sanitize('<img src="https://example.com/a.png" alt="A">', 'rich');
+
+    expect(html).toContain('loading="lazy"');
+    expect(html).toContain('alt="A"');
+  });
+
+  test('should unwrap tags above the trust level but keep their text', () => {
+    const html = sanitizer.sanitize('<h2>Title</h2><img src="https://example.com/a.png">', 'basic');
+
+    expect(html).toBe('Title');
+  });
+
+  test('should render plain trust level as escaped text', () => {
+    const html = sanitizer.sanitize('<p>1 &lt; 2 <b>bold</b></p>', 'plain');
+
+    expect(html).toBe('1 &lt; 2 bold');
+  });
+
+  test('should treat unknown trust levels as plain', () => {
+    expect(sanitizer.sanitize('<b>x</b>', 'anything')).toBe('x');
+  });
+
+  test('should only keep language classes on code', () => {
+    const html = sanitizer.sanitize('<pre class="evil"><code class="language-js">x</code></pre>');
+
+    expect(html).toBe('<pre><code class="language-js">x</code></pre>');
+  });
+
+  test('should extract plain text for titles', () => {
+    expect(sanitizer.toPlainText('<p>Hello\n  <b>there</b></p>')).toBe('Hello there');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for MarkdownRenderer class
+ */
+
+// Load required modules
+require('../../public/assets/js/markdown.js');
+
+describe('MarkdownRenderer', () => {
+  let markdown;
+
+  beforeEach(() => {
+    markdown = new MarkdownRenderer();
+  });
+
+  test('should render headings and paragraphs', () => {
+    const html = markdown.render('# Title\n\nFirst line\nsecond line\n\nSetext\n---');
+
+    expect(html).toBe('<h1>Title</h1>\n<p>First line\nsecond line</p>\n<h2>Setext</h2>');
+  });
+
+  test('should render emphasis, strikethrough and inline code', () => {
+    const html = markdown.render('**bold** *em* ~~gone~~ `a * b` snake_case_name');
+
+    expect(html).toBe('<p><strong>bold</strong> <em>em</em> <del>gone</del> <code>a * b</code> snake_case_name</p>');
+  });
+
+  test('should render tight and loose lists with nesting', () => {
+    expect(markdown.render('- one\n- two\n  - nested')).toBe(
+      '<ul>\n<li>one</li>\n<li>two\n<ul>\n<li>nested</li>\n</ul></li>\n</ul>',
+    );
+    expect(markdown.render('3. a\n\n4. b')).toBe('<ol start="3">\n<li><p>a</p></li>\n<li><p>b</p></li>\n</ol>');
+  });
+
+  test('should render inline and reference links and images', () => {
+    const html = markdown.render('[site](https://example.com "Home") [ref][r] ![alt *text*](/a.png)\n\n[r]: https://ref.example');
+
+    expect(html).toBe(
+      '<p><a href="https://example.com" title="Home">site</a> <a href="https://ref.example">ref</a> <img src="/a.png" alt="alt text"></p>',
+    );
+  });
+
+  test('should render autolinks', () => {
+    expect(markdown.render('<https://example.com?a=1&b=2>')).toBe(
+      '<p><a href="https://example.com?a=1&amp;b=2">https://example.com?a=1&amp;b=2</a></p>',
+    );
+  });
+
+  test('should render fenced and indented code without formatting inside', () => {
+    expect(markdown.render('```js\nconst a = **b** < c;\n```')).toBe(
+      '<pre><code class="language-js">const a = **b** &lt; c;\n</code></pre>',
+    );
+    expect(markdown.render('    indented\n    code')).toBe('<pre><code>indented\ncode\n</code></pre>');
+  });
+
+  test('should render blockquotes with nested blocks', () => {
+    expect(markdown.render('> quote\nlazy\n>\n> - item')).toBe(
+      '<blockquote>\n<p>quote\nlazy</p>\n<ul>\n<li>item</li>\n</ul>\n</blockquote>',
+    );
+  });
+
+  test('should render tables with alignment', () => {
+    const html = markdown.render('| a | b |\n|:--|--:|\n| 1 | **2** |');
+
+    expect(html).toBe(
+      '<table>\n<thead>\n<tr><th align="left">a</th><th align="right">b</th></tr>\n</thead>\n'
+      + '<tbody>\n<tr><td align="left">1</td><td align="right"><strong>2</strong></td></tr>\n</tbody>\n</table>',
+    );
+  });
+
+  test('should render footnotes in reference order with prefixed ids', () => {
+    const html = markdown.render('Text[^b] and[^a].\n\n[^a]: First.\n[^b]: Second.', { idPrefix: 'post 1' });
+
+    expect(html).toContain('<sup id="fnref-post-1-b"><a href="#fn-post-1-b">1</a></sup>');
+    expect(html).toContain('<sup id="fnref-post-1-a"><a href="#fn-post-1-a">2</a></sup>');
+    expect(html).toContain('<li id="fn-post-1-b" value="1"><p>Second. <a href="#fnref-post-1-b">↩</a></p></li>');
+  });
+
+  test('should render hard breaks and escapes', () => {
+    expect(markdown.render('a  \nb\\\nc \\*not em\\*')).toBe('<p>a<br>\nb<br>\nc *not em*</p>');
+  });
+
+  test('should escape text while passing raw HTML through for the sanitizer', () => {
+    expect(markdown.render('1 < 2 & <b>ok</b>')).toBe('<p>1 &lt; 2 &amp; <b>ok</b></p>');
+  });
+
+  test('should render thematic breaks without confusing them with lists', () => {
+    expect(markdown.render('a\n\n* * *\n\nb')).toBe('<p>a</p>\n<hr>\n<p>b</p>');
+  });
+
+  test('should return empty string for empty input', () => {
+    expect(markdown.render('')).toBe('');
+    expect(markdown.render(null)).toBe('');
+  });
+});
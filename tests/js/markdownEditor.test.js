@@ -0,0 +1,228 @@
+/**
+ * Tests for the admin MarkdownEditor
+ */
+
+require('../../public/admin/assets/js/markdownEditor.js');
+
+describe('MarkdownEditor', () => {
+  let textarea;
+  let options;
+  let editor;
+
+  const createEditor = (value = '', extra = {}) => {
+    document.body.innerHTML = '<form><textarea id="item-content"></textarea></form>';
+    textarea = document.getElementById('item-content');
+    textarea.value = value;
+
+    options = {
+      renderPreview: jest.fn((content) => `<p>${content}</p>`),
+      getMediaType: () => 'text/markdown',
+      ...extra,
+    };
+    editor = new MarkdownEditor(textarea, options);
+  };
+
+  const select = (text) => {
+    const start = textarea.value.indexOf(text);
+    textarea.setSelectionRange(start, start + text.length);
+  };
+
+  const click = (action) => {
+    editor.container.querySelector(`[data-action="${action}"]`).click();
+  };
+
+  const press = (key, modifiers = {}) => {
+    const event = new KeyboardEvent('keydown', {
+      key, bubbles: true, cancelable: true, ...modifiers,
+    });
+    textarea.dispatchEvent(event);
+    return event;
+  };
+
+  const selection = () => textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+
+  test('should move the textarea into the editor with a toolbar button per action', () => {
+    createEditor('Hello');
+
+    expect(editor.container.querySelector('.markdown-editor-input').contains(textarea)).toBe(true);
+    expect(editor.container.querySelectorAll('.markdown-editor-button')).toHaveLength(Object.keys(MarkdownEditor.actions).length);
+    expect(editor.preview.innerHTML).toBe('<p>Hello</p>');
+  });
+
+  describe('toolbar actions', () => {
+    test('should wrap the selection and keep it selected', () => {
+      createEditor('make this loud');
+      select('this');
+
+      click('bold');
+
+      expect(textarea.value).toBe('make **this** loud');
+      expect(selection()).toBe('this');
+    });
+
+    test('should use tags when the content is HTML', () => {
+      createEditor('make this loud', { getMediaType: () => 'text/html' });
+      select('this');
+
+      click('italic');
+
+      expect(textarea.value).toBe('make <em>this</em> loud');
+    });
+
+    test('should insert a placeholder when nothing is selected', () => {
+      createEditor('');
+
+      click('bold');
+
+      expect(textarea.value).toBe('**bold text**');
+      expect(selection()).toBe('bold text');
+    });
+
+    test('should prefix every line the selection touches', () => {
+      createEditor('one\ntwo\nthree');
+      textarea.setSelectionRange(1, 5);
+
+      click('bulletList');
+      expect(textarea.value).toBe('- one\n- two\nthree');
+
+      textarea.value = 'one\ntwo\nthree';
+      textarea.setSelectionRange(0, textarea.value.length);
+
+      click('numberedList');
+      expect(textarea.value).toBe('1. one\n2. two\n3. three');
+    });
+
+    test('should wrap lines in a list when the content is HTML', () => {
+      createEditor('one\ntwo', { getMediaType: () => 'text/html' });
+      textarea.setSelectionRange(0, textarea.value.length);
+
+      click('bulletList');
+
+      expect(textarea.value).toBe('<ul>\n<li>one</li>\n<li>two</li>\n</ul>');
+    });
+
+    test('should turn the selection into a link with the URL selected', () => {
+      createEditor('see the docs');
+      select('docs');
+
+      click('link');
+
+      expect(textarea.value).toBe('see the [docs](https://)');
+      expect(selection()).toBe('https://');
+    });
+
+    test('should make a code block from a multi-line selection', () => {
+      createEditor('a = 1\nb = 2');
+      textarea.setSelectionRange(0, textarea.value.length);
+
+      click('code');
+
+      expect(textarea.value).toBe('\n```\na = 1\nb = 2\n```\n');
+    });
+
+    test('should refresh the preview after an edit', () => {
+      jest.useFakeTimers();
+      createEditor('make this loud');
+      select('this');
+
+      click('bold');
+      jest.advanceTimersByTime(150);
+      jest.useRealTimers();
+
+      expect(options.renderPreview).toHaveBeenLastCalledWith('make **this** loud', 'text/markdown');
+    });
+  });
+
+  describe('shortcuts', () => {
+    test('should map Ctrl and Cmd shortcuts to their actions', () => {
+      createEditor('make this loud');
+      select('this');
+
+      const event = press('b', { ctrlKey: true });
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(textarea.value).toBe('make **this** loud');
+
+      textarea.value = 'item';
+      textarea.setSelectionRange(0, 4);
+      press('L', { metaKey: true, shiftKey: true });
+
+      expect(textarea.value).toBe('- item');
+    });
+
+    test('should tell shifted shortcuts apart', () => {
+      createEditor('picture');
+      select('picture');
+
+      press('i', { ctrlKey: true, shiftKey: true });
+
+      expect(textarea.value).toBe('![picture](https://)');
+    });
+
+    test('should leave other keys alone', () => {
+      createEditor('text');
+      select('text');
+
+      expect(press('b').defaultPrevented).toBe(false);
+      expect(press('q', { ctrlKey: true }).defaultPrevented).toBe(false);
+      expect(textarea.value).toBe('text');
+    });
+  });
+
+  describe('image uploads', () => {
+    const image = (name) => new File(['image'], name, { type: 'image/png' });
+
+    test('should insert the uploaded URL at the cursor', async () => {
+      createEditor('Before  after', { uploadFile: jest.fn().mockResolvedValue('/uploads/cat.png') });
+      textarea.setSelectionRange(7, 7);
+
+      await editor.uploadImages([image('cat.png')]);
+
+      expect(options.uploadFile).toHaveBeenCalledTimes(1);
+      expect(textarea.value).toBe('Before ![cat](/uploads/cat.png) after');
+    });
+
+    test('should show a placeholder while uploading and keep edits made meanwhile', async () => {
+      let finish;
+      createEditor('Intro', {
+        uploadFile: () => new Promise((resolve) => { finish = resolve; }),
+      });
+      textarea.setSelectionRange(5, 5);
+
+      const upload = editor.uploadImages([image('dog.png')]);
+      expect(textarea.value).toBe('Intro![Uploading dog.png…]()');
+
+      textarea.value += ' Outro';
+      textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+      finish('/uploads/dog.png');
+      await upload;
+
+      expect(textarea.value).toBe('Intro![dog](/uploads/dog.png) Outro');
+      expect(textarea.selectionStart).toBe(textarea.value.length);
+    });
+
+    test('should use an img tag when the content is HTML', async () => {
+      createEditor('', {
+        getMediaType: () => 'text/html',
+        uploadFile: jest.fn().mockResolvedValue('/uploads/cat.png'),
+      });
+
+      await editor.uploadImages([image('cat.png')]);
+
+      expect(textarea.value).toBe('<img src="/uploads/cat.png" alt="cat">');
+    });
+
+    test('should drop the placeholder and report failed or unsupported files', async () => {
+      const onError = jest.fn();
+      createEditor('Text', { uploadFile: jest.fn().mockRejectedValue(new Error('Too large')), onError });
+      textarea.setSelectionRange(4, 4);
+
+      await editor.uploadImages([image('big.png'), new File(['%PDF'], 'doc.pdf', { type: 'application/pdf' })]);
+
+      expect(textarea.value).toBe('Text');
+      expect(options.uploadFile).toHaveBeenCalledTimes(1);
+      expect(onError).toHaveBeenCalledWith('Only images can be dropped into the content');
+      expect(onError).toHaveBeenCalledWith('Failed to upload big.png: Too large');
+    });
+  });
+});
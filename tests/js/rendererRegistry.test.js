@@ -0,0 +1,67 @@
+/**
+ * Tests for RendererRegistry class
+ */
+
+require('../../public/assets/js/rendererRegistry.js');
+
+describe('RendererRegistry', () => {
+  let registry;
+  const render = () => {};
+
+  beforeEach(() => {
+    registry = new RendererRegistry();
+  });
+
+  test('should resolve renderers by object type', () => {
+    registry.register('Recipe', { render });
+
+    expect(registry.resolve({ type: 'Create', objectType: 'Recipe' }).target).toBe('Recipe');
+    expect(registry.resolve({ type: 'Recipe' }).target).toBe('Recipe');
+    expect(registry.resolve({ type: 'Note' })).toBeNull();
+  });
+
+  test('should resolve renderers by media type, with wildcards', () => {
+    registry.register('application/pdf', { render });
+    registry.register('audio/*', { render });
+
+    expect(registry.resolve({ type: 'Document', mediaType: 'application/pdf' }).target).toBe('application/pdf');
+    expect(registry.resolve({ type: 'Create', object: { type: 'Audio', mediaType: 'Audio/MPEG; codecs=mp3' } }).target).toBe('audio/*');
+    expect(registry.resolve({ type: 'Video', mediaType: 'video/mp4' })).toBeNull();
+  });
+
+  test('should narrow targets with match predicates', () => {
+    registry.register('*', { render, match: (item) => item.feedId === 'recipes' });
+
+    expect(registry.resolve({ type: 'Note', feedId: 'recipes' })).not.toBeNull();
+    expect(registry.resolve({ type: 'Note', feedId: 'blog' })).toBeNull();
+  });
+
+  test('should prefer higher priority, then the latest registered', () => {
+    registry.register('Note', { render, priority: 5, template: 'first' });
+    registry.register('*', { render, template: 'second' });
+    registry.register('Note', { render, priority: 5, template: 'third' });
+
+    expect(registry.resolve({ type: 'Note' }).template).toBe('third');
+    expect(registry.resolve({ type: 'Article' }).template).toBe('second');
+  });
+
+  test('should skip renderers whose predicate throws', () => {
+    registry.register('Note', { render, template: 'safe' });
+    registry.register('Note', { render, match: () => { throw new Error('broken'); } });
+
+    expect(registry.resolve({ type: 'Note' }).template).toBe('safe');
+  });
+
+  test('should remove renderers with the function register returns', () => {
+    const unregister = registry.register('Recipe', { render });
+    unregister();
+
+    expect(registry.resolve({ type: 'Recipe' })).toBeNull();
+  });
+
+  test('should reject invalid registrations', () => {
+    expect(() => registry.register('', { render })).toThrow(TypeError);
+    expect(() => registry.register('Recipe', {})).toThrow('render function or a template');
+    expect(() => registry.register('Recipe', { render: 'renderRecipe' })).toThrow('render must be a function');
+  });
+});
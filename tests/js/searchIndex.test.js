@@ -0,0 +1,101 @@
+/**
+ * Tests for SearchIndex class
+ */
+
+// Load required modules
+require('../../public/assets/js/config.js');
+require('../../public/assets/js/searchIndex.js');
+
+describe('SearchIndex', () => {
+  let index;
+
+  const ids = (results) => results.map((result) => result.item.id);
+
+  beforeEach(() => {
+    index = new SearchIndex();
+
+    index.add({
+      id: 'post-1',
+      feedId: 'blog',
+      type: 'Article',
+      name: 'Running a podcast',
+      content: '<p>How we record the <b>weekly show</b></p>',
+      tag: [{ type: 'Hashtag', name: '#Audio' }],
+      actor: { name: 'Jane Doe' },
+      published: '2025-03-01T00:00:00Z',
+    }, { feedName: 'My Blog' });
+
+    index.add({
+      id: 'post-2',
+      feedId: 'news',
+      type: 'Note',
+      content: 'The weekly show is back, runners welcome',
+      tag: ['events'],
+      actor: { name: 'John Smith' },
+      published: '2025-04-01T00:00:00Z',
+    }, { feedName: 'Newsroom' });
+  });
+
+  test('should stem words so inflections match', () => {
+    expect(ids(index.search('runs'))).toEqual(['post-1']);
+    expect(ids(index.search('recorded'))).toEqual(['post-1']);
+  });
+
+  test('should match prefixes', () => {
+    expect(ids(index.search('podc'))).toEqual(['post-1']);
+    expect(ids(index.search('run'))).toEqual(expect.arrayContaining(['post-1', 'post-2']));
+  });
+
+  test('should rank documents by BM25 with field weights', () => {
+    const results = index.search('running');
+
+    expect(results[0].item.id).toBe('post-1');
+    expect(results[0].score).toBeGreaterThan(0);
+  });
+
+  test('should require all words', () => {
+    expect(ids(index.search('weekly podcast'))).toEqual(['post-1']);
+  });
+
+  test('should match exact phrases only', () => {
+    expect(ids(index.search('"show is back"'))).toEqual(['post-2']);
+    expect(ids(index.search('"back is show"'))).toEqual([]);
+  });
+
+  test('should exclude words and phrases', () => {
+    expect(ids(index.search('weekly -podcast'))).toEqual(['post-2']);
+    expect(ids(index.search('weekly -"show is back"'))).toEqual(['post-1']);
+  });
+
+  test('should apply field filters', () => {
+    expect(ids(index.search('tag:audio'))).toEqual(['post-1']);
+    expect(ids(index.search('type:note'))).toEqual(['post-2']);
+    expect(ids(index.search('feed:newsroom weekly'))).toEqual(['post-2']);
+    expect(ids(index.search('author:"jane doe"'))).toEqual(['post-1']);
+    expect(ids(index.search('after:2025-03-15'))).toEqual(['post-2']);
+    expect(ids(index.search('before:2025-03-15 weekly'))).toEqual(['post-1']);
+  });
+
+  test('should restrict results to a feed', () => {
+    expect(ids(index.search('weekly', { feedId: 'blog' }))).toEqual(['post-1']);
+  });
+
+  test('should update and remove feeds incrementally', () => {
+    index.updateFeed('news', [{ id: 'post-3', feedId: 'news', name: 'Weekly digest', published: '2025-05-01T00:00:00Z' }]);
+
+    expect(index.documents.has('post-2')).toBe(false);
+    expect(ids(index.search('digest'))).toEqual(['post-3']);
+
+    index.removeFeed('news');
+
+    expect(index.size).toBe(1);
+    expect(index.postings.has('digest')).toBe(false);
+  });
+
+  test('should return terms and phrases to highlight', () => {
+    expect(index.getHighlightTerms('weekly "show is" -podcast tag:audio')).toEqual({
+      terms: ['weekly'],
+      phrases: [['show', 'is']],
+    });
+  });
+});
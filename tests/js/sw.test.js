@@ -0,0 +1,214 @@
+/**
+ * Tests for the service worker's caching and offline behaviour
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ORIGIN = 'http://localhost:8000';
+const source = fs.readFileSync(path.join(__dirname, '../../public/sw.js'), 'utf8');
+const indexHtml = fs.readFileSync(path.join(__dirname, '../../public/index.html'), 'utf8');
+
+// Just enough of the Fetch API for the worker, which runs outside jsdom
+class FakeHeaders {
+  constructor(init = {}) {
+    const entries = init instanceof FakeHeaders ? init.map : Object.entries(init);
+    this.map = new Map([...entries].map(([name, value]) => [name.toLowerCase(), value]));
+  }
+
+  get(name) {
+    return this.map.has(name.toLowerCase()) ? this.map.get(name.toLowerCase()) : null;
+  }
+
+  set(name, value) {
+    this.map.set(name.toLowerCase(), value);
+  }
+}
+
+class FakeResponse {
+  constructor(body, init = {}) {
+    this.body = body;
+    this.status = init.status || 200;
+    this.statusText = init.statusText || '';
+    this.ok = this.status >= 200 && this.status < 300;
+    this.headers = new FakeHeaders(init.headers);
+  }
+
+  clone() {
+    return new FakeResponse(this.body, this);
+  }
+
+  async blob() {
+    return this.body;
+  }
+}
+
+const cacheKey = (request) => {
+  const url = new URL(typeof request === 'string' ? request : request.url, ORIGIN);
+  return url.pathname + url.search;
+};
+
+const createCacheStorage = () => {
+  const stores = new Map();
+  const store = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    return stores.get(name);
+  };
+
+  return {
+    stores,
+    open: async (name) => ({
+      addAll: async (urls) => urls.forEach((url) => store(name).set(cacheKey(url), new FakeResponse(`cached ${url}`))),
+      put: async (request, response) => store(name).set(cacheKey(request), response),
+      match: async (request) => store(name).get(cacheKey(request)),
+    }),
+    keys: async () => [...stores.keys()],
+    delete: async (name) => stores.delete(name),
+    match: async (request) => [...stores.values()]
+      .map((entries) => entries.get(cacheKey(request)))
+      .find(Boolean),
+  };
+};
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const loadWorker = ({ caches, fetch, script = source }) => {
+  const listeners = {};
+  const messages = [];
+  const self = {
+    location: { origin: ORIGIN },
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    skipWaiting: jest.fn(),
+    clients: {
+      claim: jest.fn(),
+      matchAll: async () => [{ postMessage: (message) => messages.push(message) }],
+    },
+  };
+
+  vm.runInNewContext(script, {
+    self, caches, fetch, URL, Response: FakeResponse, Headers: FakeHeaders,
+  });
+
+  const dispatch = (type, props = {}) => {
+    const pending = [];
+    let response = null;
+    listeners[type]({
+      ...props,
+      waitUntil: (promise) => pending.push(promise),
+      respondWith: (promise) => { response = promise; },
+    });
+    return { response, done: () => Promise.all(pending) };
+  };
+
+  return { dispatch, messages };
+};
+
+const request = (url, overrides = {}) => ({
+  url: new URL(url, ORIGIN).href,
+  method: 'GET',
+  mode: 'cors',
+  cache: 'default',
+  referrer: '',
+  ...overrides,
+});
+
+describe('Service worker', () => {
+  let caches;
+
+  beforeEach(() => {
+    caches = createCacheStorage();
+  });
+
+  test('should precache every script and stylesheet index.html loads', async () => {
+    const worker = loadWorker({ caches, fetch: jest.fn() });
+    await worker.dispatch('install').done();
+
+    const [shellCache] = [...caches.stores.keys()].filter((name) => name.startsWith('ansybl-shell-'));
+    const cached = [...caches.stores.get(shellCache).keys()];
+    const referenced = [...indexHtml.matchAll(/(?:src|href)="(assets\/[^"]+)"/g)].map(([, asset]) => `/${asset}`);
+
+    expect(referenced.length).toBeGreaterThan(0);
+    referenced.forEach((asset) => expect(cached).toContain(asset));
+  });
+
+  test('should start a new cache and drop the old one when an asset version changes', async () => {
+    const oldWorker = loadWorker({ caches, fetch: jest.fn() });
+    await oldWorker.dispatch('install').done();
+    const oldCaches = [...caches.stores.keys()];
+
+    const newWorker = loadWorker({
+      caches,
+      fetch: jest.fn(),
+      script: source.replace(/app\.js\?v=(\d+)/, (match, version) => `app.js?v=${Number(version) + 1}`),
+    });
+    await newWorker.dispatch('install').done();
+    await newWorker.dispatch('activate').done();
+
+    const newCaches = [...caches.stores.keys()];
+    expect(newCaches).toHaveLength(1);
+    expect(oldCaches).not.toContain(newCaches[0]);
+  });
+
+  test('should serve shell assets from the cache without the network', async () => {
+    const fetch = jest.fn();
+    const worker = loadWorker({ caches, fetch });
+    await worker.dispatch('install').done();
+
+    const script = indexHtml.match(/src="(assets\/js\/app\.js[^"]*)"/)[1];
+    const { response } = worker.dispatch('fetch', { request: request(script) });
+
+    expect((await response).body).toBe(`cached /${script}`);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to the cached shell for navigations while offline', async () => {
+    const worker = loadWorker({ caches, fetch: jest.fn().mockRejectedValue(new TypeError('Failed to fetch')) });
+    await worker.dispatch('install').done();
+
+    const { response } = worker.dispatch('fetch', { request: request('/?feed=blog', { mode: 'navigate' }) });
+
+    expect((await response).body).toBe('cached /index.html');
+  });
+
+  test('should serve cached feed data while offline and tell the page how old it is', async () => {
+    const fetch = jest.fn().mockResolvedValueOnce(new FakeResponse('{"feeds":[]}'));
+    const worker = loadWorker({ caches, fetch });
+
+    const online = worker.dispatch('fetch', { request: request('/api/feeds.php') });
+    expect((await online.response).body).toBe('{"feeds":[]}');
+
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    const offline = worker.dispatch('fetch', { request: request('/api/feeds.php') });
+    const cached = await offline.response;
+    await offline.done();
+    await flush();
+
+    expect(cached.body).toBe('{"feeds":[]}');
+    expect(cached.headers.get('X-Ansybl-Cached-At')).not.toBeNull();
+    expect(worker.messages).toContainEqual({
+      source: 'ansybl-sw',
+      type: 'offline',
+      url: `${ORIGIN}/api/feeds.php`,
+      cachedAt: cached.headers.get('X-Ansybl-Cached-At'),
+    });
+  });
+
+  test('should fail data requests with nothing cached while offline', async () => {
+    const worker = loadWorker({ caches, fetch: jest.fn().mockRejectedValue(new TypeError('Failed to fetch')) });
+
+    const { response } = worker.dispatch('fetch', { request: request('/feeds/blog.ansybl') });
+
+    await expect(response).rejects.toThrow('Failed to fetch');
+    expect(worker.messages).toHaveLength(0);
+  });
+
+  test('should leave the admin panel and other requests to the network', () => {
+    const worker = loadWorker({ caches, fetch: jest.fn() });
+
+    expect(worker.dispatch('fetch', { request: request('/admin/index.html', { mode: 'navigate' }) }).response).toBeNull();
+    expect(worker.dispatch('fetch', { request: request('/api/feeds.php', { referrer: `${ORIGIN}/admin/` }) }).response).toBeNull();
+    expect(worker.dispatch('fetch', { request: request('/api/feeds.php', { method: 'POST' }) }).response).toBeNull();
+    expect(worker.dispatch('fetch', { request: request('https://cdn.example.com/a.mp3') }).response).toBeNull();
+  });
+});
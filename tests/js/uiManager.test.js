@@ -0,0 +1,319 @@
+/**
+ * Tests for UIManager URL state
+ */
+
+// Load required modules
+require('../../public/assets/js/config.js');
+require('../../public/assets/js/searchIndex.js');
+require('../../public/assets/js/feedConverter.js');
+require('../../public/assets/js/feedManager.js');
+require('../../public/assets/js/htmlSanitizer.js');
+require('../../public/assets/js/markdown.js');
+require('../../public/assets/js/audioPlayer.js');
+require('../../public/assets/js/rendererRegistry.js');
+require('../../public/assets/js/activityRenderer.js');
+require('../../public/assets/js/uiManager.js');
+
+describe('UIManager URL state', () => {
+  let ui;
+
+  beforeEach(() => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ success: true, data: { feeds: [] } }),
+    });
+
+    document.body.innerHTML = `
+      <input id="site-search">
+      <select id="feed-filter"><option value="all">All</option></select>
+      <select id="sort-order">
+        <option value="published-desc"></option>
+        <option value="title-asc"></option>
+        <option value="relevance"></option>
+      </select>
+      <div id="activity-stream"></div>
+    `;
+    window.history.replaceState(null, '', '/?q=garden&sort=title-asc&view=list&page=2&feed=blog');
+
+    ui = new UIManager();
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    jest.clearAllMocks();
+  });
+
+  test('should restore state from the URL on init', () => {
+    expect(ui.searchQuery).toBe('garden');
+    expect(ui.currentSort).toBe('title-asc');
+    expect(ui.currentView).toBe('list');
+    expect(ui.currentPage).toBe(2);
+    expect(ui.currentFilter).toBe('blog');
+    expect(document.getElementById('site-search').value).toBe('garden');
+  });
+
+  test('should ignore invalid values', () => {
+    window.history.replaceState(null, '', '/?sort=evil&view=table&page=-3');
+
+    expect(ui.readUrlState()).toEqual({
+      q: '', feed: 'all', sort: 'published-desc', view: 'grid', page: 1,
+    });
+  });
+
+  test('should write changes to the URL, leaving defaults out', () => {
+    ui.setFilter('all');
+    expect(window.location.search).toBe('?q=garden&sort=title-asc&view=list');
+
+    ui.setSort('published-desc');
+    ui.setView('grid');
+    expect(window.location.search).toBe('?q=garden');
+  });
+
+  test('should replace legacy #feed- hashes', () => {
+    window.history.replaceState(null, '', '/#feed-local:blog');
+
+    ui.setView('list');
+
+    expect(window.location.hash).toBe('');
+    expect(window.location.search).toContain('view=list');
+  });
+
+  test('should restore the previous view on back navigation', () => {
+    ui.setSort('published-asc');
+    window.history.replaceState(null, '', '/?sort=title-asc');
+
+    window.dispatchEvent(new PopStateEvent('popstate'));
+
+    expect(ui.currentSort).toBe('title-asc');
+    expect(ui.searchQuery).toBe('');
+  });
+});
+
+describe('UIManager item permalinks', () => {
+  let ui;
+
+  beforeEach(async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ success: true, data: { feeds: [] } }),
+    });
+    window.scrollTo = jest.fn();
+
+    document.body.innerHTML = `
+      <div id="content-area"><div id="activity-stream"></div></div>
+      <section id="item-detail" hidden></section>
+    `;
+    document.title = 'My Site';
+
+    ui = new UIManager();
+    await new Promise((resolve) => { setTimeout(resolve, 0); });
+    ui.isLoading = false;
+    ui.feedManager.isLoading = false;
+    ui.activityRenderer.render = jest.fn((item, container) => {
+      const article = document.createElement('article');
+      article.className = 'activity-item';
+      article.dataset.itemId = item.id;
+      container.appendChild(article);
+      return article;
+    });
+    ui.feedManager.feeds.set('blog', {
+      data: {
+        processedItems: [
+          { id: 'new', feedId: 'blog', type: 'Note', content: 'Newest', published: '2025-03-01T00:00:00Z' },
+          { id: 'mid', feedId: 'blog', type: 'Note', content: 'Middle', published: '2025-02-01T00:00:00Z' },
+          { id: 'old', feedId: 'blog', type: 'Note', content: 'Oldest', published: '2025-01-01T00:00:00Z' },
+        ],
+      },
+    });
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    jest.clearAllMocks();
+  });
+
+  test('should show one item with newer/older links', () => {
+    window.history.replaceState(null, '', '/?view=list#item/blog/mid');
+    ui.handleRoute();
+
+    const detail = document.getElementById('item-detail');
+    expect(detail.hidden).toBe(false);
+    expect(document.getElementById('content-area').hidden).toBe(true);
+    expect(detail.querySelector('.activity-item').dataset.itemId).toBe('mid');
+    expect(detail.querySelector('.item-detail-prev').getAttribute('href')).toBe('#item/blog/new');
+    expect(detail.querySelector('.item-detail-next').getAttribute('href')).toBe('#item/blog/old');
+  });
+
+  test('should return to the list, keeping its URL state', () => {
+    window.history.replaceState(null, '', '/?view=list#item/blog/mid');
+    ui.handleRoute();
+
+    document.querySelector('.item-detail-back').click();
+
+    expect(window.location.search).toBe('?view=list');
+    expect(window.location.hash).toBe('');
+    expect(document.getElementById('item-detail').hidden).toBe(true);
+  });
+
+  test('should title the tab after the open item and restore it on close', () => {
+    window.history.replaceState(null, '', '/#item/blog/mid');
+    ui.handleRoute();
+
+    expect(document.title).toBe('Note - My Site');
+
+    document.querySelector('.item-detail-back').click();
+
+    expect(document.title).toBe('My Site');
+  });
+
+  test('should report items that are not in the feed', () => {
+    window.history.replaceState(null, '', '/#item/blog/missing');
+    ui.handleRoute();
+
+    expect(document.getElementById('item-detail').textContent).toContain('Item not found');
+  });
+});
+
+describe('UIManager subscribe links', () => {
+  let ui;
+
+  beforeEach(async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ success: true, data: { feeds: [] } }),
+    });
+
+    document.body.innerHTML = `
+      <div id="activity-stream"></div>
+      <div id="footer-subscribe" hidden><ul id="subscribe-list"></ul></div>
+    `;
+
+    ui = new UIManager();
+    await new Promise((resolve) => { setTimeout(resolve, 0); });
+    ui.feedManager.feedConfigs.set('local-blog', {
+      id: 'local-blog', localId: 'blog', name: 'Blog', enabled: true, type: 'local',
+    });
+    ui.feedManager.feedConfigs.set('news', {
+      id: 'news', name: 'News', enabled: true, type: 'external',
+    });
+  });
+
+  afterEach(() => {
+    document.head.querySelectorAll('link[data-feed-export]').forEach((link) => link.remove());
+    jest.clearAllMocks();
+  });
+
+  test('should add autodiscovery links for local feeds only', () => {
+    ui.updateSubscribeLinks();
+
+    const links = [...document.head.querySelectorAll('link[rel="alternate"][data-feed-export]')];
+    expect(links.map((link) => [link.type, link.getAttribute('href')])).toEqual([
+      ['application/rss+xml', '/feeds/blog.rss'],
+      ['application/atom+xml', '/feeds/blog.atom'],
+    ]);
+    expect(links[0].title).toBe('Blog (RSS)');
+  });
+
+  test('should list subscribe links in the footer without duplicating head links', () => {
+    ui.updateSubscribeLinks();
+    ui.updateSubscribeLinks();
+
+    expect(document.head.querySelectorAll('link[data-feed-export]')).toHaveLength(2);
+    expect(document.getElementById('footer-subscribe').hidden).toBe(false);
+    expect([...document.querySelectorAll('.subscribe-link')].map((link) => link.textContent)).toEqual(['RSS', 'Atom']);
+  });
+});
+
+describe('UIManager pinned and featured items', () => {
+  let ui;
+
+  beforeEach(async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ success: true, data: { feeds: [] } }),
+    });
+
+    document.body.innerHTML = `
+      <section id="featured-items" hidden></section>
+      <div id="activity-stream"></div>
+    `;
+
+    ui = new UIManager();
+    await new Promise((resolve) => { setTimeout(resolve, 0); });
+    ui.activityRenderer.render = jest.fn((item, container) => {
+      const article = document.createElement('article');
+      article.dataset.itemId = item.id;
+      container.appendChild(article);
+      return article;
+    });
+    ui.feedManager.feeds.set('blog', {
+      data: {
+        processedItems: [
+          { id: 'new', feedId: 'blog', type: 'Note', published: '2025-03-01T00:00:00Z', position: 3 },
+          { id: 'intro', feedId: 'blog', type: 'Note', published: '2025-01-01T00:00:00Z', pinned: true, position: 2 },
+          { id: 'hero', feedId: 'blog', type: 'Note', published: '2025-02-01T00:00:00Z', featured: true, position: 1 },
+          { id: 'mid', feedId: 'blog', type: 'Note', published: '2025-02-15T00:00:00Z' },
+        ],
+      },
+    });
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    jest.clearAllMocks();
+  });
+
+  const renderedIds = (id) => [...document.querySelectorAll(`#${id} article`)].map((article) => article.dataset.itemId);
+
+  test('should put pinned items first and featured items in the hero slot', () => {
+    ui.renderContent();
+
+    expect(renderedIds('featured-items')).toEqual(['hero']);
+    expect(document.getElementById('featured-items').hidden).toBe(false);
+    expect(renderedIds('activity-stream')).toEqual(['intro', 'new', 'mid']);
+    expect(ui.getTotalItemsCount()).toBe(3);
+  });
+
+  test('should keep pins on top whatever the sort order', () => {
+    ui.currentSort = 'published-asc';
+    ui.renderContent();
+
+    expect(renderedIds('activity-stream')).toEqual(['intro', 'mid', 'new']);
+  });
+
+  test('should sort hand-ordered items by position before the rest', () => {
+    const items = ui.feedManager.getAllItems();
+
+    expect(ui.sortItems(items, 'manual').map((item) => item.id)).toEqual(['hero', 'intro', 'new', 'mid']);
+  });
+});
+
+describe('UIManager activity renderer', () => {
+  beforeEach(() => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ success: true, data: { feeds: [] } }),
+    });
+    document.body.innerHTML = '<div id="activity-stream"></div>';
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should use and publish the renderer it is given', () => {
+    const renderer = new ActivityRenderer({ registry: new RendererRegistry() });
+
+    const ui = new UIManager({ activityRenderer: renderer });
+
+    expect(ui.activityRenderer).toBe(renderer);
+    expect(window.activityRenderer).toBe(renderer);
+  });
+
+  test('should make its own renderer when not given one', () => {
+    const ui = new UIManager();
+
+    expect(ui.activityRenderer).toBeInstanceOf(ActivityRenderer);
+    expect(window.activityRenderer).toBe(ui.activityRenderer);
+  });
+});
@@ -0,0 +1,379 @@
+<?php
+
+namespace AnsyblSite\Tests\Unit\Core;
+
+use AnsyblSite\Tests\TestCase;
+use AnsyblSite\Core\ActivityPubPublisher;
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\HttpSignature;
+use AnsyblSite\Core\PublicUrlGuard;
+use AnsyblSite\Exceptions\ValidationException;
+
+class ActivityPubPublisherTest extends TestCase
+{
+    private const REMOTE_ACTOR = 'https://example.social/users/alice';
+    private const REMOTE_INBOX = 'https://example.social/users/alice/inbox';
+    private const SHARED_INBOX = 'https://example.social/inbox';
+    private const INBOX_TARGET = '/api/activitypub.php/news/inbox';
+    private const PRIVATE_ACTOR = 'http://metadata.internal/users/alice';
+    
+    private ActivityPubPublisher $publisher;
+    private HttpSignature $signature;
+    private array $feed;
+    private string $remotePrivateKey;
+    private string $remotePublicKey;
+    private array $requests = [];
+    
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->signature = new HttpSignature();
+        
+        $key = openssl_pkey_new(['private_key_bits' => 2048, 'private_key_type' => OPENSSL_KEYTYPE_RSA]);
+        openssl_pkey_export($key, $this->remotePrivateKey);
+        $this->remotePublicKey = openssl_pkey_get_details($key)['key'];
+        
+        $this->feed = [
+            'id' => 'news',
+            'name' => 'Site News',
+            'description' => 'Updates & announcements',
+            'created' => '2025-08-01T00:00:00+00:00',
+            'url' => 'http://localhost:8000/feeds/news.ansybl',
+            'items' => [
+                [
+                    'id' => 'news-item-1',
+                    'type' => 'Note',
+                    'content' => 'Hello fediverse',
+                    'published' => '2025-08-01T10:00:00+00:00',
+                    'tag' => [['type' => 'Hashtag', 'name' => '#news']]
+                ],
+                [
+                    'id' => 'news-item-2',
+                    'type' => 'Audio',
+                    'name' => 'Episode 1',
+                    'url' => '/uploads/feeds/news/ep1.mp3',
+                    'mediaType' => 'audio/mpeg',
+                    'published' => '2025-08-02T10:00:00+00:00'
+                ]
+            ]
+        ];
+        
+        // Stands in for the remote server: serves Alice's actor and records deliveries
+        $remote = [
+            'id' => self::REMOTE_ACTOR,
+            'type' => 'Person',
+            'inbox' => self::REMOTE_INBOX,
+            'endpoints' => ['sharedInbox' => self::SHARED_INBOX],
+            'publicKey' => [
+                'id' => self::REMOTE_ACTOR . '#main-key',
+                'owner' => self::REMOTE_ACTOR,
+                'publicKeyPem' => $this->remotePublicKey
+            ]
+        ];
+        $requests = &$this->requests;
+        
+        // Without DNS: .internal hosts are on the private network, the rest public
+        $urlGuard = new class extends PublicUrlGuard {
+            protected function lookup(string $host): array
+            {
+                return [str_ends_with($host, '.internal') ? '10.0.0.5' : '93.184.216.34'];
+            }
+        };
+        
+        $this->publisher = new class(new ConcurrentFileManager($this->tempPath), null, null, 1, $urlGuard, $remote, $requests) extends ActivityPubPublisher {
+            private array $remote;
+            private array $requests;
+            
+            public function __construct($fileManager, $exporter, $signature, $timeout, $urlGuard, array $remote, array &$requests)
+            {
+                parent::__construct($fileManager, $exporter, $signature, $timeout, $urlGuard);
+                $this->remote = $remote;
+                $this->requests = &$requests;
+            }
+            
+            protected function request(string $method, string $url, array $headers, ?string $body = null, ?string $address = null): array
+            {
+                $this->requests[] = ['method' => $method, 'url' => $url, 'headers' => $headers, 'body' => $body, 'address' => $address];
+                
+                if ($method === 'GET' && $url === $this->remote['id']) {
+                    return ['status' => 200, 'body' => json_encode($this->remote)];
+                }
+                
+                return ['status' => $method === 'POST' ? 202 : 404, 'body' => ''];
+            }
+        };
+    }
+    
+    protected function tearDown(): void
+    {
+        $this->publisher->deleteActor('news');
+        parent::tearDown();
+    }
+    
+    public function testWebfingerPointsToActor(): void
+    {
+        $webfinger = $this->publisher->getWebfinger($this->feed);
+        
+        $this->assertEquals('acct:news@localhost:8000', $webfinger['subject']);
+        $this->assertEquals('self', $webfinger['links'][0]['rel']);
+        $this->assertEquals('application/activity+json', $webfinger['links'][0]['type']);
+        $this->assertEquals('http://localhost:8000/api/activitypub.php/news', $webfinger['links'][0]['href']);
+    }
+    
+    public function testActorHasCollectionsAndPublicKey(): void
+    {
+        $actor = $this->publisher->getActor($this->feed);
+        
+        $this->assertEquals('Service', $actor['type']);
+        $this->assertEquals('news', $actor['preferredUsername']);
+        $this->assertEquals('<p>Updates &amp; announcements</p>', $actor['summary']);
+        $this->assertEquals('http://localhost:8000/api/activitypub.php/news/inbox', $actor['inbox']);
+        $this->assertEquals('http://localhost:8000/api/activitypub.php/news/outbox', $actor['outbox']);
+        $this->assertEquals('http://localhost:8000/api/activitypub.php/news/followers', $actor['followers']);
+        $this->assertEquals($actor['id'] . '#main-key', $actor['publicKey']['id']);
+        $this->assertStringStartsWith('-----BEGIN PUBLIC KEY-----', $actor['publicKey']['publicKeyPem']);
+    }
+    
+    public function testActorTypeCanBePerson(): void
+    {
+        $this->assertEquals('Person', $this->publisher->getActor($this->feed + ['actorType' => 'Person'])['type']);
+        $this->assertEquals('Service', $this->publisher->getActor($this->feed + ['actorType' => 'Bot'])['type']);
+    }
+    
+    public function testKeysArePersistent(): void
+    {
+        $first = $this->publisher->getActor($this->feed)['publicKey']['publicKeyPem'];
+        
+        $this->assertEquals($first, $this->publisher->getActor($this->feed)['publicKey']['publicKeyPem']);
+    }
+    
+    public function testOutboxPagesCreateActivitiesNewestFirst(): void
+    {
+        $outbox = $this->publisher->getOutbox($this->feed);
+        $this->assertEquals('OrderedCollection', $outbox['type']);
+        $this->assertEquals(2, $outbox['totalItems']);
+        
+        $page = $this->publisher->getOutbox($this->feed, 1);
+        $this->assertEquals('OrderedCollectionPage', $page['type']);
+        $this->assertCount(2, $page['orderedItems']);
+        $this->assertArrayNotHasKey('next', $page);
+        $this->assertEquals('Create', $page['orderedItems'][0]['type']);
+        $this->assertEquals('http://localhost:8000/api/activitypub.php/news/items/news-item-2', $page['orderedItems'][0]['object']['id']);
+    }
+    
+    public function testObjectsRenderContentAndMedia(): void
+    {
+        $note = $this->publisher->getObject($this->feed, $this->feed['items'][0]);
+        $this->assertEquals('Note', $note['type']);
+        $this->assertEquals('<p>Hello fediverse</p>', $note['content']);
+        $this->assertEquals([ActivityPubPublisher::PUBLIC_AUDIENCE], $note['to']);
+        $this->assertEquals('#news', $note['tag'][0]['name']);
+        $this->assertEquals('http://localhost:8000/#item/local-news/news-item-1', $note['url']);
+        
+        $audio = $this->publisher->getObject($this->feed, $this->feed['items'][1]);
+        $this->assertEquals('Episode 1', $audio['name']);
+        $this->assertEquals('http://localhost:8000/uploads/feeds/news/ep1.mp3', $audio['attachment'][0]['url']);
+        $this->assertEquals('audio/mpeg', $audio['attachment'][0]['mediaType']);
+    }
+    
+    public function testObjectsCarryEventAndPollFields(): void
+    {
+        $event = $this->publisher->getObject($this->feed, [
+            'id' => 'news-item-3',
+            'type' => 'Event',
+            'name' => 'Launch party',
+            'startTime' => '2025-09-01T18:00',
+            'location' => ['type' => 'Place', 'name' => 'The Hall'],
+            'published' => '2025-08-03T10:00:00+00:00'
+        ]);
+        $this->assertEquals('Event', $event['type']);
+        $this->assertStringStartsWith('2025-09-01T18:00:00', $event['startTime']);
+        $this->assertEquals('The Hall', $event['location']['name']);
+        $this->assertArrayNotHasKey('endTime', $event);
+        
+        $choices = [['type' => 'Note', 'name' => 'Yes', 'replies' => ['type' => 'Collection', 'totalItems' => 0]]];
+        $poll = $this->publisher->getObject($this->feed, [
+            'id' => 'news-item-4',
+            'type' => 'Question',
+            'name' => 'Coming?',
+            'oneOf' => $choices,
+            'published' => '2025-08-03T10:00:00+00:00'
+        ]);
+        $this->assertEquals($choices, $poll['oneOf']);
+    }
+    
+    public function testFollowAddsFollowerAndSendsAccept(): void
+    {
+        $this->assertEquals('followed', $this->postToInbox($this->follow()));
+        
+        $this->assertEquals([self::REMOTE_ACTOR], array_column($this->publisher->getFollowers('news'), 'id'));
+        
+        $delivery = end($this->requests);
+        $this->assertEquals('POST', $delivery['method']);
+        $this->assertEquals(self::REMOTE_INBOX, $delivery['url']);
+        $this->assertEquals('Accept', json_decode($delivery['body'], true)['type']);
+        $this->assertArrayHasKey('Signature', $delivery['headers']);
+        
+        // The actor fetch and the delivery connect to the addresses that were checked
+        $this->assertEquals(['93.184.216.34'], array_unique(array_column($this->requests, 'address')));
+    }
+    
+    public function testUndoFollowRemovesFollower(): void
+    {
+        $follow = $this->follow();
+        $this->postToInbox($follow);
+        
+        $result = $this->postToInbox([
+            'id' => self::REMOTE_ACTOR . '#undo-1',
+            'type' => 'Undo',
+            'actor' => self::REMOTE_ACTOR,
+            'object' => $follow
+        ]);
+        
+        $this->assertEquals('unfollowed', $result);
+        $this->assertEmpty($this->publisher->getFollowers('news'));
+    }
+    
+    public function testRejectsUnsignedActivity(): void
+    {
+        $this->expectException(ValidationException::class);
+        $this->expectExceptionCode(401);
+        
+        $body = json_encode($this->follow());
+        $this->publisher->handleInbox($this->feed, $body, ['Date' => gmdate('D, d M Y H:i:s \G\M\T')], self::INBOX_TARGET);
+    }
+    
+    public function testRejectsSignatureFromAnotherKey(): void
+    {
+        $this->expectException(ValidationException::class);
+        
+        $key = openssl_pkey_new(['private_key_bits' => 2048, 'private_key_type' => OPENSSL_KEYTYPE_RSA]);
+        openssl_pkey_export($key, $otherKey);
+        $this->postToInbox($this->follow(), $otherKey);
+    }
+    
+    public function testRejectsKeyFromAnotherHostWithoutFetching(): void
+    {
+        try {
+            $this->postToInbox($this->follow(), null, 'https://elsewhere.example/users/mallory#main-key');
+            $this->fail('Expected the signature to be rejected');
+        } catch (ValidationException $e) {
+            $this->assertEquals(401, $e->getCode());
+        }
+        
+        $this->assertEmpty($this->requests);
+    }
+    
+    public function testRejectsActorOnPrivateAddressWithoutFetching(): void
+    {
+        $follow = array_merge($this->follow(), ['actor' => self::PRIVATE_ACTOR]);
+        
+        try {
+            $this->postToInbox($follow, null, self::PRIVATE_ACTOR . '#main-key');
+            $this->fail('Expected the actor to be rejected');
+        } catch (ValidationException $e) {
+            $this->assertStringContainsString('not a public address', $e->getMessage());
+        }
+        
+        $this->assertEmpty($this->requests);
+    }
+    
+    public function testDoesNotDeliverToPrivateInboxes(): void
+    {
+        $activity = $this->publisher->createActivity($this->feed, $this->feed['items'][0]);
+        $results = $this->publisher->deliver($this->feed, $activity, ['http://metadata.internal/inbox']);
+        
+        $this->assertEquals(['http://metadata.internal/inbox' => 0], $results);
+        $this->assertEmpty($this->requests);
+    }
+    
+    public function testIgnoresOtherActivities(): void
+    {
+        $this->assertEquals('ignored', $this->postToInbox([
+            'id' => self::REMOTE_ACTOR . '#like-1',
+            'type' => 'Like',
+            'actor' => self::REMOTE_ACTOR,
+            'object' => 'http://localhost:8000/api/activitypub.php/news/items/news-item-1'
+        ]));
+    }
+    
+    public function testPublishItemDeliversCreateToSharedInbox(): void
+    {
+        $this->postToInbox($this->follow());
+        $this->requests = [];
+        
+        $results = $this->publisher->publishItem($this->feed, $this->feed['items'][0]);
+        
+        $this->assertEquals([self::SHARED_INBOX => 202], $results);
+        $activity = json_decode($this->requests[0]['body'], true);
+        $this->assertEquals('Create', $activity['type']);
+        $this->assertEquals('http://localhost:8000/api/activitypub.php/news', $activity['actor']);
+        
+        // The delivery verifies against the feed actor's published key
+        $publicKey = $this->publisher->getActor($this->feed)['publicKey']['publicKeyPem'];
+        $this->assertTrue($this->signature->verify('POST', '/inbox', $this->requests[0]['headers'], $publicKey, $this->requests[0]['body']));
+    }
+    
+    public function testPublishItemWithoutFollowersSendsNothing(): void
+    {
+        $this->assertEquals([], $this->publisher->publishItem($this->feed, $this->feed['items'][0]));
+        $this->assertEmpty($this->requests);
+    }
+    
+    public function testPublishUpdateDeliversEditedObject(): void
+    {
+        $this->postToInbox($this->follow());
+        $this->requests = [];
+        
+        $item = array_merge($this->feed['items'][0], ['content' => 'Hello again', 'updated' => '2024-02-01T12:00:00+00:00']);
+        $results = $this->publisher->publishUpdate($this->feed, $item);
+        
+        $this->assertEquals([self::SHARED_INBOX => 202], $results);
+        $activity = json_decode($this->requests[0]['body'], true);
+        $this->assertEquals('Update', $activity['type']);
+        $this->assertEquals('<p>Hello again</p>', $activity['object']['content']);
+        $this->assertEquals('2024-02-01T12:00:00+00:00', $activity['object']['updated']);
+        $this->assertStringStartsWith($activity['object']['id'] . '/activity/update-', $activity['id']);
+    }
+    
+    public function testPublishDeleteSendsTombstone(): void
+    {
+        $this->postToInbox($this->follow());
+        $this->requests = [];
+        
+        $this->publisher->publishDelete($this->feed, $this->feed['items'][0]);
+        
+        $activity = json_decode($this->requests[0]['body'], true);
+        $this->assertEquals('Delete', $activity['type']);
+        $this->assertEquals('Tombstone', $activity['object']['type']);
+        $this->assertEquals('Note', $activity['object']['formerType']);
+        $this->assertEquals($this->publisher->getObject($this->feed, $this->feed['items'][0])['id'], $activity['object']['id']);
+    }
+    
+    private function follow(): array
+    {
+        return [
+            'id' => self::REMOTE_ACTOR . '#follow-1',
+            'type' => 'Follow',
+            'actor' => self::REMOTE_ACTOR,
+            'object' => 'http://localhost:8000/api/activitypub.php/news'
+        ];
+    }
+    
+    /**
+     * Deliver an activity to the feed's inbox, signed as Alice
+     */
+    private function postToInbox(array $activity, ?string $privateKey = null, ?string $keyId = null): string
+    {
+        $body = json_encode($activity);
+        $headers = $this->signature->sign(
+            'POST',
+            'http://localhost:8000' . self::INBOX_TARGET,
+            $keyId ?? self::REMOTE_ACTOR . '#main-key',
+            $privateKey ?? $this->remotePrivateKey,
+            $body
+        );
+        
+        return $this->publisher->handleInbox($this->feed, $body, $headers, self::INBOX_TARGET);
+    }
+}
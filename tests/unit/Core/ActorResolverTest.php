@@ -0,0 +1,125 @@
+<?php
+
+namespace AnsyblSite\Tests\Unit\Core;
+
+use AnsyblSite\Tests\TestCase;
+use AnsyblSite\Core\ActorResolver;
+use AnsyblSite\Core\FeedParser;
+use AnsyblSite\Exceptions\ValidationException;
+
+/**
+ * Resolves against a stub fediverse server (tests/fixtures/activitypub/server.php)
+ * started on a local port with PHP's built-in web server
+ */
+class ActorResolverTest extends TestCase
+{
+    private static $server;
+    private static string $host;
+    private ActorResolver $resolver;
+    
+    public static function setUpBeforeClass(): void
+    {
+        $port = (int) (getenv('ACTIVITYPUB_STUB_PORT') ?: 8791);
+        self::$host = "127.0.0.1:{$port}";
+        
+        self::$server = proc_open(
+            [PHP_BINARY, '-S', self::$host, TEST_DATA_PATH . '/activitypub/server.php'],
+            [1 => ['file', '/dev/null', 'w'], 2 => ['file', '/dev/null', 'w']],
+            $pipes
+        );
+        
+        // Wait for the server to accept connections
+        for ($attempt = 0; $attempt < 50; $attempt++) {
+            $socket = @fsockopen('127.0.0.1', $port);
+            if ($socket) {
+                fclose($socket);
+                return;
+            }
+            usleep(100000);
+        }
+        
+        self::markTestSkipped('Could not start the stub ActivityPub server');
+    }
+    
+    public static function tearDownAfterClass(): void
+    {
+        if (is_resource(self::$server)) {
+            proc_terminate(self::$server);
+            proc_close(self::$server);
+        }
+    }
+    
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->resolver = new ActorResolver('http', 5);
+    }
+    
+    public function testRecognisesHandles(): void
+    {
+        $this->assertTrue(ActorResolver::isHandle('@alice@example.social'));
+        $this->assertTrue(ActorResolver::isHandle('alice@example.social'));
+        $this->assertFalse(ActorResolver::isHandle('https://example.social/@alice'));
+        $this->assertFalse(ActorResolver::isHandle('alice'));
+    }
+    
+    public function testResolvesHandleThroughWebfinger(): void
+    {
+        $result = $this->resolver->resolve('@alice@' . self::$host);
+        
+        $this->assertEquals('http://' . self::$host . '/users/alice/outbox', $result['outbox']);
+        $this->assertEquals('@alice@' . self::$host, $result['handle']);
+    }
+    
+    public function testResolvesActorUrl(): void
+    {
+        $result = $this->resolver->resolve('http://' . self::$host . '/users/alice');
+        
+        $this->assertEquals('http://' . self::$host . '/users/alice/outbox', $result['outbox']);
+    }
+    
+    public function testKeepsProfileFields(): void
+    {
+        $actor = $this->resolver->resolve('@alice@' . self::$host)['actor'];
+        
+        $this->assertEquals('Person', $actor['type']);
+        $this->assertEquals('Alice', $actor['name']);
+        $this->assertEquals('alice', $actor['preferredUsername']);
+        $this->assertEquals('<p>Writes about gardens</p>', $actor['summary']);
+        $this->assertEquals('http://' . self::$host . '/@alice', $actor['url']);
+        $this->assertEquals('http://' . self::$host . '/avatar.png', $actor['icon']);
+        $this->assertEquals('http://' . self::$host . '/header.jpg', $actor['image']);
+    }
+    
+    public function testReturnsNullForOrdinaryFeeds(): void
+    {
+        $this->assertNull($this->resolver->resolve('http://' . self::$host . '/feed.json'));
+    }
+    
+    public function testThrowsForUnknownHandle(): void
+    {
+        $this->expectException(ValidationException::class);
+        
+        $this->resolver->resolve('@bob@' . self::$host);
+    }
+    
+    public function testThrowsForActorWithoutOutbox(): void
+    {
+        $this->expectException(ValidationException::class);
+        
+        $this->resolver->resolve('http://' . self::$host . '/users/quiet');
+    }
+    
+    public function testOutboxAndPagesPassFeedValidation(): void
+    {
+        $parser = new FeedParser();
+        $outbox = $this->resolver->resolve('@alice@' . self::$host)['outbox'];
+        
+        $collection = $parser->parse(file_get_contents($outbox));
+        $this->assertEquals('OrderedCollection', $collection['type']);
+        
+        $page = $parser->parsePage(file_get_contents($collection['first']));
+        $this->assertCount(1, $parser->extractItems($page));
+        $this->assertEquals('Create', $parser->extractItems($page)[0]['type']);
+    }
+}
@@ -0,0 +1,239 @@
+<?php
+
+namespace AnsyblSite\Tests\Unit\Core;
+
+use AnsyblSite\Tests\TestCase;
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\FeedArchive;
+use AnsyblSite\Core\LocalFeedManager;
+use AnsyblSite\Exceptions\ValidationException;
+
+class FeedArchiveTest extends TestCase
+{
+    // Just enough of each format for its type to be recognised
+    private const JPEG = "\xFF\xD8\xFF\xE0\x00\x10JFIF\x00\x01jpeg bytes";
+    private const MP3 = "ID3\x03\x00\x00\x00\x00\x00\x00mp3 bytes";
+    
+    private string $uploadsDir;
+    private string $zipPath;
+    
+    protected function setUp(): void
+    {
+        parent::setUp();
+        
+        if (!class_exists(\ZipArchive::class)) {
+            $this->markTestSkipped('The zip extension is not available');
+        }
+        
+        $this->uploadsDir = $this->tempPath . '/uploads';
+        $this->zipPath = $this->tempPath . '/blog.zip';
+        
+        mkdir($this->uploadsDir . '/blog/audio', 0755, true);
+        file_put_contents($this->uploadsDir . '/blog/cover.jpg', self::JPEG);
+        file_put_contents($this->uploadsDir . '/blog/audio/ep1.mp3', self::MP3);
+    }
+    
+    protected function tearDown(): void
+    {
+        $this->removeDirectory($this->uploadsDir);
+        parent::tearDown();
+    }
+    
+    private function removeDirectory(string $dir): void
+    {
+        if (!is_dir($dir)) {
+            return;
+        }
+        
+        foreach (array_diff(scandir($dir), ['.', '..']) as $file) {
+            is_dir("{$dir}/{$file}") ? $this->removeDirectory("{$dir}/{$file}") : unlink("{$dir}/{$file}");
+        }
+        rmdir($dir);
+    }
+    
+    private function feed(): array
+    {
+        return [
+            'id' => 'blog',
+            'name' => 'Blog',
+            'description' => 'Posts',
+            'language' => 'en',
+            'url' => 'https://old.example/feeds/blog.ansybl',
+            'items' => [
+                [
+                    'id' => 'blog-item-1',
+                    'type' => 'Article',
+                    'name' => 'Hello',
+                    'content' => '![Cover](https://old.example/uploads/feeds/blog/cover.jpg) and /uploads/feeds/blog/gone.png',
+                    'attachment' => [['type' => 'Audio', 'url' => '/uploads/feeds/blog/audio/ep1.mp3']]
+                ]
+            ],
+            'trash' => [['id' => 'blog-item-0', 'type' => 'Note']],
+            'tombstones' => [['id' => 'blog-item-0', 'formerType' => 'Note', 'deleted' => '2024-01-01T00:00:00+00:00']]
+        ];
+    }
+    
+    private function exportArchive(): void
+    {
+        $source = $this->createMock(LocalFeedManager::class);
+        $source->method('getFeed')->willReturn($this->feed());
+        
+        (new FeedArchive($source, $this->uploadsDir))->export('blog', $this->zipPath);
+    }
+    
+    public function testExportWritesManifestFeedAndMedia(): void
+    {
+        $this->exportArchive();
+        
+        $zip = new \ZipArchive();
+        $this->assertTrue($zip->open($this->zipPath));
+        
+        $manifest = json_decode($zip->getFromName('manifest.json'), true);
+        $this->assertEquals(FeedArchive::FORMAT, $manifest['format']);
+        $this->assertEquals('blog', $manifest['feedId']);
+        $this->assertEquals(['audio/ep1.mp3', 'cover.jpg'], array_column($manifest['media'], 'path'));
+        $this->assertEquals(hash('sha256', self::JPEG), $manifest['media'][1]['sha256']);
+        
+        $feed = json_decode($zip->getFromName('feed.json'), true);
+        $this->assertCount(1, $feed['items']);
+        $this->assertArrayNotHasKey('trash', $feed);
+        $this->assertArrayNotHasKey('tombstones', $feed);
+        
+        $this->assertEquals(self::MP3, $zip->getFromName('media/audio/ep1.mp3'));
+        $zip->close();
+    }
+    
+    public function testDryRunReportsConflictsWithoutWriting(): void
+    {
+        $this->exportArchive();
+        
+        $target = $this->createMock(LocalFeedManager::class);
+        $target->method('listFeeds')->willReturn([['id' => 'blog', 'name' => 'Blog']]);
+        $target->method('generateFeedId')->willReturn('blog-1');
+        $target->expects($this->never())->method('createFeed');
+        $target->expects($this->never())->method('importItems');
+        
+        $report = (new FeedArchive($target, $this->uploadsDir))->import($this->zipPath, ['dryRun' => true]);
+        
+        $this->assertTrue($report['dryRun']);
+        $this->assertEquals('blog-1', $report['feedId']);
+        $this->assertEquals(['blog-item-1' => null], $report['items']);
+        $this->assertEquals('/uploads/feeds/blog-1/cover.jpg', $report['media']['cover.jpg']);
+        $this->assertCount(2, $report['conflicts']);
+        $this->assertStringContainsString('/uploads/feeds/blog/gone.png', $report['warnings'][0]);
+        $this->assertDirectoryDoesNotExist($this->uploadsDir . '/blog-1');
+    }
+    
+    public function testImportCopiesMediaAndRewritesItemLinks(): void
+    {
+        $this->exportArchive();
+        
+        // A file already in the new feed's folder keeps its name
+        mkdir($this->uploadsDir . '/journal', 0755, true);
+        file_put_contents($this->uploadsDir . '/journal/cover.jpg', 'other');
+        
+        $imported = null;
+        $target = $this->createMock(LocalFeedManager::class);
+        $target->method('listFeeds')->willReturn([]);
+        $target->expects($this->once())->method('createFeed')
+            ->with($this->callback(fn($feed) => $feed['name'] === 'Journal' && $feed['description'] === 'Posts' && !isset($feed['id'])))
+            ->willReturn('journal');
+        $target->method('importItems')->willReturnCallback(function($feedId, $items) use (&$imported) {
+            $imported = $items;
+            return ['blog-item-1' => 'journal-item-1'];
+        });
+        
+        $report = (new FeedArchive($target, $this->uploadsDir))->import($this->zipPath, ['name' => 'Journal']);
+        
+        $this->assertEquals(['blog-item-1' => 'journal-item-1'], $report['items']);
+        $this->assertEquals('other', file_get_contents($this->uploadsDir . '/journal/cover.jpg'));
+        $this->assertEquals(self::JPEG, file_get_contents($this->uploadsDir . '/journal/cover-1.jpg'));
+        $this->assertEquals(self::MP3, file_get_contents($this->uploadsDir . '/journal/audio/ep1.mp3'));
+        
+        $this->assertStringContainsString('![Cover](/uploads/feeds/journal/cover-1.jpg)', $imported[0]['content']);
+        $this->assertEquals('/uploads/feeds/journal/audio/ep1.mp3', $imported[0]['attachment'][0]['url']);
+    }
+    
+    public function testRejectsArchivesWithUnsafePaths(): void
+    {
+        $this->exportArchive();
+        
+        $zip = new \ZipArchive();
+        $zip->open($this->zipPath);
+        $zip->addFromString('media/../../escape.php', '<?php');
+        $zip->close();
+        
+        $target = $this->createMock(LocalFeedManager::class);
+        $target->expects($this->never())->method('createFeed');
+        
+        $this->expectException(ValidationException::class);
+        (new FeedArchive($target, $this->uploadsDir))->import($this->zipPath, ['dryRun' => true]);
+    }
+    
+    public function testSkipsFilesThatCouldNotHaveBeenUploaded(): void
+    {
+        $this->exportArchive();
+        
+        $zip = new \ZipArchive();
+        $zip->open($this->zipPath);
+        $zip->addFromString('media/shell.php', '<?php system($_GET["c"]);');
+        $zip->addFromString('media/photo.php', self::JPEG);
+        $zip->addFromString('media/page.html', '<html><script>alert(1)</script></html>');
+        $zip->close();
+        
+        $target = $this->createMock(LocalFeedManager::class);
+        $target->method('listFeeds')->willReturn([]);
+        $target->method('generateFeedId')->willReturn('journal');
+        
+        $report = (new FeedArchive($target, $this->uploadsDir))->import($this->zipPath, ['dryRun' => true]);
+        
+        $this->assertEquals(['audio/ep1.mp3', 'cover.jpg'], array_keys($report['media']));
+        foreach (['media/shell.php', 'media/photo.php', 'media/page.html'] as $name) {
+            $this->assertNotEmpty(array_filter($report['warnings'], fn($warning) => str_starts_with($warning, $name)), "{$name} is reported");
+        }
+    }
+    
+    public function testSkipsItemsThatCouldNotHaveBeenAdded(): void
+    {
+        $this->exportArchive();
+        
+        $feed = $this->feed();
+        $feed['items'][] = ['id' => 'blog-item-2', 'type' => '<img src=x onerror=alert(1)>'];
+        $feed['items'][] = ['id' => 'blog-item-3', 'type' => ['Note']];
+        $feed['items'][] = ['id' => 'blog-item-4', 'type' => 'Note', 'status' => 'hidden'];
+        $feed['items'][] = 'not an item';
+        
+        $zip = new \ZipArchive();
+        $zip->open($this->zipPath);
+        $zip->addFromString('feed.json', json_encode($feed));
+        $zip->close();
+        
+        // Items are checked by the real feed manager
+        $target = $this->getMockBuilder(LocalFeedManager::class)
+            ->setConstructorArgs([new ConcurrentFileManager($this->tempPath)])
+            ->onlyMethods(['listFeeds', 'generateFeedId'])
+            ->getMock();
+        $target->method('listFeeds')->willReturn([]);
+        $target->method('generateFeedId')->willReturn('journal');
+        
+        $report = (new FeedArchive($target, $this->uploadsDir))->import($this->zipPath, ['dryRun' => true]);
+        
+        $this->assertEquals(['blog-item-1'], array_keys($report['items']));
+        foreach (['blog-item-2', 'blog-item-3', 'blog-item-4'] as $itemId) {
+            $this->assertNotEmpty(array_filter($report['warnings'], fn($warning) => str_starts_with($warning, "Skipped item {$itemId}:")), "{$itemId} is reported");
+        }
+        $this->assertContains('Skipped an item that is not an object', $report['warnings']);
+    }
+    
+    public function testRejectsArchivesWithTooMuchMedia(): void
+    {
+        $this->exportArchive();
+        
+        $target = $this->createMock(LocalFeedManager::class);
+        $target->method('listFeeds')->willReturn([]);
+        $target->method('generateFeedId')->willReturn('journal');
+        
+        $this->expectException(ValidationException::class);
+        (new FeedArchive($target, $this->uploadsDir, strlen(self::JPEG)))->import($this->zipPath, ['dryRun' => true]);
+    }
+}
@@ -4,6 +4,7 @@ namespace AnsyblSite\Tests\Unit\Core;
 
 use AnsyblSite\Tests\TestCase;
 use AnsyblSite\Core\FeedCache;
+use AnsyblSite\Core\FeedEventLog;
 use AnsyblSite\Core\ConcurrentFileManager;
 
 class FeedCacheTest extends TestCase
@@ -125,6 +126,38 @@ class FeedCacheTest extends TestCase
         $this->assertEquals($customTTL, $cached['ttl']);
     }
     
+    public function testUpdateKeepsFreshEntriesExpiryAndRestartsExpiredOnes(): void
+    {
+        $increment = fn(?array $data) => ['count' => ($data['count'] ?? 0) + 1];
+        
+        $this->assertTrue($this->cache->update('counter', $increment, 600));
+        $expiresAt = $this->cache->get('counter')['expires_at'];
+        $this->cache->update('counter', $increment, 60);
+        
+        $this->assertEquals(['count' => 2], $this->cache->getFresh('counter'));
+        $this->assertEquals($expiresAt, $this->cache->get('counter')['expires_at']);
+        
+        $this->cache->store('expired', ['count' => 5], -10);
+        $this->cache->update('expired', $increment, 60);
+        
+        $this->assertEquals(['count' => 1], $this->cache->getFresh('expired'));
+        $this->assertEquals(60, $this->cache->get('expired')['ttl']);
+    }
+    
+    public function testUpdateWritesNothingWhenTheUpdaterThrows(): void
+    {
+        $this->cache->store('counter', ['count' => 3]);
+        
+        try {
+            $this->cache->update('counter', function() {
+                throw new \RuntimeException('Over the limit');
+            });
+            $this->fail('The updater\'s exception should reach the caller');
+        } catch (\RuntimeException $e) {
+            $this->assertEquals(['count' => 3], $this->cache->getFresh('counter'));
+        }
+    }
+    
     public function testGetFreshOnlyReturnsNonExpiredFeeds(): void
     {
         $feedId = 'fresh-feed';
@@ -191,4 +224,35 @@ class FeedCacheTest extends TestCase
         $this->assertTrue($this->cache->has('fresh-feed'));
         $this->assertFalse($this->cache->has('expired-feed')); // Should be removed
     }
+    
+    public function testRecordsEventOnlyWhenCachedFeedChanges(): void
+    {
+        $eventLog = new FeedEventLog($this->fileManager);
+        $cache = new FeedCache($this->fileManager, 'cache', 3600, $eventLog);
+        
+        $cache->store('news', ['type' => 'Collection', 'name' => 'News']);
+        $cache->store('news', ['type' => 'Collection', 'name' => 'News']);
+        $cache->store('news', ['type' => 'Collection', 'name' => 'Breaking News']);
+        
+        $events = $eventLog->since(0);
+        
+        $this->assertCount(2, $events);
+        $this->assertEquals(FeedEventLog::CACHE_REFRESHED, $events[0]['type']);
+        $this->assertEquals('external', $events[0]['source']);
+    }
+    
+    public function testInvalidateDropsFeedAndAnnouncesIt(): void
+    {
+        $eventLog = new FeedEventLog($this->fileManager);
+        $cache = new FeedCache($this->fileManager, 'cache', 3600, $eventLog);
+        
+        $cache->store('news', ['type' => 'Collection', 'name' => 'News']);
+        $this->assertTrue($cache->invalidate('news'));
+        
+        $this->assertFalse($cache->has('news'));
+        $events = $eventLog->since(0);
+        $this->assertCount(2, $events);
+        $this->assertEquals(FeedEventLog::CACHE_REFRESHED, $events[1]['type']);
+        $this->assertTrue($events[1]['push']);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,61 @@
+<?php
+
+namespace AnsyblSite\Tests\Unit\Core;
+
+use AnsyblSite\Tests\TestCase;
+use AnsyblSite\Core\FeedEventLog;
+use AnsyblSite\Core\ConcurrentFileManager;
+
+class FeedEventLogTest extends TestCase
+{
+    private FeedEventLog $eventLog;
+    private ConcurrentFileManager $fileManager;
+    
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->fileManager = new ConcurrentFileManager($this->tempPath);
+        $this->eventLog = new FeedEventLog($this->fileManager, 'feed-events.json', 3);
+    }
+    
+    public function testRecordsEventsWithIncreasingIds(): void
+    {
+        $first = $this->eventLog->record(FeedEventLog::ITEM_CREATED, 'blog', 'local', ['itemId' => 'item_1']);
+        $second = $this->eventLog->record(FeedEventLog::CACHE_REFRESHED, 'news', 'external');
+        
+        $this->assertEquals(1, $first);
+        $this->assertEquals(2, $second);
+        $this->assertEquals(2, $this->eventLog->getLastId());
+    }
+    
+    public function testReturnsEventsSinceLastId(): void
+    {
+        $this->eventLog->record(FeedEventLog::ITEM_CREATED, 'blog');
+        $this->eventLog->record(FeedEventLog::ITEM_UPDATED, 'blog', 'local', ['itemId' => 'item_1']);
+        
+        $events = $this->eventLog->since(1);
+        
+        $this->assertCount(1, $events);
+        $this->assertEquals(FeedEventLog::ITEM_UPDATED, $events[0]['type']);
+        $this->assertEquals('blog', $events[0]['feedId']);
+        $this->assertEquals('item_1', $events[0]['itemId']);
+    }
+    
+    public function testTrimsOldEventsAndReportsGaps(): void
+    {
+        for ($i = 0; $i < 5; $i++) {
+            $this->eventLog->record(FeedEventLog::ITEM_CREATED, 'blog');
+        }
+        
+        $this->assertCount(3, $this->eventLog->since(0));
+        $this->assertTrue($this->eventLog->hasGap(0));
+        $this->assertFalse($this->eventLog->hasGap(2));
+        $this->assertFalse($this->eventLog->hasGap(5));
+    }
+    
+    public function testReturnsEmptyLogWhenNothingRecorded(): void
+    {
+        $this->assertEquals(0, $this->eventLog->getLastId());
+        $this->assertEquals([], $this->eventLog->since(0));
+    }
+}
@@ -0,0 +1,173 @@
+<?php
+
+namespace AnsyblSite\Tests\Unit\Core;
+
+use AnsyblSite\Tests\TestCase;
+use AnsyblSite\Core\FeedExporter;
+
+class FeedExporterTest extends TestCase
+{
+    private FeedExporter $exporter;
+    private array $feed;
+    
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->exporter = new FeedExporter($this->tempPath);
+        
+        $this->feed = [
+            'id' => 'podcast',
+            'name' => 'The Show',
+            'description' => 'A show about feeds',
+            'author' => ['type' => 'Person', 'name' => 'Davin'],
+            'language' => 'en',
+            'updated' => '2025-08-18T00:40:48+00:00',
+            'url' => 'http://localhost:8000/feeds/podcast.ansybl',
+            'items' => [
+                [
+                    'id' => 'podcast-item-1',
+                    'type' => 'Article',
+                    'name' => 'Show notes',
+                    'content' => "Hello <world>\n\nSecond paragraph",
+                    'published' => '2025-08-01T10:00:00+00:00',
+                    'tag' => [['type' => 'Hashtag', 'name' => '#feeds']]
+                ],
+                [
+                    'id' => 'podcast-item-2',
+                    'type' => 'Audio',
+                    'name' => 'Episode 1',
+                    'summary' => 'The first episode',
+                    'url' => '/uploads/feeds/podcast/ep1.mp3',
+                    'mediaType' => 'audio/mpeg',
+                    'duration' => 'PT1H2M3S',
+                    'published' => '2025-08-02T10:00:00+00:00'
+                ]
+            ]
+        ];
+    }
+    
+    public function testRssHasChannelAndItemsNewestFirst(): void
+    {
+        $rss = simplexml_load_string($this->exporter->toRss($this->feed));
+        
+        $this->assertEquals('2.0', (string) $rss['version']);
+        $this->assertEquals('The Show', (string) $rss->channel->title);
+        $this->assertCount(2, $rss->channel->item);
+        $this->assertEquals('Episode 1', (string) $rss->channel->item[0]->title);
+        $this->assertEquals(
+            'http://localhost:8000/#item/local-podcast/podcast-item-2',
+            (string) $rss->channel->item[0]->link
+        );
+        $this->assertEquals('feeds', (string) $rss->channel->item[1]->category);
+    }
+    
+    public function testRssAudioItemsGetEnclosureAndItunesTags(): void
+    {
+        file_put_contents($this->tempPath . '/ep1.mp3', str_repeat('x', 1234));
+        $this->feed['items'][1]['url'] = '/ep1.mp3';
+        
+        $rss = simplexml_load_string($this->exporter->toRss($this->feed));
+        $episode = $rss->channel->item[0];
+        $itunes = $episode->children('http://www.itunes.com/dtds/podcast-1.0.dtd');
+        
+        $this->assertEquals('http://localhost:8000/ep1.mp3', (string) $episode->enclosure['url']);
+        $this->assertEquals('1234', (string) $episode->enclosure['length']);
+        $this->assertEquals('audio/mpeg', (string) $episode->enclosure['type']);
+        $this->assertEquals('01:02:03', (string) $itunes->duration);
+        $this->assertEquals('Davin', (string) $rss->channel->children('http://www.itunes.com/dtds/podcast-1.0.dtd')->author);
+    }
+    
+    public function testRssOmitsItunesNamespaceWithoutAudio(): void
+    {
+        unset($this->feed['items'][1]);
+        
+        $this->assertStringNotContainsString('itunes', $this->exporter->toRss($this->feed));
+    }
+    
+    public function testContentIsEscapedIntoParagraphs(): void
+    {
+        $rss = simplexml_load_string($this->exporter->toRss($this->feed));
+        $content = $rss->channel->item[1]->children('http://purl.org/rss/1.0/modules/content/')->encoded;
+        
+        $this->assertEquals("<p>Hello &lt;world&gt;</p>\n<p>Second paragraph</p>", (string) $content);
+    }
+    
+    public function testMarkdownContentIsRenderedAsHtml(): void
+    {
+        $this->feed['items'][0]['content'] = "## Show notes\n\nWith **guests** and [a link](https://example.com/a?b=1&c=2).\n\n- One\n- Two";
+        
+        $rss = simplexml_load_string($this->exporter->toRss($this->feed));
+        $content = (string) $rss->channel->item[1]->children('http://purl.org/rss/1.0/modules/content/')->encoded;
+        
+        $expected = "<h2>Show notes</h2>\n"
+            . "<p>With <strong>guests</strong> and <a href=\"https://example.com/a?b=1&amp;c=2\">a link</a>.</p>\n"
+            . "<ul>\n<li>One</li>\n<li>Two</li>\n</ul>";
+        $this->assertEquals($expected, $content);
+        
+        $atom = simplexml_load_string($this->exporter->toAtom($this->feed));
+        $this->assertEquals('html', (string) $atom->entry[1]->content['type']);
+        $this->assertEquals($expected, (string) $atom->entry[1]->content);
+    }
+    
+    public function testPlainTextContentIsNotTreatedAsMarkdown(): void
+    {
+        $this->feed['items'][0]['content'] = "**Not bold**\nsecond line";
+        $this->feed['items'][0]['mediaType'] = 'text/plain';
+        
+        $this->assertEquals('<p>**Not bold**<br>' . "\n" . 'second line</p>', $this->exporter->getContentHtml($this->feed['items'][0]));
+    }
+    
+    public function testAtomHasEntriesWithEnclosureLinks(): void
+    {
+        $atom = simplexml_load_string($this->exporter->toAtom($this->feed));
+        $atom->registerXPathNamespace('a', 'http://www.w3.org/2005/Atom');
+        
+        $this->assertEquals('http://localhost:8000/feeds/podcast.ansybl', (string) $atom->id);
+        $this->assertCount(2, $atom->entry);
+        
+        $self = $atom->xpath('/a:feed/a:link[@rel="self"]');
+        $this->assertEquals('http://localhost:8000/feeds/podcast.atom', (string) $self[0]['href']);
+        
+        $hub = $atom->xpath('/a:feed/a:link[@rel="hub"]');
+        $this->assertEquals('http://localhost:8000/api/websub.php', (string) $hub[0]['href']);
+        
+        $enclosure = $atom->xpath('/a:feed/a:entry[1]/a:link[@rel="enclosure"]');
+        $this->assertEquals('http://localhost:8000/uploads/feeds/podcast/ep1.mp3', (string) $enclosure[0]['href']);
+        $this->assertEquals('The first episode', (string) $atom->entry[0]->summary);
+    }
+    
+    public function testCollectionsUseNestedMediaAndContent(): void
+    {
+        $this->feed['items'] = [[
+            'id' => 'podcast-item-3',
+            'type' => 'Collection',
+            'name' => 'Home',
+            'published' => '2025-08-03T10:00:00+00:00',
+            'items' => [
+                ['type' => 'Article', 'content' => 'Welcome'],
+                ['type' => 'Audio', 'url' => 'https://cdn.example.com/a.mp3', 'mediaType' => 'audio/mp3', 'duration' => 'PT25M']
+            ]
+        ]];
+        
+        $rss = simplexml_load_string($this->exporter->toRss($this->feed));
+        $item = $rss->channel->item[0];
+        
+        $this->assertEquals('https://cdn.example.com/a.mp3', (string) $item->enclosure['url']);
+        $this->assertEquals('00:25:00', (string) $item->children('http://www.itunes.com/dtds/podcast-1.0.dtd')->duration);
+        $this->assertEquals('<p>Welcome</p>', (string) $item->children('http://purl.org/rss/1.0/modules/content/')->encoded);
+    }
+    
+    public function testFormatsItunesDurations(): void
+    {
+        $this->assertEquals('00:25:00', $this->exporter->formatItunesDuration('PT25M'));
+        $this->assertEquals('12:34', $this->exporter->formatItunesDuration('12:34'));
+        $this->assertNull($this->exporter->formatItunesDuration('soon'));
+        $this->assertNull($this->exporter->formatItunesDuration(null));
+    }
+    
+    public function testRejectsUnknownFormats(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->exporter->export($this->feed, 'opml');
+    }
+}
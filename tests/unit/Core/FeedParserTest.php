@@ -7,6 +7,7 @@ use AnsyblSite\Core\FeedParser;
 use AnsyblSite\Core\SchemaValidator;
 use AnsyblSite\Exceptions\InvalidJsonException;
 use AnsyblSite\Exceptions\SchemaValidationException;
+use AnsyblSite\Exceptions\ValidationException;
 
 class FeedParserTest extends TestCase
 {
@@ -247,4 +248,92 @@ class FeedParserTest extends TestCase
         
         $this->parser->parse($invalidFeed);
     }
-}
\ No newline at end of file
+    
+    public function testCanParseCollectionPage(): void
+    {
+        $pageJson = json_encode([
+            '@context' => 'https://www.w3.org/ns/activitystreams',
+            'type' => 'OrderedCollectionPage',
+            'id' => 'https://example.com/outbox?page=2',
+            'partOf' => 'https://example.com/outbox',
+            'next' => 'https://example.com/outbox?page=3',
+            'orderedItems' => [
+                ['type' => 'Note', 'id' => 'https://example.com/note2', 'content' => 'Second page']
+            ]
+        ]);
+        
+        $page = $this->parser->parsePage($pageJson);
+        
+        $this->assertEquals('OrderedCollectionPage', $page['type']);
+        $this->assertCount(1, $this->parser->extractItems($page));
+    }
+    
+    public function testThrowsExceptionForNonPageType(): void
+    {
+        $this->expectException(SchemaValidationException::class);
+        
+        $this->parser->parsePage(json_encode(['type' => 'Note']));
+    }
+    
+    public function testDetectsFeedFormats(): void
+    {
+        $this->assertEquals('rss', $this->parser->detectFormat("\xEF\xBB\xBF<?xml version=\"1.0\"?>\n<rss version=\"2.0\"><channel/></rss>"));
+        $this->assertEquals('rss', $this->parser->detectFormat('<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"/>'));
+        $this->assertEquals('atom', $this->parser->detectFormat('<feed xmlns="http://www.w3.org/2005/Atom"/>'));
+        $this->assertEquals('jsonfeed', $this->parser->detectFormat('{"version": "https://jsonfeed.org/version/1.1", "items": []}'));
+        $this->assertEquals('activitystreams', $this->parser->detectFormat('{"type": "Collection"}'));
+    }
+    
+    public function testRejectsUnknownXml(): void
+    {
+        $this->expectException(ValidationException::class);
+        
+        $this->parser->detectFormat('<html><body/></html>');
+    }
+    
+    public function testParseSourceWrapsRssForConversion(): void
+    {
+        $rss = '<rss version="2.0"><channel><title>The Show</title>'
+            . '<item><title>Episode 1</title><pubDate>Sat, 02 Aug 2025 10:00:00 GMT</pubDate></item>'
+            . '</channel></rss>';
+        
+        $result = $this->parser->parseSource($rss);
+        
+        $this->assertEquals('rss', $result['format']);
+        $this->assertEquals('The Show', $result['name']);
+        $this->assertEquals($rss, $result['document']);
+        $this->assertEquals('The Show', $this->parser->extractMetadata($result)['name']);
+        
+        $items = $this->parser->extractItems($result);
+        $this->assertCount(1, $items);
+        $this->assertEquals('Episode 1', $items[0]['name']);
+    }
+    
+    public function testParseSourceWrapsAtomForConversion(): void
+    {
+        $atom = '<feed xmlns="http://www.w3.org/2005/Atom"><title>Atom Blog</title>'
+            . '<entry><title>Hello</title><updated>2025-08-03T10:00:00Z</updated></entry>'
+            . '</feed>';
+        
+        $result = $this->parser->parseSource($atom);
+        
+        $this->assertEquals('atom', $result['format']);
+        $this->assertEquals('Atom Blog', $result['name']);
+        $this->assertCount(1, $this->parser->extractItems($result));
+    }
+    
+    public function testParseSourceReturnsJsonFeedsAsIs(): void
+    {
+        $result = $this->parser->parseSource('{"version": "https://jsonfeed.org/version/1.1", "title": "JSON Blog", "items": []}');
+        
+        $this->assertEquals('JSON Blog', $result['title']);
+        $this->assertEquals('JSON Blog', $this->parser->extractMetadata($result)['name']);
+    }
+    
+    public function testParseSourceRejectsMalformedXml(): void
+    {
+        $this->expectException(ValidationException::class);
+        
+        $this->parser->parseSource('<rss><channel>');
+    }
+}
@@ -0,0 +1,121 @@
+<?php
+
+namespace AnsyblSite\Tests\Unit\Core;
+
+use AnsyblSite\Tests\TestCase;
+use AnsyblSite\Core\HttpSignature;
+use AnsyblSite\Exceptions\ValidationException;
+
+class HttpSignatureTest extends TestCase
+{
+    private HttpSignature $signature;
+    private string $privateKey;
+    private string $publicKey;
+    
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->signature = new HttpSignature();
+        
+        $key = openssl_pkey_new(['private_key_bits' => 2048, 'private_key_type' => OPENSSL_KEYTYPE_RSA]);
+        openssl_pkey_export($key, $this->privateKey);
+        $this->publicKey = openssl_pkey_get_details($key)['key'];
+    }
+    
+    public function testSignsPostWithDigest(): void
+    {
+        $headers = $this->signature->sign('POST', 'https://example.social/users/alice/inbox', 'https://site.test/actor#main-key', $this->privateKey, '{"type":"Create"}');
+        
+        $this->assertEquals('example.social', $headers['Host']);
+        $this->assertEquals($this->signature->digest('{"type":"Create"}'), $headers['Digest']);
+        $this->assertStringContainsString('keyId="https://site.test/actor#main-key"', $headers['Signature']);
+        $this->assertStringContainsString('headers="(request-target) host date digest"', $headers['Signature']);
+    }
+    
+    public function testVerifiesOwnSignature(): void
+    {
+        $body = '{"type":"Follow"}';
+        $headers = $this->signature->sign('POST', 'http://127.0.0.1:8000/api/activitypub.php/news/inbox', 'key', $this->privateKey, $body);
+        
+        $this->assertTrue($this->signature->verify('POST', '/api/activitypub.php/news/inbox', $headers, $this->publicKey, $body));
+    }
+    
+    public function testRejectsTamperedBody(): void
+    {
+        $headers = $this->signature->sign('POST', 'https://site.test/inbox', 'key', $this->privateKey, '{"type":"Follow"}');
+        
+        $this->assertFalse($this->signature->verify('POST', '/inbox', $headers, $this->publicKey, '{"type":"Undo"}'));
+    }
+    
+    public function testRejectsOtherTarget(): void
+    {
+        $headers = $this->signature->sign('POST', 'https://site.test/inbox', 'key', $this->privateKey, '{}');
+        
+        $this->assertFalse($this->signature->verify('POST', '/other/inbox', $headers, $this->publicKey, '{}'));
+    }
+    
+    public function testRejectsStaleDate(): void
+    {
+        $headers = $this->signature->sign('GET', 'https://site.test/actor', 'key', $this->privateKey);
+        $headers['Date'] = gmdate('D, d M Y H:i:s \G\M\T', time() - HttpSignature::MAX_CLOCK_SKEW - 60);
+        
+        $this->assertFalse($this->signature->verify('GET', '/actor', $headers, $this->publicKey));
+    }
+    
+    public function testRejectsPostWithoutSignedDate(): void
+    {
+        $body = '{"type":"Follow"}';
+        $headers = $this->signWith(['(request-target)' => 'post /inbox', 'host' => 'site.test', 'digest' => $this->signature->digest($body)]);
+        
+        $this->assertFalse($this->signature->verify('POST', '/inbox', $headers, $this->publicKey, $body));
+    }
+    
+    public function testAcceptsPostWithSignedCreated(): void
+    {
+        $body = '{"type":"Follow"}';
+        $created = (string) time();
+        $headers = $this->signWith(['(request-target)' => 'post /inbox', '(created)' => $created, 'digest' => $this->signature->digest($body)], $created);
+        
+        $this->assertTrue($this->signature->verify('POST', '/inbox', $headers, $this->publicKey, $body));
+    }
+    
+    public function testRejectsMissingSignature(): void
+    {
+        $this->assertFalse($this->signature->verify('GET', '/actor', ['Date' => gmdate('D, d M Y H:i:s \G\M\T')], $this->publicKey));
+    }
+    
+    public function testParsesSignatureHeader(): void
+    {
+        $params = $this->signature->parseSignatureHeader('keyId="https://a.test/u#key",algorithm="rsa-sha256",headers="(request-target) date",signature="abc="');
+        
+        $this->assertEquals('https://a.test/u#key', $params['keyId']);
+        $this->assertEquals('(request-target) date', $params['headers']);
+        $this->assertEquals('abc=', $params['signature']);
+    }
+    
+    public function testThrowsForInvalidPrivateKey(): void
+    {
+        $this->expectException(ValidationException::class);
+        
+        $this->signature->sign('GET', 'https://site.test/actor', 'key', 'not a key');
+    }
+    
+    /**
+     * Request headers signed over exactly the given (lower-case) headers
+     */
+    private function signWith(array $signed, ?string $created = null): array
+    {
+        $lines = [];
+        foreach ($signed as $name => $value) {
+            $lines[] = "{$name}: {$value}";
+        }
+        openssl_sign(implode("\n", $lines), $signature, $this->privateKey, OPENSSL_ALGO_SHA256);
+        
+        $headers = array_diff_key($signed, ['(request-target)' => true, '(created)' => true]);
+        $headers['signature'] = 'keyId="key",algorithm="rsa-sha256",'
+            . ($created !== null ? "created={$created}," : '')
+            . 'headers="' . implode(' ', array_keys($signed)) . '",signature="' . base64_encode($signature) . '"';
+        
+        return $headers;
+    }
+}
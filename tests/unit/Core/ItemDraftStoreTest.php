@@ -0,0 +1,72 @@
+<?php
+
+namespace AnsyblSite\Tests\Unit\Core;
+
+use AnsyblSite\Tests\TestCase;
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\ItemDraftStore;
+use AnsyblSite\Exceptions\ValidationException;
+
+class ItemDraftStoreTest extends TestCase
+{
+    private ItemDraftStore $store;
+    
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->store = new ItemDraftStore(new ConcurrentFileManager($this->tempPath));
+    }
+    
+    protected function tearDown(): void
+    {
+        $this->store->deleteFeed('blog');
+        parent::tearDown();
+    }
+    
+    public function testDraftsAreKeptPerAuthorAndItem(): void
+    {
+        $this->store->save('blog', ItemDraftStore::NEW_ITEM_KEY, 'alice', ['fields' => ['name' => 'Idea']]);
+        $this->store->save('blog', 'blog-item-1', 'alice', ['fields' => ['name' => 'Edited']]);
+        $this->store->save('blog', 'blog-item-1', 'bob', ['fields' => ['name' => 'Other edit']]);
+        
+        $draft = $this->store->get('blog', 'blog-item-1', 'alice');
+        $this->assertEquals('blog-item-1', $draft['itemKey']);
+        $this->assertEquals(['fields' => ['name' => 'Edited']], $draft['state']);
+        $this->assertNotEmpty($draft['saved']);
+        
+        $this->assertCount(2, $this->store->getDrafts('blog', 'alice'));
+        $this->assertCount(1, $this->store->getDrafts('blog', 'bob'));
+        $this->assertNull($this->store->get('blog', 'blog-item-2', 'alice'));
+    }
+    
+    public function testSavingReplacesTheAuthorsDraft(): void
+    {
+        $this->store->save('blog', 'blog-item-1', 'alice', ['fields' => ['content' => 'One']]);
+        $this->store->save('blog', 'blog-item-1', 'alice', ['fields' => ['content' => 'Two']]);
+        
+        $drafts = $this->store->getDrafts('blog', 'alice');
+        $this->assertCount(1, $drafts);
+        $this->assertEquals('Two', $drafts[0]['state']['fields']['content']);
+    }
+    
+    public function testDeletesDraftsOfOneAuthorOrOfAnItem(): void
+    {
+        $this->store->save('blog', 'blog-item-1', 'alice', ['fields' => []]);
+        $this->store->save('blog', 'blog-item-1', 'bob', ['fields' => []]);
+        $this->store->save('blog', 'blog-item-2', 'bob', ['fields' => []]);
+        
+        $this->store->delete('blog', 'blog-item-1', 'alice');
+        $this->assertSame([], $this->store->getDrafts('blog', 'alice'));
+        $this->assertNotNull($this->store->get('blog', 'blog-item-1', 'bob'));
+        
+        $this->store->deleteItem('blog', 'blog-item-1');
+        $this->assertNull($this->store->get('blog', 'blog-item-1', 'bob'));
+        $this->assertNotNull($this->store->get('blog', 'blog-item-2', 'bob'));
+    }
+    
+    public function testRejectsOversizedDrafts(): void
+    {
+        $this->expectException(ValidationException::class);
+        $this->store->save('blog', 'new', 'alice', ['fields' => ['content' => str_repeat('x', ItemDraftStore::MAX_DRAFT_SIZE)]]);
+    }
+}
@@ -0,0 +1,111 @@
+<?php
+
+namespace AnsyblSite\Tests\Unit\Core;
+
+use AnsyblSite\Tests\TestCase;
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\ItemRevisionStore;
+
+class ItemRevisionStoreTest extends TestCase
+{
+    private ItemRevisionStore $store;
+    
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->store = new ItemRevisionStore(new ConcurrentFileManager($this->tempPath), 3);
+    }
+    
+    protected function tearDown(): void
+    {
+        $this->store->deleteFeed('blog');
+        parent::tearDown();
+    }
+    
+    private function item(array $fields = []): array
+    {
+        return array_merge([
+            'id' => 'blog-item-1',
+            'type' => 'Article',
+            'name' => 'First post',
+            'content' => 'Hello',
+            'published' => '2024-01-01T00:00:00+00:00',
+            'status' => 'published'
+        ], $fields);
+    }
+    
+    public function testRecordsRevisionsWithAuthorAndChangedFields(): void
+    {
+        $this->store->record('blog', $this->item(), 'alice', 'create');
+        $revision = $this->store->record('blog', $this->item(['content' => 'Hello again']), 'bob');
+        
+        $this->assertEquals(2, $revision['id']);
+        $this->assertEquals('bob', $revision['author']);
+        $this->assertEquals('update', $revision['action']);
+        $this->assertEquals(['content'], $revision['changes']);
+        $this->assertEquals('Hello again', $revision['snapshot']['content']);
+        
+        $revisions = $this->store->getRevisions('blog', 'blog-item-1');
+        $this->assertCount(2, $revisions);
+        $this->assertEquals(2, $revisions[0]['id']);
+        $this->assertEquals('create', $revisions[1]['action']);
+    }
+    
+    public function testSkipsSavesThatChangeNoTrackedField(): void
+    {
+        $this->store->record('blog', $this->item(), 'alice', 'create');
+        
+        // Publishing state isn't versioned
+        $this->assertNull($this->store->record('blog', $this->item(['status' => 'draft', 'published' => '2030-01-01T00:00:00+00:00'])));
+        $this->assertCount(1, $this->store->getRevisions('blog', 'blog-item-1'));
+    }
+    
+    public function testSnapshotsOnlyTrackedFields(): void
+    {
+        $revision = $this->store->record('blog', $this->item(['attachment' => [['url' => '/uploads/a.jpg']]]));
+        
+        $this->assertArrayNotHasKey('id', $revision['snapshot']);
+        $this->assertArrayNotHasKey('status', $revision['snapshot']);
+        $this->assertEquals([['url' => '/uploads/a.jpg']], $revision['snapshot']['attachment']);
+    }
+    
+    public function testTrimsOldestRevisionsButKeepsNumbering(): void
+    {
+        for ($i = 1; $i <= 5; $i++) {
+            $this->store->record('blog', $this->item(['content' => "Version {$i}"]));
+        }
+        
+        $revisions = $this->store->getRevisions('blog', 'blog-item-1');
+        $this->assertCount(3, $revisions);
+        $this->assertEquals([5, 4, 3], array_column($revisions, 'id'));
+        $this->assertNull($this->store->getRevision('blog', 'blog-item-1', 1));
+        $this->assertEquals('Version 4', $this->store->getRevision('blog', 'blog-item-1', 4)['snapshot']['content']);
+    }
+    
+    public function testRecordsRestoreSource(): void
+    {
+        $this->store->record('blog', $this->item(), null, 'create');
+        $this->store->record('blog', $this->item(['name' => 'Renamed']));
+        $revision = $this->store->record('blog', $this->item(), 'alice', 'restore', 1);
+        
+        $this->assertEquals('restore', $revision['action']);
+        $this->assertEquals(1, $revision['restoredFrom']);
+        $this->assertEquals(['name'], $revision['changes']);
+    }
+    
+    public function testLatestRevisionsAndItemRemoval(): void
+    {
+        $this->store->record('blog', $this->item(), null, 'create');
+        $this->store->record('blog', $this->item(['content' => 'Edited']));
+        $this->store->record('blog', $this->item(['id' => 'blog-item-2']), null, 'create');
+        
+        $latest = $this->store->getLatestRevisions('blog');
+        $this->assertEquals(2, $latest['blog-item-1']['id']);
+        $this->assertEquals(1, $latest['blog-item-2']['id']);
+        
+        $this->store->deleteItem('blog', 'blog-item-1');
+        
+        $this->assertEquals([], $this->store->getRevisions('blog', 'blog-item-1'));
+        $this->assertCount(1, $this->store->getRevisions('blog', 'blog-item-2'));
+    }
+}
@@ -0,0 +1,362 @@
+<?php
+
+namespace AnsyblSite\Tests\Unit\Core;
+
+use AnsyblSite\Tests\TestCase;
+use AnsyblSite\Core\ActivityPubPublisher;
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\LocalFeedManager;
+use AnsyblSite\Core\WebSubHub;
+use AnsyblSite\Exceptions\ValidationException;
+use PHPUnit\Framework\MockObject\MockObject;
+
+class LocalFeedManagerTest extends TestCase
+{
+    private ConcurrentFileManager $fileManager;
+    private LocalFeedManager $manager;
+    private MockObject $publisher;
+    private string $feedId;
+    private array $feedIds = [];
+    
+    protected function setUp(): void
+    {
+        parent::setUp();
+        
+        // Followers and WebSub subscribers are out of scope - nothing is delivered
+        $this->fileManager = new ConcurrentFileManager($this->tempPath);
+        $this->publisher = $this->createMock(ActivityPubPublisher::class);
+        $this->manager = new LocalFeedManager(
+            $this->fileManager,
+            null,
+            null,
+            null,
+            $this->publisher,
+            $this->createMock(WebSubHub::class)
+        );
+        
+        $this->feedId = $this->createFeed();
+    }
+    
+    protected function tearDown(): void
+    {
+        foreach ($this->feedIds as $feedId) {
+            $this->manager->deleteFeed($feedId);
+            
+            // The public feed files are written to the project's public/feeds
+            foreach (glob(dirname(__DIR__, 3) . "/public/feeds/{$feedId}.*") ?: [] as $file) {
+                unlink($file);
+            }
+        }
+        
+        parent::tearDown();
+    }
+    
+    private function createFeed(): string
+    {
+        $feedId = $this->manager->createFeed(['name' => 'Manager Test ' . uniqid(), 'description' => 'Test feed']);
+        $this->feedIds[] = $feedId;
+        
+        return $feedId;
+    }
+    
+    private function getItem(string $itemId, ?string $feedId = null): array
+    {
+        foreach ($this->manager->getFeed($feedId ?? $this->feedId)['items'] as $item) {
+            if ($item['id'] === $itemId) {
+                return $item;
+            }
+        }
+        
+        $this->fail("Item {$itemId} not found");
+    }
+    
+    public function testAddsItemsOfEveryType(): void
+    {
+        $items = [
+            ['type' => 'Page', 'name' => 'About', 'content' => 'About us', 'url' => 'https://example.com/about'],
+            ['type' => 'Document', 'name' => 'Report', 'url' => 'https://example.com/report.pdf', 'mediaType' => 'application/pdf'],
+            ['type' => 'Link', 'name' => 'Guide', 'url' => 'https://example.org/guide', 'hreflang' => 'fr'],
+            [
+                'type' => 'Event',
+                'name' => 'Open Day',
+                'startTime' => '2030-09-01T18:00:00+00:00',
+                'endTime' => '2030-09-01T20:00:00+00:00',
+                'location' => ['type' => 'Place', 'name' => 'Community Garden']
+            ],
+            ['type' => 'Place', 'name' => 'Lighthouse', 'latitude' => -33.8568, 'longitude' => 151.2153],
+            [
+                'type' => 'Question',
+                'name' => 'Favourite season?',
+                'oneOf' => [
+                    ['type' => 'Note', 'name' => 'Spring', 'replies' => ['type' => 'Collection', 'totalItems' => 0]],
+                    ['type' => 'Note', 'name' => 'Autumn', 'replies' => ['type' => 'Collection', 'totalItems' => 0]]
+                ],
+                'endTime' => '2030-10-01T00:00:00+00:00'
+            ]
+        ];
+        
+        foreach ($items as $itemData) {
+            $item = $this->getItem($this->manager->addItem($this->feedId, $itemData));
+            
+            $this->assertEquals($itemData['type'], $item['type']);
+            foreach (array_intersect(array_keys($itemData), LocalFeedManager::TYPE_FIELDS) as $field) {
+                $this->assertEquals($itemData[$field], $item[$field], "{$itemData['type']} {$field}");
+            }
+        }
+        
+        $this->assertCount(count($items), $this->manager->getPublicFeed($this->feedId)['items']);
+    }
+    
+    public function testResolvesStatusFromPublishedDate(): void
+    {
+        $published = $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Now']);
+        $scheduled = $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Later', 'published' => date('c', time() + 3600)]);
+        $draft = $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Draft', 'status' => 'draft', 'published' => date('c', time() + 3600)]);
+        
+        $this->assertEquals('published', $this->getItem($published)['status']);
+        $this->assertEquals('scheduled', $this->getItem($scheduled)['status']);
+        $this->assertEquals('draft', $this->getItem($draft)['status']);
+    }
+    
+    public function testUpdateClearsFieldsSentEmpty(): void
+    {
+        $itemId = $this->manager->addItem($this->feedId, [
+            'type' => 'Event',
+            'name' => 'Open Day',
+            'summary' => 'Come along',
+            'content' => 'Details',
+            'location' => ['type' => 'Place', 'name' => 'Community Garden']
+        ]);
+        
+        $this->assertTrue($this->manager->updateItem($this->feedId, $itemId, [
+            'type' => null,
+            'summary' => null,
+            'location' => '',
+            'tag' => [],
+            'name' => 'Open Evening'
+        ]));
+        
+        $item = $this->getItem($itemId);
+        $this->assertEquals('Event', $item['type']);
+        $this->assertEquals('Open Evening', $item['name']);
+        $this->assertEquals('Details', $item['content']);
+        $this->assertArrayNotHasKey('summary', $item);
+        $this->assertArrayNotHasKey('location', $item);
+        $this->assertArrayNotHasKey('tag', $item);
+    }
+    
+    public function testPublishesOnlyDueScheduledItems(): void
+    {
+        $due = $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Due', 'published' => date('c', time() + 3600)]);
+        $notDue = $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Not due', 'published' => date('c', time() + 86400)]);
+        $draft = $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Draft', 'status' => 'draft', 'published' => date('c', time() - 60)]);
+        $this->setPublished($due, date('c', time() - 60));
+        
+        $this->publisher->expects($this->once())
+            ->method('publishItem')
+            ->with($this->anything(), $this->callback(fn($item) => $item['id'] === $due));
+        
+        $this->assertEquals([$this->feedId => [$due]], $this->manager->publishDueItems());
+        
+        $this->assertEquals('published', $this->getItem($due)['status']);
+        $this->assertEquals('scheduled', $this->getItem($notDue)['status']);
+        $this->assertEquals('draft', $this->getItem($draft)['status']);
+        
+        // Nothing left to do on the next run
+        $this->assertEquals([], $this->manager->publishDueItems());
+    }
+    
+    public function testDraftAndScheduledItemsStayOutOfPublicFeedAndOutbox(): void
+    {
+        $published = $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Public']);
+        $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Later', 'published' => date('c', time() + 3600)]);
+        $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Draft', 'status' => 'draft']);
+        
+        $publicFeed = $this->manager->getPublicFeed($this->feedId);
+        $this->assertEquals([$published], array_column($publicFeed['items'], 'id'));
+        $this->assertEquals(1, $publicFeed['totalItems']);
+        
+        $activityStream = json_decode(file_get_contents(dirname(__DIR__, 3) . "/public/feeds/{$this->feedId}.ansybl"), true);
+        $this->assertEquals([$published], array_column($activityStream['items'], 'id'));
+        
+        $outbox = (new ActivityPubPublisher($this->fileManager))->getOutbox($publicFeed, 1);
+        $this->assertCount(1, $outbox['orderedItems']);
+        $this->assertStringEndsWith("/items/{$published}", $outbox['orderedItems'][0]['object']['id']);
+    }
+    
+    public function testBulkDeleteMovesItemsToTrash(): void
+    {
+        [$first, $second, $kept] = $this->addNotes(3);
+        
+        $result = $this->manager->bulkUpdate($this->feedId, [$first, $second], 'delete', [], 'editor');
+        
+        $this->assertEquals([$first, $second], $result['itemIds']);
+        $this->assertEquals([$kept], array_column($this->manager->getFeed($this->feedId)['items'], 'id'));
+        
+        $trash = $this->manager->getTrash($this->feedId);
+        $this->assertEqualsCanonicalizing([$first, $second], array_column($trash, 'id'));
+        $this->assertEquals('editor', $trash[0]['deletedBy']);
+    }
+    
+    public function testBulkAddTagsSkipsTagsAlreadyThere(): void
+    {
+        $itemId = $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Tagged', 'tag' => ['garden']]);
+        
+        $this->manager->bulkUpdate($this->feedId, [$itemId], 'addTags', ['tags' => ['garden', ' tomatoes ']]);
+        
+        $this->assertEquals(['garden', 'tomatoes'], $this->getItem($itemId)['tag']);
+    }
+    
+    public function testBulkRemoveTagsRemovesNamesAndHashtags(): void
+    {
+        $itemId = $this->manager->addItem($this->feedId, [
+            'type' => 'Note',
+            'content' => 'Tagged',
+            'tag' => ['garden', ['type' => 'Hashtag', 'name' => '#tomatoes'], 'kitchen']
+        ]);
+        
+        $this->manager->bulkUpdate($this->feedId, [$itemId], 'removeTags', ['tags' => ['garden', 'tomatoes']]);
+        
+        $this->assertEquals(['kitchen'], $this->getItem($itemId)['tag']);
+    }
+    
+    public function testBulkPublishAndUnpublish(): void
+    {
+        $draft = $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Draft', 'status' => 'draft']);
+        $futureDraft = $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Later', 'status' => 'draft', 'published' => date('c', time() + 3600)]);
+        
+        $this->manager->bulkUpdate($this->feedId, [$draft, $futureDraft], 'publish');
+        
+        $this->assertEquals('published', $this->getItem($draft)['status']);
+        $this->assertEquals('scheduled', $this->getItem($futureDraft)['status']);
+        
+        $this->manager->bulkUpdate($this->feedId, [$draft, $futureDraft], 'unpublish');
+        
+        $this->assertEquals('draft', $this->getItem($draft)['status']);
+        $this->assertEquals('draft', $this->getItem($futureDraft)['status']);
+    }
+    
+    public function testBulkShiftDateReschedules(): void
+    {
+        $itemId = $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => 'Shifted', 'published' => '2024-03-01T12:00:00+00:00']);
+        
+        $this->manager->bulkUpdate($this->feedId, [$itemId], 'shiftDate', ['seconds' => 86400]);
+        $this->assertEquals(strtotime('2024-03-02T12:00:00+00:00'), strtotime($this->getItem($itemId)['published']));
+        
+        // Shifted into the future, it waits to be published
+        $this->manager->bulkUpdate($this->feedId, [$itemId], 'shiftDate', ['seconds' => time() - strtotime('2024-03-02T12:00:00+00:00') + 3600]);
+        $this->assertEquals('scheduled', $this->getItem($itemId)['status']);
+    }
+    
+    public function testBulkMoveAndCopyToAnotherFeed(): void
+    {
+        [$moved, $copied] = $this->addNotes(2);
+        $targetFeedId = $this->createFeed();
+        
+        $move = $this->manager->bulkUpdate($this->feedId, [$moved], 'move', ['targetFeedId' => $targetFeedId]);
+        $copy = $this->manager->bulkUpdate($this->feedId, [$copied], 'copy', ['targetFeedId' => $targetFeedId]);
+        
+        $this->assertEquals([$copied], array_column($this->manager->getFeed($this->feedId)['items'], 'id'));
+        $this->assertEquals(
+            [$move['created'][$moved], $copy['created'][$copied]],
+            array_column($this->manager->getFeed($targetFeedId)['items'], 'id')
+        );
+        $this->assertEquals('Note 1', $this->getItem($move['created'][$moved], $targetFeedId)['content']);
+        $this->assertEquals('Note 2', $this->getItem($copy['created'][$copied], $targetFeedId)['content']);
+    }
+    
+    public function testBulkMoveNeedsAnotherExistingFeed(): void
+    {
+        [$itemId] = $this->addNotes(1);
+        
+        foreach ([$this->feedId, 'no-such-feed'] as $targetFeedId) {
+            try {
+                $this->manager->bulkUpdate($this->feedId, [$itemId], 'move', ['targetFeedId' => $targetFeedId]);
+                $this->fail("Expected a move to {$targetFeedId} to be refused");
+            } catch (ValidationException $e) {
+                $this->assertNotEmpty($e->getMessage());
+            }
+        }
+        
+        $this->assertEquals([$itemId], array_column($this->manager->getFeed($this->feedId)['items'], 'id'));
+    }
+    
+    public function testBulkUpdateReportsItemsNotInTheFeed(): void
+    {
+        [$itemId] = $this->addNotes(1);
+        
+        $result = $this->manager->bulkUpdate($this->feedId, [$itemId, 'gone-item'], 'addTags', ['tags' => ['garden']]);
+        
+        $this->assertEquals([$itemId], $result['itemIds']);
+        $this->assertEquals(['gone-item'], $result['missing']);
+        $this->assertEquals(['garden'], $this->getItem($itemId)['tag']);
+    }
+    
+    public function testBulkUpdateOfUnknownItemsChangesNothing(): void
+    {
+        [$itemId] = $this->addNotes(1);
+        $before = $this->manager->getFeed($this->feedId)['items'];
+        
+        try {
+            $this->manager->bulkUpdate($this->feedId, ['gone-item', 'other-item'], 'delete');
+            $this->fail('Expected the update to be refused');
+        } catch (ValidationException $e) {
+            $this->assertEquals(404, $e->getCode());
+        }
+        
+        $this->assertEquals($before, $this->manager->getFeed($this->feedId)['items']);
+        $this->assertEmpty($this->manager->getTrash($this->feedId));
+    }
+    
+    public function testBulkUpdateRejectsInvalidRequests(): void
+    {
+        [$itemId] = $this->addNotes(1);
+        
+        $requests = [
+            [[$itemId], 'archive', []],
+            [[], 'delete', []],
+            [[$itemId], 'addTags', ['tags' => [' ']]],
+            [[$itemId], 'shiftDate', ['seconds' => 0]]
+        ];
+        
+        foreach ($requests as [$itemIds, $action, $options]) {
+            try {
+                $this->manager->bulkUpdate($this->feedId, $itemIds, $action, $options);
+                $this->fail("Expected {$action} to be refused");
+            } catch (ValidationException $e) {
+                $this->assertNotEmpty($e->getMessage());
+            }
+        }
+    }
+    
+    /**
+     * Add Notes with contents "Note 1", "Note 2"... returning their IDs
+     */
+    private function addNotes(int $count): array
+    {
+        $itemIds = [];
+        for ($i = 1; $i <= $count; $i++) {
+            $itemIds[] = $this->manager->addItem($this->feedId, ['type' => 'Note', 'content' => "Note {$i}"]);
+        }
+        
+        return $itemIds;
+    }
+    
+    /**
+     * Move an item's published date without going through updateItem, which
+     * would reschedule it
+     */
+    private function setPublished(string $itemId, string $published): void
+    {
+        $this->fileManager->transactionalUpdate("local-feeds/{$this->feedId}.json", function($feedData) use ($itemId, $published) {
+            foreach ($feedData['items'] as &$item) {
+                if ($item['id'] === $itemId) {
+                    $item['published'] = $published;
+                }
+            }
+            unset($item);
+            
+            return $feedData;
+        });
+    }
+}
@@ -0,0 +1,58 @@
+<?php
+
+namespace AnsyblSite\Tests\Unit\Core;
+
+use AnsyblSite\Tests\TestCase;
+use AnsyblSite\Core\MarkdownRenderer;
+
+class MarkdownRendererTest extends TestCase
+{
+    private MarkdownRenderer $renderer;
+    
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->renderer = new MarkdownRenderer();
+    }
+    
+    public function testEscapesRawHtml(): void
+    {
+        $this->assertEquals(
+            '<p>Hello &lt;script&gt;alert(1)&lt;/script&gt;</p>',
+            $this->renderer->render('Hello <script>alert(1)</script>')
+        );
+    }
+    
+    public function testDropsUnsafeLinksAndImages(): void
+    {
+        $this->assertEquals(
+            '<p>click x and y</p>',
+            $this->renderer->render('[click](javascript:alert(1)) ![x](data:image/png;base64,AA) and [y](javascript\:alert(1))')
+        );
+    }
+    
+    public function testCodeIsNotFormatted(): void
+    {
+        $this->assertEquals(
+            "<p>Use <code>**raw**</code> here</p>\n<pre><code class=\"language-php\">&lt;?php echo 1;\n</code></pre>",
+            $this->renderer->render("Use `**raw**` here\n\n```php\n<?php echo 1;\n```")
+        );
+    }
+    
+    public function testRendersLooseAndNestedLists(): void
+    {
+        $this->assertEquals(
+            "<ol>\n<li>\n<p>First</p>\n</li>\n<li>\n<p>Second</p>\n<ul>\n<li>nested</li>\n</ul>\n</li>\n</ol>",
+            $this->renderer->render("1. First\n\n2. Second\n   - nested")
+        );
+    }
+    
+    public function testRendersTables(): void
+    {
+        $this->assertEquals(
+            "<table>\n<thead>\n<tr><th align=\"left\">Name</th><th align=\"right\">Size</th></tr>\n</thead>\n"
+                . "<tbody>\n<tr><td align=\"left\">a</td><td align=\"right\">1</td></tr>\n</tbody>\n</table>",
+            $this->renderer->render("| Name | Size |\n| :--- | ---: |\n| a | 1 |")
+        );
+    }
+}
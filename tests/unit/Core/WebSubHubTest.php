@@ -0,0 +1,159 @@
+<?php
+
+namespace AnsyblSite\Tests\Unit\Core;
+
+use AnsyblSite\Tests\TestCase;
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\PublicUrlGuard;
+use AnsyblSite\Core\WebSubHub;
+use AnsyblSite\Exceptions\ValidationException;
+
+class WebSubHubTest extends TestCase
+{
+    private const TOPIC = 'http://localhost:8000/feeds/news.atom';
+    private const CALLBACK = 'https://reader.example/push/42';
+    
+    private WebSubHub $hub;
+    private array $requests = [];
+    private bool $confirm = true;
+    
+    protected function setUp(): void
+    {
+        parent::setUp();
+        
+        $requests = &$this->requests;
+        $confirm = &$this->confirm;
+        
+        // Without DNS: .internal hosts are on the private network, the rest public
+        $urlGuard = new class extends PublicUrlGuard {
+            protected function lookup(string $host): array
+            {
+                return [str_ends_with($host, '.internal') ? '10.0.0.5' : '93.184.216.34'];
+            }
+        };
+        
+        // Stands in for the subscriber: echoes challenges (unless told not to) and records pushes
+        $this->hub = new class(new ConcurrentFileManager($this->tempPath), $urlGuard, $requests, $confirm) extends WebSubHub {
+            private array $requests;
+            private bool $confirm;
+            
+            public function __construct($fileManager, $urlGuard, array &$requests, bool &$confirm)
+            {
+                parent::__construct($fileManager, 1, $urlGuard);
+                $this->requests = &$requests;
+                $this->confirm = &$confirm;
+            }
+            
+            protected function request(string $method, string $url, array $headers = [], ?string $body = null, ?string $address = null): array
+            {
+                $this->requests[] = ['method' => $method, 'url' => $url, 'headers' => $headers, 'body' => $body, 'address' => $address];
+                
+                if ($method === 'GET') {
+                    parse_str(parse_url($url, PHP_URL_QUERY), $query);
+                    return ['status' => 200, 'body' => $this->confirm ? $query['hub_challenge'] : 'nope'];
+                }
+                
+                return ['status' => 204, 'body' => ''];
+            }
+        };
+    }
+    
+    protected function tearDown(): void
+    {
+        $this->hub->removeTopics([self::TOPIC]);
+        parent::tearDown();
+    }
+    
+    public function testSubscribeVerifiesIntentWithChallenge(): void
+    {
+        $this->assertTrue($this->hub->subscribe('subscribe', self::TOPIC, self::CALLBACK, 3600));
+        
+        $query = [];
+        parse_str(parse_url($this->requests[0]['url'], PHP_URL_QUERY), $query);
+        $this->assertEquals('subscribe', $query['hub_mode']);
+        $this->assertEquals(self::TOPIC, $query['hub_topic']);
+        $this->assertEquals(3600, $query['hub_lease_seconds']);
+        $this->assertEquals('93.184.216.34', $this->requests[0]['address']);
+        
+        $this->assertCount(1, $this->hub->getSubscriptions(self::TOPIC));
+    }
+    
+    public function testUnconfirmedSubscriptionIsNotStored(): void
+    {
+        $this->confirm = false;
+        
+        $this->assertFalse($this->hub->subscribe('subscribe', self::TOPIC, self::CALLBACK));
+        $this->assertEmpty($this->hub->getSubscriptions());
+    }
+    
+    public function testUnsubscribeRemovesSubscription(): void
+    {
+        $this->hub->subscribe('subscribe', self::TOPIC, self::CALLBACK);
+        $this->hub->subscribe('unsubscribe', self::TOPIC, self::CALLBACK);
+        
+        $this->assertEmpty($this->hub->getSubscriptions(self::TOPIC));
+    }
+    
+    public function testResubscribingReplacesSubscription(): void
+    {
+        $this->hub->subscribe('subscribe', self::TOPIC, self::CALLBACK);
+        $this->hub->subscribe('subscribe', self::TOPIC, self::CALLBACK);
+        
+        $this->assertCount(1, $this->hub->getSubscriptions(self::TOPIC));
+    }
+    
+    public function testLeaseIsClamped(): void
+    {
+        $this->hub->subscribe('subscribe', self::TOPIC, self::CALLBACK, 999999999);
+        
+        $this->assertLessThanOrEqual(time() + WebSubHub::MAX_LEASE, $this->hub->getSubscriptions()[0]['expires']);
+    }
+    
+    public function testPublishPushesSignedContent(): void
+    {
+        $this->hub->subscribe('subscribe', self::TOPIC, self::CALLBACK, null, 'shh');
+        $this->requests = [];
+        
+        $results = $this->hub->publish(self::TOPIC, '<feed/>', 'application/atom+xml', 'http://localhost:8000/api/websub.php');
+        
+        $this->assertEquals([self::CALLBACK => 204], $results);
+        $push = $this->requests[0];
+        $this->assertEquals('POST', $push['method']);
+        $this->assertEquals('93.184.216.34', $push['address']);
+        $this->assertEquals('<feed/>', $push['body']);
+        $this->assertEquals('application/atom+xml', $push['headers']['Content-Type']);
+        $this->assertEquals('sha256=' . hash_hmac('sha256', '<feed/>', 'shh'), $push['headers']['X-Hub-Signature']);
+        $this->assertStringContainsString('<' . self::TOPIC . '>; rel="self"', $push['headers']['Link']);
+    }
+    
+    public function testPublishSkipsOtherTopics(): void
+    {
+        $this->hub->subscribe('subscribe', self::TOPIC, self::CALLBACK);
+        $this->requests = [];
+        
+        $this->assertEquals([], $this->hub->publish('http://localhost:8000/feeds/other.atom', '<feed/>', 'application/atom+xml', 'http://localhost:8000/api/websub.php'));
+        $this->assertEmpty($this->requests);
+    }
+    
+    public function testRejectsInvalidRequests(): void
+    {
+        $this->expectException(ValidationException::class);
+        
+        $this->hub->subscribe('subscribe', self::TOPIC, 'ftp://reader.example/push');
+    }
+    
+    public function testRejectsPrivateCallbackWithoutVerifying(): void
+    {
+        foreach (['http://127.0.0.1:8080/admin', 'http://metadata.internal/push'] as $callback) {
+            try {
+                $this->hub->subscribe('subscribe', self::TOPIC, $callback);
+                $this->fail("Expected {$callback} to be rejected");
+            } catch (ValidationException $e) {
+                $this->assertStringContainsString('not a public address', $e->getMessage());
+            }
+        }
+        
+        $this->assertEmpty($this->requests);
+        $this->assertEmpty($this->hub->getSubscriptions());
+    }
+}
@@ -0,0 +1,198 @@
+<?php
+
+namespace AnsyblSite\Tests\Unit\Core;
+
+use AnsyblSite\Tests\TestCase;
+use AnsyblSite\Core\ConcurrentFileManager;
+use AnsyblSite\Core\WebSubSubscriber;
+
+class WebSubSubscriberTest extends TestCase
+{
+    private const FEED_URL = 'https://blog.example/feed.xml';
+    private const HUB = 'https://hub.example/';
+    private const CALLBACK = 'http://localhost:8000/api/websub.php/callback/blog';
+    
+    private WebSubSubscriber $subscriber;
+    private array $requests = [];
+    private array $feedResponse;
+    
+    protected function setUp(): void
+    {
+        parent::setUp();
+        
+        $this->feedResponse = [
+            'status' => 200,
+            'headers' => [],
+            'body' => '<?xml version="1.0"?><rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"><channel>'
+                . '<atom:link rel="hub" href="' . self::HUB . '"/>'
+                . '<atom:link rel="self" href="' . self::FEED_URL . '"/>'
+                . '</channel></rss>'
+        ];
+        
+        $requests = &$this->requests;
+        $feedResponse = &$this->feedResponse;
+        
+        // Stands in for the feed's server and its hub
+        $this->subscriber = new class(new ConcurrentFileManager($this->tempPath), $requests, $feedResponse) extends WebSubSubscriber {
+            private array $requests;
+            private array $feedResponse;
+            
+            public function __construct($fileManager, array &$requests, array &$feedResponse)
+            {
+                parent::__construct($fileManager, 1);
+                $this->requests = &$requests;
+                $this->feedResponse = &$feedResponse;
+            }
+            
+            protected function request(string $method, string $url, array $headers = [], ?string $body = null): array
+            {
+                $this->requests[] = ['method' => $method, 'url' => $url, 'headers' => $headers, 'body' => $body];
+                
+                return $method === 'GET' ? $this->feedResponse : ['status' => 202, 'headers' => [], 'body' => ''];
+            }
+        };
+    }
+    
+    protected function tearDown(): void
+    {
+        @unlink($this->tempPath . '/websub/subscriptions.json');
+        parent::tearDown();
+    }
+    
+    public function testDiscoversHubInRss(): void
+    {
+        $this->assertEquals(['hub' => self::HUB, 'self' => self::FEED_URL], $this->subscriber->discover(self::FEED_URL));
+    }
+    
+    public function testLinkHeadersTakePrecedence(): void
+    {
+        $links = $this->subscriber->parseLinkHeaders([
+            '<https://other-hub.example/>; rel="hub", <https://blog.example/canonical.xml>; rel="self"'
+        ]);
+        
+        $this->assertEquals(['hub' => 'https://other-hub.example/', 'self' => 'https://blog.example/canonical.xml'], $links);
+    }
+    
+    public function testDiscoversHubInJsonFeed(): void
+    {
+        $links = $this->subscriber->findDocumentLinks(json_encode([
+            'version' => 'https://jsonfeed.org/version/1.1',
+            'feed_url' => 'https://blog.example/feed.json',
+            'hubs' => [['type' => 'WebSub', 'url' => self::HUB]]
+        ]));
+        
+        $this->assertEquals(['hub' => self::HUB, 'self' => 'https://blog.example/feed.json'], $links);
+    }
+    
+    public function testFeedWithoutHubIsNotSubscribed(): void
+    {
+        $this->feedResponse['body'] = '<?xml version="1.0"?><rss version="2.0"><channel><title>Blog</title></channel></rss>';
+        
+        $this->assertNull($this->subscriber->subscribe('blog', self::FEED_URL, self::CALLBACK));
+        $this->assertCount(1, $this->requests);
+    }
+    
+    public function testSubscribePostsToHub(): void
+    {
+        $subscription = $this->subscriber->subscribe('blog', self::FEED_URL, self::CALLBACK);
+        
+        $this->assertEquals('pending', $subscription['state']);
+        
+        $request = end($this->requests);
+        parse_str($request['body'], $params);
+        $this->assertEquals(self::HUB, $request['url']);
+        $this->assertEquals('subscribe', $params['hub_mode']);
+        $this->assertEquals(self::FEED_URL, $params['hub_topic']);
+        $this->assertEquals(self::CALLBACK, $params['hub_callback']);
+        $this->assertEquals($subscription['secret'], $params['hub_secret']);
+    }
+    
+    public function testVerificationActivatesSubscription(): void
+    {
+        $this->subscriber->subscribe('blog', self::FEED_URL, self::CALLBACK);
+        
+        $this->assertEquals('abc123', $this->subscriber->verifyIntent('blog', 'subscribe', self::FEED_URL, 'abc123', 3600));
+        $this->assertEquals('active', $this->subscriber->getSubscription('blog')['state']);
+    }
+    
+    public function testVerificationRefusesOtherTopics(): void
+    {
+        $this->subscriber->subscribe('blog', self::FEED_URL, self::CALLBACK);
+        
+        $this->assertNull($this->subscriber->verifyIntent('blog', 'subscribe', 'https://evil.example/feed', 'abc123'));
+        $this->assertNull($this->subscriber->verifyIntent('other', 'subscribe', self::FEED_URL, 'abc123'));
+    }
+    
+    public function testAuthenticatesPushWithSecret(): void
+    {
+        $secret = $this->subscriber->subscribe('blog', self::FEED_URL, self::CALLBACK)['secret'];
+        $this->subscriber->verifyIntent('blog', 'subscribe', self::FEED_URL, 'abc123');
+        
+        $this->assertTrue($this->subscriber->isAuthentic('blog', '<rss/>', 'sha256=' . hash_hmac('sha256', '<rss/>', $secret)));
+        $this->assertTrue($this->subscriber->isAuthentic('blog', '<rss/>', 'sha1=' . hash_hmac('sha1', '<rss/>', $secret)));
+        $this->assertFalse($this->subscriber->isAuthentic('blog', '<rss/>', 'sha256=' . hash_hmac('sha256', '<rss/>', 'guess')));
+        $this->assertFalse($this->subscriber->isAuthentic('blog', '<rss/>', null));
+    }
+    
+    public function testUnsubscribeIsConfirmedByHub(): void
+    {
+        $this->subscriber->subscribe('blog', self::FEED_URL, self::CALLBACK);
+        $this->subscriber->verifyIntent('blog', 'subscribe', self::FEED_URL, 'abc123');
+        
+        $this->subscriber->unsubscribe('blog');
+        $this->assertEquals('unsubscribing', $this->subscriber->getSubscription('blog')['state']);
+        
+        $this->assertEquals('xyz', $this->subscriber->verifyIntent('blog', 'unsubscribe', self::FEED_URL, 'xyz'));
+        $this->assertNull($this->subscriber->getSubscription('blog'));
+    }
+    
+    public function testHubCanDenyPendingSubscription(): void
+    {
+        $this->subscriber->subscribe('blog', self::FEED_URL, self::CALLBACK);
+        
+        $this->assertSame('', $this->subscriber->verifyIntent('blog', 'denied', self::FEED_URL, ''));
+        $this->assertNull($this->subscriber->getSubscription('blog'));
+    }
+    
+    public function testDenialDoesNotDropActiveSubscription(): void
+    {
+        $this->subscriber->subscribe('blog', self::FEED_URL, self::CALLBACK);
+        $this->subscriber->verifyIntent('blog', 'subscribe', self::FEED_URL, 'abc123');
+        
+        $this->assertNull($this->subscriber->verifyIntent('blog', 'denied', self::FEED_URL, ''));
+        $this->assertEquals('active', $this->subscriber->getSubscription('blog')['state']);
+    }
+    
+    public function testRenewsSubscriptionsAboutToExpire(): void
+    {
+        $this->subscriber->subscribe('blog', self::FEED_URL, self::CALLBACK);
+        $this->subscriber->verifyIntent('blog', 'subscribe', self::FEED_URL, 'abc123', 60);
+        $this->requests = [];
+        
+        $this->assertEquals(['blog'], $this->subscriber->renewExpiring());
+        $this->assertEquals(self::HUB, $this->requests[0]['url']);
+    }
+    
+    public function testRenewalIsRequestedOnceUntilVerified(): void
+    {
+        $this->subscriber->subscribe('blog', self::FEED_URL, self::CALLBACK);
+        $this->subscriber->verifyIntent('blog', 'subscribe', self::FEED_URL, 'abc123', 60);
+        
+        $this->subscriber->renewExpiring();
+        $this->assertArrayHasKey('renewing', $this->subscriber->getSubscription('blog'));
+        $this->assertEquals([], $this->subscriber->renewExpiring());
+        
+        $this->subscriber->verifyIntent('blog', 'subscribe', self::FEED_URL, 'def456');
+        $this->assertArrayNotHasKey('renewing', $this->subscriber->getSubscription('blog'));
+    }
+    
+    public function testHubCanDenyRenewal(): void
+    {
+        $this->subscriber->subscribe('blog', self::FEED_URL, self::CALLBACK);
+        $this->subscriber->verifyIntent('blog', 'subscribe', self::FEED_URL, 'abc123', 60);
+        $this->subscriber->renewExpiring();
+        
+        $this->assertSame('', $this->subscriber->verifyIntent('blog', 'denied', self::FEED_URL, ''));
+        $this->assertNull($this->subscriber->getSubscription('blog'));
+    }
+}